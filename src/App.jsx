@@ -6,7 +6,7 @@ import React, { useEffect, useState } from "react";
 // - The file 'firebaseConfig.jsx' inside 'src/firebase' should be named EXACTLY 'firebaseConfig.jsx'.
 //   (e.g., if it's 'FirebaseConfig.jsx' or 'firebaseconfig.jsx' on your disk, you must rename it).
 // ***********************************************************************************
-import { initializeFirebase, signInUser, db, appId } from "./firebase/firebaseConfig.jsx";
+import { initializeFirebase, signOutUser, db, storage, appId } from "./firebase/firebaseConfig.jsx";
 
 // ***********************************************************************************
 // IMPORTANT: Please verify these paths and casing on your local file system:
@@ -23,27 +23,54 @@ import WebcamCapture from "./components/WebcamCapture.jsx";
 //   (e.g., if it's 'attendancelog.jsx' on your disk, you must rename it).
 // ***********************************************************************************
 import AttendanceLog from "./components/AttendanceLog.jsx";
+import EnrollPerson from "./components/EnrollPerson.jsx";
+import SessionManager from "./components/SessionManager.jsx";
+import RosterImport from "./components/RosterImport.jsx";
+import Reports from "./components/Reports.jsx";
+import LoginScreen from "./components/LoginScreen.jsx";
+import UserManager from "./components/UserManager.jsx";
+import useUserProfile from "./hooks/useUserProfile.jsx";
+import { can, getRoleLabel, ATTENDEE } from "./utils/roles.jsx";
+
+// Top-level views selectable from the navigation bar, with the permission needed to see them (see roles.jsx).
+// Every role sees the attendance view; what it contains depends on the role.
+const VIEWS = [
+  { id: 'attendance', label: 'Attendance', permission: null },
+  { id: 'reports', label: 'Reports', permission: 'reports' },
+  { id: 'sessions', label: 'Sessions', permission: 'manageSessions' },
+  { id: 'enroll', label: 'Enroll People', permission: 'managePeople' },
+  { id: 'users', label: 'Users', permission: 'manageUsers' },
+];
 
 function App() {
-  const [userId, setUserId] = useState(null);
+  const [user, setUser] = useState(null); // The signed-in Firebase user, null when signed out
   const [isAuthReady, setIsAuthReady] = useState(false);
   const [message, setMessage] = useState('');
+  const [view, setView] = useState('attendance'); // One of the VIEWS ids
 
   useEffect(() => {
-    const { auth, unsubscribe } = initializeFirebase(setUserId, setMessage, setIsAuthReady);
-    const setupAuth = async () => {
-      if (auth && !userId) {
-        try {
-          await signInUser(auth);
-        } catch (error) {
-          console.error("Initial sign-in failed:", error);
-        }
-      }
-    };
-    setupAuth();
+    const { unsubscribe } = initializeFirebase(setUser, setMessage, setIsAuthReady);
     return () => unsubscribe();
   }, []);
 
+  // The profile holds the user's role; nothing but the header is shown until it has loaded
+  const profile = useUserProfile(db, user, setMessage);
+  const userId = profile ? user.uid : null;
+  const role = profile ? profile.role : null;
+  const availableViews = VIEWS.filter(({ permission }) => !permission || can(role, permission));
+  // Fall back to the attendance view when the current one is not (or no longer) allowed
+  const activeView = availableViews.some(({ id }) => id === view) ? view : 'attendance';
+
+  const handleSignOut = async () => {
+    try {
+      await signOutUser();
+      setView('attendance');
+    } catch (error) {
+      console.error("Sign-out failed:", error);
+      setMessage("Sign-out failed. Please try again.");
+    }
+  };
+
   useEffect(() => {
     if (message) {
       const timer = setTimeout(() => {
@@ -54,18 +81,54 @@ function App() {
   }, [message]);
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-purple-800 to-indigo-900 text-white font-inter p-4 sm:p-6 flex flex-col items-center">
+    <div className="min-h-screen bg-gradient-to-br from-purple-800 to-indigo-900 text-white font-inter p-4 sm:p-6 flex flex-col items-center print:bg-none print:bg-white print:text-black print:p-0">
       <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-      <h1 className="text-3xl sm:text-4xl font-bold mb-6 text-center">
+      <h1 className="text-3xl sm:text-4xl font-bold mb-6 text-center print:hidden">
         AI-Powered Smart Attendance System
       </h1>
-      <p className="text-sm text-center mb-4 opacity-80">
-        Logged in as: <span className="font-mono break-all">{userId || "Authenticating..."}</span>
-      </p>
-      <WebcamCapture db={db} userId={userId} setMessage={setMessage} />
-      <AttendanceLog db={db} userId={userId} setMessage={setMessage} />
+      {!isAuthReady ? (
+        <p className="text-sm text-center mb-4 opacity-80">Authenticating...</p>
+      ) : !user ? (
+        <LoginScreen setMessage={setMessage} />
+      ) : (
+        <>
+          <p className="text-sm text-center mb-4 opacity-80 print:hidden">
+            Signed in as <span className="font-semibold break-all">{user.displayName || user.email || user.uid}</span>
+            {role && <> · {getRoleLabel(role)}</>}
+            {' · '}
+            <button onClick={handleSignOut} className="underline hover:text-white">Sign out</button>
+          </p>
+          {/* Switch between taking attendance, reports, managing sessions, enrolling people and managing users */}
+          <div className="mb-6 flex flex-wrap justify-center gap-2 print:hidden">
+            {availableViews.map(({ id, label }) => (
+              <button
+                key={id}
+                onClick={() => setView(id)}
+                className={`py-2 px-4 rounded-lg font-semibold transition-all duration-200 ${activeView === id ? 'bg-white text-indigo-900' : 'bg-indigo-700 hover:bg-indigo-600 text-white'}`}
+              >
+                {id === 'attendance' && role === ATTENDEE ? 'My Attendance' : label}
+              </button>
+            ))}
+          </div>
+          {activeView === 'attendance' && profile && (
+            <>
+              {can(role, 'capture') && <WebcamCapture db={db} storage={storage} userId={userId} setMessage={setMessage} />}
+              <AttendanceLog db={db} storage={storage} userId={userId} role={role} ownPersonId={profile.personId || null} setMessage={setMessage} />
+            </>
+          )}
+          {activeView === 'reports' && <Reports db={db} userId={userId} setMessage={setMessage} />}
+          {activeView === 'sessions' && <SessionManager db={db} userId={userId} setMessage={setMessage} />}
+          {activeView === 'enroll' && (
+            <>
+              <EnrollPerson db={db} userId={userId} setMessage={setMessage} />
+              <RosterImport db={db} userId={userId} setMessage={setMessage} />
+            </>
+          )}
+          {activeView === 'users' && <UserManager db={db} userId={userId} setMessage={setMessage} />}
+        </>
+      )}
       {message && (
-        <p className="mt-4 text-center text-sm px-2 py-1 rounded-md bg-yellow-700 bg-opacity-70 text-yellow-100">
+        <p className="mt-4 text-center text-sm px-2 py-1 rounded-md bg-yellow-700 bg-opacity-70 text-yellow-100 print:hidden">
           {message}
         </p>
       )}
@@ -1,43 +1,116 @@
 // src/api/geminiApi.jsx
 // This file contains functions to interact with the Google Gemini API for image processing and text generation.
+// All requests go through callGemini (geminiClient.jsx), which handles the API key, timeouts, retries and errors.
+import { callGemini, parseModelJson, AiError } from './geminiClient.jsx';
+import { getEventType } from '../firebase/attendanceStore.jsx';
+import { toDate } from '../utils/sessions.jsx';
+import { toDayKey } from '../utils/timeOnSite.jsx';
+import { describeSessionAttendance } from '../utils/sessionAttendance.jsx';
 
-// For local development with Vite, environment variables are accessed via import.meta.env.
-// The variable names must be prefixed with VITE_ for Vite to expose them to the client-side bundle.
-// Ensure VITE_GEMINI_API_KEY is set in your .env file in the project root.
-const API_KEY = import.meta.env.VITE_GEMINI_API_KEY || "";
-// The base URL for the Gemini 2.0 Flash model.
-const API_URL_FLASH = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${API_KEY}`;
+// Per-call timeouts in milliseconds. Face matching sends several images and needs the most time.
+const DETECT_TIMEOUT_MS = 15000;
+const DETECT_ALL_TIMEOUT_MS = 30000;
+const IDENTIFY_TIMEOUT_MS = 30000;
+const LIVENESS_TIMEOUT_MS = 30000;
+const SUMMARY_TIMEOUT_MS = 30000;
+const WELCOME_TIMEOUT_MS = 10000;
 
-// --- DEBUGGING STEP: Log API_KEY before making calls ---
-// This console log helps confirm if your VITE_GEMINI_API_KEY is being loaded correctly from your .env file.
-// The key is partially obscured in the console output for security reasons.
-console.log("Gemini API Key being used:", API_KEY ? `${API_KEY.substring(0, 5)}...${API_KEY.substring(API_KEY.length - 5)}` : "Not set");
+// Cap on how many reference photos per enrolled person are sent along with a recognition request,
+// to keep the request payload small when the registry grows.
+const MAX_REFERENCE_PHOTOS_PER_PERSON = 2;
 
+// Cap on how many enrolled people one recognition request compares the captured face against. Past this the
+// request gets too large and slow to answer, so callers shortlist the candidates first (see getFaceMatchCandidates).
+const MAX_IDENTIFY_CANDIDATES = 40;
+
+/**
+ * Splits a data URL into its MIME type and raw base64 data, as expected by Gemini's inlineData parts.
+ * @param {string} dataUrl - A data URL, e.g., "data:image/jpeg;base64,...".
+ * @returns {{mimeType: string, data: string}}
+ */
+const toInlineData = (dataUrl) => {
+  const [header, data] = dataUrl.split(',');
+  const mimeMatch = header.match(/^data:(.*?);base64$/);
+  return { mimeType: mimeMatch ? mimeMatch[1] : 'image/png', data };
+};
+
+/**
+ * Converts a Gemini bounding box ([ymin, xmin, ymax, xmax] scaled to 0-1000) into fractions of the image size.
+ * @param {Array<number>} box2d
+ * @returns {{x: number, y: number, width: number, height: number}|null} - Null for malformed boxes.
+ */
+const toFaceBox = (box2d) => {
+  if (!Array.isArray(box2d) || box2d.length !== 4) return null;
+  const [yMin, xMin, yMax, xMax] = box2d.map(value => Math.min(Math.max(Number(value) || 0, 0), 1000) / 1000);
+  if (xMax <= xMin || yMax <= yMin) return null;
+  return { x: xMin, y: yMin, width: xMax - xMin, height: yMax - yMin };
+};
+
+/**
+ * Calls the Gemini API to locate every face in an image, e.g. a group photo of a room.
+ * @param {string} capturedImageBase64 - The captured frame as a data URL.
+ * @returns {Promise<{status: string, faceDetected: boolean, faces: Array<{box: Object}>, message: string, error?: AiError}>}
+ */
+async function detectAllFaces(capturedImageBase64) {
+  const prompt = "Find every human face in this image, including small faces at the back of a room. For each face, give its bounding box as [ymin, xmin, ymax, xmax] scaled from 0 to 1000, ordered from left to right and front to back. Respond as a JSON object with 'faces' (an array of objects with 'box_2d') and 'message' (a short description).";
+  const payload = {
+    contents: [{ role: "user", parts: [{ text: prompt }, { inlineData: toInlineData(capturedImageBase64) }] }],
+    generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: {
+            type: "OBJECT",
+            properties: {
+                "faces": {
+                    "type": "ARRAY",
+                    "items": {
+                        "type": "OBJECT",
+                        "properties": { "box_2d": { "type": "ARRAY", "items": { "type": "INTEGER" } } },
+                        "required": ["box_2d"]
+                    }
+                },
+                "message": { "type": "STRING" }
+            },
+            "propertyOrdering": ["faces", "message"]
+        }
+    }
+  };
+
+  try {
+    const text = await callGemini(payload, { label: 'face detection', timeoutMs: DETECT_ALL_TIMEOUT_MS });
+    const parsedResponse = parseModelJson(text);
+    const faces = (Array.isArray(parsedResponse.faces) ? parsedResponse.faces : [])
+      .map(face => ({ box: toFaceBox(face && face.box_2d) }))
+      .filter(face => face.box);
+    return {
+      status: faces.length > 0 ? 'success' : 'failure',
+      faceDetected: faces.length > 0,
+      faces,
+      message: faces.length > 0 ? `${faces.length} face${faces.length === 1 ? '' : 's'} detected` : 'No face detected'
+    };
+  } catch (error) {
+    return { status: 'error', faceDetected: false, faces: [], message: `AI processing failed: ${error.userMessage || error.message}`, error };
+  }
+}
 
 /**
  * Calls the Gemini API to process an image and determine if a face is present.
  * This function now only confirms face detection, and does NOT generate a random name.
  * @param {string} capturedImageBase64 - The base64 encoded image data (a data URL, e.g., "data:image/png;base64,...").
- * @returns {Promise<{status: string, faceDetected: boolean, message: string}>} - A promise that resolves to an object
- * indicating the processing status, whether a face was detected, and a descriptive message.
+ * @param {Object} [options]
+ * @param {boolean} [options.allFaces] - Locate every face in the image (for group photos) and return them in 'faces'.
+ * @returns {Promise<{status: string, faceDetected: boolean, faces?: Array<{box: Object}>, message: string, error?: AiError}>} - A promise
+ * that resolves to an object indicating the processing status, whether a face was detected, and a descriptive message.
+ * With 'allFaces', 'faces' holds a bounding box per face, as fractions (0-1) of the image size: { x, y, width, height }.
  */
-export async function processImageWithAI(capturedImageBase64) {
-  // Pre-check: Ensure the API_KEY is configured before attempting to make an API call.
-  if (!API_KEY) {
-    console.error("Gemini API Key is not set for image processing. Please ensure VITE_GEMINI_API_KEY is in your .env file.");
-    return { status: 'error', faceDetected: false, message: 'Gemini API Key is not configured.' };
+export async function processImageWithAI(capturedImageBase64, { allFaces = false } = {}) {
+  if (allFaces) {
+    return detectAllFaces(capturedImageBase64);
   }
 
-  // Extract the raw base64 data by removing the "data:image/png;base64," prefix.
-  const base64ImageData = capturedImageBase64.split(',')[1];
   // Define the prompt that instructs the AI model on what to do with the image.
   // The prompt is changed to only ask for face detection.
   const prompt = "Analyze this image. If it contains a human face, respond with 'Face detected'. If no face is detected, respond with 'No face detected'. Format your response as a JSON object with 'status' and 'message' fields, e.g., {'status': 'success', 'message': 'Face detected'} or {'status': 'failure', 'message': 'No face detected'}.";
 
-  // Structure the chat history for the Gemini API request payload.
-  let chatHistory = [];
-  chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-
   // Define the full payload for the Gemini API call, including the image data and expected response schema.
   const payload = {
     contents: [
@@ -45,12 +118,7 @@ export async function processImageWithAI(capturedImageBase64) {
         role: "user",
         parts: [
           { text: prompt }, // The text prompt
-          {
-            inlineData: {
-              mimeType: "image/png", // Specify the MIME type of the image
-              data: base64ImageData // The base64 image data
-            }
-          }
+          { inlineData: toInlineData(capturedImageBase64) } // The captured image
         ]
       }
     ],
@@ -68,156 +136,207 @@ export async function processImageWithAI(capturedImageBase64) {
   };
 
   try {
-    // Make the API call to the Gemini model.
-    const response = await fetch(API_URL_FLASH, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' }, // Indicate that the request body is JSON
-      body: JSON.stringify(payload) // Convert the JavaScript payload object to a JSON string
+    const text = await callGemini(payload, { label: 'image processing', timeoutMs: DETECT_TIMEOUT_MS });
+    const parsedResponse = parseModelJson(text);
+
+    // Determine face detection status based on the message from the AI.
+    const faceDetected = parsedResponse.message === 'Face detected';
+    return { status: parsedResponse.status, faceDetected: faceDetected, message: parsedResponse.message };
+  } catch (error) {
+    // callGemini already logged the details; hand the typed error back to the UI.
+    return { status: 'error', faceDetected: false, message: `AI processing failed: ${error.userMessage || error.message}`, error };
+  }
+}
+
+/**
+ * Calls the Gemini API to compare a captured frame against the reference photos of enrolled people.
+ * @param {string} capturedImageBase64 - The captured frame as a data URL.
+ * @param {Array<Object>} people - Enrolled people, each with 'id', 'name' and 'referencePhotos' (data URLs).
+ * @returns {Promise<{status: string, person: Object|null, confidence: number, message: string, error?: AiError}>} - A promise that
+ * resolves to the best matching person (or null) together with the model's confidence between 0 and 1.
+ */
+export async function identifyPersonWithAI(capturedImageBase64, people) {
+  const candidates = people.filter(person => person.referencePhotos && person.referencePhotos.length > 0);
+  if (candidates.length === 0) {
+    return { status: 'no_match', person: null, confidence: 0, message: 'No enrolled people with reference photos.' };
+  }
+  if (candidates.length > MAX_IDENTIFY_CANDIDATES) {
+    return {
+      status: 'error', person: null, confidence: 0,
+      message: `Face matching compares at most ${MAX_IDENTIFY_CANDIDATES} enrolled people at a time, but ${candidates.length} have reference photos. Select a session whose roster has at most ${MAX_IDENTIFY_CANDIDATES} people.`
+    };
+  }
+
+  // The captured frame goes first, followed by each candidate's reference photos introduced by a label
+  // so the model can refer back to the candidate's ID in its answer.
+  const parts = [
+    { text: "You are verifying identity for an attendance system. The first image is the person at the camera. The following images are reference photos of enrolled people, each introduced by their candidate ID. Decide which enrolled person, if any, is the person at the camera. Respond as a JSON object with 'matchedPersonId' (the candidate ID, or an empty string if nobody matches), 'confidence' (a number between 0 and 1) and 'message' (a short explanation)." },
+    { inlineData: toInlineData(capturedImageBase64) }
+  ];
+  candidates.forEach(person => {
+    parts.push({ text: `Candidate ID: ${person.id}` });
+    person.referencePhotos.slice(0, MAX_REFERENCE_PHOTOS_PER_PERSON).forEach(photo => {
+      parts.push({ inlineData: toInlineData(photo) });
     });
+  });
 
-    // Check if the HTTP response was successful (status code in the 200-299 range).
-    if (!response.ok) {
-      const errorData = await response.json(); // Attempt to parse any error details from the response body.
-      console.error("Gemini API HTTP Error for image processing:", response.status, response.statusText, errorData);
-      // Return a user-friendly error message, including specific details from the API if available.
-      return { status: 'error', faceDetected: false, message: `Gemini API Error: ${response.status} ${response.statusText}. Details: ${errorData.error?.message || JSON.stringify(errorData)}` };
+  const payload = {
+    contents: [{ role: "user", parts }],
+    generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: {
+            type: "OBJECT",
+            properties: {
+                "matchedPersonId": { "type": "STRING" },
+                "confidence": { "type": "NUMBER" },
+                "message": { "type": "STRING" }
+            },
+            "propertyOrdering": ["matchedPersonId", "confidence", "message"]
+        }
     }
+  };
+
+  try {
+    const text = await callGemini(payload, { label: 'face matching', timeoutMs: IDENTIFY_TIMEOUT_MS });
+    const parsedResponse = parseModelJson(text);
+    // Only accept IDs that belong to a candidate we actually sent; anything else counts as no match.
+    const person = candidates.find(candidate => candidate.id === parsedResponse.matchedPersonId) || null;
+    const confidence = Math.min(Math.max(Number(parsedResponse.confidence) || 0, 0), 1);
+    return { status: person ? 'success' : 'no_match', person, confidence, message: parsedResponse.message || '' };
+  } catch (error) {
+    return { status: 'error', person: null, confidence: 0, message: `Face matching failed: ${error.userMessage || error.message}`, error };
+  }
+}
+
+/**
+ * Calls the Gemini API to check that the frames recorded during a liveness challenge show a live person
+ * performing it, rather than a printed photo, a screen or a mask held up to the camera.
+ * @param {Array<string>} frames - Frames recorded during the challenge, in order, as data URLs.
+ * @param {{id: string, description: string}} challenge - The challenge that was given (see liveness.jsx).
+ * @returns {Promise<{status: string, passed: boolean, confidence: number, message: string, error?: AiError}>} - 'passed' is
+ * true only when the person is live and completed the challenge; 'confidence' is between 0 and 1.
+ */
+export async function verifyLivenessWithAI(frames, challenge) {
+  const parts = [
+    { text: `You are the anti-spoofing check of an attendance system. The following ${frames.length} images are consecutive webcam frames, about half a second apart, recorded while the person at the camera was asked to do this: the person ${challenge.description}. Decide whether they show a live person completing that action. Answer 'live' false if the face is a printed photo, a picture on a phone, tablet or monitor screen, or a mask (look for screen or paper edges, glare, moiré patterns and a face that stays rigid while the frame moves). Answer 'challengeCompleted' false if the requested action cannot be seen. Respond as a JSON object with 'live' (boolean), 'challengeCompleted' (boolean), 'confidence' (a number between 0 and 1) and 'message' (a short explanation).` },
+    ...frames.map(frame => ({ inlineData: toInlineData(frame) }))
+  ];
 
-    const result = await response.json(); // Parse the successful API response into a JavaScript object.
-
-    // Validate the structure of the AI's response to ensure it contains the expected data.
-    if (result.candidates && result.candidates.length > 0 &&
-        result.candidates[0].content && result.candidates[0].content.parts &&
-        result.candidates[0].content.parts.length > 0) {
-      const jsonResponse = result.candidates[0].content.parts[0].text; // Extract the text part which should be a JSON string.
-      const parsedResponse = JSON.parse(jsonResponse);
-
-      // Determine face detection status based on the message from the AI.
-      const faceDetected = parsedResponse.message === 'Face detected';
-      return { status: parsedResponse.status, faceDetected: faceDetected, message: parsedResponse.message };
-    } else {
-      // Handle cases where the AI response structure is unexpected or incomplete.
-      console.error("AI API response structure unexpected for image processing:", result);
-      return { status: 'error', faceDetected: false, message: 'AI processing failed: Invalid response structure.' };
+  const payload = {
+    contents: [{ role: "user", parts }],
+    generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: {
+            type: "OBJECT",
+            properties: {
+                "live": { "type": "BOOLEAN" },
+                "challengeCompleted": { "type": "BOOLEAN" },
+                "confidence": { "type": "NUMBER" },
+                "message": { "type": "STRING" }
+            },
+            "propertyOrdering": ["live", "challengeCompleted", "confidence", "message"]
+        }
     }
+  };
+
+  try {
+    const text = await callGemini(payload, { label: 'liveness check', timeoutMs: LIVENESS_TIMEOUT_MS });
+    const parsedResponse = parseModelJson(text);
+    const confidence = Math.min(Math.max(Number(parsedResponse.confidence) || 0, 0), 1);
+    const passed = parsedResponse.live === true && parsedResponse.challengeCompleted === true;
+    return { status: 'success', passed, confidence, message: parsedResponse.message || '' };
   } catch (error) {
-    // Catch any network errors or exceptions that occur during the fetch operation.
-    console.error("Error calling AI model for image processing:", error);
-    return { status: 'error', faceDetected: false, message: `AI processing failed: ${error.message}.` };
+    return { status: 'error', passed: false, confidence: 0, message: `Liveness check failed: ${error.userMessage || error.message}`, error };
   }
 }
 
 /**
- * Calls the Gemini API to generate an attendance summary based on provided logs.
- * @param {Array<Object>} attendanceLogs - An array of attendance log objects, each containing
- * 'personName' and 'timestamp' (Firestore Timestamp object or similar).
- * @returns {Promise<string>} - A promise that resolves to the generated summary text.
+ * Checks that a parsed summary has the requested shape and drops anything else.
+ * @param {Object} parsed - Parsed model output.
+ * @returns {AttendanceSummary}
+ * @throws {AiError} - When required fields are missing or have the wrong type.
  */
-export async function generateAttendanceSummary(attendanceLogs) {
-  // Pre-check: Ensure the API_KEY is configured.
-  if (!API_KEY) {
-    console.error("Gemini API Key is not set for summary. Please ensure VITE_GEMINI_API_KEY is in your .env file.");
-    throw new Error("Gemini API Key is not configured for summary generation.");
+const toAttendanceSummary = (parsed) => {
+  if (!Array.isArray(parsed.days) || parsed.days.some(day => !day || typeof day.date !== 'string' || !Array.isArray(day.attendees))) {
+    throw new AiError('invalid_response', "AI summary is missing per-date attendance.", { details: parsed });
   }
+  return {
+    days: parsed.days.map(day => ({
+      date: day.date.trim(),
+      count: Number(day.count) || 0,
+      attendees: day.attendees.map(String)
+    })),
+    patterns: Array.isArray(parsed.patterns) ? parsed.patterns.map(String) : [],
+    narrative: typeof parsed.narrative === 'string' ? parsed.narrative : ''
+  };
+};
 
-  // Format the raw attendance log objects into a human-readable string for the LLM prompt.
+/**
+ * Calls the Gemini API to generate a structured attendance summary based on provided logs.
+ * The answer is requested as JSON so its counts can be checked against the records (see attendanceSummary.jsx).
+ * @param {Array<Object>} attendanceLogs - An array of attendance log objects, each containing
+ * 'personName' and 'timestamp' (Firestore Timestamp object or similar).
+ * @param {Array<Object>} [sessionAttendances] - Roster checks (see computeSessionAttendance) whose absentees
+ * and late arrivals the model should take into account.
+ * @returns {Promise<AttendanceSummary>} - Per-date counts and attendees, notable patterns and a narrative.
+ * @throws {AiError}
+ */
+export async function generateAttendanceSummary(attendanceLogs, sessionAttendances = []) {
+  // One line per record with its local date in the same "YYYY-MM-DD" form the answer must use.
   const formattedLogs = attendanceLogs.map(log => {
-    // Safely convert Firestore Timestamp to a local date and time string.
-    const date = log.timestamp && typeof log.timestamp.toDate === 'function' ? log.timestamp.toDate().toLocaleDateString() : 'Unknown Date';
-    const time = log.timestamp && typeof log.timestamp.toDate === 'function' ? log.timestamp.toDate().toLocaleTimeString() : 'Unknown Time';
-    return `- ${log.personName} on ${date} at ${time}`;
+    const time = toDate(log.timestamp);
+    const when = time ? `${toDayKey(time)} ${time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : 'unknown date';
+    return `- ${when} ${getEventType(log)}: ${log.personName}`;
   }).join('\n'); // Join all formatted log entries with newlines.
 
-  // Define the prompt for the LLM to summarize the attendance data.
-  const prompt = `Given the following attendance records:\n${formattedLogs}\n\nProvide a concise summary of who attended, categorized by date, and mention the total count for each day. If multiple people attended on a day, list their names.`;
-
-  // Prepare chat history for the API request.
-  let chatHistory = [];
-  chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-
-  const payload = { contents: chatHistory };
-  // Using empty API key as Canvas will inject it at runtime.
-  const apiKey = "";
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error("Gemini API HTTP Error for summary:", response.status, response.statusText, errorData);
-      throw new Error(`Gemini API Error: ${response.status} ${response.statusText}. Details: ${errorData.error?.message || JSON.stringify(errorData)}`);
-    }
+  // Who was expected but did not come (or came late) cannot be read from the records alone.
+  const rosterLines = sessionAttendances.flatMap(describeSessionAttendance).map(line => `- ${line}`).join('\n');
+  const rosterText = rosterLines ? `\n\nChecked against the expected rosters:\n${rosterLines}\nMention absentees and late arrivals in the patterns and the narrative.` : '';
 
-    const result = await response.json();
+  // Define the prompt for the LLM to summarize the attendance data.
+  const prompt = `Given the following attendance records:\n${formattedLogs}${rosterText}\n\nSummarize who attended. For every date (formatted YYYY-MM-DD, exactly as in the records), give the number of distinct people who checked in and their names; check-outs do not count as attendance. Also list notable patterns (e.g., regular attendees, busy or quiet days) and write a concise narrative summary.`;
 
-    if (result.candidates && result.candidates.length > 0 &&
-        result.candidates[0].content && result.candidates[0].content.parts &&
-        result.candidates[0].content.parts.length > 0) {
-      return result.candidates[0].content.parts[0].text; // Return the generated summary.
-    } else {
-      console.error("AI API response structure unexpected for summary:", result);
-      throw new Error("Failed to generate summary: Invalid AI response structure.");
+  const payload = {
+    contents: [{ role: "user", parts: [{ text: prompt }] }],
+    generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: {
+            type: "OBJECT",
+            properties: {
+                "days": {
+                    "type": "ARRAY",
+                    "items": {
+                        "type": "OBJECT",
+                        "properties": {
+                            "date": { "type": "STRING" },
+                            "count": { "type": "INTEGER" },
+                            "attendees": { "type": "ARRAY", "items": { "type": "STRING" } }
+                        },
+                        "required": ["date", "count", "attendees"]
+                    }
+                },
+                "patterns": { "type": "ARRAY", "items": { "type": "STRING" } },
+                "narrative": { "type": "STRING" }
+            },
+            "required": ["days", "narrative"],
+            "propertyOrdering": ["days", "patterns", "narrative"]
+        }
     }
-  } catch (error) {
-    console.error("Error calling AI model for summary:", error);
-    throw error;
-  }
+  };
+  const text = await callGemini(payload, { label: 'summary', timeoutMs: SUMMARY_TIMEOUT_MS });
+  return toAttendanceSummary(parseModelJson(text));
 }
 
 /**
  * Calls the Gemini API to generate a personalized welcome message for a person.
  * @param {string} personName - The name of the person for whom to generate the message.
  * @returns {Promise<string>} - A promise that resolves to the generated welcome message text.
+ * @throws {AiError}
  */
 export async function generateWelcomeMessage(personName) {
-  // Pre-check: Ensure the API_KEY is configured.
-  if (!API_KEY) {
-    console.error("Gemini API Key is not set for welcome message. Please ensure VITE_GEMINI_API_KEY is in your .env file.");
-    throw new Error("Gemini API Key is not configured for welcome message generation.");
-  }
-
   // Define the prompt for the LLM to create a friendly welcome message.
   const prompt = `Generate a friendly, brief welcome message for ${personName} who has just logged into an attendance system for an event/session. Make it sound welcoming and encouraging.`;
 
-  // Prepare chat history for the API request.
-  let chatHistory = [];
-  chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-
-  const payload = { contents: chatHistory };
-  // Using empty API key as Canvas will inject it at runtime.
-  const apiKey = "";
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error("Gemini API HTTP Error for welcome message:", response.status, response.statusText, errorData);
-      throw new Error(`Gemini API Error: ${response.status} ${response.statusText}. Details: ${errorData.error?.message || JSON.stringify(errorData)}`);
-    }
-
-    const result = await response.json();
-
-    if (result.candidates && result.candidates.length > 0 &&
-        result.candidates[0].content && result.candidates[0].content.parts &&
-        result.candidates[0].content.parts.length > 0) {
-      return result.candidates[0].content.parts[0].text; // Return the generated text.
-    } else {
-      console.error("AI API response structure unexpected for welcome message:", result);
-      throw new Error("Failed to generate welcome message: Invalid AI response structure.");
-    }
-  } catch (error) {
-    console.error("Error calling AI model for welcome message:", error);
-    throw error;
-  }
+  const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
+  return callGemini(payload, { label: 'welcome message', timeoutMs: WELCOME_TIMEOUT_MS });
 }
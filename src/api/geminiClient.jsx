@@ -0,0 +1,221 @@
+// src/api/geminiClient.jsx
+// Shared request helper for every call to the Gemini `generateContent` endpoint.
+// It injects the configured API key, applies a per-call timeout, retries transient failures
+// with exponential backoff, and turns every failure into an AiError the UI can display.
+
+// For local development with Vite, environment variables are accessed via import.meta.env.
+// Ensure VITE_GEMINI_API_KEY is set in your .env file in the project root.
+const API_KEY = import.meta.env.VITE_GEMINI_API_KEY || "";
+// The endpoint for the Gemini 2.0 Flash model. The key is sent in a header rather than in the URL.
+const API_URL_FLASH = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent";
+
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+
+// --- DEBUGGING STEP: Log API_KEY before making calls ---
+// This console log helps confirm if your VITE_GEMINI_API_KEY is being loaded correctly from your .env file.
+// The key is partially obscured in the console output for security reasons.
+console.log("Gemini API Key being used:", API_KEY ? `${API_KEY.substring(0, 5)}...${API_KEY.substring(API_KEY.length - 5)}` : "Not set");
+
+// Friendly, actionable text for each error code, shown in the UI.
+const USER_MESSAGES = {
+  config: "The AI service is not configured. Set VITE_GEMINI_API_KEY in your .env file (or use VITE_RECOGNITION_PROVIDER=mock).",
+  timeout: "The AI service took too long to respond. Please try again.",
+  network: "Could not reach the AI service. Check your internet connection and try again.",
+  rate_limited: "The AI service is busy (rate limit reached). Please wait a moment and try again.",
+  auth: "The AI service rejected the API key. Please check VITE_GEMINI_API_KEY.",
+  server: "The AI service is temporarily unavailable. Please try again later.",
+  http: "The AI service rejected the request.",
+  invalid_response: "The AI service returned an unexpected response.",
+  parse: "The AI service returned an answer that could not be understood.",
+};
+
+/**
+ * Error raised for any failed AI request.
+ * 'code' is one of the keys of USER_MESSAGES, 'status' the HTTP status when there was one,
+ * and 'retryable' whether trying again later may succeed.
+ */
+export class AiError extends Error {
+  constructor(code, message, { status = null, details = null } = {}) {
+    super(message);
+    this.name = 'AiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    this.retryable = ['timeout', 'network', 'rate_limited', 'server'].includes(code);
+    this.userMessage = USER_MESSAGES[code] || message;
+  }
+}
+
+/**
+ * Returns a message suitable for showing to the user for any error thrown by an AI call.
+ * @param {Error} error - The caught error.
+ * @returns {string}
+ */
+export const describeAiError = (error) => {
+  if (error instanceof AiError) {
+    return error.userMessage;
+  }
+  return error && error.message ? error.message : "Unknown error.";
+};
+
+/**
+ * Maps an HTTP status code to an AiError code.
+ * @param {number} status
+ * @returns {string}
+ */
+const codeForStatus = (status) => {
+  if (status === 429) return 'rate_limited';
+  if (status === 401 || status === 403) return 'auth';
+  if (status >= 500) return 'server';
+  return 'http';
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delay before the given retry attempt: exponential backoff with jitter, or the server's Retry-After when given.
+ * @param {number} attempt - Zero-based retry number.
+ * @param {string|null} retryAfterHeader - Value of the Retry-After response header.
+ * @returns {number} - Delay in milliseconds.
+ */
+const backoffDelay = (attempt, retryAfterHeader) => {
+  const retryAfterSeconds = Number(retryAfterHeader);
+  if (retryAfterHeader && !Number.isNaN(retryAfterSeconds)) {
+    return Math.min(retryAfterSeconds * 1000, MAX_BACKOFF_MS);
+  }
+  const exponential = BASE_BACKOFF_MS * 2 ** attempt;
+  return Math.min(exponential + Math.random() * BASE_BACKOFF_MS, MAX_BACKOFF_MS);
+};
+
+/**
+ * Reads a response body as JSON without throwing on non-JSON bodies (e.g., HTML error pages).
+ * @param {Response} response
+ * @returns {Promise<Object|string|null>} - The parsed JSON, the raw text when it is not JSON, or null when empty.
+ */
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Performs a single fetch that is aborted after 'timeoutMs'.
+ * @param {Object} payload - The generateContent request body.
+ * @param {number} timeoutMs
+ * @returns {Promise<Response>}
+ */
+const fetchWithTimeout = async (payload, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(API_URL_FLASH, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': API_KEY },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new AiError('timeout', `Request timed out after ${timeoutMs} ms.`);
+    }
+    throw new AiError('network', `Network error: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Sends a request to Gemini and returns the text of the first candidate.
+ * @param {Object} payload - The generateContent request body ({ contents, generationConfig }).
+ * @param {Object} [options]
+ * @param {string} [options.label] - Short description of the call, used in console logs.
+ * @param {number} [options.timeoutMs] - Timeout of each attempt in milliseconds.
+ * @param {number} [options.maxRetries] - How many times 429/5xx and network failures are retried.
+ * @returns {Promise<string>} - The generated text.
+ * @throws {AiError}
+ */
+export async function callGemini(payload, { label = 'request', timeoutMs = DEFAULT_TIMEOUT_MS, maxRetries = DEFAULT_MAX_RETRIES } = {}) {
+  if (!API_KEY) {
+    console.error(`Gemini API Key is not set for ${label}. Please ensure VITE_GEMINI_API_KEY is in your .env file.`);
+    throw new AiError('config', "Gemini API Key is not configured.");
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetchWithTimeout(payload, timeoutMs);
+    } catch (error) {
+      // Network failures are retried; timeouts are not, since the attempt already took the full budget.
+      if (error.code === 'network' && attempt < maxRetries) {
+        console.warn(`Gemini ${label} failed (${error.message}), retrying...`);
+        await sleep(backoffDelay(attempt, null));
+        continue;
+      }
+      console.error(`Error calling AI model for ${label}:`, error);
+      throw error;
+    }
+
+    const body = await readBody(response);
+
+    if (!response.ok) {
+      const code = codeForStatus(response.status);
+      if ((code === 'rate_limited' || code === 'server') && attempt < maxRetries) {
+        console.warn(`Gemini ${label} returned ${response.status}, retrying...`);
+        await sleep(backoffDelay(attempt, response.headers.get('Retry-After')));
+        continue;
+      }
+      const details = body && typeof body === 'object' ? body.error?.message || JSON.stringify(body) : body;
+      console.error(`Gemini API HTTP Error for ${label}:`, response.status, response.statusText, body);
+      throw new AiError(code, `Gemini API Error: ${response.status} ${response.statusText}. Details: ${details || 'none'}`, { status: response.status, details: body });
+    }
+
+    const text = body && typeof body === 'object' ? body.candidates?.[0]?.content?.parts?.[0]?.text : undefined;
+    if (typeof text !== 'string') {
+      console.error(`AI API response structure unexpected for ${label}:`, body);
+      throw new AiError('invalid_response', "Invalid AI response structure.", { status: response.status, details: body });
+    }
+    return text;
+  }
+}
+
+/**
+ * Parses JSON produced by the model, tolerating the usual deviations: Markdown code fences,
+ * text around the object, and single-quoted keys/strings.
+ * @param {string} text - The model output.
+ * @returns {Object}
+ * @throws {AiError} - With code 'parse' when no JSON object can be recovered.
+ */
+export const parseModelJson = (text) => {
+  const attempts = [];
+  const trimmed = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  attempts.push(trimmed);
+  // Keep only the outermost {...} block if the model wrapped it in prose
+  const start = trimmed.indexOf('{');
+  const end = trimmed.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    const block = trimmed.slice(start, end + 1);
+    attempts.push(block);
+    attempts.push(block.replace(/'/g, '"'));
+  }
+
+  for (const candidate of attempts) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object') {
+        return parsed;
+      }
+    } catch {
+      // Try the next, more lenient, candidate
+    }
+  }
+  throw new AiError('parse', "Could not parse JSON from AI response.", { details: text });
+};
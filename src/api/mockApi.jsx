@@ -0,0 +1,182 @@
+// src/api/mockApi.jsx
+// Offline stand-in for geminiApi.jsx. Every function here has the same signature and result shape as its
+// Gemini counterpart, but runs entirely in the browser so the full capture → recognize → log flow works
+// without network access or an API key, and gives the same answer for the same input.
+import { summarizeLocally } from '../utils/attendanceSummary.jsx';
+
+// Set VITE_MOCK_FACE_DETECTED=false in your .env to simulate frames without a face.
+const MOCK_FACE_DETECTED = import.meta.env.VITE_MOCK_FACE_DETECTED !== 'false';
+// Images are reduced to a tiny grayscale thumbnail before comparing them.
+const SIGNATURE_SIZE = 16;
+// Smallest change (0-1) between two challenge frames for the mock liveness check to see movement.
+const MOCK_LIVENESS_MIN_CHANGE = 0.02;
+
+/**
+ * Loads a data URL into an image element.
+ * @param {string} dataUrl - The image as a data URL.
+ * @returns {Promise<HTMLImageElement>}
+ */
+const loadImage = (dataUrl) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error("Could not decode image."));
+  img.src = dataUrl;
+});
+
+/**
+ * Computes a grayscale signature of an image: the luminance of each pixel of a SIGNATURE_SIZE² thumbnail.
+ * @param {string} dataUrl - The image as a data URL.
+ * @returns {Promise<Array<number>>} - Luminance values between 0 and 255.
+ */
+const computeSignature = async (dataUrl) => {
+  const img = await loadImage(dataUrl);
+  const canvas = document.createElement('canvas');
+  canvas.width = SIGNATURE_SIZE;
+  canvas.height = SIGNATURE_SIZE;
+  const context = canvas.getContext('2d');
+  context.drawImage(img, 0, 0, SIGNATURE_SIZE, SIGNATURE_SIZE);
+  const { data } = context.getImageData(0, 0, SIGNATURE_SIZE, SIGNATURE_SIZE);
+  const signature = [];
+  for (let i = 0; i < data.length; i += 4) {
+    signature.push(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+  }
+  return signature;
+};
+
+/**
+ * Similarity of two signatures between 0 (opposite) and 1 (identical), from their mean absolute difference.
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number}
+ */
+const signatureSimilarity = (a, b) => {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += Math.abs(a[i] - b[i]);
+  }
+  return 1 - total / (a.length * 255);
+};
+
+/**
+ * Locates the faces of a group photo with the browser's built-in face detector where available,
+ * and otherwise reports a single face in the middle of the frame.
+ * @param {string} dataUrl - The image as a data URL.
+ * @returns {Promise<Array<{box: Object}>>}
+ */
+const locateFaces = async (dataUrl) => {
+  if ('FaceDetector' in window) {
+    const img = await loadImage(dataUrl);
+    const detected = await new window.FaceDetector().detect(img);
+    return detected
+      .map(({ boundingBox }) => ({
+        box: { x: boundingBox.x / img.width, y: boundingBox.y / img.height, width: boundingBox.width / img.width, height: boundingBox.height / img.height }
+      }))
+      .sort((a, b) => a.box.x - b.box.x);
+  }
+  return [{ box: { x: 0.35, y: 0.2, width: 0.3, height: 0.5 } }];
+};
+
+/**
+ * Mock face detection: reports a face for every non-empty image (unless VITE_MOCK_FACE_DETECTED=false).
+ * @param {string} capturedImageBase64 - The captured frame as a data URL.
+ * @param {Object} [options]
+ * @param {boolean} [options.allFaces] - Locate every face (for group photos), see locateFaces.
+ * @returns {Promise<{status: string, faceDetected: boolean, faces?: Array<{box: Object}>, message: string}>}
+ */
+export async function processImageWithAI(capturedImageBase64, { allFaces = false } = {}) {
+  if (!capturedImageBase64 || !MOCK_FACE_DETECTED) {
+    return { status: 'failure', faceDetected: false, ...(allFaces ? { faces: [] } : {}), message: 'No face detected' };
+  }
+  if (allFaces) {
+    try {
+      const faces = await locateFaces(capturedImageBase64);
+      return {
+        status: faces.length > 0 ? 'success' : 'failure',
+        faceDetected: faces.length > 0,
+        faces,
+        message: faces.length > 0 ? `${faces.length} face${faces.length === 1 ? '' : 's'} detected (mock provider)` : 'No face detected'
+      };
+    } catch (error) {
+      console.error("Error during mock face detection:", error);
+      return { status: 'error', faceDetected: false, faces: [], message: `AI processing failed: ${error.message}.` };
+    }
+  }
+  return { status: 'success', faceDetected: true, message: 'Face detected' };
+}
+
+/**
+ * Mock face matching: picks the enrolled person whose reference photo looks most like the captured frame,
+ * using a pixel-level similarity of small grayscale thumbnails.
+ * @param {string} capturedImageBase64 - The captured frame as a data URL.
+ * @param {Array<Object>} people - Enrolled people, each with 'id', 'name' and 'referencePhotos' (data URLs).
+ * @returns {Promise<{status: string, person: Object|null, confidence: number, message: string}>}
+ */
+export async function identifyPersonWithAI(capturedImageBase64, people) {
+  const candidates = people.filter(person => person.referencePhotos && person.referencePhotos.length > 0);
+  if (candidates.length === 0) {
+    return { status: 'no_match', person: null, confidence: 0, message: 'No enrolled people with reference photos.' };
+  }
+
+  try {
+    const probe = await computeSignature(capturedImageBase64);
+    let best = { person: null, confidence: 0 };
+    for (const person of candidates) {
+      for (const photo of person.referencePhotos) {
+        const confidence = signatureSimilarity(probe, await computeSignature(photo));
+        if (confidence > best.confidence) {
+          best = { person, confidence };
+        }
+      }
+    }
+    return { status: 'success', person: best.person, confidence: best.confidence, message: 'Matched locally by image similarity (mock provider).' };
+  } catch (error) {
+    console.error("Error during mock face matching:", error);
+    return { status: 'error', person: null, confidence: 0, message: `Face matching failed: ${error.message}.` };
+  }
+}
+
+/**
+ * Mock liveness check: passes when the challenge frames change noticeably from one to the next. It cannot tell
+ * which action was performed, but a photo held still in front of the camera fails.
+ * @param {Array<string>} frames - Frames recorded during the challenge, in order, as data URLs.
+ * @param {{id: string}} challenge - The challenge that was given (see liveness.jsx).
+ * @returns {Promise<{status: string, passed: boolean, confidence: number, message: string}>}
+ */
+export async function verifyLivenessWithAI(frames, challenge) {
+  try {
+    const signatures = await Promise.all(frames.map(computeSignature));
+    let largestChange = 0;
+    for (let i = 1; i < signatures.length; i++) {
+      largestChange = Math.max(largestChange, 1 - signatureSimilarity(signatures[i - 1], signatures[i]));
+    }
+    const passed = largestChange >= MOCK_LIVENESS_MIN_CHANGE;
+    return {
+      status: 'success',
+      passed,
+      confidence: Math.min(largestChange / (MOCK_LIVENESS_MIN_CHANGE * 2), 1),
+      message: passed ? `Movement seen during the "${challenge.id}" challenge (mock provider).` : 'The frames barely changed during the challenge (mock provider).'
+    };
+  } catch (error) {
+    console.error("Error during mock liveness check:", error);
+    return { status: 'error', passed: false, confidence: 0, message: `Liveness check failed: ${error.message}.` };
+  }
+}
+
+/**
+ * Mock summary: the local aggregation of the records, in the same structure the Gemini summary uses.
+ * @param {Array<Object>} attendanceLogs - Attendance log objects with 'personName' and 'timestamp'.
+ * @param {Array<Object>} [sessionAttendances] - Roster checks with absentees and late arrivals.
+ * @returns {Promise<AttendanceSummary>}
+ */
+export async function generateAttendanceSummary(attendanceLogs, sessionAttendances = []) {
+  return summarizeLocally(attendanceLogs, sessionAttendances);
+}
+
+/**
+ * Mock welcome message built from a fixed template.
+ * @param {string} personName - The name of the person to welcome.
+ * @returns {Promise<string>}
+ */
+export async function generateWelcomeMessage(personName) {
+  return `Welcome, ${personName}! Great to have you here today.`;
+}
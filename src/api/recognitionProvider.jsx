@@ -0,0 +1,67 @@
+// src/api/recognitionProvider.jsx
+// Components talk to the AI through the provider interface defined here instead of importing a backend directly.
+// The backend is chosen with VITE_RECOGNITION_PROVIDER in your .env:
+// - "gemini" (default): Google Gemini API, requires VITE_GEMINI_API_KEY.
+// - "mock": offline, deterministic backend running in the browser (see mockApi.jsx).
+import * as geminiApi from './geminiApi.jsx';
+import * as mockApi from './mockApi.jsx';
+
+/**
+ * @typedef {Object} RecognitionProvider
+ * @property {string} name - Identifier of the backend.
+ * @property {function(string, Object=): Promise<{status: string, faceDetected: boolean, faces?: Array<Object>, message: string}>} detectFace
+ *   Checks whether a captured frame (data URL) contains a face. With { allFaces: true }, also returns the
+ *   bounding box of every face in 'faces' (for group photos).
+ * @property {function(string, Array<Object>): Promise<{status: string, person: Object|null, confidence: number, message: string}>} identifyPerson
+ *   Matches a captured frame against the enrolled people.
+ * @property {function(Array<string>, Object): Promise<{status: string, passed: boolean, confidence: number, message: string}>} verifyLiveness
+ *   Checks that the frames recorded during a liveness challenge (see liveness.jsx) show a live person performing it.
+ * @property {function(Array<Object>, Array<Object>=): Promise<AttendanceSummary>} summarizeAttendance
+ *   Summarizes a list of attendance records as per-date counts, patterns and a narrative (see attendanceSummary.jsx),
+ *   taking into account the absentees and late arrivals of optional roster checks.
+ * @property {function(string): Promise<string>} generateWelcomeMessage
+ *   Writes a welcome message for a person.
+ */
+
+/**
+ * Adapts a backend module exposing the geminiApi.jsx function names to the provider interface.
+ * @param {string} name - Identifier of the backend.
+ * @param {Object} api - The backend module.
+ * @returns {RecognitionProvider}
+ */
+const createProvider = (name, api) => ({
+  name,
+  detectFace: api.processImageWithAI,
+  identifyPerson: api.identifyPersonWithAI,
+  verifyLiveness: api.verifyLivenessWithAI,
+  summarizeAttendance: api.generateAttendanceSummary,
+  generateWelcomeMessage: api.generateWelcomeMessage,
+});
+
+const PROVIDERS = {
+  gemini: createProvider('gemini', geminiApi),
+  mock: createProvider('mock', mockApi),
+};
+
+/**
+ * Looks up a provider by name, falling back to Gemini for unknown names.
+ * @param {string} [name] - Identifier of the backend.
+ * @returns {RecognitionProvider}
+ */
+export const getRecognitionProvider = (name) => {
+  if (name && !PROVIDERS[name]) {
+    console.warn(`Unknown recognition provider "${name}", falling back to "gemini".`);
+  }
+  return PROVIDERS[name] || PROVIDERS.gemini;
+};
+
+// Minimum confidence (0-1) for a face match to be accepted without asking for the person's name.
+export const FACE_MATCH_THRESHOLD = Number(import.meta.env.VITE_FACE_MATCH_THRESHOLD) || 0.75;
+
+// The provider configured for this build
+const recognitionProvider = getRecognitionProvider(import.meta.env.VITE_RECOGNITION_PROVIDER);
+if (import.meta.env.DEV) {
+  console.debug("Recognition provider being used:", recognitionProvider.name);
+}
+
+export default recognitionProvider;
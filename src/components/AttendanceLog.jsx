@@ -1,81 +1,164 @@
 // src/components/AttendanceLog.jsx
-import React, { useState, useEffect, useCallback } from 'react';
-// Import Firestore functions for real-time data listening
-import { onSnapshot, collection, query } from 'firebase/firestore';
-// IMPORTANT: Ensure the folder 'api' and file 'geminiApi.jsx'
-// on your file system have the EXACT same casing as below.
-import { generateAttendanceSummary, generateWelcomeMessage } from '../api/geminiApi.jsx';
-
-function AttendanceLog({ db, userId, setMessage }) {
-  // State to store the fetched attendance records
-  const [attendanceLogs, setAttendanceLogs] = useState([]);
-  // State for the attendance summary text generated by LLM
-  const [summaryMessage, setSummaryMessage] = useState('');
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import useAttendancePages from '../hooks/useAttendancePages.jsx';
+import useSessions from '../hooks/useSessions.jsx';
+import usePeople from '../hooks/usePeople.jsx';
+import useSessionAttendance from '../hooks/useSessionAttendance.jsx';
+import useStations from '../hooks/useStations.jsx';
+import useUrlFilters from '../hooks/useUrlFilters.jsx';
+import { fetchAttendanceRecords } from '../firebase/attendanceQueries.jsx';
+import { filterLogsByName, hasActiveFilters } from '../utils/attendanceFilters.jsx';
+import FilterBar from './FilterBar.jsx';
+import ExportPanel from './ExportPanel.jsx';
+import { formatSessionWindow } from '../utils/sessions.jsx';
+import { getEventType, isVoided, CHECK_OUT } from '../firebase/attendanceStore.jsx';
+import TimeOnSite from './TimeOnSite.jsx';
+import AttendanceSummary from './AttendanceSummary.jsx';
+import SessionAttendance from './SessionAttendance.jsx';
+import RecordCorrection from './RecordCorrection.jsx';
+import { summarizeLocally, crossCheckSummary } from '../utils/attendanceSummary.jsx';
+import RecordThumbnail from './RecordThumbnail.jsx';
+import { getFullImageUrl, releaseImageUrl } from '../firebase/imageStorage.jsx';
+import { can, ATTENDEE } from '../utils/roles.jsx';
+import { isLivenessFlagged, LIVENESS_FAILED } from '../utils/liveness.jsx';
+import { METHOD_QR, METHOD_PIN } from '../utils/badges.jsx';
+// The configured AI backend (Gemini or the offline mock), see recognitionProvider.jsx.
+import recognitionProvider from '../api/recognitionProvider.jsx';
+import { describeAiError } from '../api/geminiClient.jsx';
+
+function AttendanceLog({ db, storage, userId, role, ownPersonId, setMessage }) {
+  // Attendees only see their own history, i.e. the records of the directory entry linked to their account
+  const isOwnHistory = role === ATTENDEE;
+  const isUnlinked = isOwnHistory && !ownPersonId;
+  // Structured attendance summary, see AttendanceSummary.jsx: { source, narrative, patterns, rows, notice }
+  const [summary, setSummary] = useState(null);
   // State to track if summary generation is in progress
   const [isSummarizing, setIsSummarizing] = useState(false);
   // State for the personalized welcome message generated by LLM
   const [welcomeMessage, setWelcomeMessage] = useState('');
   // State to track if welcome message generation is in progress
   const [isGeneratingWelcome, setIsGeneratingWelcome] = useState(false);
+  // Filters of the log, mirrored in the URL query string so a filtered view can be bookmarked
+  const [filters, updateFilters] = useUrlFilters();
+  // Whether the paired check-in/check-out intervals are shown above the grid
+  const [showTimeOnSite, setShowTimeOnSite] = useState(false);
+  // Every record matching the filters for the time-on-site view (null while they are fetched)
+  const [timeOnSiteLogs, setTimeOnSiteLogs] = useState(null);
+  // Full-size image opened from a thumbnail: { log, url } (url is null while it is being resolved)
+  const [openImage, setOpenImage] = useState(null);
+  // Record opened in the admin correction panel
+  const [correctingLog, setCorrectingLog] = useState(null);
+
+  const sessions = useSessions(db, userId, setMessage);
+  const stations = useStations(db, userId, setMessage);
+  // Records linked to the people directory show the person's current name and external ID.
+  // The directory (with its reference photos) is staff-only, so attendees see the name on the record.
+  const people = usePeople(db, isOwnHistory ? null : userId, setMessage);
+  const peopleById = useMemo(() => new Map(people.map(person => [person.id, person])), [people]);
+  const selectedSession = sessions.find(session => session.id === filters.sessionId) || null;
+  // Roster check of the selected session: on time, late, and absent once it has ended
+  const sessionAttendance = useSessionAttendance(db, userId, can(role, 'viewLog') ? selectedSession : null, setMessage);
+
+  // Records are fetched newest first, one page at a time; the newest page stays live.
+  // Session, station and date range are filtered by Firestore, the name search in the browser.
+  const recordFilters = useMemo(() => ({
+    name: filters.name,
+    sessionId: filters.sessionId,
+    stationId: filters.stationId,
+    personId: isOwnHistory ? ownPersonId : '',
+    from: filters.from,
+    to: filters.to,
+  }), [filters.name, filters.sessionId, filters.stationId, filters.from, filters.to, isOwnHistory, ownPersonId]);
+  const { logs: loadedLogs, totalCount, hasMore, isLoadingMore, loadMore, updateLog } = useAttendancePages(
+    db,
+    isUnlinked ? null : userId, // Nothing to load until an admin links the account to a person
+    { sessionId: recordFilters.sessionId, stationId: recordFilters.stationId, personId: recordFilters.personId, from: recordFilters.from, to: recordFilters.to },
+    setMessage
+  );
+  const attendanceLogs = useMemo(() => filterLogsByName(loadedLogs, filters.name), [loadedLogs, filters.name]);
+
+  // A name search covers every matching record, not only the pages scrolled to: keep loading until all are in
+  useEffect(() => {
+    if (filters.name && hasMore && !isLoadingMore) {
+      loadMore();
+    }
+  }, [filters.name, hasMore, isLoadingMore, loadMore]);
 
-  // Effect hook to fetch attendance logs in real-time from Firestore
+  // The time-on-site view pairs every record matching the filters, fetched again when records are added or removed
   useEffect(() => {
-    // Ensure 'db' (Firestore instance) and 'userId' are available before attempting to fetch
-    if (db && userId) {
-      // Get 'appId' from Vite's environment variables for constructing the Firestore path
-      const appId = import.meta.env.VITE_FIREBASE_APP_ID || 'default-app-id'; // Fallback for safety
-
-      // Construct the Firestore collection reference for public attendance data
-      const attendanceCollectionRef = collection(db, `artifacts/${appId}/public/data/attendance`);
-      const q = query(attendanceCollectionRef); // Create a query to listen to the collection
-
-      // Set up a real-time listener using onSnapshot. This callback fires immediately and on every update.
-      const unsubscribe = onSnapshot(q, (snapshot) => {
-        const logs = [];
-        // Iterate through each document in the snapshot and add it to the logs array
-        snapshot.forEach((doc) => {
-          logs.push({ id: doc.id, ...doc.data() });
-        });
-        // Sort logs by timestamp in descending order (most recent first)
-        logs.sort((a, b) => {
-          // Safely access timestamp and convert to a number for comparison
-          const tsA = b.timestamp && typeof b.timestamp.toDate === 'function' ? b.timestamp.toDate().getTime() : 0;
-          const tsB = a.timestamp && typeof a.timestamp.toDate === 'function' ? a.timestamp.toDate().getTime() : 0;
-          return tsA - tsB;
-        });
-        setAttendanceLogs(logs); // Update the state with the sorted logs
-      }, (error) => {
-        // Error handler for the snapshot listener
-        console.error("Error fetching attendance logs:", error);
-        setMessage("Failed to load attendance logs."); // Display user-friendly error message
+    if (!showTimeOnSite || isUnlinked) {
+      return;
+    }
+    let isCurrent = true;
+    setTimeOnSiteLogs(null);
+    fetchAttendanceRecords(db, recordFilters)
+      .then(records => {
+        if (isCurrent) setTimeOnSiteLogs(records);
+      })
+      .catch(error => {
+        console.error("Error fetching records for time on site:", error);
+        setMessage("Failed to load the records for time on site.");
       });
+    return () => { isCurrent = false; };
+  }, [db, showTimeOnSite, isUnlinked, recordFilters, totalCount, setMessage]);
 
-      // Cleanup function: unsubscribe from the Firestore listener when the component unmounts
-      return () => unsubscribe();
+  // Infinite scroll: load the next page when the sentinel below the grid becomes visible
+  const loadMoreRef = useRef(null);
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMore || typeof IntersectionObserver === 'undefined') {
+      return;
     }
-  }, [db, userId, setMessage]); // Dependencies: re-run if 'db', 'userId', or 'setMessage' changes
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loadMore]);
 
   // Function to handle generating attendance summary using the LLM (memoized with useCallback)
   const handleGenerateSummary = useCallback(async () => {
     if (attendanceLogs.length === 0) {
-      setSummaryMessage("No attendance records to summarize yet.");
+      setMessage("No attendance records to summarize yet.");
       return;
     }
 
     setIsSummarizing(true); // Set summarizing status to true for UI feedback
-    setSummaryMessage("Generating attendance summary..."); // Update user message
+    setSummary(null);
+    // Summarize every record matching the filters, not only the pages loaded so far
+    let records;
+    try {
+      records = await fetchAttendanceRecords(db, recordFilters);
+    } catch (error) {
+      console.error("Error fetching records to summarize:", error);
+      setMessage("Failed to load the records to summarize.");
+      setIsSummarizing(false);
+      return;
+    }
+    // The local aggregation is the reference the AI's counts are checked against
+    const sessionAttendances = sessionAttendance ? [sessionAttendance] : [];
+    const localSummary = summarizeLocally(records, sessionAttendances);
 
     try {
       // Call the LLM utility function to generate the summary
-      const summary = await generateAttendanceSummary(attendanceLogs);
-      setSummaryMessage(summary); // Display the generated summary
+      // Voided records do not count as attendance
+      const aiSummary = await recognitionProvider.summarizeAttendance(records.filter(log => !isVoided(log)), sessionAttendances);
+      setSummary({ source: 'ai', ...aiSummary, rows: crossCheckSummary(aiSummary, localSummary) });
     } catch (error) {
+      // Fall back to the local summary rather than showing nothing
       console.error("Error generating summary:", error); // Log detailed error
-      setSummaryMessage(`Error generating summary: ${error.message}.`); // Display user-friendly error
+      setSummary({
+        source: 'local',
+        ...localSummary,
+        rows: crossCheckSummary(localSummary, localSummary),
+        notice: `AI summary unavailable: ${describeAiError(error)}`
+      });
     } finally {
       setIsSummarizing(false); // Reset summarizing status
     }
-  }, [attendanceLogs]); // Dependency: 'attendanceLogs' ensures summary is based on current data
+  }, [db, attendanceLogs, recordFilters, sessionAttendance, setMessage]); // Dependency: 'recordFilters' ensures summary is based on current filters
 
   // Function to handle generating a personalized welcome message using the LLM (memoized with useCallback)
   const handleGenerateWelcome = useCallback(async (personName) => {
@@ -84,25 +167,38 @@ function AttendanceLog({ db, userId, setMessage }) {
 
     try {
       // Call the LLM utility function to generate the welcome message
-      const message = await generateWelcomeMessage(personName);
+      const message = await recognitionProvider.generateWelcomeMessage(personName);
       setWelcomeMessage(`Welcome Message for ${personName}: ${message}`); // Display the generated message
     } catch (error) {
       console.error("Error generating welcome message:", error); // Log detailed error
-      setWelcomeMessage(`Error generating welcome message: ${error.message}.`); // Display user-friendly error
+      setWelcomeMessage(`Error generating welcome message: ${describeAiError(error)}`); // Display user-friendly error
     } finally {
       setIsGeneratingWelcome(false); // Reset generation status
     }
   }, []); // No specific dependencies needed here as 'personName' is an argument
 
-  // Effect hook to automatically clear the summary message after a set duration
-  useEffect(() => {
-    if (summaryMessage && !isSummarizing) {
-      const timer = setTimeout(() => {
-        setSummaryMessage(''); // Clear message after 10 seconds
-      }, 10000);
-      return () => clearTimeout(timer); // Cleanup timer
+  // Opens the full-resolution image of a record; only the thumbnail is downloaded with the grid
+  const handleOpenImage = useCallback(async (log) => {
+    setOpenImage({ log, url: null });
+    try {
+      const url = await getFullImageUrl(storage, log);
+      setOpenImage(current => {
+        if (current && current.log.id === log.id) {
+          return { log, url };
+        }
+        releaseImageUrl(url); // Closed or replaced while it was loading
+        return current;
+      });
+    } catch (error) {
+      console.error("Error loading full image:", error);
+      setMessage("Failed to load the full image.");
+      setOpenImage(null);
     }
-  }, [summaryMessage, isSummarizing]); // Re-runs if message or summarizing status changes
+  }, [storage, setMessage]);
+
+  // Free the full image once the viewer is closed or shows another one
+  const openImageUrl = openImage ? openImage.url : null;
+  useEffect(() => () => releaseImageUrl(openImageUrl), [openImageUrl]);
 
   // Effect hook to automatically clear the welcome message after a set duration
   useEffect(() => {
@@ -116,37 +212,80 @@ function AttendanceLog({ db, userId, setMessage }) {
 
   return (
     <div className="bg-gray-800 rounded-xl shadow-lg p-4 sm:p-6 w-full max-w-2xl">
-      <h2 className="text-xl sm:text-2xl font-semibold mb-4 text-center">Attendance Log</h2>
+      <h2 className="text-xl sm:text-2xl font-semibold mb-4 text-center">{isOwnHistory ? 'My Attendance' : 'Attendance Log'}</h2>
+      {isUnlinked && (
+        <p className="mb-4 text-center text-sm text-yellow-300">
+          Your account is not linked to a person in the directory yet. Ask an administrator.
+        </p>
+      )}
+
+      {/* Filters: name search, date range, session and station */}
+      <FilterBar filters={filters} onChange={updateFilters} sessions={sessions} stations={stations} />
+      {selectedSession && (
+        <p className="mb-4 text-center text-sm text-gray-400">{selectedSession.title}: {formatSessionWindow(selectedSession)}</p>
+      )}
+      {/* Absent list and late arrivals of the selected session */}
+      {sessionAttendance && <SessionAttendance attendance={sessionAttendance} />}
+
+      {/* Download of every record matching the filters */}
+      {can(role, 'export') && (
+        <ExportPanel db={db} filters={filters} people={people} sessionAttendance={sessionAttendance} setMessage={setMessage} />
+      )}
+
+      {/* Total number of matching records, of which only the loaded pages are shown */}
+      {totalCount !== null && totalCount > 0 && (
+        <p className="mb-4 text-center text-sm text-gray-400">
+          {filters.name
+            ? (hasMore
+              ? `${attendanceLogs.length} records match "${filters.name}" so far (searched ${loadedLogs.length} of ${totalCount})...`
+              : `${attendanceLogs.length} of ${totalCount} records match "${filters.name}"`)
+            : `Showing ${attendanceLogs.length} of ${totalCount} record${totalCount === 1 ? '' : 's'}`}
+        </p>
+      )}
+
       {attendanceLogs.length === 0 ? (
-        <p className="text-center text-gray-400">No attendance records yet. Capture an image to log one!</p>
+        <p className="text-center text-gray-400">
+          {hasActiveFilters(filters) ? 'No attendance records match these filters.' : 'No attendance records yet. Capture an image to log one!'}
+        </p>
       ) : (
         <>
-          {/* Button to trigger LLM attendance summary generation */}
+          {/* Button to trigger LLM attendance summary generation, for staff only */}
+          {can(role, 'viewLog') && (
+            <div className="mb-4 text-center">
+              <button
+                onClick={handleGenerateSummary}
+                disabled={isSummarizing || attendanceLogs.length === 0} // Disable if summarizing or no logs
+                className="bg-teal-600 hover:bg-teal-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center mx-auto disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSummarizing ? (
+                  // Spinner icon when summarizing
+                  <svg className="animate-spin -ml-1 mr-2 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                ) : (
+                  <span className="text-xl mr-2">✨</span> // Sparkle emoji
+                )}
+                {isSummarizing ? 'Summarizing...' : (hasActiveFilters(filters) ? 'Summarize Filtered Records' : 'Generate Attendance Summary')}
+              </button>
+            </div>
+          )}
+
+          {/* Toggle for the time-on-site view */}
           <div className="mb-4 text-center">
             <button
-              onClick={handleGenerateSummary}
-              disabled={isSummarizing || attendanceLogs.length === 0} // Disable if summarizing or no logs
-              className="bg-teal-600 hover:bg-teal-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center mx-auto disabled:opacity-50 disabled:cursor-not-allowed"
+              onClick={() => setShowTimeOnSite(prev => !prev)}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-bold py-1 px-3 rounded-lg shadow-md"
             >
-              {isSummarizing ? (
-                // Spinner icon when summarizing
-                <svg className="animate-spin -ml-1 mr-2 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-              ) : (
-                <span className="text-xl mr-2">✨</span> // Sparkle emoji
-              )}
-              {isSummarizing ? 'Summarizing...' : 'Generate Attendance Summary'}
+              {showTimeOnSite ? 'Hide Time on Site' : 'Show Time on Site'}
             </button>
           </div>
+          {showTimeOnSite && (timeOnSiteLogs
+            ? <TimeOnSite logs={timeOnSiteLogs} />
+            : <p className="text-center text-sm text-gray-400 mb-4">Loading every matching record...</p>)}
 
-          {/* Display area for the attendance summary from LLM */}
-          {summaryMessage && (
-            <div className="mt-4 mb-6 p-3 bg-blue-700 bg-opacity-70 rounded-lg text-sm italic text-blue-100 whitespace-pre-wrap">
-              {summaryMessage}
-            </div>
-          )}
+          {/* Attendance summary (AI, cross-checked against the records, or local); stays until dismissed */}
+          {summary && <AttendanceSummary summary={summary} onClose={() => setSummary(null)} />}
 
           {/* Display area for the personalized welcome message from LLM */}
           {welcomeMessage && (
@@ -157,50 +296,147 @@ function AttendanceLog({ db, userId, setMessage }) {
 
           {/* Grid to display individual attendance log entries */}
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-            {attendanceLogs.map((log) => (
-              <div key={log.id} className="bg-gray-700 rounded-lg p-3 flex flex-col items-center text-center shadow-md">
-                {/* Display captured image for each log entry */}
-                {log.image && (
-                  <img
-                    src={log.image}
-                    alt={log.personName || "Attendee"}
-                    className="w-full h-32 object-cover rounded-md mb-2 border border-gray-600"
-                    // Fallback image in case the base64 image fails to load
-                    onError={(e) => { e.target.onerror = null; e.target.src="https://placehold.co/128x128/333/fff?text=No+Image"; }}
-                  />
-                )}
-                {/* Person's name and attendance timestamp */}
-                <p className="font-semibold text-lg">{log.personName || "Unknown Person"}</p>
-                <p className="text-sm text-gray-400">
-                  {/* Convert Firestore timestamp to a readable local string */}
-                  {log.timestamp ? new Date(log.timestamp.toDate()).toLocaleString() : 'Loading Date...'}
-                </p>
-                {/* User ID who logged the attendance */}
-                <p className="text-xs text-gray-500 break-all mt-1">Logged by: {log.loggedByUserId}</p>
-                {/* Button to generate personalized welcome message, only if personName exists */}
-                {log.personName && (
-                  <button
-                    onClick={() => handleGenerateWelcome(log.personName)}
-                    disabled={isGeneratingWelcome} // Disable while message is generating
-                    className="mt-2 bg-pink-600 hover:bg-pink-700 text-white text-xs py-1 px-2 rounded-lg shadow-sm transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
-                  >
-                    {isGeneratingWelcome ? (
-                      // Spinner icon when generating
-                      <svg className="animate-spin h-4 w-4 mr-1 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                      </svg>
-                    ) : (
-                      <span className="text-lg mr-1">✨</span> // Sparkle emoji
-                    )}
-                    Welcome Message
-                  </button>
-                )}
-              </div>
-            ))}
+            {attendanceLogs.map((log) => {
+              const person = log.personId ? peopleById.get(log.personId) : null;
+              return (
+                <div key={log.id} className={`bg-gray-700 rounded-lg p-3 flex flex-col items-center text-center shadow-md ${isVoided(log) ? 'opacity-60' : ''}`}>
+                  {/* Display the thumbnail for each log entry (inline image for older records); click opens the full image */}
+                  {(log.thumbnailPath || log.image) && (
+                    <RecordThumbnail storage={storage} log={log} onOpen={handleOpenImage} />
+                  )}
+                  {/* Person's name and attendance timestamp */}
+                  {isVoided(log) && (
+                    <span className="text-xs px-2 py-0.5 mb-1 rounded-full bg-red-700 text-red-100">Voided</span>
+                  )}
+                  <p className={`font-semibold text-lg ${isVoided(log) ? 'line-through' : ''}`}>{(person && person.name) || log.personName || "Unknown Person"}</p>
+                  {person && person.externalId && (
+                    <p className="text-xs text-gray-400">ID: {person.externalId}{person.group && ` · ${person.group}`}</p>
+                  )}
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${getEventType(log) === CHECK_OUT ? 'bg-orange-700 text-orange-100' : 'bg-green-700 text-green-100'}`}>
+                    {getEventType(log) === CHECK_OUT ? 'Check-out' : 'Check-in'}
+                  </span>
+                  <p className="text-sm text-gray-400">
+                    {/* Convert Firestore timestamp to a readable local string */}
+                    {log.timestamp ? new Date(log.timestamp.toDate()).toLocaleString() : 'Loading Date...'}
+                  </p>
+                  {/* Session the check-in was recorded for */}
+                  {log.sessionTitle && (
+                    <p className="text-xs text-indigo-300">{log.sessionTitle}</p>
+                  )}
+                  {/* How the person was identified: face match against the registry, voice input, or a badge/PIN */}
+                  {log.identifiedBy === 'face' && typeof log.matchConfidence === 'number' && (
+                    <p className="text-xs text-green-300">Face match · {Math.round(log.matchConfidence * 100)}% confidence</p>
+                  )}
+                  {log.identifiedBy === 'voice' && (
+                    <p className="text-xs text-yellow-300">Name given by voice</p>
+                  )}
+                  {log.identifiedBy === 'manual' && (
+                    <p className="text-xs text-yellow-300">Name assigned by the operator</p>
+                  )}
+                  {log.identifiedBy === METHOD_QR && (
+                    <p className="text-xs text-blue-300">Checked in with a QR badge</p>
+                  )}
+                  {log.identifiedBy === METHOD_PIN && (
+                    <p className="text-xs text-blue-300">Checked in with a PIN</p>
+                  )}
+                  {log.groupCaptureId && (
+                    <p className="text-xs text-gray-400">From a group photo</p>
+                  )}
+                  {/* Logged without passing the liveness challenge (see liveness.jsx), to be reviewed */}
+                  {isLivenessFlagged(log) && (
+                    <p className="text-xs text-red-300">Liveness {log.liveness.status === LIVENESS_FAILED ? 'check failed' : 'not verified'} · review this record</p>
+                  )}
+                  {/* Duplicate check-ins only exist when an operator overrode the rule */}
+                  {log.duplicateOverride && (
+                    <p className="text-xs text-orange-300">Duplicate (operator override)</p>
+                  )}
+                  {/* Captured while the station was offline; the timestamp is the capture time */}
+                  {log.capturedOffline && (
+                    <p className="text-xs text-gray-400">Captured offline{log.syncedAt && `, synced ${log.syncedAt.toDate().toLocaleString()}`}</p>
+                  )}
+                  {/* Station and user ID who logged the attendance */}
+                  {log.stationName && (
+                    <p className="text-xs text-gray-400 mt-1">Station: {log.stationName}</p>
+                  )}
+                  <p className="text-xs text-gray-500 break-all mt-1">Logged by: {log.loggedByUserId}</p>
+                  {log.correctedAt && (
+                    <p className="text-xs text-purple-300">Corrected by an admin</p>
+                  )}
+                  {/* Admin corrections, each with a reason kept in the record's history */}
+                  {can(role, 'correctRecords') && (
+                    <button
+                      onClick={() => setCorrectingLog(log)}
+                      className="mt-2 bg-gray-600 hover:bg-gray-500 text-white text-xs py-1 px-2 rounded-lg shadow-sm"
+                    >
+                      Correct / History
+                    </button>
+                  )}
+                  {/* Button to generate personalized welcome message, only if personName exists */}
+                  {log.personName && (
+                    <button
+                      onClick={() => handleGenerateWelcome(log.personName)}
+                      disabled={isGeneratingWelcome} // Disable while message is generating
+                      className="mt-2 bg-pink-600 hover:bg-pink-700 text-white text-xs py-1 px-2 rounded-lg shadow-sm transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {isGeneratingWelcome ? (
+                        // Spinner icon when generating
+                        <svg className="animate-spin h-4 w-4 mr-1 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                        </svg>
+                      ) : (
+                        <span className="text-lg mr-1">✨</span> // Sparkle emoji
+                      )}
+                      Welcome Message
+                    </button>
+                  )}
+                </div>
+              );
+            })}
           </div>
         </>
       )}
+
+      {/* Older pages: loaded automatically when scrolling near the end, or with the button */}
+      {hasMore && (
+        <div ref={loadMoreRef} className="mt-4 text-center">
+          <button
+            onClick={loadMore}
+            disabled={isLoadingMore}
+            className="bg-gray-600 hover:bg-gray-500 text-white text-sm font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isLoadingMore ? 'Loading...' : 'Load More'}
+          </button>
+        </div>
+      )}
+      {correctingLog && (
+        <RecordCorrection
+          db={db}
+          userId={userId}
+          log={correctingLog}
+          people={people}
+          sessions={sessions}
+          onCorrected={(changes) => {
+            updateLog(correctingLog.id, changes);
+            setCorrectingLog(prev => ({ ...prev, ...changes, correctedAt: new Date() }));
+          }}
+          onClose={() => setCorrectingLog(null)}
+          setMessage={setMessage}
+        />
+      )}
+      {/* Full-size image viewer */}
+      {openImage && (
+        <div
+          className="fixed inset-0 z-50 bg-black bg-opacity-80 flex items-center justify-center p-4"
+          onClick={() => setOpenImage(null)}
+        >
+          {openImage.url ? (
+            <img src={openImage.url} alt={openImage.log.personName || "Attendee"} className="max-w-full max-h-full rounded-lg shadow-lg" />
+          ) : (
+            <p className="text-gray-300">Loading image...</p>
+          )}
+        </div>
+      )}
     </div>
   );
 }
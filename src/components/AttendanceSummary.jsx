@@ -0,0 +1,68 @@
+// src/components/AttendanceSummary.jsx
+import React from 'react';
+
+/**
+ * Renders a structured attendance summary: narrative, per-date table and patterns.
+ * Dates whose counts or attendees disagree with the records are highlighted with the record values.
+ * @param {Object} props
+ * @param {Object} props.summary - { source: 'ai'|'local', narrative, patterns, rows, notice }, where 'rows'
+ *   come from crossCheckSummary and 'notice' explains why the local summary is shown.
+ * @param {Function} props.onClose - Called when the summary is dismissed.
+ */
+function AttendanceSummary({ summary, onClose }) {
+  const mismatchCount = summary.rows.filter(row => row.mismatch).length;
+
+  return (
+    <div className="mt-4 mb-6 p-3 bg-blue-700 bg-opacity-70 rounded-lg text-sm text-blue-100 text-left">
+      <div className="flex items-start justify-between gap-2 mb-2">
+        <p className="text-xs">
+          {summary.source === 'local'
+            ? 'Local summary computed from the records'
+            : mismatchCount === 0
+              ? 'AI summary · counts verified against the records'
+              : `AI summary · ${mismatchCount} date(s) disagree with the records (highlighted)`}
+        </p>
+        <button onClick={onClose} className="text-blue-200 hover:text-white" title="Dismiss summary">×</button>
+      </div>
+      {summary.notice && <p className="text-xs text-yellow-200 mb-2">{summary.notice}</p>}
+
+      {summary.narrative && <p className="italic mb-3 whitespace-pre-wrap">{summary.narrative}</p>}
+
+      <table className="w-full text-xs mb-3">
+        <thead className="text-blue-200">
+          <tr>
+            <th className="py-1 pr-2 text-left">Date</th>
+            <th className="py-1 pr-2 text-right">Count</th>
+            <th className="py-1 text-left">Attendees</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-blue-600">
+          {summary.rows.map((row) => (
+            <tr key={row.date} className={row.mismatch ? 'bg-red-800 bg-opacity-60' : ''}>
+              <td className="py-1 pr-2 align-top whitespace-nowrap">{row.date}</td>
+              <td className="py-1 pr-2 align-top text-right">
+                {row.count === null ? '-' : row.count}
+                {row.mismatch && row.count !== row.localCount && (
+                  <span className="block text-red-200">records: {row.localCount}</span>
+                )}
+              </td>
+              <td className="py-1 align-top">
+                {row.attendees.join(', ') || '-'}
+                {row.missing.length > 0 && <span className="block text-red-200">Missing: {row.missing.join(', ')}</span>}
+                {row.extra.length > 0 && <span className="block text-red-200">Not in records: {row.extra.join(', ')}</span>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {summary.patterns.length > 0 && (
+        <ul className="list-disc list-inside text-xs">
+          {summary.patterns.map((pattern) => <li key={pattern}>{pattern}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default AttendanceSummary;
@@ -0,0 +1,156 @@
+// src/components/BadgeCheckIn.jsx
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import useQrScanner from '../hooks/useQrScanner.jsx';
+import { openCamera } from '../utils/camera.jsx';
+import { lookupBadge, checkPin } from '../firebase/checkInCredentials.jsx';
+import { METHOD_QR, METHOD_PIN, parseBadge, isValidPin } from '../utils/badges.jsx';
+
+/**
+ * Minutes and seconds of a lockout, for messages.
+ * @param {number} ms
+ * @returns {string}
+ */
+const formatLockout = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds >= 60 ? `${Math.ceil(seconds / 60)} minute(s)` : `${seconds} second(s)`;
+};
+
+/**
+ * Check-in without face capture: a personal QR badge is scanned from the camera (decoded locally, nothing is
+ * stored), or a personal PIN is typed in. Badges and PINs are handed out from the people directory and looked up
+ * one at a time by their hash (see checkInCredentials.jsx). After repeated wrong PINs, PIN entry is locked for the
+ * signed-in account by the server.
+ * @param {Object} props
+ * @param {Object} props.db - The Firestore database instance.
+ * @param {string} props.userId - The signed-in user's UID, whose PIN attempts are counted.
+ * @param {Array<Object>} props.people - People directory.
+ * @param {boolean} props.isProcessing - Whether a check-in is being logged; scanning pauses meanwhile.
+ * @param {Function} props.onCheckIn - Called with (person, method) for an identified person.
+ * @param {Function} props.setMessage - Shows feedback to the operator.
+ */
+function BadgeCheckIn({ db, userId, people, isProcessing, onCheckIn, setMessage }) {
+  const videoRef = useRef(null);
+  const [stream, setStream] = useState(null);
+  const [pin, setPin] = useState('');
+  const [isCheckingPin, setIsCheckingPin] = useState(false);
+
+  const startScanner = async () => {
+    try {
+      const videoStream = await openCamera();
+      if (videoRef.current) {
+        videoRef.current.srcObject = videoStream;
+      }
+      setStream(videoStream);
+      setMessage("Hold a badge up to the camera.");
+    } catch (err) {
+      console.error("Error accessing webcam for badge scanning:", err);
+      setMessage("Error: Could not access webcam. PIN check-in is still available.");
+    }
+  };
+
+  const stopScanner = useCallback(() => {
+    if (stream) {
+      stream.getTracks().forEach(track => track.stop());
+      setStream(null);
+    }
+  }, [stream]);
+
+  // Stop the camera when leaving the QR / PIN mode
+  useEffect(() => {
+    return () => {
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, [stream]);
+
+  const handleScan = useCallback(async (text) => {
+    const token = parseBadge(text);
+    try {
+      const personId = token ? await lookupBadge(db, token) : null;
+      const person = personId ? people.find(entry => entry.id === personId) : null;
+      if (person) {
+        onCheckIn(person, METHOD_QR);
+      } else {
+        setMessage("This QR code is not a valid badge. It may have been replaced by a newer one.");
+      }
+    } catch (error) {
+      console.error("Error looking up badge:", error);
+      setMessage(`Error checking the badge: ${error.message}.`);
+    }
+  }, [db, people, onCheckIn, setMessage]);
+
+  useQrScanner(videoRef, Boolean(stream) && !isProcessing, handleScan);
+
+  const handlePinSubmit = async (e) => {
+    e.preventDefault();
+    if (!isValidPin(pin)) {
+      setMessage("A PIN is 4 to 8 digits.");
+      return;
+    }
+    setIsCheckingPin(true);
+    try {
+      const { personId, lockedUntil } = await checkPin(db, userId, pin);
+      const person = personId ? people.find(entry => entry.id === personId) : null;
+      if (person) {
+        onCheckIn(person, METHOD_PIN);
+      } else if (lockedUntil) {
+        setMessage(`Too many wrong PINs. PIN check-in is locked for ${formatLockout(lockedUntil - Date.now())}; please ask a member of staff.`);
+      } else {
+        setMessage("Unknown PIN. Please try again or ask a member of staff.");
+      }
+    } catch (error) {
+      console.error("Error looking up PIN:", error);
+      setMessage(`Error checking the PIN: ${error.message}.`);
+    } finally {
+      setPin(''); // Never leave a PIN on screen
+      setIsCheckingPin(false);
+    }
+  };
+
+  return (
+    <div className="w-full flex flex-col gap-4">
+      <div className="relative w-full aspect-video bg-black rounded-lg overflow-hidden border border-gray-700">
+        {!stream && (
+          <div className="absolute inset-0 flex items-center justify-center text-gray-400 text-lg">
+            Scanner off
+          </div>
+        )}
+        <video ref={videoRef} autoPlay muted playsInline className={`w-full h-full object-cover ${stream ? '' : 'hidden'}`}></video>
+        {/* Aiming frame for the badge */}
+        {stream && (
+          <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+            <div className="w-1/3 aspect-square border-4 border-white border-opacity-60 rounded-xl"></div>
+          </div>
+        )}
+      </div>
+      <button
+        onClick={stream ? stopScanner : startScanner}
+        className="self-center bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 min-w-[120px]"
+      >
+        {stream ? 'Stop Scanner' : 'Scan QR Badge'}
+      </button>
+
+      <form onSubmit={handlePinSubmit} className="flex gap-2">
+        <input
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          value={pin}
+          onChange={(e) => setPin(e.target.value.replace(/\D/g, '').slice(0, 8))}
+          placeholder="Personal PIN"
+          className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400 tracking-widest"
+        />
+        <button
+          type="submit"
+          disabled={isProcessing || isCheckingPin || !pin}
+          className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isProcessing ? 'Logging...' : 'Enter'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default BadgeCheckIn;
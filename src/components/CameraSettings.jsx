@@ -0,0 +1,105 @@
+// src/components/CameraSettings.jsx
+import React, { useEffect, useState } from 'react';
+import { FACING_FRONT, FACING_BACK, RESOLUTIONS, MAX_IMAGE_SIZES, IMAGE_FORMATS, listCameras } from '../utils/camera.jsx';
+
+// Shared Tailwind classes of the form inputs
+const INPUT_CLASSES = 'w-full mt-1 px-2 py-1 rounded-lg bg-gray-600 border border-gray-500 text-white text-sm';
+
+/**
+ * Camera and image settings of this station: camera, front/back camera, resolution, and the size, format and
+ * quality captures are compressed to before AI processing and storage.
+ * @param {Object} props
+ * @param {Object} props.settings - See DEFAULT_CAMERA_SETTINGS in utils/camera.jsx.
+ * @param {Function} props.onChange - Called with the new settings.
+ * @param {boolean} props.isCameraActive - Whether the camera is on; the camera names are only known once it was.
+ */
+function CameraSettings({ settings, onChange, isCameraActive }) {
+  const [cameras, setCameras] = useState([]);
+
+  // List the cameras again when one is plugged in or out, and once access was granted
+  useEffect(() => {
+    const refresh = () => listCameras().then(setCameras).catch(error => console.error("Error listing cameras:", error));
+    refresh();
+    if (!navigator.mediaDevices || !navigator.mediaDevices.addEventListener) {
+      return;
+    }
+    navigator.mediaDevices.addEventListener('devicechange', refresh);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', refresh);
+  }, [isCameraActive]);
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="w-full mb-4 p-3 rounded-lg bg-gray-700 text-left text-sm grid grid-cols-2 gap-3">
+      <label className="col-span-2 text-gray-300">
+        Camera
+        <select value={settings.deviceId} onChange={(e) => update({ deviceId: e.target.value })} className={INPUT_CLASSES}>
+          <option value="">Automatic</option>
+          {cameras.map(camera => (
+            <option key={camera.deviceId} value={camera.deviceId}>{camera.label}</option>
+          ))}
+          {/* A remembered camera that is not plugged in right now */}
+          {settings.deviceId && !cameras.some(camera => camera.deviceId === settings.deviceId) && (
+            <option value={settings.deviceId}>Unavailable camera</option>
+          )}
+        </select>
+      </label>
+
+      {/* Front/back toggle for phones and tablets; picking a side lets the browser choose the camera */}
+      <div className="col-span-2 flex rounded-lg overflow-hidden border border-gray-500">
+        {[{ id: FACING_FRONT, label: 'Front Camera' }, { id: FACING_BACK, label: 'Back Camera' }].map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => update({ facingMode: id, deviceId: '' })}
+            className={`flex-1 py-1 font-semibold ${!settings.deviceId && settings.facingMode === id ? 'bg-white text-gray-900' : 'bg-gray-600 hover:bg-gray-500 text-white'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <label className="text-gray-300">
+        Resolution
+        <select value={settings.resolution} onChange={(e) => update({ resolution: e.target.value })} className={INPUT_CLASSES}>
+          {RESOLUTIONS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="text-gray-300">
+        Downscale to
+        <select value={settings.maxImageSize} onChange={(e) => update({ maxImageSize: Number(e.target.value) })} className={INPUT_CLASSES}>
+          {MAX_IMAGE_SIZES.map(size => (
+            <option key={size} value={size}>{size ? `${size} px` : 'Full size'}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="text-gray-300">
+        Format
+        <select value={settings.imageFormat} onChange={(e) => update({ imageFormat: e.target.value })} className={INPUT_CLASSES}>
+          {IMAGE_FORMATS.map(format => (
+            <option key={format.id} value={format.id}>{format.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className={`text-gray-300 ${settings.imageFormat === 'image/png' ? 'opacity-50' : ''}`}>
+        Quality {Math.round(settings.imageQuality * 100)}%
+        <input
+          type="range"
+          min="0.5"
+          max="1"
+          step="0.05"
+          value={settings.imageQuality}
+          onChange={(e) => update({ imageQuality: Number(e.target.value) })}
+          disabled={settings.imageFormat === 'image/png'}
+          className="w-full mt-2"
+        />
+      </label>
+    </div>
+  );
+}
+
+export default CameraSettings;
@@ -0,0 +1,340 @@
+// src/components/EnrollPerson.jsx
+import React, { useRef, useState, useCallback, useEffect } from 'react';
+// Import necessary Firestore functions for adding and removing people
+import { addDoc, deleteDoc, doc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { getPeopleCollection } from '../firebase/collections.jsx';
+import usePeople from '../hooks/usePeople.jsx';
+import { openCamera } from '../utils/camera.jsx';
+import { issueBadges, getBadgeTokens, setPersonPin, revokeCredentials } from '../firebase/checkInCredentials.jsx';
+import { renderBadgeSheet } from '../utils/badges.jsx';
+
+// Reference shots are downscaled before storing so a person's document stays well below Firestore's size limit.
+const REFERENCE_PHOTO_MAX_SIZE = 320; // Longest side in pixels
+const REFERENCE_PHOTO_QUALITY = 0.8; // JPEG quality
+const MAX_REFERENCE_PHOTOS = 5;
+
+function EnrollPerson({ db, userId, setMessage }) {
+  // useRef hooks to directly interact with DOM elements (video and canvas)
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  const [stream, setStream] = useState(null); // Holds the MediaStream object from the webcam
+  const [isCameraActive, setIsCameraActive] = useState(false); // True if webcam is currently active
+  const [name, setName] = useState(''); // Display name of the person being enrolled
+  const [externalId, setExternalId] = useState(''); // Organisation ID (student/employee number)
+  const [referencePhotos, setReferencePhotos] = useState([]); // Captured reference shots (data URLs)
+  const [isSaving, setIsSaving] = useState(false); // True while the person is written to Firestore
+
+  const people = usePeople(db, userId, setMessage);
+
+  // Function to start the webcam stream
+  const startCamera = async () => {
+    try {
+      // The camera chosen in this station's camera settings
+      const videoStream = await openCamera();
+      if (videoRef.current) {
+        videoRef.current.srcObject = videoStream;
+        setStream(videoStream);
+        setIsCameraActive(true);
+      }
+    } catch (err) {
+      console.error("Error accessing webcam:", err);
+      setMessage("Error: Could not access webcam. Please ensure it's connected and permissions are granted.");
+      setIsCameraActive(false);
+    }
+  };
+
+  // Function to stop the webcam stream (memoized with useCallback)
+  const stopCamera = useCallback(() => {
+    if (stream) {
+      stream.getTracks().forEach(track => track.stop());
+      setStream(null);
+    }
+    setIsCameraActive(false);
+  }, [stream]);
+
+  // Captures a downscaled reference shot from the current video frame; the camera keeps running
+  // so several angles can be taken in a row.
+  const captureReferencePhoto = useCallback(() => {
+    if (!videoRef.current || !canvasRef.current) {
+      setMessage("Camera or capture area not ready. Please try again.");
+      return;
+    }
+    if (referencePhotos.length >= MAX_REFERENCE_PHOTOS) {
+      setMessage(`A person can have at most ${MAX_REFERENCE_PHOTOS} reference photos.`);
+      return;
+    }
+
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+    const scale = Math.min(1, REFERENCE_PHOTO_MAX_SIZE / Math.max(video.videoWidth, video.videoHeight));
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    const photo = canvas.toDataURL('image/jpeg', REFERENCE_PHOTO_QUALITY);
+    setReferencePhotos(prev => [...prev, photo]);
+  }, [referencePhotos.length, setMessage]);
+
+  const removeReferencePhoto = (index) => {
+    setReferencePhotos(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Writes the new person to the people registry
+  const savePerson = async () => {
+    const trimmedName = name.trim();
+    const trimmedId = externalId.trim();
+    if (!trimmedName || !trimmedId) {
+      setMessage("Please enter both a name and an ID.");
+      return;
+    }
+    if (referencePhotos.length === 0) {
+      setMessage("Please capture at least one reference photo.");
+      return;
+    }
+    // People imported from a roster are already in the directory, only without photos: complete their entry
+    const existing = people.find(person => person.externalId === trimmedId);
+    if (existing && (existing.referencePhotos || []).length > 0) {
+      setMessage(`A person with ID ${trimmedId} is already enrolled.`);
+      return;
+    }
+    if (!db || !userId) {
+      setMessage("Enrollment not enabled (Firebase not ready or user not authenticated).");
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      if (existing) {
+        await updateDoc(doc(getPeopleCollection(db), existing.id), {
+          name: trimmedName,
+          referencePhotos,
+          updatedAt: serverTimestamp()
+        });
+      } else {
+        await addDoc(getPeopleCollection(db), {
+          name: trimmedName,
+          externalId: trimmedId,
+          referencePhotos,
+          createdAt: serverTimestamp(),
+          createdByUserId: userId
+        });
+      }
+      setMessage(`${trimmedName} enrolled successfully!`);
+      setName('');
+      setExternalId('');
+      setReferencePhotos([]);
+      stopCamera();
+    } catch (error) {
+      console.error("Error enrolling person:", error);
+      setMessage(`Error enrolling person: ${error.message}.`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const removePerson = async (person) => {
+    if (!window.confirm(`Remove ${person.name} from the directory?`)) {
+      return;
+    }
+    try {
+      // Their badge and PIN stop working first, so nothing is left pointing to the removed entry
+      await revokeCredentials(db, person.id);
+      await deleteDoc(doc(getPeopleCollection(db), person.id));
+      setMessage(`${person.name} removed from the directory.`);
+    } catch (error) {
+      console.error("Error removing person:", error);
+      setMessage(`Error removing person: ${error.message}.`);
+    }
+  };
+
+  // Prints QR badges. People without a badge get one first; 'replace' issues new badges, revoking the old ones
+  // (e.g. for a lost badge). The print window is opened right away, before anything is awaited, so it is not blocked.
+  const printBadges = async (peopleToPrint, { replace = false } = {}) => {
+    if (replace && !window.confirm(`Issue a new badge for ${peopleToPrint[0].name}? The old badge will stop working.`)) {
+      return;
+    }
+    const sheet = window.open('', '_blank');
+    if (!sheet) {
+      setMessage("The badge sheet was blocked. Please allow pop-ups for this site.");
+      return;
+    }
+    try {
+      // Badge tokens are kept in an admin-only document, not on the directory entries
+      const tokens = await getBadgeTokens(db, replace ? [] : peopleToPrint);
+      const issued = await issueBadges(db, peopleToPrint.filter(person => !tokens.has(person.id)));
+      sheet.document.write(await renderBadgeSheet(peopleToPrint.map(person => ({
+        ...person, badgeToken: issued.get(person.id) || tokens.get(person.id)
+      }))));
+      sheet.document.close();
+    } catch (error) {
+      sheet.close();
+      console.error("Error printing badges:", error);
+      setMessage(`Error printing badges: ${error.message}.`);
+    }
+  };
+
+  // Sets a personal check-in PIN, or removes it when left empty
+  const changePin = async (person) => {
+    const pin = window.prompt(`New check-in PIN for ${person.name} (4-8 digits). Leave empty to remove the PIN.`);
+    if (pin === null) {
+      return;
+    }
+    try {
+      await setPersonPin(db, person, pin.trim() || null);
+      setMessage(pin.trim() ? `PIN set for ${person.name}.` : `PIN removed for ${person.name}.`);
+    } catch (error) {
+      console.error("Error setting PIN:", error);
+      setMessage(error.message);
+    }
+  };
+
+  // Cleanup stream on component unmount
+  useEffect(() => {
+    return () => {
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, [stream]);
+
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-lg p-4 sm:p-6 mb-6 w-full max-w-md flex flex-col items-center">
+      <h2 className="text-xl sm:text-2xl font-semibold mb-4">Enroll a Person</h2>
+
+      <div className="w-full flex flex-col gap-2 mb-4">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Full name"
+          className="w-full px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400"
+        />
+        <input
+          type="text"
+          value={externalId}
+          onChange={(e) => setExternalId(e.target.value)}
+          placeholder="ID (e.g., student or employee number)"
+          className="w-full px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400"
+        />
+      </div>
+
+      <div className="relative w-full aspect-video bg-black rounded-lg overflow-hidden border border-gray-700">
+        {!isCameraActive && (
+          <div className="absolute inset-0 flex items-center justify-center text-gray-400 text-lg">
+            No camera feed
+          </div>
+        )}
+        <video ref={videoRef} autoPlay muted playsInline className={`w-full h-full object-cover ${isCameraActive ? '' : 'hidden'}`}></video>
+        <canvas ref={canvasRef} className="hidden"></canvas>
+      </div>
+
+      {/* Thumbnails of the reference shots captured so far */}
+      {referencePhotos.length > 0 && (
+        <div className="mt-4 grid grid-cols-5 gap-2 w-full">
+          {referencePhotos.map((photo, index) => (
+            <button key={index} onClick={() => removeReferencePhoto(index)} title="Remove photo" className="relative">
+              <img src={photo} alt={`Reference ${index + 1}`} className="w-full aspect-square object-cover rounded-md border border-gray-600" />
+              <span className="absolute top-0 right-0 bg-red-600 text-white text-xs rounded-bl-md px-1">×</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="mt-6 flex flex-wrap justify-center gap-3 w-full">
+        {!isCameraActive ? (
+          <button
+            onClick={startCamera}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center min-w-[120px]"
+          >
+            Start Camera
+          </button>
+        ) : (
+          <button
+            onClick={captureReferencePhoto}
+            disabled={referencePhotos.length >= MAX_REFERENCE_PHOTOS}
+            className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center min-w-[120px] disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Add Reference Shot ({referencePhotos.length}/{MAX_REFERENCE_PHOTOS})
+          </button>
+        )}
+        <button
+          onClick={savePerson}
+          disabled={isSaving}
+          className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center min-w-[120px] disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSaving ? 'Saving...' : 'Save Person'}
+        </button>
+      </div>
+
+      {/* List of people already enrolled */}
+      <div className="mt-6 w-full">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold">People Directory ({people.length})</h3>
+          {people.length > 0 && (
+            <button
+              onClick={() => printBadges(people)}
+              className="bg-gray-600 hover:bg-gray-500 text-white text-xs py-1 px-2 rounded-lg shadow-sm"
+            >
+              Print All Badges
+            </button>
+          )}
+        </div>
+        {people.length === 0 ? (
+          <p className="text-sm text-gray-400">Nobody is enrolled or imported yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-700">
+            {people.map((person) => (
+              <li key={person.id} className="py-2 flex items-center gap-3">
+                {person.referencePhotos && person.referencePhotos[0] && (
+                  <img src={person.referencePhotos[0]} alt={person.name} className="w-10 h-10 object-cover rounded-full border border-gray-600" />
+                )}
+                <div className="flex-1 text-left">
+                  <p className="font-semibold">{person.name}</p>
+                  <p className="text-xs text-gray-400">
+                    ID: {person.externalId}
+                    {person.group && ` · ${person.group}`}
+                    {person.email && ` · ${person.email}`}
+                    {' · '}{(person.referencePhotos || []).length > 0 ? `${person.referencePhotos.length} photo(s)` : 'not enrolled yet'}
+                    {person.hasBadge && ' · badge'}
+                    {person.hasPin && ' · PIN'}
+                  </p>
+                </div>
+                {/* Check-in without face capture, see BadgeCheckIn */}
+                <button
+                  onClick={() => printBadges([person])}
+                  className="bg-gray-600 hover:bg-gray-500 text-white text-xs py-1 px-2 rounded-lg shadow-sm"
+                >
+                  Badge
+                </button>
+                {person.hasBadge && (
+                  <button
+                    onClick={() => printBadges([person], { replace: true })}
+                    className="bg-gray-600 hover:bg-gray-500 text-white text-xs py-1 px-2 rounded-lg shadow-sm"
+                    title="Issue a new badge and revoke the old one"
+                  >
+                    New Badge
+                  </button>
+                )}
+                <button
+                  onClick={() => changePin(person)}
+                  className="bg-gray-600 hover:bg-gray-500 text-white text-xs py-1 px-2 rounded-lg shadow-sm"
+                >
+                  PIN
+                </button>
+                <button
+                  onClick={() => removePerson(person)}
+                  className="bg-red-600 hover:bg-red-700 text-white text-xs py-1 px-2 rounded-lg shadow-sm"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default EnrollPerson;
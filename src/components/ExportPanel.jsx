@@ -0,0 +1,84 @@
+// src/components/ExportPanel.jsx
+import React, { useState, useMemo } from 'react';
+import { fetchAttendanceRecords } from '../firebase/attendanceQueries.jsx';
+import { normalizeForSearch } from '../utils/text.jsx';
+import { EXPORT_FORMATS, getTimeZones, buildExportRows, createExportBlob, downloadBlob } from '../utils/exportRecords.jsx';
+
+// Shared Tailwind classes of the export inputs
+const INPUT_CLASSES = 'w-full mt-1 px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 text-white';
+
+/**
+ * Export action for the attendance log: downloads every record matching the filters
+ * (not only the loaded pages) as CSV, JSON or XLSX.
+ * @param {Object} props
+ * @param {Object} props.db - The Firestore database instance.
+ * @param {Object} props.filters - Current log filters ({ name, from, to, sessionId, stationId }).
+ * @param {Array<Object>} props.people - People directory, used for the exported names and external IDs.
+ * @param {Object|null} props.sessionAttendance - Roster check of the selected session, adds arrival status and absentees.
+ * @param {Function} props.setMessage - React state setter for general messages.
+ */
+function ExportPanel({ db, filters, people, sessionAttendance, setMessage }) {
+  const [format, setFormat] = useState('csv');
+  // Defaults to the browser's own time zone
+  const [timeZone, setTimeZone] = useState(() => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
+  const [isExporting, setIsExporting] = useState(false);
+  const timeZones = useMemo(() => {
+    const zones = getTimeZones();
+    return zones.includes(timeZone) ? zones : [timeZone, ...zones];
+  }, [timeZone]);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const records = await fetchAttendanceRecords(db, filters);
+      // Absentees have no record to filter, so the name search is applied to them here
+      const needle = normalizeForSearch(filters.name);
+      const attendance = sessionAttendance && needle
+        ? { ...sessionAttendance, absent: sessionAttendance.absent.filter(person => normalizeForSearch(person.name).includes(needle)) }
+        : sessionAttendance;
+      const rows = buildExportRows(records, timeZone, people, attendance);
+      if (rows.length === 0) {
+        setMessage("There are no attendance records to export.");
+        return;
+      }
+      const blob = await createExportBlob(format, rows);
+      downloadBlob(blob, `attendance-${new Date().toISOString().slice(0, 10)}.${format}`);
+      setMessage(`Exported ${rows.length} row${rows.length === 1 ? '' : 's'}.`);
+    } catch (error) {
+      console.error("Error exporting attendance records:", error);
+      setMessage("Failed to export attendance records.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="mb-4 p-3 rounded-lg bg-gray-700 bg-opacity-60 grid grid-cols-1 sm:grid-cols-3 gap-2 items-end text-left">
+      <label className="text-xs text-gray-300">
+        Format
+        <select value={format} onChange={(e) => setFormat(e.target.value)} className={INPUT_CLASSES}>
+          {EXPORT_FORMATS.map((option) => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="text-xs text-gray-300">
+        Time zone
+        <select value={timeZone} onChange={(e) => setTimeZone(e.target.value)} className={INPUT_CLASSES}>
+          {timeZones.map((zone) => (
+            <option key={zone} value={zone}>{zone}</option>
+          ))}
+        </select>
+      </label>
+      <button
+        onClick={handleExport}
+        disabled={isExporting || !db}
+        className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isExporting ? 'Exporting...' : 'Export Records'}
+      </button>
+    </div>
+  );
+}
+
+export default ExportPanel;
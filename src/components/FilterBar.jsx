@@ -0,0 +1,82 @@
+// src/components/FilterBar.jsx
+import React from 'react';
+import { EMPTY_FILTERS } from '../hooks/useUrlFilters.jsx';
+import { hasActiveFilters } from '../utils/attendanceFilters.jsx';
+
+// Shared Tailwind classes of the filter inputs
+const INPUT_CLASSES = 'w-full mt-1 px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400';
+
+/**
+ * Filter controls for attendance records: name search, date range, session and station.
+ * @param {Object} props
+ * @param {Object} props.filters - Current filters ({ name, from, to, sessionId, stationId }).
+ * @param {Function} props.onChange - Called with a partial filters update.
+ * @param {Array<Object>} props.sessions - Sessions selectable in the session filter.
+ * @param {Array<Object>} props.stations - Stations selectable in the station filter.
+ */
+function FilterBar({ filters, onChange, sessions, stations }) {
+  return (
+    <div className="mb-4 p-3 rounded-lg bg-gray-700 bg-opacity-60 grid grid-cols-1 sm:grid-cols-2 gap-2 text-left">
+      <label className="text-xs text-gray-300 sm:col-span-2">
+        Name
+        <input
+          type="search"
+          value={filters.name}
+          onChange={(e) => onChange({ name: e.target.value })}
+          placeholder="Search by name"
+          className={INPUT_CLASSES}
+        />
+      </label>
+      <label className="text-xs text-gray-300">
+        From
+        <input
+          type="date"
+          value={filters.from}
+          max={filters.to || undefined}
+          onChange={(e) => onChange({ from: e.target.value })}
+          className={INPUT_CLASSES}
+        />
+      </label>
+      <label className="text-xs text-gray-300">
+        To
+        <input
+          type="date"
+          value={filters.to}
+          min={filters.from || undefined}
+          onChange={(e) => onChange({ to: e.target.value })}
+          className={INPUT_CLASSES}
+        />
+      </label>
+      <label className="text-xs text-gray-300">
+        Session
+        <select value={filters.sessionId} onChange={(e) => onChange({ sessionId: e.target.value })} className={INPUT_CLASSES}>
+          <option value="">All sessions</option>
+          {sessions.map((session) => (
+            <option key={session.id} value={session.id}>{session.title}</option>
+          ))}
+        </select>
+      </label>
+      <label className="text-xs text-gray-300">
+        Logged by station
+        <select value={filters.stationId} onChange={(e) => onChange({ stationId: e.target.value })} className={INPUT_CLASSES}>
+          <option value="">All stations</option>
+          {stations.map((station) => (
+            <option key={station.id} value={station.id}>{station.name}</option>
+          ))}
+        </select>
+      </label>
+      {hasActiveFilters(filters) && (
+        <div className="sm:col-span-2 text-right">
+          <button
+            onClick={() => onChange(EMPTY_FILTERS)}
+            className="text-xs text-indigo-200 hover:text-white underline"
+          >
+            Clear filters
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FilterBar;
@@ -0,0 +1,114 @@
+// src/components/GroupAttendance.jsx
+import React from 'react';
+
+// Shared Tailwind classes of the form inputs
+const INPUT_CLASSES = 'w-full px-2 py-1 rounded-lg bg-gray-600 border border-gray-500 text-white placeholder-gray-400 text-sm';
+
+// Values of a face's 'status' once the group was logged
+export const GROUP_FACE_LOGGED = 'logged';
+export const GROUP_FACE_DUPLICATE = 'duplicate';
+
+/**
+ * The faces found in a group photo, numbered like the boxes drawn on the photo, each with the person
+ * the operator confirms or assigns. Included faces are logged together as one record per person.
+ * @param {Object} props
+ * @param {Array<Object>} props.faces - Detected faces: { box, imageDataUrl, suggestion, personId, personName, include,
+ *   status, error }. 'suggestion' is the face match ({ person, confidence }) above the threshold, if any.
+ * @param {Array<Object>} props.people - People directory.
+ * @param {boolean} props.isProcessing - Whether the group is being logged.
+ * @param {Function} props.onChange - Called with (index, changes) when the operator edits a face.
+ * @param {Function} props.onLog - Logs the included faces that were not logged yet.
+ * @param {Function} props.onLogDuplicates - Logs the faces rejected as duplicates anyway (operator override).
+ */
+function GroupAttendance({ faces, people, isProcessing, onChange, onLog, onLogDuplicates }) {
+  const pending = faces.filter(face => face.include && !face.status);
+  const duplicates = faces.filter(face => face.status === GROUP_FACE_DUPLICATE);
+  const isComplete = pending.every(face => face.personName.trim());
+
+  // Picking a registered person also takes over their name
+  const handlePersonChange = (index, personId) => {
+    const person = people.find(entry => entry.id === personId);
+    onChange(index, { personId, personName: person ? person.name : '' });
+  };
+
+  return (
+    <div className="w-full mt-4 p-3 rounded-lg bg-gray-700 text-left text-sm">
+      <p className="font-semibold mb-2">{faces.length} face{faces.length === 1 ? '' : 's'} found · confirm who is who</p>
+      <ul className="divide-y divide-gray-600">
+        {faces.map((face, index) => (
+          <li key={index} className={`py-2 flex gap-2 items-start ${face.include || face.status ? '' : 'opacity-50'}`}>
+            <span className="w-6 h-6 flex-shrink-0 rounded-full bg-yellow-400 text-gray-900 text-xs font-bold flex items-center justify-center">{index + 1}</span>
+            <img src={face.imageDataUrl} alt={`Face ${index + 1}`} className="w-12 h-12 object-cover rounded-md border border-gray-600" />
+            <div className="flex-1 min-w-0 flex flex-col gap-1">
+              {face.status === GROUP_FACE_LOGGED ? (
+                <p className="font-semibold text-green-300">{face.personName} · logged</p>
+              ) : (
+                <>
+                  <select
+                    value={face.personId}
+                    onChange={(e) => handlePersonChange(index, e.target.value)}
+                    disabled={isProcessing || Boolean(face.status)}
+                    className={INPUT_CLASSES}
+                  >
+                    <option value="">Not in the directory</option>
+                    {people.map(person => (
+                      <option key={person.id} value={person.id}>{person.name}{person.externalId ? ` (${person.externalId})` : ''}</option>
+                    ))}
+                  </select>
+                  {!face.personId && (
+                    <input
+                      type="text"
+                      value={face.personName}
+                      onChange={(e) => onChange(index, { personName: e.target.value })}
+                      disabled={isProcessing || Boolean(face.status)}
+                      placeholder="Name"
+                      className={INPUT_CLASSES}
+                    />
+                  )}
+                  {face.suggestion && (
+                    <p className="text-xs text-green-300">Recognized as {face.suggestion.person.name} ({Math.round(face.suggestion.confidence * 100)}%)</p>
+                  )}
+                  {face.error && <p className="text-xs text-orange-200">{face.error}</p>}
+                </>
+              )}
+            </div>
+            {!face.status && (
+              <label className="flex items-center gap-1 text-xs text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={face.include}
+                  onChange={(e) => onChange(index, { include: e.target.checked })}
+                  disabled={isProcessing}
+                />
+                Log
+              </label>
+            )}
+          </li>
+        ))}
+      </ul>
+      <div className="flex flex-wrap gap-2 mt-2">
+        {pending.length > 0 && (
+          <button
+            onClick={onLog}
+            disabled={isProcessing || !isComplete}
+            className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+            title={isComplete ? '' : 'Every included face needs a name'}
+          >
+            {isProcessing ? 'Logging...' : `Log ${pending.length} ${pending.length === 1 ? 'Person' : 'People'}`}
+          </button>
+        )}
+        {duplicates.length > 0 && (
+          <button
+            onClick={onLogDuplicates}
+            disabled={isProcessing}
+            className="bg-yellow-500 hover:bg-yellow-600 text-gray-900 font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Log {duplicates.length} Duplicate{duplicates.length === 1 ? '' : 's'} Anyway (Operator Override)
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default GroupAttendance;
@@ -0,0 +1,299 @@
+// src/components/KioskMode.jsx
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import recognitionProvider, { FACE_MATCH_THRESHOLD } from '../api/recognitionProvider.jsx';
+import { describeAiError } from '../api/geminiClient.jsx';
+import { newAttendanceRecordId, DuplicateCheckInError, CHECK_OUT } from '../firebase/attendanceStore.jsx';
+import { buildCaptureRecord, submitOrQueueCapture } from '../firebase/captureSubmission.jsx';
+import NameEntry from './NameEntry.jsx';
+import useAutoCapture, { AUTO_CAPTURE_ADJUSTING, AUTO_CAPTURE_HOLDING, AUTO_CAPTURE_COOLDOWN } from '../hooks/useAutoCapture.jsx';
+import { getSessionStatus, getFaceMatchCandidates } from '../utils/sessions.jsx';
+import { openCamera } from '../utils/camera.jsx';
+import {
+  LIVENESS_POLICY, LIVENESS_OFF, LIVENESS_UNVERIFIED, pickChallenge, recordChallengeFrames, toLivenessResult, isBlockedByLiveness
+} from '../utils/liveness.jsx';
+
+// How long the confirmation (or rejection) screen stays up before the kiosk resets for the next person
+const RESULT_DISPLAY_MS = 4000;
+// How long the kiosk waits for a name to be said or typed before giving up
+const NAME_TIMEOUT_MS = 30000;
+
+// Stages of a kiosk visit
+const WATCHING = 'watching';
+const CHALLENGE = 'challenge';
+const PROCESSING = 'processing';
+const ASKING_NAME = 'askingName';
+const CONFIRMED = 'confirmed';
+const REJECTED = 'rejected';
+
+// Prompts shown while watching, per auto-capture status
+const WATCHING_PROMPTS = {
+  [AUTO_CAPTURE_ADJUSTING]: 'Please step into the middle of the frame',
+  [AUTO_CAPTURE_HOLDING]: 'Hold still...',
+  [AUTO_CAPTURE_COOLDOWN]: 'Next person, please',
+};
+
+/**
+ * Full-screen, hands-free capture station. The camera keeps running; a frame is captured automatically once
+ * someone is centered and still, checked for liveness, recognized against the enrolled people, and logged with the station's
+ * session and direction. The person is only asked to say or type their name when the face is not recognized.
+ * A large confirmation screen is shown before the kiosk resets for the next person. Leaving requires the
+ * PIN chosen when the kiosk was started.
+ * @param {Object} props
+ * @param {Object} props.db - The Firestore database instance.
+ * @param {Object} props.storage - The Cloud Storage instance.
+ * @param {string} props.userId - The signed-in operator's UID; records are logged under it.
+ * @param {Array<Object>} props.people - Enrolled people faces are matched against.
+ * @param {Object|null} props.session - The active session, if any.
+ * @param {string} props.direction - Check in, check out or AUTO_DIRECTION.
+ * @param {string} props.stationName - Display name of this capture station.
+ * @param {Function} props.enqueue - 'enqueue' of useOfflineQueue, for captures made while offline.
+ * @param {string} props.exitPin - PIN required to leave the kiosk.
+ * @param {Function} props.onExit - Called once the PIN was entered.
+ */
+function KioskMode({ db, storage, userId, people, session, direction, stationName, enqueue, exitPin, onExit }) {
+  const videoRef = useRef(null);
+  const resetTimer = useRef(null);
+
+  const [stream, setStream] = useState(null);
+  const [cameraError, setCameraError] = useState('');
+  // Current stage and what it shows: { stage, name?, eventType?, queued?, time?, message?, capture? }
+  const [visit, setVisit] = useState({ stage: WATCHING });
+  // Faces are only compared against the session's roster, when it has one
+  const matchCandidates = useMemo(() => getFaceMatchCandidates(people, session), [people, session]);
+
+  // Shows a result, then goes back to watching
+  const showResult = useCallback((result) => {
+    setVisit(result);
+    clearTimeout(resetTimer.current);
+    resetTimer.current = setTimeout(() => setVisit({ stage: WATCHING }), RESULT_DISPLAY_MS);
+  }, []);
+
+  const logCapture = useCallback(async (name, match, { imageDataUrl, capturedAt, liveness, identifiedBy }) => {
+    setVisit({ stage: PROCESSING, message: `Logging ${name}...` });
+    try {
+      const record = buildCaptureRecord(userId, { personName: name, match, session, stationName, identifiedBy, liveness });
+      const result = await submitOrQueueCapture(
+        db, storage, enqueue, { recordId: newAttendanceRecordId(db), record, imageDataUrl, direction }, capturedAt
+      );
+      showResult({ stage: CONFIRMED, name, eventType: result.eventType, queued: result.queued, time: capturedAt });
+    } catch (error) {
+      if (error instanceof DuplicateCheckInError) {
+        showResult({ stage: REJECTED, message: error.message });
+      } else {
+        console.error("Error logging kiosk capture:", error);
+        showResult({ stage: REJECTED, message: 'Your attendance could not be logged. Please ask a member of staff for help.' });
+      }
+    }
+  }, [db, storage, userId, session, direction, stationName, enqueue, showResult]);
+
+  // Asks the person to say or type their name when their face was not recognized
+  const askForName = useCallback((capture, reason) => {
+    setVisit({ stage: ASKING_NAME, message: reason, capture });
+  }, []);
+
+  // Give up on the name after a while so the kiosk is free for the next person
+  useEffect(() => {
+    if (visit.stage !== ASKING_NAME) {
+      return;
+    }
+    const timeout = setTimeout(() => {
+      showResult({ stage: REJECTED, message: "We didn't get your name. Please step back and try again." });
+    }, NAME_TIMEOUT_MS);
+    return () => clearTimeout(timeout);
+  }, [visit.stage, showResult]);
+
+  // Recognizes an automatically captured frame; resolves to false when it shows no face
+  const handleCapture = useCallback(async (imageDataUrl, capturedAt) => {
+    const capture = { imageDataUrl, capturedAt, liveness: null };
+
+    // Reject check-ins outside the active session's window
+    if (session && getSessionStatus(session) !== 'open') {
+      showResult({ stage: REJECTED, message: `"${session.title}" is not accepting check-ins right now.` });
+      return;
+    }
+
+    try {
+      // The liveness challenge needs the person still in front of the camera, so it comes first
+      let challengeFrames = null;
+      if (LIVENESS_POLICY !== LIVENESS_OFF && videoRef.current) {
+        const challenge = pickChallenge();
+        setVisit({ stage: CHALLENGE, message: challenge.instruction });
+        // Until the check has run, e.g. if the frames cannot be recorded or the AI cannot be reached
+        capture.liveness = { challenge: challenge.id, status: LIVENESS_UNVERIFIED, confidence: null };
+        challengeFrames = { challenge, frames: await recordChallengeFrames(videoRef.current) };
+      }
+      setVisit({ stage: PROCESSING, message: 'One moment...' });
+
+      const detection = await recognitionProvider.detectFace(imageDataUrl);
+      if (detection.status !== 'success' || !detection.faceDetected) {
+        // Probably not a person after all (e.g. a shadow); the auto-capture learns the scene again
+        setVisit({ stage: WATCHING });
+        return false;
+      }
+      if (challengeFrames) {
+        const response = await recognitionProvider.verifyLiveness(challengeFrames.frames, challengeFrames.challenge);
+        capture.liveness = toLivenessResult(challengeFrames.challenge, response);
+        if (isBlockedByLiveness(capture.liveness)) {
+          showResult({ stage: REJECTED, message: "We couldn't confirm that you are here in person. Please step back and try again, or ask a member of staff for help." });
+          return;
+        }
+      }
+      if (matchCandidates.length > 0) {
+        const match = await recognitionProvider.identifyPerson(imageDataUrl, matchCandidates);
+        if (match.status === 'success' && match.confidence >= FACE_MATCH_THRESHOLD) {
+          await logCapture(match.person.name, { person: match.person, confidence: match.confidence }, capture);
+          return;
+        }
+        if (match.status === 'error') {
+          console.warn("Kiosk face matching failed:", match.message);
+        }
+      }
+      askForName(capture, "We couldn't recognize you. Please say or type your name.");
+    } catch (error) {
+      console.error("Error during kiosk recognition:", error);
+      if (isBlockedByLiveness(capture.liveness)) {
+        showResult({ stage: REJECTED, message: `${describeAiError(error)} Please ask a member of staff for help.` });
+      } else {
+        askForName(capture, `${describeAiError(error)} Please say or type your name.`);
+      }
+    }
+  }, [session, matchCandidates, logCapture, askForName, showResult]);
+
+  const { status, progress } = useAutoCapture(videoRef, Boolean(stream) && visit.stage === WATCHING, handleCapture);
+
+  // Keep the camera chosen for this station running for as long as the kiosk is open
+  useEffect(() => {
+    let videoStream = null;
+    let cancelled = false;
+    openCamera()
+      .then((mediaStream) => {
+        if (cancelled) {
+          mediaStream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        videoStream = mediaStream;
+        if (videoRef.current) {
+          videoRef.current.srcObject = mediaStream;
+        }
+        setStream(mediaStream);
+      })
+      .catch((error) => {
+        console.error("Error accessing webcam for kiosk mode:", error);
+        setCameraError("Could not access the webcam. Please ensure it's connected and permissions are granted.");
+      });
+    return () => {
+      cancelled = true;
+      if (videoStream) {
+        videoStream.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, []);
+
+  // Fill the screen while the kiosk is open
+  useEffect(() => {
+    if (document.fullscreenEnabled && !document.fullscreenElement) {
+      document.documentElement.requestFullscreen().catch(() => {});
+    }
+    return () => {
+      clearTimeout(resetTimer.current);
+      if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+      }
+    };
+  }, []);
+
+  const handleExit = () => {
+    const pin = window.prompt("Enter the kiosk PIN to exit:");
+    if (pin === null) {
+      return;
+    }
+    if (pin === exitPin) {
+      onExit();
+    } else {
+      window.alert("Incorrect PIN.");
+    }
+  };
+
+  const isCheckOut = visit.eventType === CHECK_OUT;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-gray-900 text-white flex flex-col">
+      <div className="flex justify-between items-center px-4 py-2 text-sm text-gray-400">
+        <span>{stationName}{session && ` · ${session.title}`}</span>
+        <button onClick={handleExit} className="underline hover:text-white">Exit Kiosk</button>
+      </div>
+
+      <div className="relative flex-1 bg-black overflow-hidden">
+        <video ref={videoRef} autoPlay muted playsInline className="w-full h-full object-cover"></video>
+
+        {/* Guide frame the person should step into */}
+        {visit.stage === WATCHING && stream && (
+          <div className="absolute inset-0 flex flex-col items-center justify-center pointer-events-none">
+            <div
+              className={`w-1/3 h-2/3 rounded-3xl border-4 transition-colors duration-200 ${status === AUTO_CAPTURE_HOLDING ? 'border-green-400' : 'border-white border-opacity-50'}`}
+            ></div>
+            <p className="mt-4 text-3xl font-semibold drop-shadow-lg">{WATCHING_PROMPTS[status] || 'Step in front of the camera to check in'}</p>
+            {status === AUTO_CAPTURE_HOLDING && (
+              <div className="mt-3 w-64 h-2 bg-gray-700 rounded-full overflow-hidden">
+                <div className="h-full bg-green-400 transition-all duration-200" style={{ width: `${progress * 100}%` }}></div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {cameraError && (
+          <div className="absolute inset-0 flex items-center justify-center p-6 text-center text-2xl text-red-300">{cameraError}</div>
+        )}
+
+        {/* Liveness challenge: the live video stays visible so the person can follow the instruction */}
+        {visit.stage === CHALLENGE && (
+          <div className="absolute inset-x-0 bottom-0 p-6 bg-black bg-opacity-70 text-center">
+            <p className="text-5xl font-bold">{visit.message}</p>
+          </div>
+        )}
+
+        {(visit.stage === PROCESSING || visit.stage === ASKING_NAME) && (
+          <div className="absolute inset-0 bg-black bg-opacity-60 flex flex-col items-center justify-center p-6 text-center">
+            {visit.stage === ASKING_NAME ? (
+              <>
+                <p className="text-3xl font-semibold mb-4">{visit.message}</p>
+                <NameEntry
+                  people={people}
+                  large
+                  autoListen
+                  onConfirm={(name, person, identifiedBy) => {
+                    logCapture(name, person ? { person, confidence: null, identifiedBy } : null, { ...visit.capture, identifiedBy });
+                  }}
+                  onCancel={() => showResult({ stage: REJECTED, message: 'Your attendance was not logged.' })}
+                />
+              </>
+            ) : (
+              <p className="text-4xl font-semibold animate-pulse">{visit.message}</p>
+            )}
+          </div>
+        )}
+
+        {/* Large confirmation screen */}
+        {visit.stage === CONFIRMED && (
+          <div className={`absolute inset-0 flex flex-col items-center justify-center p-6 text-center ${visit.queued ? 'bg-yellow-700' : (isCheckOut ? 'bg-blue-700' : 'bg-green-700')}`}>
+            <p className="text-3xl mb-2">{visit.queued ? 'Saved' : (isCheckOut ? 'Goodbye' : 'Welcome')}</p>
+            <p className="text-6xl sm:text-7xl font-bold mb-4 break-words">{visit.name}</p>
+            <p className="text-3xl">
+              {visit.queued ? 'Saved offline' : (isCheckOut ? 'Checked out' : 'Checked in')} at {visit.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </p>
+            {visit.queued && <p className="mt-4 text-lg">This station is offline. Your attendance will be logged when the connection returns.</p>}
+          </div>
+        )}
+
+        {visit.stage === REJECTED && (
+          <div className="absolute inset-0 bg-red-800 flex flex-col items-center justify-center p-6 text-center">
+            <p className="text-5xl font-bold mb-4">Not logged</p>
+            <p className="text-2xl max-w-2xl">{visit.message}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default KioskMode;
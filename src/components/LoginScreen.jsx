@@ -0,0 +1,137 @@
+// src/components/LoginScreen.jsx
+import React, { useState } from 'react';
+import { signInWithEmail, registerWithEmail, signInWithGoogle, resetPassword } from '../firebase/firebaseConfig.jsx';
+
+// Shared Tailwind classes of the form inputs
+const INPUT_CLASSES = 'w-full px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400';
+
+// Friendly text for the Firebase Auth errors a user can fix themselves
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'Please enter a valid email address.',
+  'auth/invalid-credential': 'Wrong email or password.',
+  'auth/wrong-password': 'Wrong email or password.',
+  'auth/user-not-found': 'Wrong email or password.',
+  'auth/email-already-in-use': 'An account with this email already exists. Sign in instead.',
+  'auth/weak-password': 'The password must be at least 6 characters long.',
+  'auth/too-many-requests': 'Too many attempts. Please wait a moment and try again.',
+  'auth/popup-closed-by-user': 'The Google sign-in window was closed before finishing.',
+  'auth/network-request-failed': 'Could not reach the sign-in service. Check your connection.',
+};
+
+/**
+ * Returns a message suitable for showing to the user for a failed sign-in.
+ * @param {Error} error - Error thrown by Firebase Auth.
+ * @returns {string}
+ */
+const describeAuthError = (error) => AUTH_ERROR_MESSAGES[error.code] || `Sign-in failed: ${error.message}`;
+
+/**
+ * Sign-in and registration with email/password or a Google account.
+ * @param {Object} props
+ * @param {Function} props.setMessage - React state setter for general messages.
+ */
+function LoginScreen({ setMessage }) {
+  const [mode, setMode] = useState('signIn'); // 'signIn' or 'register'
+  const [displayName, setDisplayName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Runs a sign-in action, showing friendly errors; on success the auth listener in App takes over
+  const run = async (action) => {
+    setIsSubmitting(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error("Authentication error:", error);
+      setMessage(describeAuthError(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!email.trim() || !password) {
+      setMessage("Please enter your email and password.");
+      return;
+    }
+    run(() => (mode === 'register'
+      ? registerWithEmail(email.trim(), password, displayName.trim())
+      : signInWithEmail(email.trim(), password)));
+  };
+
+  const handleResetPassword = () => {
+    if (!email.trim()) {
+      setMessage("Enter your email address first, then click 'Forgot password?' again.");
+      return;
+    }
+    run(async () => {
+      await resetPassword(email.trim());
+      setMessage(`A password reset email was sent to ${email.trim()}.`);
+    });
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-lg p-4 sm:p-6 w-full max-w-sm flex flex-col items-center">
+      <h2 className="text-xl sm:text-2xl font-semibold mb-4">{mode === 'register' ? 'Create an Account' : 'Sign In'}</h2>
+
+      <form onSubmit={handleSubmit} className="w-full flex flex-col gap-2">
+        {mode === 'register' && (
+          <input
+            type="text"
+            value={displayName}
+            onChange={(e) => setDisplayName(e.target.value)}
+            placeholder="Your name"
+            autoComplete="name"
+            className={INPUT_CLASSES}
+          />
+        )}
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Email"
+          autoComplete="email"
+          className={INPUT_CLASSES}
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+          className={INPUT_CLASSES}
+        />
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="mt-2 bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? 'Please wait...' : (mode === 'register' ? 'Create Account' : 'Sign In')}
+        </button>
+      </form>
+
+      <button
+        onClick={() => run(signInWithGoogle)}
+        disabled={isSubmitting}
+        className="mt-3 w-full bg-white hover:bg-gray-100 text-gray-900 font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Continue with Google
+      </button>
+
+      <div className="mt-4 flex justify-between w-full text-xs text-indigo-200">
+        <button onClick={() => setMode(mode === 'register' ? 'signIn' : 'register')} className="underline hover:text-white">
+          {mode === 'register' ? 'Already have an account? Sign in' : 'No account yet? Register'}
+        </button>
+        {mode === 'signIn' && (
+          <button onClick={handleResetPassword} disabled={isSubmitting} className="underline hover:text-white">
+            Forgot password?
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LoginScreen;
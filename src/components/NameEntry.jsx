@@ -0,0 +1,184 @@
+// src/components/NameEntry.jsx
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { rankNameCandidates } from '../utils/nameMatching.jsx';
+import {
+  SPEECH_LANGUAGES, getSpeechLanguage, setSpeechLanguage, describeLanguage, isSpeechRecognitionSupported, createSpeechRecognition
+} from '../utils/speech.jsx';
+
+/**
+ * Name step for a face that was not recognized: the name is spoken or typed, fuzzy-matched against the people
+ * directory, and only logged once it is confirmed, either as one of the top candidates or as entered.
+ * @param {Object} props
+ * @param {Array<Object>} props.people - People directory.
+ * @param {Function} props.onConfirm - Called with (name, person, identifiedBy): 'person' is the confirmed directory
+ *   entry or null, 'identifiedBy' is 'voice' when the name was spoken and 'manual' when it was typed or edited.
+ * @param {Function} [props.onCancel] - Closes the name step without logging.
+ * @param {boolean} [props.autoListen] - Starts listening right away (kiosk).
+ * @param {boolean} [props.large] - Large text and buttons for the full-screen kiosk.
+ * @param {boolean} [props.disabled] - Disables confirming, e.g. while a record is being logged.
+ */
+function NameEntry({ people, onConfirm, onCancel, autoListen = false, large = false, disabled = false }) {
+  const [text, setText] = useState('');
+  const [heard, setHeard] = useState([]); // Transcripts of the last utterance, best first
+  const [isListening, setIsListening] = useState(false);
+  const [speechError, setSpeechError] = useState('');
+  const [language, setLanguage] = useState(getSpeechLanguage);
+  const recognitionRef = useRef(null);
+  const inputRef = useRef(null);
+  const canListen = isSpeechRecognitionSupported();
+
+  // Whether the name in the box is still the one that was heard, unedited
+  const isSpoken = heard.length > 0 && text === heard[0];
+
+  // The best matches of the entered name; a spoken name is also matched through the recognizer's alternatives
+  const candidates = useMemo(() => {
+    const inputs = isSpoken ? heard : [text];
+    const best = new Map();
+    inputs.forEach(input => rankNameCandidates(people, input).forEach(candidate => {
+      const current = best.get(candidate.person.id);
+      if (!current || candidate.score > current.score) {
+        best.set(candidate.person.id, candidate);
+      }
+    }));
+    return [...best.values()].sort((a, b) => b.score - a.score).slice(0, 3);
+  }, [people, text, heard, isSpoken]);
+
+  const startListening = useCallback(() => {
+    const recognition = createSpeechRecognition(language);
+    if (!recognition) {
+      return;
+    }
+    recognition.onresult = (event) => {
+      const transcripts = Array.from(event.results[0]).map(alternative => alternative.transcript.trim()).filter(Boolean);
+      setHeard(transcripts);
+      setText(transcripts[0] || '');
+    };
+    recognition.onerror = (event) => {
+      console.error("Speech recognition error:", event.error);
+      setSpeechError(event.error === 'no-speech' ? "Didn't catch that. Try again or type the name." : `Voice input error: ${event.error}. Please type the name instead.`);
+    };
+    recognition.onend = () => {
+      setIsListening(false);
+      recognitionRef.current = null;
+    };
+    setSpeechError('');
+    setIsListening(true);
+    recognitionRef.current = recognition;
+    recognition.start();
+  }, [language]);
+
+  // Listen straight away where asked to, otherwise start with the keyboard (only when the step opens)
+  const hasOpenedRef = useRef(false);
+  useEffect(() => {
+    if (hasOpenedRef.current) {
+      return;
+    }
+    hasOpenedRef.current = true;
+    if (autoListen && canListen) {
+      startListening();
+    } else if (inputRef.current) {
+      inputRef.current.focus();
+    }
+  }, [autoListen, canListen, startListening]);
+
+  // Stop listening when the step closes
+  useEffect(() => () => {
+    if (recognitionRef.current) {
+      recognitionRef.current.abort();
+    }
+  }, []);
+
+  const handleLanguageChange = (value) => {
+    setSpeechLanguage(value);
+    setLanguage(value);
+  };
+
+  const confirm = (name, person) => onConfirm(name, person, isSpoken ? 'voice' : 'manual');
+
+  const buttonSize = large ? 'py-4 px-6 text-2xl' : 'py-2 px-4 text-sm';
+  return (
+    <div className={`w-full p-3 rounded-lg bg-gray-700 text-left ${large ? 'max-w-2xl text-xl' : 'text-sm'}`}>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (disabled) return;
+          // Enter picks the best match, or the name as entered when nobody matches
+          if (candidates.length > 0) confirm(candidates[0].person.name, candidates[0].person);
+          else if (text.trim()) confirm(text.trim(), null);
+        }}
+        className="flex gap-2"
+      >
+        <input
+          ref={inputRef}
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={isListening ? 'Listening...' : 'Type or say the name'}
+          className={`flex-1 min-w-0 px-3 rounded-lg bg-gray-600 border border-gray-500 text-white placeholder-gray-400 ${large ? 'py-3 text-2xl' : 'py-2'}`}
+        />
+        {canListen && (
+          <button
+            type="button"
+            onClick={startListening}
+            disabled={isListening}
+            className={`bg-blue-500 hover:bg-blue-600 text-white font-bold rounded-lg shadow-md disabled:opacity-50 ${buttonSize}`}
+          >
+            {isListening ? 'Listening...' : 'Speak'}
+          </button>
+        )}
+      </form>
+      {speechError && <p className="mt-1 text-orange-200">{speechError}</p>}
+      {!canListen && <p className="mt-1 text-xs text-gray-400">Voice input is not available in this browser; please type the name.</p>}
+
+      {/* Top matches from the directory, to confirm with one click */}
+      {candidates.length > 0 && (
+        <div className="mt-3 flex flex-col gap-2">
+          <p className="text-gray-300">Did you mean:</p>
+          {candidates.map(({ person, score }) => (
+            <button
+              key={person.id}
+              onClick={() => confirm(person.name, person)}
+              disabled={disabled}
+              className={`bg-green-600 hover:bg-green-700 text-white font-bold rounded-lg shadow-md text-left disabled:opacity-50 ${buttonSize}`}
+            >
+              {person.name}{person.externalId ? ` (${person.externalId})` : ''}
+              <span className="ml-2 font-normal opacity-75">{Math.round(score * 100)}% match</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="mt-3 flex flex-wrap gap-2 items-center">
+        {text.trim() && (
+          <button
+            onClick={() => confirm(text.trim(), null)}
+            disabled={disabled}
+            className={`bg-gray-600 hover:bg-gray-500 text-white rounded-lg shadow-md disabled:opacity-50 ${buttonSize}`}
+          >
+            {candidates.length > 0 ? `None of these, log "${text.trim()}"` : `Log as "${text.trim()}"`}
+          </button>
+        )}
+        {onCancel && (
+          <button onClick={onCancel} className={`underline text-gray-300 hover:text-white ${large ? 'text-xl' : 'text-xs'}`}>Cancel</button>
+        )}
+        {/* Recognition language of this station */}
+        {canListen && !large && (
+          <label className="ml-auto text-xs text-gray-400">
+            Voice language{' '}
+            <select
+              value={language}
+              onChange={(e) => handleLanguageChange(e.target.value)}
+              className="px-1 py-0.5 rounded bg-gray-600 border border-gray-500 text-white"
+            >
+              {[...new Set([language, ...SPEECH_LANGUAGES])].map(tag => (
+                <option key={tag} value={tag}>{describeLanguage(tag)}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default NameEntry;
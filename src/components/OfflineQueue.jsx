@@ -0,0 +1,90 @@
+// src/components/OfflineQueue.jsx
+import React from 'react';
+import { QUEUE_PENDING, QUEUE_CONFLICT, QUEUE_FAILED } from '../utils/offlineQueue.jsx';
+
+// Badge text and colors per queue status
+const STATUS_BADGES = {
+  [QUEUE_PENDING]: { label: 'Pending', className: 'bg-yellow-700 text-yellow-100' },
+  [QUEUE_CONFLICT]: { label: 'Duplicate', className: 'bg-orange-700 text-orange-100' },
+  [QUEUE_FAILED]: { label: 'Rejected', className: 'bg-red-700 text-red-100' },
+};
+
+/**
+ * Captures waiting on this device to be synced, with the decision needed for those that were rejected.
+ * @param {Object} props
+ * @param {Array<Object>} props.entries - Queued captures (see QueuedCapture in offlineQueue.jsx).
+ * @param {string|null} props.userId - The signed-in user's UID; captures of other accounts wait for them.
+ * @param {boolean} props.isOnline - Whether the browser reports a connection.
+ * @param {boolean} props.isSyncing - Whether a sync is running.
+ * @param {Function} props.onSync - Syncs the pending captures now.
+ * @param {Function} props.onRetry - Called with (entry, { override }) to put a capture back in line.
+ * @param {Function} props.onDiscard - Called with an entry to drop it from the queue.
+ */
+function OfflineQueue({ entries, userId, isOnline, isSyncing, onSync, onRetry, onDiscard }) {
+  return (
+    <div className="w-full mt-4 p-3 rounded-lg bg-gray-700 text-left text-sm">
+      <div className="flex justify-between items-center mb-2">
+        <p className="font-semibold">Waiting to sync ({entries.length})</p>
+        <button
+          onClick={onSync}
+          disabled={!isOnline || isSyncing}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white text-xs font-bold py-1 px-3 rounded-lg shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSyncing ? 'Syncing...' : (isOnline ? 'Sync Now' : 'Offline')}
+        </button>
+      </div>
+      <ul className="divide-y divide-gray-600">
+        {entries.map(entry => {
+          const badge = STATUS_BADGES[entry.status] || STATUS_BADGES[QUEUE_PENDING];
+          return (
+            <li key={entry.id} className="py-2 flex gap-2 items-start">
+              {entry.imageDataUrl ? (
+                <img src={entry.imageDataUrl} alt={entry.record.personName} className="w-12 h-12 object-cover rounded-md border border-gray-600" />
+              ) : (
+                // QR and PIN check-ins have no image
+                <span className="w-12 h-12 flex-shrink-0 rounded-md border border-gray-600 bg-gray-600 flex items-center justify-center text-xs font-bold text-gray-300 uppercase">
+                  {entry.record.method}
+                </span>
+              )}
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold truncate">
+                  {entry.record.personName}
+                  <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${badge.className}`}>{badge.label}</span>
+                </p>
+                <p className="text-xs text-gray-400">
+                  Captured {new Date(entry.capturedAt).toLocaleString()}{entry.record.sessionTitle && ` · ${entry.record.sessionTitle}`}
+                </p>
+                {entry.lastError && <p className="text-xs text-orange-200">{entry.lastError}</p>}
+                {entry.record.loggedByUserId !== userId && (
+                  <p className="text-xs text-gray-400">Captured by another account; it syncs when that account signs in here.</p>
+                )}
+                {entry.status === QUEUE_CONFLICT && (
+                  <button onClick={() => onRetry(entry, { override: true })} className="mr-3 text-xs underline text-yellow-200 hover:text-white">
+                    Log Anyway (Operator Override)
+                  </button>
+                )}
+                {entry.status === QUEUE_FAILED && (
+                  <button onClick={() => onRetry(entry)} className="mr-3 text-xs underline text-indigo-200 hover:text-white">
+                    Retry
+                  </button>
+                )}
+                <button
+                  onClick={() => {
+                    if (window.confirm(`Discard the capture of ${entry.record.personName}? It will not be logged.`)) {
+                      onDiscard(entry);
+                    }
+                  }}
+                  className="text-xs underline text-red-200 hover:text-white"
+                >
+                  Discard
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default OfflineQueue;
@@ -0,0 +1,196 @@
+// src/components/RecordCorrection.jsx
+import React, { useMemo, useState } from 'react';
+import useRecordAudit from '../hooks/useRecordAudit.jsx';
+import useUsers from '../hooks/useUsers.jsx';
+import {
+  correctAttendanceRecord, isVoided, CORRECTION_VOID, CORRECTION_RESTORE
+} from '../firebase/attendanceStore.jsx';
+import { toDate } from '../utils/sessions.jsx';
+
+// Shared Tailwind classes of the form inputs
+const INPUT_CLASSES = 'w-full px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400 text-sm';
+
+// Labels of the audited fields and actions
+const FIELD_LABELS = { personName: 'Name', personId: 'Person', sessionId: 'Session', sessionTitle: 'Session title', voided: 'Voided' };
+const ACTION_LABELS = { edit: 'Edited', [CORRECTION_VOID]: 'Voided', [CORRECTION_RESTORE]: 'Restored' };
+
+/**
+ * Readable form of an audited value.
+ * @param {string} field - One of the correctable fields.
+ * @param {*} value
+ * @param {Map<string, Object>} peopleById - People directory by ID.
+ * @returns {string}
+ */
+const formatValue = (field, value, peopleById) => {
+  if (value === null || value === undefined || value === '') return '(none)';
+  if (field === 'voided') return value ? 'yes' : 'no';
+  if (field === 'personId') {
+    const person = peopleById.get(value);
+    return person ? `${person.name}${person.externalId ? ` (${person.externalId})` : ''}` : value;
+  }
+  return String(value);
+};
+
+/**
+ * Admin panel to correct an attendance record (name, linked person, session) or void it, with the
+ * record's audit trail. Every change requires a reason and is appended to the trail.
+ * @param {Object} props
+ * @param {Object} props.db - The Firestore database instance.
+ * @param {string} props.userId - The signed-in admin's UID.
+ * @param {Object} props.log - The attendance record being corrected.
+ * @param {Array<Object>} props.people - People directory.
+ * @param {Array<Object>} props.sessions - Sessions a record can be moved to.
+ * @param {Function} props.onCorrected - Called with the changed fields after a correction was saved.
+ * @param {Function} props.onClose - Closes the panel.
+ * @param {Function} props.setMessage - React state setter for general messages.
+ */
+function RecordCorrection({ db, userId, log, people, sessions, onCorrected, onClose, setMessage }) {
+  const [personName, setPersonName] = useState(log.personName || '');
+  const [personId, setPersonId] = useState(log.personId || '');
+  const [sessionId, setSessionId] = useState(log.sessionId || '');
+  const [reason, setReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const auditEntries = useRecordAudit(db, log.id, setMessage);
+  const users = useUsers(db, userId, setMessage);
+  const usersById = useMemo(() => new Map(users.map(user => [user.id, user])), [users]);
+  const peopleById = useMemo(() => new Map(people.map(person => [person.id, person])), [people]);
+  const voided = isVoided(log);
+
+  // Reassigning the record to a registered person also takes over their name
+  const handlePersonChange = (id) => {
+    setPersonId(id);
+    const person = peopleById.get(id);
+    if (person) {
+      setPersonName(person.name);
+    }
+  };
+
+  const save = async (changes) => {
+    setIsSaving(true);
+    try {
+      const { action, after } = await correctAttendanceRecord(db, userId, log.id, changes, reason);
+      setMessage(`${ACTION_LABELS[action]} the record of ${after.personName || log.personName}.`);
+      setReason('');
+      onCorrected(after);
+    } catch (error) {
+      console.error("Error correcting attendance record:", error);
+      setMessage(`Could not correct the record: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const session = sessions.find(option => option.id === sessionId) || null;
+    // The record keeps the session title it was logged with unless it is moved to another session
+    const sessionChanges = sessionId === (log.sessionId || '')
+      ? {}
+      : { sessionId: session ? session.id : null, sessionTitle: session ? session.title : null };
+    save({ personName: personName.trim(), personId: personId || null, ...sessionChanges });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black bg-opacity-80 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-gray-800 rounded-xl shadow-lg p-4 sm:p-6 w-full max-w-lg max-h-full overflow-y-auto text-left"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold">Correct Record</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-white" title="Close">✕</button>
+        </div>
+        <p className="text-xs text-gray-400 mb-4">
+          Logged {log.timestamp ? toDate(log.timestamp).toLocaleString() : ''}{log.stationName && ` at ${log.stationName}`}
+          {voided && <span className="ml-2 px-2 py-0.5 rounded-full bg-red-700 text-red-100">Voided</span>}
+        </p>
+
+        <form onSubmit={handleSave} className="flex flex-col gap-2">
+          <label className="text-sm text-gray-300">
+            Registered person
+            <select value={personId} onChange={(e) => handlePersonChange(e.target.value)} className={INPUT_CLASSES}>
+              <option value="">Not linked to the directory</option>
+              {people.map(person => (
+                <option key={person.id} value={person.id}>{person.name}{person.externalId ? ` (${person.externalId})` : ''}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm text-gray-300">
+            Name
+            <input type="text" value={personName} onChange={(e) => setPersonName(e.target.value)} className={INPUT_CLASSES} />
+          </label>
+          <label className="text-sm text-gray-300">
+            Session
+            <select value={sessionId} onChange={(e) => setSessionId(e.target.value)} className={INPUT_CLASSES}>
+              <option value="">No session</option>
+              {/* A record of a deleted session keeps its title */}
+              {log.sessionId && !sessions.some(session => session.id === log.sessionId) && (
+                <option value={log.sessionId}>{log.sessionTitle || log.sessionId}</option>
+              )}
+              {sessions.map(session => <option key={session.id} value={session.id}>{session.title}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-300">
+            Reason (required)
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="e.g. Name misheard by speech recognition"
+              className={INPUT_CLASSES}
+            />
+          </label>
+          <div className="flex flex-wrap gap-2 mt-2">
+            <button
+              type="submit"
+              disabled={isSaving || !reason.trim() || !personName.trim()}
+              className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSaving ? 'Saving...' : 'Save Correction'}
+            </button>
+            <button
+              type="button"
+              onClick={() => save({ voided: !voided })}
+              disabled={isSaving || !reason.trim()}
+              className={`${voided ? 'bg-green-700 hover:bg-green-600' : 'bg-red-700 hover:bg-red-600'} text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50 disabled:cursor-not-allowed`}
+            >
+              {voided ? 'Restore Record' : 'Void Record'}
+            </button>
+          </div>
+        </form>
+
+        {/* Append-only audit trail of the record */}
+        <h4 className="font-semibold mt-6 mb-2">History</h4>
+        {auditEntries.length === 0 ? (
+          <p className="text-sm text-gray-400">This record has not been corrected.</p>
+        ) : (
+          <ul className="divide-y divide-gray-700 text-sm">
+            {auditEntries.map(entry => {
+              const author = usersById.get(entry.changedByUserId);
+              return (
+                <li key={entry.id} className="py-2">
+                  <p>
+                    <span className="font-semibold">{ACTION_LABELS[entry.action] || entry.action}</span>
+                    {' by '}{author ? (author.displayName || author.email) : entry.changedByUserId}
+                    <span className="text-gray-400"> · {entry.changedAt ? toDate(entry.changedAt).toLocaleString() : ''}</span>
+                  </p>
+                  <p className="text-xs text-gray-300 italic">&ldquo;{entry.reason}&rdquo;</p>
+                  <ul className="text-xs text-gray-400">
+                    {Object.keys(entry.after || {}).map(field => (
+                      <li key={field}>
+                        {FIELD_LABELS[field] || field}: {formatValue(field, entry.before[field], peopleById)} → {formatValue(field, entry.after[field], peopleById)}
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RecordCorrection;
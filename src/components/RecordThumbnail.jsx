@@ -0,0 +1,55 @@
+// src/components/RecordThumbnail.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import useStoredImage from '../hooks/useStoredImage.jsx';
+
+// Shown when an image cannot be loaded
+const PLACEHOLDER_URL = "https://placehold.co/128x128/333/fff?text=No+Image";
+
+/**
+ * Thumbnail of an attendance record in the log grid. The thumbnail is only downloaded once it scrolls into view;
+ * older records carry their image inline in 'image'.
+ * @param {Object} props
+ * @param {Object} props.storage - The Cloud Storage instance.
+ * @param {Object} props.log - The attendance record.
+ * @param {Function} props.onOpen - Called when the thumbnail is clicked, to open the full image.
+ */
+function RecordThumbnail({ storage, log, onOpen }) {
+  const buttonRef = useRef(null);
+  const [isVisible, setIsVisible] = useState(typeof IntersectionObserver === 'undefined');
+  const stored = useStoredImage(storage, isVisible ? log.thumbnailPath || null : null);
+
+  // Start the download when the thumbnail comes near the viewport
+  useEffect(() => {
+    const button = buttonRef.current;
+    if (isVisible || !button) {
+      return;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        setIsVisible(true);
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(button);
+    return () => observer.disconnect();
+  }, [isVisible]);
+
+  const src = log.thumbnailPath ? (stored.failed ? PLACEHOLDER_URL : stored.url) : log.image;
+
+  return (
+    <button ref={buttonRef} onClick={() => onOpen(log)} className="w-full mb-2" title="View full image">
+      {src ? (
+        <img
+          src={src}
+          alt={log.personName || "Attendee"}
+          className="w-full h-32 object-cover rounded-md border border-gray-600"
+          // Fallback image in case the image fails to load
+          onError={(e) => { e.target.onerror = null; e.target.src = PLACEHOLDER_URL; }}
+        />
+      ) : (
+        <div className="w-full h-32 rounded-md border border-gray-600 bg-gray-800 animate-pulse"></div>
+      )}
+    </button>
+  );
+}
+
+export default RecordThumbnail;
@@ -0,0 +1,175 @@
+// src/components/Reports.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import useSessions from '../hooks/useSessions.jsx';
+import useStations from '../hooks/useStations.jsx';
+import useUrlFilters from '../hooks/useUrlFilters.jsx';
+import FilterBar from './FilterBar.jsx';
+import TrendChart from './TrendChart.jsx';
+import { fetchAttendanceRecords } from '../firebase/attendanceQueries.jsx';
+import { filterLogsByName } from '../utils/attendanceFilters.jsx';
+import { computeReport, formatMinutesOfDay, REPORT_PERIODS } from '../utils/reports.jsx';
+
+// Short time format used for first and last arrivals of a period
+const formatDateTime = (date) => (date ? date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '-');
+
+/**
+ * Attendance reports computed locally from every record matching the filters: counts per day, week or
+ * month, a trend chart, and per-person attendance rates and arrival times. The page can be printed.
+ * @param {Object} props
+ * @param {Object} props.db - The Firestore database instance.
+ * @param {string|null} props.userId - The signed-in user's UID.
+ * @param {Function} props.setMessage - React state setter for general messages.
+ */
+function Reports({ db, userId, setMessage }) {
+  // Same URL-backed filters as the attendance log, so switching views keeps the selection
+  const [filters, updateFilters] = useUrlFilters();
+  const [period, setPeriod] = useState('day'); // One of the REPORT_PERIODS ids
+  const [records, setRecords] = useState([]); // Records matching the server-side filters
+  const [isLoading, setIsLoading] = useState(false);
+
+  const sessions = useSessions(db, userId, setMessage);
+  const stations = useStations(db, userId, setMessage);
+
+  // Refetch when a server-side filter changes; the name search is applied locally below
+  const { from, to, sessionId, stationId } = filters;
+  useEffect(() => {
+    if (!db || !userId) {
+      return;
+    }
+    let isCurrent = true;
+    setIsLoading(true);
+    fetchAttendanceRecords(db, { name: '', from, to, sessionId, stationId })
+      .then(logs => {
+        if (isCurrent) setRecords(logs);
+      })
+      .catch(error => {
+        console.error("Error loading report data:", error);
+        setMessage("Failed to load attendance records for the report.");
+      })
+      .finally(() => {
+        if (isCurrent) setIsLoading(false);
+      });
+    // Ignore the response of a superseded request
+    return () => { isCurrent = false; };
+  }, [db, userId, from, to, sessionId, stationId, setMessage]);
+
+  const report = useMemo(
+    () => computeReport(filterLogsByName(records, filters.name), period),
+    [records, filters.name, period]
+  );
+  const periodLabel = REPORT_PERIODS.find(option => option.id === period).label;
+
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-lg p-4 sm:p-6 w-full max-w-3xl print:max-w-none print:shadow-none print:bg-white print:text-black">
+      <h2 className="text-xl sm:text-2xl font-semibold mb-4 text-center">Attendance Reports</h2>
+
+      <div className="print:hidden">
+        <FilterBar filters={filters} onChange={updateFilters} sessions={sessions} stations={stations} />
+
+        {/* Period toggle and print action */}
+        <div className="mb-4 flex flex-wrap items-center justify-between gap-2">
+          <div className="flex rounded-lg overflow-hidden border border-gray-600">
+            {REPORT_PERIODS.map(({ id, label }) => (
+              <button
+                key={id}
+                onClick={() => setPeriod(id)}
+                className={`px-3 py-1 text-sm font-semibold transition-all duration-200 ${period === id ? 'bg-white text-gray-900' : 'bg-gray-700 hover:bg-gray-600 text-white'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => window.print()}
+            disabled={report.totalCheckIns === 0}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-1 px-4 rounded-lg shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Print
+          </button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <p className="text-center text-gray-400">Loading records...</p>
+      ) : report.totalCheckIns === 0 ? (
+        <p className="text-center text-gray-400">No check-ins match these filters.</p>
+      ) : (
+        <>
+          {/* Totals */}
+          <div className="mb-6 grid grid-cols-3 gap-2 text-center">
+            {[
+              ['Check-ins', report.totalCheckIns],
+              ['People', report.totalAttendees],
+              ['Reporting days', report.reportingDays],
+            ].map(([label, value]) => (
+              <div key={label} className="p-3 rounded-lg bg-gray-700 print:bg-white print:border print:border-gray-300">
+                <p className="text-2xl font-bold">{value}</p>
+                <p className="text-xs text-gray-400 print:text-gray-600">{label}</p>
+              </div>
+            ))}
+          </div>
+
+          <h3 className="text-lg font-semibold mb-2">{periodLabel} Trend</h3>
+          <TrendChart periods={report.periods} />
+
+          {/* Counts and first/last arrivals per period */}
+          <h3 className="text-lg font-semibold mb-2">{periodLabel} Attendance</h3>
+          <table className="w-full text-sm text-left mb-6">
+            <thead className="text-gray-400 print:text-gray-600">
+              <tr>
+                <th className="py-1 pr-2">Period</th>
+                <th className="py-1 pr-2 text-right">Check-ins</th>
+                <th className="py-1 pr-2 text-right">People</th>
+                <th className="py-1 pr-2">First arrival</th>
+                <th className="py-1">Last arrival</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700 print:divide-gray-300">
+              {[...report.periods].reverse().map((row) => (
+                <tr key={row.start.getTime()}>
+                  <td className="py-1 pr-2">{row.label}</td>
+                  <td className="py-1 pr-2 text-right">{row.checkIns}</td>
+                  <td className="py-1 pr-2 text-right">{row.attendees}</td>
+                  <td className="py-1 pr-2">{formatDateTime(row.firstArrival)}</td>
+                  <td className="py-1">{formatDateTime(row.lastArrival)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {/* Attendance rate and arrival times per person */}
+          <h3 className="text-lg font-semibold mb-1">Per Person</h3>
+          <p className="text-xs text-gray-400 print:text-gray-600 mb-2">
+            Attendance rate is the share of the {report.reportingDays} reporting day(s) (days with at least one check-in) on which the person checked in.
+          </p>
+          <table className="w-full text-sm text-left">
+            <thead className="text-gray-400 print:text-gray-600">
+              <tr>
+                <th className="py-1 pr-2">Name</th>
+                <th className="py-1 pr-2 text-right">Days</th>
+                <th className="py-1 pr-2 text-right">Rate</th>
+                <th className="py-1 pr-2">Earliest</th>
+                <th className="py-1 pr-2">Average</th>
+                <th className="py-1">Latest arrival</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700 print:divide-gray-300">
+              {report.people.map((person) => (
+                <tr key={person.personKey}>
+                  <td className="py-1 pr-2">{person.personName}</td>
+                  <td className="py-1 pr-2 text-right">{person.daysAttended}</td>
+                  <td className="py-1 pr-2 text-right">{Math.round(person.rate * 100)}%</td>
+                  <td className="py-1 pr-2">{formatMinutesOfDay(person.earliestArrival)}</td>
+                  <td className="py-1 pr-2">{formatMinutesOfDay(person.averageArrival)}</td>
+                  <td className="py-1">{formatMinutesOfDay(person.latestArrival)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Reports;
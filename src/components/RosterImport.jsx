@@ -0,0 +1,151 @@
+// src/components/RosterImport.jsx
+import React, { useState } from 'react';
+import usePeople from '../hooks/usePeople.jsx';
+import { readRosterFile, validateRoster, ROSTER_FIELDS } from '../utils/roster.jsx';
+import { importRoster } from '../firebase/peopleDirectory.jsx';
+
+// Badge colours of the import actions shown in the preview
+const ACTION_STYLES = {
+  create: 'bg-green-700 text-green-100',
+  update: 'bg-blue-700 text-blue-100',
+  unchanged: 'bg-gray-600 text-gray-200',
+};
+
+/**
+ * Imports a roster CSV (name, external ID, email, group) into the people directory.
+ * The file is validated and previewed first; nothing is written until the import is confirmed.
+ * @param {Object} props
+ * @param {Object} props.db - The Firestore database instance.
+ * @param {string|null} props.userId - The signed-in user's UID.
+ * @param {Function} props.setMessage - React state setter for general messages.
+ */
+function RosterImport({ db, userId, setMessage }) {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState(null); // Validated rows of the selected file, null when none is selected
+  const [isImporting, setIsImporting] = useState(false);
+
+  const people = usePeople(db, userId, setMessage);
+
+  const validRows = rows ? rows.filter(row => row.errors.length === 0) : [];
+  const pendingCount = validRows.filter(row => row.action !== 'unchanged').length;
+  const errorCount = rows ? rows.length - validRows.length : 0;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again after fixing it
+    if (!file) {
+      return;
+    }
+    try {
+      const text = await readRosterFile(file);
+      const parsedRows = validateRoster(text, people);
+      if (parsedRows.length === 0) {
+        setMessage(`${file.name} does not contain any rows.`);
+        return;
+      }
+      setFileName(file.name);
+      setRows(parsedRows);
+    } catch (error) {
+      console.error("Error reading roster:", error);
+      setMessage(`Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  const cancelImport = () => {
+    setFileName('');
+    setRows(null);
+  };
+
+  const confirmImport = async () => {
+    if (!db || !userId) {
+      setMessage("Import not enabled (Firebase not ready or user not authenticated).");
+      return;
+    }
+    setIsImporting(true);
+    try {
+      const { created, updated } = await importRoster(db, userId, rows);
+      setMessage(`Roster imported: ${created} added, ${updated} updated${errorCount > 0 ? `, ${errorCount} row(s) with errors skipped` : ''}.`);
+      cancelImport();
+    } catch (error) {
+      console.error("Error importing roster:", error);
+      setMessage(`Error importing roster: ${error.message}.`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-lg p-4 sm:p-6 mb-6 w-full max-w-2xl">
+      <h2 className="text-xl sm:text-2xl font-semibold mb-2 text-center">Import Roster</h2>
+      <p className="text-sm text-gray-400 mb-4 text-center">
+        CSV with the columns {ROSTER_FIELDS.map(field => field.label).join(', ')}. People are matched on their external ID:
+        existing entries are updated, new ones are added and can be enrolled with photos later.
+      </p>
+
+      {!rows ? (
+        <label className="block text-center">
+          <span className="inline-block bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow-md cursor-pointer">
+            Choose CSV File
+          </span>
+          <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="hidden" />
+        </label>
+      ) : (
+        <>
+          <p className="text-sm mb-2">
+            <span className="font-semibold">{fileName}</span>: {rows.length} row(s), {pendingCount} to import
+            {errorCount > 0 && <span className="text-red-300"> · {errorCount} with errors (will be skipped)</span>}
+          </p>
+
+          {/* Preview of every row with the action it will lead to and its validation errors */}
+          <div className="max-h-96 overflow-auto rounded-lg border border-gray-700">
+            <table className="w-full text-xs text-left">
+              <thead className="bg-gray-700 sticky top-0">
+                <tr>
+                  <th className="py-1 px-2">Line</th>
+                  {ROSTER_FIELDS.map(field => <th key={field.key} className="py-1 px-2">{field.label}</th>)}
+                  <th className="py-1 px-2">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {rows.map((row) => (
+                  <tr key={row.line} className={row.errors.length > 0 ? 'bg-red-900 bg-opacity-40' : ''}>
+                    <td className="py-1 px-2 text-gray-400">{row.line}</td>
+                    {ROSTER_FIELDS.map(field => <td key={field.key} className="py-1 px-2 break-all">{row[field.key]}</td>)}
+                    <td className="py-1 px-2">
+                      {row.errors.length > 0 ? (
+                        <ul className="text-red-300">
+                          {row.errors.map(error => <li key={error}>{error}</li>)}
+                        </ul>
+                      ) : (
+                        <span className={`px-2 py-0.5 rounded-full ${ACTION_STYLES[row.action]}`}>{row.action}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mt-4 flex justify-center gap-3">
+            <button
+              onClick={confirmImport}
+              disabled={isImporting || pendingCount === 0}
+              className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isImporting ? 'Importing...' : `Import ${pendingCount} Row(s)`}
+            </button>
+            <button
+              onClick={cancelImport}
+              disabled={isImporting}
+              className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RosterImport;
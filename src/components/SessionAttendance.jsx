@@ -0,0 +1,50 @@
+// src/components/SessionAttendance.jsx
+import React from 'react';
+
+// Short time format used for arrival times
+const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Roster check of the selected session: absentees (once the session has ended), late arrivals and
+ * people who have not checked in yet.
+ * @param {Object} props
+ * @param {Object} props.attendance - Result of computeSessionAttendance.
+ */
+function SessionAttendance({ attendance }) {
+  const expectedCount = attendance.onTime.length + attendance.late.length + attendance.absent.length + attendance.pending.length;
+  if (expectedCount === 0) {
+    return <p className="mb-4 text-center text-sm text-gray-400">This session has no expected roster.</p>;
+  }
+
+  return (
+    <div className="mb-4 grid grid-cols-1 sm:grid-cols-2 gap-2 text-left text-sm">
+      <div className="p-3 rounded-lg bg-red-900 bg-opacity-60">
+        <p className="font-semibold text-red-200 mb-1">
+          {attendance.isFinal ? `Absent (${attendance.absent.length} of ${expectedCount})` : `Not checked in yet (${attendance.pending.length} of ${expectedCount})`}
+        </p>
+        {(attendance.isFinal ? attendance.absent : attendance.pending).length === 0 ? (
+          <p className="text-xs text-red-100">Everyone on the roster checked in.</p>
+        ) : (
+          <ul className="text-xs text-red-100">
+            {(attendance.isFinal ? attendance.absent : attendance.pending).map(person => <li key={person.personId}>{person.name}</li>)}
+          </ul>
+        )}
+        {!attendance.isFinal && <p className="text-xs text-gray-400 mt-1">Absentees are determined when the session ends.</p>}
+      </div>
+      <div className="p-3 rounded-lg bg-orange-900 bg-opacity-60">
+        <p className="font-semibold text-orange-200 mb-1">Late ({attendance.late.length})</p>
+        {attendance.late.length === 0 ? (
+          <p className="text-xs text-orange-100">Nobody arrived late.</p>
+        ) : (
+          <ul className="text-xs text-orange-100">
+            {attendance.late.map(person => (
+              <li key={person.personId}>{person.name} · {formatTime(person.arrivedAt)} ({person.minutesLate} min late)</li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SessionAttendance;
@@ -0,0 +1,220 @@
+// src/components/SessionManager.jsx
+import React, { useState } from 'react';
+// Import necessary Firestore functions for creating and removing sessions
+import { addDoc, deleteDoc, doc, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { getSessionsCollection } from '../firebase/collections.jsx';
+import usePeople from '../hooks/usePeople.jsx';
+import useSessions from '../hooks/useSessions.jsx';
+import { getSessionStatus, formatSessionWindow } from '../utils/sessions.jsx';
+
+// Tailwind classes for the status badge of each session
+const STATUS_STYLES = {
+  upcoming: 'bg-blue-700 text-blue-100',
+  open: 'bg-green-700 text-green-100',
+  closed: 'bg-gray-600 text-gray-200',
+};
+
+function SessionManager({ db, userId, setMessage }) {
+  const [title, setTitle] = useState(''); // Session title, e.g. "Physics 101 – Lecture 4"
+  const [startTime, setStartTime] = useState(''); // Value of the datetime-local input
+  const [endTime, setEndTime] = useState(''); // Value of the datetime-local input
+  const [rosterIds, setRosterIds] = useState([]); // IDs of the enrolled people expected to attend
+  const [lateAfterMinutes, setLateAfterMinutes] = useState('5'); // Grace period before a check-in counts as late
+  const [isSaving, setIsSaving] = useState(false);
+
+  const people = usePeople(db, userId, setMessage);
+  const sessions = useSessions(db, userId, setMessage);
+
+  // Groups of the people directory (e.g. classes imported from a roster), for adding a whole group at once
+  const groups = [...new Set(people.map(person => person.group).filter(Boolean))].sort();
+
+  const toggleRosterPerson = (personId) => {
+    setRosterIds(prev => (prev.includes(personId) ? prev.filter(id => id !== personId) : [...prev, personId]));
+  };
+
+  const addGroupToRoster = (group) => {
+    const groupIds = people.filter(person => person.group === group).map(person => person.id);
+    setRosterIds(prev => [...new Set([...prev, ...groupIds])]);
+  };
+
+  // Writes the new session to Firestore
+  const createSession = async () => {
+    const trimmedTitle = title.trim();
+    if (!trimmedTitle || !startTime || !endTime) {
+      setMessage("Please enter a title, a start time and an end time.");
+      return;
+    }
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    if (end <= start) {
+      setMessage("The session must end after it starts.");
+      return;
+    }
+    const graceMinutes = Number(lateAfterMinutes);
+    if (!Number.isInteger(graceMinutes) || graceMinutes < 0) {
+      setMessage("The late threshold must be a whole number of minutes.");
+      return;
+    }
+    if (!db || !userId) {
+      setMessage("Sessions not enabled (Firebase not ready or user not authenticated).");
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await addDoc(getSessionsCollection(db), {
+        title: trimmedTitle,
+        startTime: Timestamp.fromDate(start),
+        endTime: Timestamp.fromDate(end),
+        lateAfterMinutes: graceMinutes, // Check-ins later than this after the start are late
+        // Names are copied so the roster stays readable even if a person is later removed from the registry
+        roster: people.filter(person => rosterIds.includes(person.id)).map(person => ({ personId: person.id, name: person.name })),
+        createdAt: serverTimestamp(),
+        createdByUserId: userId
+      });
+      setMessage(`Session "${trimmedTitle}" created.`);
+      setTitle('');
+      setStartTime('');
+      setEndTime('');
+      setRosterIds([]);
+      setLateAfterMinutes('5');
+    } catch (error) {
+      console.error("Error creating session:", error);
+      setMessage(`Error creating session: ${error.message}.`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const removeSession = async (session) => {
+    if (!window.confirm(`Delete session "${session.title}"? Its attendance records are kept.`)) {
+      return;
+    }
+    try {
+      await deleteDoc(doc(getSessionsCollection(db), session.id));
+      setMessage(`Session "${session.title}" deleted.`);
+    } catch (error) {
+      console.error("Error deleting session:", error);
+      setMessage(`Error deleting session: ${error.message}.`);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-lg p-4 sm:p-6 mb-6 w-full max-w-md flex flex-col items-center">
+      <h2 className="text-xl sm:text-2xl font-semibold mb-4">Create a Session</h2>
+
+      <div className="w-full flex flex-col gap-2">
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="Title (e.g., Physics 101 – Lecture 4)"
+          className="w-full px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400"
+        />
+        <label className="text-sm text-gray-300 text-left">
+          Starts
+          <input
+            type="datetime-local"
+            value={startTime}
+            onChange={(e) => setStartTime(e.target.value)}
+            className="w-full mt-1 px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 text-white"
+          />
+        </label>
+        <label className="text-sm text-gray-300 text-left">
+          Ends
+          <input
+            type="datetime-local"
+            value={endTime}
+            onChange={(e) => setEndTime(e.target.value)}
+            className="w-full mt-1 px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 text-white"
+          />
+        </label>
+        <label className="text-sm text-gray-300 text-left">
+          Late after (minutes past the start)
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={lateAfterMinutes}
+            onChange={(e) => setLateAfterMinutes(e.target.value)}
+            className="w-full mt-1 px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 text-white"
+          />
+        </label>
+
+        {/* Expected roster, picked from the enrolled people; absentees are determined against it when the session ends */}
+        <p className="text-sm text-gray-300 text-left mt-2">Expected roster ({rosterIds.length} selected)</p>
+        {groups.length > 0 && (
+          <div className="flex flex-wrap gap-1 text-left">
+            {groups.map((group) => (
+              <button
+                key={group}
+                onClick={() => addGroupToRoster(group)}
+                className="bg-gray-600 hover:bg-gray-500 text-white text-xs py-0.5 px-2 rounded-full"
+              >
+                + {group}
+              </button>
+            ))}
+          </div>
+        )}
+        {people.length === 0 ? (
+          <p className="text-xs text-gray-400 text-left">Enroll people first to build a roster.</p>
+        ) : (
+          <div className="max-h-40 overflow-y-auto rounded-lg bg-gray-700 border border-gray-600 p-2 text-left">
+            {people.map((person) => (
+              <label key={person.id} className="flex items-center gap-2 text-sm py-0.5">
+                <input
+                  type="checkbox"
+                  checked={rosterIds.includes(person.id)}
+                  onChange={() => toggleRosterPerson(person.id)}
+                />
+                {person.name} <span className="text-xs text-gray-400">({person.externalId})</span>
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <button
+        onClick={createSession}
+        disabled={isSaving}
+        className="mt-4 bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center min-w-[120px] disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isSaving ? 'Saving...' : 'Create Session'}
+      </button>
+
+      {/* Existing sessions */}
+      <div className="mt-6 w-full">
+        <h3 className="text-lg font-semibold mb-2">Sessions ({sessions.length})</h3>
+        {sessions.length === 0 ? (
+          <p className="text-sm text-gray-400">No sessions yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-700">
+            {sessions.map((session) => {
+              const status = getSessionStatus(session);
+              return (
+                <li key={session.id} className="py-2 flex items-center gap-3">
+                  <div className="flex-1 text-left">
+                    <p className="font-semibold">{session.title}</p>
+                    <p className="text-xs text-gray-400">
+                      {formatSessionWindow(session)} · {(session.roster || []).length} expected
+                      {typeof session.lateAfterMinutes === 'number' && ` · late after ${session.lateAfterMinutes} min`}
+                    </p>
+                  </div>
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[status]}`}>{status}</span>
+                  <button
+                    onClick={() => removeSession(session)}
+                    className="bg-red-600 hover:bg-red-700 text-white text-xs py-1 px-2 rounded-lg shadow-sm"
+                  >
+                    Delete
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SessionManager;
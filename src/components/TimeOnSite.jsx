@@ -0,0 +1,65 @@
+// src/components/TimeOnSite.jsx
+import React, { useMemo } from 'react';
+import { computeTimeOnSite, formatDuration, toDayKey } from '../utils/timeOnSite.jsx';
+
+// Short time format used for interval boundaries
+const formatTime = (date) => (date ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '?');
+
+function TimeOnSite({ logs }) {
+  // Pair check-ins and check-outs per person and day; recomputed only when the records change
+  const days = useMemo(() => computeTimeOnSite(logs), [logs]);
+  const todayKey = toDayKey(new Date());
+  const stillCheckedIn = days.filter(day => day.dayKey === todayKey && day.isCheckedIn);
+
+  if (days.length === 0) {
+    return <p className="text-center text-sm text-gray-400 mb-4">No check-ins to pair yet.</p>;
+  }
+
+  return (
+    <div className="mb-6">
+      {/* People who have not checked out yet today */}
+      <div className="mb-3 p-3 rounded-lg bg-indigo-700 bg-opacity-60 text-sm">
+        <span className="font-semibold">Still checked in today ({stillCheckedIn.length}): </span>
+        {stillCheckedIn.length === 0 ? 'nobody' : stillCheckedIn.map(day => day.personName).join(', ')}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="text-gray-300 border-b border-gray-600">
+            <tr>
+              <th className="py-1 pr-2">Date</th>
+              <th className="py-1 pr-2">Person</th>
+              <th className="py-1 pr-2">Intervals</th>
+              <th className="py-1 pr-2">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {days.map(day => (
+              <tr key={`${day.personKey}|${day.dayKey}`} className="border-b border-gray-700 align-top">
+                <td className="py-1 pr-2 whitespace-nowrap">{day.dayKey}</td>
+                <td className="py-1 pr-2">{day.personName}</td>
+                <td className="py-1 pr-2">
+                  {day.intervals.map((interval, index) => (
+                    <span key={index} className="inline-block mr-2 whitespace-nowrap">
+                      {formatTime(interval.start)} – {interval.end ? formatTime(interval.end) : (day.dayKey === todayKey ? 'now' : 'no check-out')}
+                    </span>
+                  ))}
+                </td>
+                <td className="py-1 pr-2 whitespace-nowrap">
+                  {formatDuration(day.totalMs)}
+                  {day.isCheckedIn && (
+                    <span className={`ml-1 text-xs ${day.dayKey === todayKey ? 'text-green-300' : 'text-orange-300'}`}>
+                      {day.dayKey === todayKey ? '(checked in)' : '(missing check-out)'}
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default TimeOnSite;
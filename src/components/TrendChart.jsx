@@ -0,0 +1,66 @@
+// src/components/TrendChart.jsx
+import React from 'react';
+
+// Chart geometry in SVG units; the chart scales to the width of its container
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 12, bottom: 36, left: 36 };
+const MAX_X_LABELS = 8;
+
+/**
+ * Bar chart of check-ins per period with a line for the number of distinct attendees.
+ * @param {Object} props
+ * @param {Array<{label: string, checkIns: number, attendees: number}>} props.periods - Periods in chronological order.
+ */
+function TrendChart({ periods }) {
+  if (periods.length === 0) {
+    return null;
+  }
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const maxValue = Math.max(1, ...periods.map(period => period.checkIns));
+  const slot = plotWidth / periods.length;
+  const barWidth = Math.max(1, slot * 0.7);
+  const x = (index) => PADDING.left + slot * index + slot / 2;
+  const y = (value) => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+  // Label only every n-th period so the axis stays readable
+  const labelEvery = Math.ceil(periods.length / MAX_X_LABELS);
+  const ticks = [0, Math.round(maxValue / 2), maxValue].filter((tick, index, all) => all.indexOf(tick) === index);
+
+  return (
+    <figure className="mb-6">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Attendance trend">
+        {/* Horizontal grid lines with their values */}
+        {ticks.map(tick => (
+          <g key={tick}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} stroke="#4b5563" strokeDasharray="3 3" />
+            <text x={PADDING.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="11" fill="#9ca3af">{tick}</text>
+          </g>
+        ))}
+        {periods.map((period, index) => (
+          <g key={period.label}>
+            <rect x={x(index) - barWidth / 2} y={y(period.checkIns)} width={barWidth} height={plotHeight + PADDING.top - y(period.checkIns)} fill="#14b8a6">
+              <title>{`${period.label}: ${period.checkIns} check-in(s), ${period.attendees} attendee(s)`}</title>
+            </rect>
+            {index % labelEvery === 0 && (
+              <text x={x(index)} y={HEIGHT - PADDING.bottom + 16} textAnchor="middle" fontSize="10" fill="#9ca3af">{period.label}</text>
+            )}
+          </g>
+        ))}
+        <polyline
+          points={periods.map((period, index) => `${x(index)},${y(period.attendees)}`).join(' ')}
+          fill="none"
+          stroke="#f472b6"
+          strokeWidth="2"
+        />
+      </svg>
+      <figcaption className="mt-1 flex justify-center gap-4 text-xs text-gray-400">
+        <span><span className="inline-block w-3 h-3 mr-1 align-middle bg-teal-500"></span>Check-ins</span>
+        <span><span className="inline-block w-3 h-0.5 mr-1 align-middle bg-pink-400"></span>Distinct attendees</span>
+      </figcaption>
+    </figure>
+  );
+}
+
+export default TrendChart;
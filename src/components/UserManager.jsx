@@ -0,0 +1,81 @@
+// src/components/UserManager.jsx
+import React from 'react';
+import useUsers from '../hooks/useUsers.jsx';
+import usePeople from '../hooks/usePeople.jsx';
+import { updateUserProfile } from '../firebase/userProfiles.jsx';
+import { ROLES, ATTENDEE } from '../utils/roles.jsx';
+
+// Shared Tailwind classes of the selects
+const SELECT_CLASSES = 'px-2 py-1 rounded-lg bg-gray-700 border border-gray-600 text-white text-sm';
+
+/**
+ * Lets admins assign roles to user accounts and link attendees to their entry in the people directory.
+ * @param {Object} props
+ * @param {Object} props.db - The Firestore database instance.
+ * @param {string|null} props.userId - The signed-in admin's UID.
+ * @param {Function} props.setMessage - React state setter for general messages.
+ */
+function UserManager({ db, userId, setMessage }) {
+  const users = useUsers(db, userId, setMessage);
+  const people = usePeople(db, userId, setMessage);
+
+  const saveChanges = async (user, changes) => {
+    try {
+      await updateUserProfile(db, user.id, changes);
+      setMessage(`Updated ${user.displayName || user.email}.`);
+    } catch (error) {
+      console.error("Error updating user:", error);
+      setMessage(`Error updating user: ${error.message}.`);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-lg p-4 sm:p-6 mb-6 w-full max-w-2xl">
+      <h2 className="text-xl sm:text-2xl font-semibold mb-2 text-center">Users and Roles</h2>
+      <ul className="mb-4 text-xs text-gray-400 text-left">
+        {ROLES.map(role => <li key={role.id}><span className="font-semibold text-gray-300">{role.label}:</span> {role.description}</li>)}
+      </ul>
+
+      {users.length === 0 ? (
+        <p className="text-sm text-gray-400 text-center">No users yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-700">
+          {users.map((user) => (
+            <li key={user.id} className="py-2 flex flex-wrap items-center gap-2">
+              <div className="flex-1 text-left min-w-[10rem]">
+                <p className="font-semibold">{user.displayName || user.email || user.id}</p>
+                <p className="text-xs text-gray-400 break-all">{user.email}</p>
+              </div>
+              {/* Admins cannot change their own role, so there is always at least one admin left */}
+              <select
+                value={user.role}
+                onChange={(e) => saveChanges(user, { role: e.target.value })}
+                disabled={user.id === userId}
+                className={SELECT_CLASSES}
+                title={user.id === userId ? 'You cannot change your own role' : 'Role'}
+              >
+                {ROLES.map(role => <option key={role.id} value={role.id}>{role.label}</option>)}
+              </select>
+              {/* Attendees see the history of the directory entry they are linked to */}
+              {user.role === ATTENDEE && (
+                <select
+                  value={user.personId || ''}
+                  onChange={(e) => saveChanges(user, { personId: e.target.value || null })}
+                  className={SELECT_CLASSES}
+                  title="Person in the directory"
+                >
+                  <option value="">Not linked</option>
+                  {people.map(person => (
+                    <option key={person.id} value={person.id}>{person.name}{person.externalId ? ` (${person.externalId})` : ''}</option>
+                  ))}
+                </select>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default UserManager;
@@ -1,30 +1,98 @@
 // src/components/WebcamCapture.jsx
-import React, { useRef, useState, useCallback, useEffect } from 'react';
-// IMPORTANT: Ensure 'api' folder and 'geminiApi.jsx' file have the EXACT same casing and extension on your file system.
-// This is the line that causes the error if the path/casing on your local file system is incorrect.
-import { processImageWithAI } from '../api/geminiApi.jsx';
-
-// Import necessary Firestore functions for adding documents
-import { addDoc, collection, serverTimestamp } from 'firebase/firestore';
-
-function WebcamCapture({ db, userId, setMessage }) {
+import React, { useRef, useState, useCallback, useEffect, useMemo } from 'react';
+// The configured AI backend (Gemini or the offline mock), see recognitionProvider.jsx.
+import recognitionProvider, { FACE_MATCH_THRESHOLD } from '../api/recognitionProvider.jsx';
+import { describeAiError } from '../api/geminiClient.jsx';
+
+// Attendance records are written through the store, which enforces the duplicate check-in rule
+import { newAttendanceRecordId, DuplicateCheckInError, CHECK_IN, CHECK_OUT, AUTO_DIRECTION } from '../firebase/attendanceStore.jsx';
+// Captured images are uploaded to Cloud Storage before the record is written; records only keep references to them
+import { buildCaptureRecord, submitOrQueueCapture, submitGroupCapture, isNetworkError } from '../firebase/captureSubmission.jsx';
+import { createFaceCrop } from '../firebase/imageStorage.jsx';
+import usePeople from '../hooks/usePeople.jsx';
+import useOfflineQueue from '../hooks/useOfflineQueue.jsx';
+import OfflineQueue from './OfflineQueue.jsx';
+import KioskMode from './KioskMode.jsx';
+import GroupAttendance, { GROUP_FACE_LOGGED, GROUP_FACE_DUPLICATE } from './GroupAttendance.jsx';
+import NameEntry from './NameEntry.jsx';
+import CameraSettings from './CameraSettings.jsx';
+import BadgeCheckIn from './BadgeCheckIn.jsx';
+import useSessions from '../hooks/useSessions.jsx';
+import { getSessionStatus, formatSessionWindow, getFaceMatchCandidates } from '../utils/sessions.jsx';
+import { getStationName, setStationName, registerStation } from '../utils/station.jsx';
+import { getCameraSettings, setCameraSettings, openCamera, captureVideoFrame } from '../utils/camera.jsx';
+import { measureImageQuality, checkImageQuality } from '../utils/imageQuality.jsx';
+import {
+  LIVENESS_POLICY, LIVENESS_OFF, LIVENESS_PASSED, LIVENESS_UNVERIFIED, pickChallenge, recordChallengeFrames, toLivenessResult, isBlockedByLiveness
+} from '../utils/liveness.jsx';
+
+// Options of the check-in/check-out toggle
+const DIRECTIONS = [
+  { id: AUTO_DIRECTION, label: 'Auto' },
+  { id: CHECK_IN, label: 'Check In' },
+  { id: CHECK_OUT, label: 'Check Out' },
+];
+
+// Capture modes: one person at the webcam, everyone in a wide shot of the room, or a QR badge / PIN without face capture
+const SINGLE_CAPTURE = 'single';
+const GROUP_CAPTURE = 'group';
+const BADGE_CAPTURE = 'badge';
+const CAPTURE_MODES = [
+  { id: SINGLE_CAPTURE, label: 'One Person' },
+  { id: GROUP_CAPTURE, label: 'Group Photo' },
+  { id: BADGE_CAPTURE, label: 'QR / PIN' },
+];
+
+function WebcamCapture({ db, storage, userId, setMessage }) {
   // useRef hooks to directly interact with DOM elements (video and canvas)
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
-  // State for SpeechRecognition API
-  const speechRecognition = useRef(null);
 
-  // State variables for managing webcam stream, captured image, processing, and voice input status
+  // State variables for managing webcam stream, captured image, processing, and name entry status
   const [stream, setStream] = useState(null); // Holds the MediaStream object from the webcam
   const [isCameraActive, setIsCameraActive] = useState(false); // True if webcam is currently active
   const [capturedImage, setCapturedImage] = useState(null); // Stores the base64 string of the captured image
+  const [capturedAt, setCapturedAt] = useState(null); // Time the image was captured, kept for captures queued offline
   const [isProcessing, setIsProcessing] = useState(false); // True when AI processing or Firestore logging is ongoing
   const [faceDetectedByAI, setFaceDetectedByAI] = useState(false); // True if AI successfully detected a face
-  const [isListeningForName, setIsListeningForName] = useState(false); // True when voice recognition is active
-  const [recognizedName, setRecognizedName] = useState(''); // Stores the name recognized by speech input
+  const [recognizedName, setRecognizedName] = useState(''); // Name confirmed in the name step, while it is being logged
+  const [matchResult, setMatchResult] = useState(null); // Enrolled person matched by face recognition: { person, confidence }
+  const [duplicateCheckIn, setDuplicateCheckIn] = useState(null); // Rejected duplicate awaiting operator override: { name, match, identifiedBy, error }
+  const [activeChallenge, setActiveChallenge] = useState(null); // Liveness challenge being shown while its frames are recorded
+  const [challengeFrames, setChallengeFrames] = useState(null); // Frames recorded during the challenge: { challenge, frames }
+  const [liveness, setLiveness] = useState(null); // Outcome of the liveness check, stored on the record (see toLivenessResult)
+  const [captureMode, setCaptureMode] = useState(SINGLE_CAPTURE); // One person or a group photo
+  const [capturedSize, setCapturedSize] = useState(null); // Pixel size of the captured image, to place the face boxes: { width, height }
+  const [groupFaces, setGroupFaces] = useState(null); // Faces found in a group photo, see GroupAttendance
+  const [imageQuality, setImageQuality] = useState(null); // Local quality check of the capture: { passed, issues }, null while measuring
+
+  const [activeSessionId, setActiveSessionId] = useState(''); // Session the check-ins are recorded for ('' = none)
+  const [direction, setDirection] = useState(AUTO_DIRECTION); // Check in, check out, or alternate automatically
+  const [stationName, setStationNameState] = useState(getStationName); // Display name of this capture station
+  const [cameraSettings, setCameraSettingsState] = useState(getCameraSettings); // Camera and image compression settings of this station
+  const [showCameraSettings, setShowCameraSettings] = useState(false);
+
+  // Enrolled people the captured frame is compared against
+  const people = usePeople(db, userId, setMessage);
+  // Sessions that can be picked as the active one: closed sessions no longer accept check-ins
+  const sessions = useSessions(db, userId, setMessage);
+  const selectableSessions = sessions.filter(session => getSessionStatus(session) !== 'closed' || session.id === activeSessionId);
+  const activeSession = sessions.find(session => session.id === activeSessionId) || null;
+  // Faces are only compared against the active session's roster, when it has one
+  const matchCandidates = useMemo(() => getFaceMatchCandidates(people, activeSession), [people, activeSession]);
+  // Captures made while offline, synced when the connection returns
+  const offlineQueue = useOfflineQueue(db, storage, userId, setMessage);
+  const [showQueue, setShowQueue] = useState(false);
+  const { enqueue } = offlineQueue;
+  // PIN required to leave kiosk mode; kiosk mode is on while it is set
+  const [kioskPin, setKioskPin] = useState(null);
 
   // Function to log attendance to Firestore using the recognized name (Moved to be declared BEFORE useEffect)
-  const logAttendance = useCallback(async (nameToLog) => {
+  // 'match' is the face recognition result when the person was identified from the registry, the directory
+  // entry confirmed in the name step ({ person, confidence: null, identifiedBy: 'voice' | 'manual' }), or null
+  // when the name is not in the directory; 'identifiedBy' then tells whether it was spoken or typed.
+  // 'override' lets an operator log a duplicate check-in anyway.
+  const logAttendance = useCallback(async (nameToLog, match = null, { override = false, identifiedBy = 'voice' } = {}) => {
     if (!nameToLog) {
       setMessage("No name provided for attendance logging.");
       return;
@@ -33,86 +101,208 @@ function WebcamCapture({ db, userId, setMessage }) {
         setMessage("No image captured to log attendance against. Please retake.");
         return;
     }
+    // Reject check-ins outside the active session's window
+    if (activeSession) {
+      const sessionStatus = getSessionStatus(activeSession);
+      if (sessionStatus !== 'open') {
+        setMessage(`"${activeSession.title}" is ${sessionStatus === 'upcoming' ? 'not open yet' : 'already closed'} (${formatSessionWindow(activeSession)}). Attendance was not logged.`);
+        return;
+      }
+    }
 
-    setMessage(`Logging attendance for ${nameToLog}...`);
+    setMessage(`Logging ${direction === CHECK_OUT ? 'check-out' : 'attendance'} for ${nameToLog}...`);
     setIsProcessing(true); // Indicate logging process
+    setDuplicateCheckIn(null);
 
     try {
-      if (db && userId) {
-        const appId = import.meta.env.VITE_FIREBASE_APP_ID || 'default-app-id';
-        await addDoc(collection(db, `artifacts/${appId}/public/data/attendance`), {
-          personName: nameToLog,
-          timestamp: serverTimestamp(),
-          image: capturedImage, // Keep the image on screen for user to review
-          loggedByUserId: userId
-        });
-        setMessage(`Attendance logged successfully for ${nameToLog}!`);
+      if (db && storage && userId) {
+        // The record ID is generated locally, so it is also known for a capture queued offline
+        const recordId = newAttendanceRecordId(db);
+        const record = buildCaptureRecord(userId, { personName: nameToLog, match, session: activeSession, stationName, identifiedBy, liveness });
+        const result = await submitOrQueueCapture(
+          db, storage, enqueue, { recordId, record, imageDataUrl: capturedImage, direction, override }, capturedAt || new Date()
+        );
+        if (result.queued) {
+          setMessage(`You are offline. The capture of ${nameToLog} was saved on this device and will be logged automatically when the connection returns.`);
+        } else {
+          setMessage(result.eventType === CHECK_OUT ? `${nameToLog} checked out successfully. Goodbye!` : `Attendance logged successfully for ${nameToLog}!`);
+        }
         // Do NOT clear capturedImage here; let user click retake explicitly via retakeImage.
         setRecognizedName(''); // Clear recognized name once logged
         setFaceDetectedByAI(false); // Reset face detection status as attendance is complete
+        setMatchResult(null); // Reset the face match as attendance is complete
       } else {
         setMessage("Attendance logging not enabled (Firebase not ready or user not authenticated).");
       }
     } catch (error) {
-      console.error("Error during attendance logging:", error);
-      setMessage(`Error logging attendance: ${error.message}.`);
+      if (error instanceof DuplicateCheckInError) {
+        // Keep the name and match so an operator can override the rejection
+        setDuplicateCheckIn({ name: nameToLog, match, identifiedBy, error });
+        setMessage(`${error.message} Attendance was not logged again.`);
+      } else {
+        console.error("Error during attendance logging:", error);
+        setMessage(`Error logging attendance: ${error.message}.`);
+        setRecognizedName(''); // Offer the name step again
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [db, storage, userId, capturedImage, capturedAt, activeSession, direction, stationName, liveness, enqueue, setMessage]);
+
+  // Logs everyone confirmed in a group photo in one transaction; 'override' logs the faces rejected as duplicates
+  const logGroupAttendance = useCallback(async ({ override = false } = {}) => {
+    if (!db || !storage || !userId || !groupFaces) {
+      return;
+    }
+    if (activeSession && getSessionStatus(activeSession) !== 'open') {
+      setMessage(`"${activeSession.title}" is not accepting check-ins right now (${formatSessionWindow(activeSession)}). Attendance was not logged.`);
+      return;
+    }
+    const indexes = groupFaces
+      .map((face, index) => index)
+      .filter(index => (override ? groupFaces[index].status === GROUP_FACE_DUPLICATE : groupFaces[index].include && !groupFaces[index].status));
+    // Records of the same photo share an ID so they can be told apart from individual captures
+    const groupCaptureId = newAttendanceRecordId(db);
+    const entries = indexes.map(index => {
+      const face = groupFaces[index];
+      const person = face.personId ? people.find(entry => entry.id === face.personId) : null;
+      let match = null;
+      if (person) {
+        match = face.suggestion && face.suggestion.person.id === person.id
+          ? face.suggestion
+          : { person, confidence: null, identifiedBy: 'manual' };
+      }
+      const record = buildCaptureRecord(userId, {
+        personName: person ? person.name : face.personName.trim(), match, session: activeSession, stationName, identifiedBy: 'manual'
+      });
+      return { index, recordId: newAttendanceRecordId(db), record: { ...record, groupCaptureId }, imageDataUrl: face.imageDataUrl };
+    });
+
+    setIsProcessing(true);
+    setMessage(`Logging ${entries.length} ${entries.length === 1 ? 'person' : 'people'} from the group photo...`);
+    try {
+      const { logged, duplicates } = await submitGroupCapture(db, storage, { entries, direction, override });
+      const loggedIds = new Set(logged.map(entry => entry.id));
+      const duplicatesById = new Map(duplicates.map(error => [error.recordId, error]));
+      setGroupFaces(prev => prev.map((face, index) => {
+        const entry = entries.find(candidate => candidate.index === index);
+        if (!entry) return face;
+        if (loggedIds.has(entry.recordId)) return { ...face, status: GROUP_FACE_LOGGED, error: null };
+        const duplicate = duplicatesById.get(entry.recordId);
+        return duplicate ? { ...face, status: GROUP_FACE_DUPLICATE, error: duplicate.message } : face;
+      }));
+      setMessage(`Logged ${logged.length} ${logged.length === 1 ? 'person' : 'people'} from the group photo.${duplicates.length > 0 ? ` ${duplicates.length} already logged earlier ${duplicates.length === 1 ? 'was' : 'were'} skipped.` : ''}`);
+    } catch (error) {
+      console.error("Error logging group attendance:", error);
+      setMessage(isNetworkError(error)
+        ? "Group photos can only be logged online. Nothing was logged; please try again when the connection returns."
+        : `Error logging group attendance: ${error.message}. Nothing was logged.`);
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [db, storage, userId, groupFaces, people, activeSession, direction, stationName, setMessage]);
+
+  // Logs a person identified by their QR badge or PIN; the record has the same shape as a capture's, without an image
+  const logBadgeCheckIn = useCallback(async (person, method) => {
+    if (!db || !storage || !userId) {
+      setMessage("Attendance logging not enabled (Firebase not ready or user not authenticated).");
+      return;
+    }
+    if (activeSession && getSessionStatus(activeSession) !== 'open') {
+      setMessage(`"${activeSession.title}" is not accepting check-ins right now (${formatSessionWindow(activeSession)}). Attendance was not logged.`);
+      return;
+    }
+
+    setMessage(`Logging ${direction === CHECK_OUT ? 'check-out' : 'attendance'} for ${person.name}...`);
+    setIsProcessing(true);
+    try {
+      const record = buildCaptureRecord(userId, {
+        personName: person.name, match: { person, confidence: null, identifiedBy: method }, session: activeSession, stationName, method
+      });
+      const result = await submitOrQueueCapture(
+        db, storage, enqueue, { recordId: newAttendanceRecordId(db), record, imageDataUrl: null, direction }, new Date()
+      );
+      if (result.queued) {
+        setMessage(`You are offline. The check-in of ${person.name} was saved on this device and will be logged automatically when the connection returns.`);
+      } else {
+        setMessage(result.eventType === CHECK_OUT ? `${person.name} checked out successfully. Goodbye!` : `Attendance logged successfully for ${person.name}!`);
+      }
+    } catch (error) {
+      if (error instanceof DuplicateCheckInError) {
+        setMessage(`${error.message} Attendance was not logged again.`);
+      } else {
+        console.error("Error logging badge check-in:", error);
+        setMessage(`Error logging attendance: ${error.message}.`);
+      }
     } finally {
       setIsProcessing(false);
     }
-  }, [db, userId, capturedImage, setMessage]);
+  }, [db, storage, userId, activeSession, direction, stationName, enqueue, setMessage]);
 
+  // The QR / PIN mode runs its own scanner, so the capture camera is stopped when switching to it
+  const changeCaptureMode = (mode) => {
+    if (mode === BADGE_CAPTURE) {
+      stopCamera();
+    }
+    setCaptureMode(mode);
+  };
 
-  // Initialize SpeechRecognition API
-  // This useEffect now correctly references logAttendance as it's declared above.
+  // Register this station so it can be picked in the log's station filter
   useEffect(() => {
-    // Check if the browser supports SpeechRecognition
-    if ('webkitSpeechRecognition' in window) {
-      const SpeechRecognition = window.webkitSpeechRecognition;
-      const recognition = new SpeechRecognition();
-
-      recognition.continuous = false; // Only listen for a single utterance
-      recognition.interimResults = false; // Only return final results
-      recognition.lang = 'en-US'; // Set recognition language
-
-      recognition.onresult = (event) => {
-        const transcript = event.results[0][0].transcript;
-        console.log("Recognized speech:", transcript);
-        setRecognizedName(transcript);
-        setMessage(`Name recognized: ${transcript}. Logging attendance...`);
-        setIsListeningForName(false);
-        // Automatically log attendance after name is recognized
-        logAttendance(transcript); // This call is now valid
-      };
-
-      recognition.onerror = (event) => {
-        console.error("Speech recognition error:", event.error);
-        setMessage(`Voice input error: ${event.error}. Please try again.`);
-        setIsListeningForName(false);
-        setRecognizedName(''); // Clear recognized name on error
-      };
-
-      recognition.onend = () => {
-        setIsListeningForName(false);
-      };
-
-      speechRecognition.current = recognition;
-    } else {
-      setMessage("Speech recognition not supported in this browser. Please use Chrome or similar.");
-      console.warn("webkitSpeechRecognition not available in this browser.");
+    if (db && userId) {
+      registerStation(db, userId).catch(error => console.error("Error registering station:", error));
+    }
+  }, [db, userId, stationName]);
+
+  // Lets the operator give this station a recognizable name (e.g., "Front door tablet")
+  const renameStation = () => {
+    const name = window.prompt("Name of this capture station:", stationName);
+    if (name && name.trim()) {
+      setStationName(name.trim());
+      setStationNameState(name.trim());
+    }
+  };
+
+
+  // Hands the station over to the full-screen kiosk, which runs its own camera
+  const startKiosk = () => {
+    const pin = window.prompt("Choose a PIN (4-8 digits) that will be needed to exit kiosk mode:");
+    if (pin === null) {
+      return;
+    }
+    if (!/^\d{4,8}$/.test(pin)) {
+      setMessage("Kiosk mode was not started: the PIN must be 4 to 8 digits.");
+      return;
     }
-  }, [logAttendance]); // Depend on logAttendance to ensure the latest version of the function is used by onresult
+    stopCamera();
+    setCapturedImage(null);
+    setFaceDetectedByAI(false);
+    setMatchResult(null);
+    setDuplicateCheckIn(null);
+    setChallengeFrames(null);
+    setLiveness(null);
+    setGroupFaces(null);
+    setImageQuality(null);
+    setMessage('');
+    setKioskPin(pin);
+  };
 
   // Function to start the webcam stream
   const startCamera = async () => {
     setMessage(''); // Clear any previous messages
     setRecognizedName(''); // Clear any previously recognized name
     setCapturedImage(null); // Clear previous image
-    setIsListeningForName(false); // Reset listening state
     setFaceDetectedByAI(false); // Reset AI detection state
+    setMatchResult(null); // Reset face match
+    setDuplicateCheckIn(null); // Reset any pending duplicate
+    setChallengeFrames(null); // Reset the liveness challenge
+    setLiveness(null);
+    setGroupFaces(null); // Reset the faces of a group photo
+    setImageQuality(null); // Reset the quality check
 
     try {
-      // Request access to the user's video input (webcam)
-      const videoStream = await navigator.mediaDevices.getUserMedia({ video: true });
+      // Request access to the camera chosen in this station's settings
+      const videoStream = await openCamera(cameraSettings);
       if (videoRef.current) {
         videoRef.current.srcObject = videoStream; // Assign the stream to the video element
         setStream(videoStream); // Store the stream in state
@@ -125,6 +315,29 @@ function WebcamCapture({ db, userId, setMessage }) {
     }
   };
 
+  // Saves the camera settings; a running camera is reopened when a different camera or resolution was picked
+  const handleCameraSettingsChange = async (settings) => {
+    setCameraSettings(settings);
+    setCameraSettingsState(settings);
+    const needsNewStream = ['deviceId', 'facingMode', 'resolution'].some(key => settings[key] !== cameraSettings[key]);
+    if (!stream || !needsNewStream) {
+      return;
+    }
+    stream.getTracks().forEach(track => track.stop());
+    try {
+      const videoStream = await openCamera(settings);
+      if (videoRef.current) {
+        videoRef.current.srcObject = videoStream;
+      }
+      setStream(videoStream);
+    } catch (err) {
+      console.error("Error switching camera:", err);
+      setMessage("Error: Could not open the selected camera. Please pick another one.");
+      setStream(null);
+      setIsCameraActive(false);
+    }
+  };
+
   // Function to stop the webcam stream (memoized with useCallback)
   const stopCamera = useCallback(() => {
     if (stream) {
@@ -135,26 +348,92 @@ function WebcamCapture({ db, userId, setMessage }) {
     // Removed setCapturedImage(null) from here to ensure image persists for logging.
   }, [stream]); // Dependency: 'stream' ensures this callback is updated if the stream changes
 
-  // Function to capture an image from the current video stream (memoized with useCallback)
-  const captureImage = useCallback(() => {
+  // Function to capture an image from the current video stream (memoized with useCallback).
+  // Unless the liveness policy is off, the camera keeps running for a random challenge right after the still frame
+  // (not for group photos, where a whole room cannot follow one person's challenge).
+  const captureImage = useCallback(async () => {
     if (videoRef.current && canvasRef.current) {
       const video = videoRef.current;
-      const canvas = canvasRef.current; // Ensure canvasRef.current is not null here
-      const context = canvas.getContext('2d');
-
-      canvas.width = video.videoWidth;
-      canvas.height = video.videoHeight;
-
-      context.drawImage(video, 0, 0, canvas.width, canvas.height);
-
-      const imageDataUrl = canvas.toDataURL('image/png');
+      // Downscaled and compressed as set for this station, before it is sent to the AI and stored
+      const { dataUrl: imageDataUrl, width, height } = captureVideoFrame(video, canvasRef.current, cameraSettings);
+      const imageCapturedAt = new Date();
+      setCapturedSize({ width, height });
+      // Check sharpness, lighting and face size locally while the challenge runs, before any AI call
+      const qualityCheck = measureImageQuality(canvasRef.current)
+        .then(metrics => checkImageQuality(metrics, { checkFaceSize: captureMode === SINGLE_CAPTURE }))
+        .catch((error) => {
+          // Leave the decision to the AI when the frame cannot be measured
+          console.error("Error checking image quality:", error);
+          return { passed: true, issues: [] };
+        });
+      if (LIVENESS_POLICY !== LIVENESS_OFF && captureMode === SINGLE_CAPTURE) {
+        const challenge = pickChallenge();
+        setActiveChallenge(challenge);
+        // Until the check has run, so a challenge that could not be recorded is blocked or flagged, not skipped
+        setLiveness({ challenge: challenge.id, status: LIVENESS_UNVERIFIED, confidence: null });
+        try {
+          setChallengeFrames({ challenge, frames: await recordChallengeFrames(video) });
+        } catch (error) {
+          console.error("Error recording liveness challenge:", error);
+          setChallengeFrames(null);
+        } finally {
+          setActiveChallenge(null);
+        }
+      }
+      const quality = await qualityCheck;
+      setImageQuality(quality);
+      if (!quality.passed) {
+        setMessage(`Please retake the image. ${quality.issues.map(issue => issue.message).join(' ')}`);
+      }
       setCapturedImage(imageDataUrl); // Store the captured image in state
+      setCapturedAt(imageCapturedAt);
       stopCamera(); // Stop the camera after capturing the image to free resources
     } else {
       console.warn("Attempted to capture image, but videoRef or canvasRef were not ready.");
       setMessage("Camera or capture area not ready. Please try again.");
     }
-  }, [stopCamera]); // Dependency: 'stopCamera' to ensure it uses the latest version of the function
+  }, [stopCamera, captureMode, cameraSettings, setMessage]); // Dependency: 'stopCamera' to ensure it uses the latest version of the function
+
+  // Finds every face of a group photo and suggests who each one is
+  const processGroupImage = useCallback(async () => {
+    setIsProcessing(true);
+    setMessage("Looking for faces in the group photo...");
+    try {
+      const detection = await recognitionProvider.detectFace(capturedImage, { allFaces: true });
+      if (!detection.faceDetected) {
+        setMessage(`AI response: ${detection.message || "No face detected"}. Please retake the photo.`);
+        return;
+      }
+      const faces = [];
+      const suggestedIds = new Set();
+      for (const [index, { box }] of detection.faces.entries()) {
+        setMessage(`Found ${detection.faces.length} faces. Matching face ${index + 1} of ${detection.faces.length}...`);
+        const imageDataUrl = await createFaceCrop(capturedImage, box);
+        let suggestion = null;
+        if (matchCandidates.length > 0) {
+          const match = await recognitionProvider.identifyPerson(imageDataUrl, matchCandidates);
+          if (match.status === 'success' && match.confidence >= FACE_MATCH_THRESHOLD) {
+            suggestion = { person: match.person, confidence: match.confidence };
+          }
+        }
+        // A person is only filled in for the first face they were recognized in
+        const prefill = suggestion && !suggestedIds.has(suggestion.person.id) ? suggestion.person : null;
+        if (prefill) suggestedIds.add(prefill.id);
+        faces.push({
+          box, imageDataUrl, suggestion,
+          personId: prefill ? prefill.id : '', personName: prefill ? prefill.name : '',
+          include: true, status: null, error: null
+        });
+      }
+      setGroupFaces(faces);
+      setMessage(`Found ${faces.length} face${faces.length === 1 ? '' : 's'}. Confirm or assign a name for each numbered box, then log them.`);
+    } catch (error) {
+      console.error("Error during group photo processing:", error);
+      setMessage(`Error during AI processing: ${describeAiError(error)}`);
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [capturedImage, matchCandidates, setMessage]);
 
   // Function to process the captured image with AI
   const handleProcessImage = useCallback(async () => {
@@ -162,18 +441,61 @@ function WebcamCapture({ db, userId, setMessage }) {
       setMessage("No image captured to process.");
       return;
     }
+    if (imageQuality && !imageQuality.passed) {
+      setMessage("This image did not pass the quality check. Please retake it.");
+      return;
+    }
+    if (captureMode === GROUP_CAPTURE) {
+      processGroupImage();
+      return;
+    }
 
     setIsProcessing(true);
     setMessage("Processing image with AI for face detection...");
     setFaceDetectedByAI(false); // Reset this before processing
+    setMatchResult(null);
 
     try {
-      const aiResponse = await processImageWithAI(capturedImage);
+      const aiResponse = await recognitionProvider.detectFace(capturedImage);
 
       if (aiResponse.status === 'success' && aiResponse.faceDetected) {
+        // Make sure a live person is in front of the camera, not a photo or a screen
+        if (challengeFrames) {
+          setMessage("Face detected! Checking liveness...");
+          const livenessResponse = await recognitionProvider.verifyLiveness(challengeFrames.frames, challengeFrames.challenge);
+          const result = toLivenessResult(challengeFrames.challenge, livenessResponse);
+          setLiveness(result);
+          if (isBlockedByLiveness(result)) {
+            setMessage(`Liveness check not passed: ${livenessResponse.message || 'no live person seen'}. Attendance cannot be logged for this capture; please retake.`);
+            return;
+          }
+          if (result.status !== LIVENESS_PASSED) {
+            setMessage(`Liveness check not passed: ${livenessResponse.message || 'no live person seen'}. The record will be flagged for review.`);
+          }
+        } else if (isBlockedByLiveness(liveness)) {
+          setMessage("The liveness challenge could not be recorded. Attendance cannot be logged for this capture; please retake.");
+          return;
+        } else if (liveness) {
+          setMessage("The liveness challenge could not be recorded. The record will be flagged for review.");
+        }
         setFaceDetectedByAI(true);
-        setMessage("Face detected! Please click 'Say My Name' to provide your name.");
         setRecognizedName(''); // Ensure name is cleared for new voice input
+
+        // Compare the face against the enrolled people before asking for a name
+        if (matchCandidates.length > 0) {
+          setMessage("Face detected! Matching against enrolled people...");
+          const match = await recognitionProvider.identifyPerson(capturedImage, matchCandidates);
+          if (match.status === 'success' && match.confidence >= FACE_MATCH_THRESHOLD) {
+            setMatchResult({ person: match.person, confidence: match.confidence });
+            setMessage(`Recognized ${match.person.name} (${Math.round(match.confidence * 100)}% confidence). Click 'Confirm & Log' to record attendance.`);
+          } else if (match.status === 'error') {
+            setMessage(`${match.message} Please say or type your name.`);
+          } else {
+            setMessage("No enrolled person matched this face. Please say or type your name.");
+          }
+        } else {
+          setMessage("Face detected! Please say or type your name.");
+        }
       } else {
         setFaceDetectedByAI(false);
         setMessage(`AI response: ${aiResponse.message || "No face detected"}. Please retake image.`);
@@ -181,31 +503,24 @@ function WebcamCapture({ db, userId, setMessage }) {
       }
     } catch (error) {
       console.error("Error during AI processing:", error);
-      setMessage(`Error during AI processing: ${error.message}.`);
+      setMessage(`Error during AI processing: ${describeAiError(error)}`);
       setFaceDetectedByAI(false);
     } finally {
       setIsProcessing(false);
     }
-  }, [capturedImage, setMessage]);
-
-  // Function to start voice input
-  const startVoiceInput = () => {
-    if (speechRecognition.current) {
-      setIsListeningForName(true);
-      setRecognizedName(''); // Clear previous recognition for new input
-      setMessage("Listening for your name... Please speak clearly.");
-      speechRecognition.current.start();
-    } else {
-      setMessage("Speech recognition not available. Please ensure your browser supports it (e.g., Chrome).");
-    }
-  };
+  }, [capturedImage, imageQuality, captureMode, processGroupImage, challengeFrames, liveness, matchCandidates, setMessage]);
 
   // Function to discard the captured image and restart the camera for a retake
   const retakeImage = () => {
     setCapturedImage(null); // Clear the captured image from state
     setRecognizedName(''); // Clear any recognized name
-    setIsListeningForName(false); // Stop listening if active
     setFaceDetectedByAI(false); // Reset AI detection status
+    setMatchResult(null); // Reset face match
+    setDuplicateCheckIn(null); // Reset any pending duplicate
+    setChallengeFrames(null); // Reset the liveness challenge
+    setLiveness(null);
+    setGroupFaces(null); // Reset the faces of a group photo
+    setImageQuality(null); // Reset the quality check
     stopCamera(); // Stop camera if active
     startCamera(); // Restart the camera feed
     setMessage('Ready for new attendance capture.'); // Reset message
@@ -217,29 +532,168 @@ function WebcamCapture({ db, userId, setMessage }) {
       if (stream) {
         stream.getTracks().forEach(track => track.stop());
       }
-      if (speechRecognition.current && isListeningForName) {
-        speechRecognition.current.stop();
-      }
     };
-  }, [stream, isListeningForName]);
+  }, [stream]);
 
   return (
     <div className="bg-gray-800 rounded-xl shadow-lg p-4 sm:p-6 mb-6 w-full max-w-md flex flex-col items-center">
-      <h2 className="text-xl sm:text-2xl font-semibold mb-4">Webcam Feed</h2>
-      <div className="relative w-full aspect-video bg-black rounded-lg overflow-hidden border border-gray-700">
+      <h2 className="text-xl sm:text-2xl font-semibold mb-1">Webcam Feed</h2>
+      <p className="text-xs text-gray-400 mb-4">
+        Station: {stationName}{' '}
+        <button onClick={renameStation} className="underline hover:text-white">Rename</button>
+        {!offlineQueue.isOnline && <span className="ml-2 px-2 py-0.5 rounded-full bg-gray-600 text-gray-100">Offline</span>}
+        {/* Captures waiting on this device to be synced */}
+        {offlineQueue.entries.length > 0 && (
+          <button
+            onClick={() => setShowQueue(prev => !prev)}
+            className="ml-2 px-2 py-0.5 rounded-full bg-yellow-600 hover:bg-yellow-500 text-gray-900 font-semibold"
+            title={showQueue ? 'Hide the queue' : 'Show the queue'}
+          >
+            {offlineQueue.entries.length} pending
+          </button>
+        )}
+      </p>
+      {showQueue && offlineQueue.entries.length > 0 && (
+        <OfflineQueue
+          entries={offlineQueue.entries}
+          userId={userId}
+          isOnline={offlineQueue.isOnline}
+          isSyncing={offlineQueue.isSyncing}
+          onSync={offlineQueue.sync}
+          onRetry={offlineQueue.retry}
+          onDiscard={offlineQueue.discard}
+        />
+      )}
+
+      {kioskPin && (
+        <KioskMode
+          db={db}
+          storage={storage}
+          userId={userId}
+          people={people}
+          session={activeSession}
+          direction={direction}
+          stationName={stationName}
+          enqueue={enqueue}
+          exitPin={kioskPin}
+          onExit={() => {
+            setKioskPin(null);
+            setMessage('Kiosk mode ended.');
+          }}
+        />
+      )}
+
+      {/* Active session picker: every check-in is stamped with the selected session */}
+      <label className="w-full mb-4 text-sm text-gray-300 text-left">
+        Session
+        <select
+          value={activeSessionId}
+          onChange={(e) => setActiveSessionId(e.target.value)}
+          className="w-full mt-1 px-3 py-2 rounded-lg bg-gray-700 border border-gray-600 text-white"
+        >
+          <option value="">No session</option>
+          {selectableSessions.map((session) => (
+            <option key={session.id} value={session.id}>
+              {session.title} ({getSessionStatus(session)} · {formatSessionWindow(session)})
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {/* Direction toggle: explicit check-in/check-out, or alternate based on the person's last event */}
+      <div className="w-full mb-4 flex rounded-lg overflow-hidden border border-gray-600">
+        {DIRECTIONS.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => setDirection(id)}
+            className={`flex-1 py-1 text-sm font-semibold transition-all duration-200 ${direction === id ? 'bg-white text-gray-900' : 'bg-gray-700 hover:bg-gray-600 text-white'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {/* Capture mode: one person at a time, or a wide shot of the whole room */}
+      <div className="w-full mb-4 flex rounded-lg overflow-hidden border border-gray-600">
+        {CAPTURE_MODES.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => changeCaptureMode(id)}
+            disabled={Boolean(capturedImage) || Boolean(activeChallenge)}
+            className={`flex-1 py-1 text-sm font-semibold transition-all duration-200 disabled:cursor-not-allowed ${captureMode === id ? 'bg-white text-gray-900' : 'bg-gray-700 hover:bg-gray-600 text-white disabled:opacity-50'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {/* Camera choice and image compression, remembered for this station */}
+      <button
+        onClick={() => setShowCameraSettings(prev => !prev)}
+        className="self-end -mt-2 mb-2 text-xs text-gray-400 underline hover:text-white"
+      >
+        {showCameraSettings ? 'Hide camera settings' : 'Camera settings'}
+      </button>
+      {showCameraSettings && (
+        <CameraSettings settings={cameraSettings} onChange={handleCameraSettingsChange} isCameraActive={isCameraActive} />
+      )}
+
+      {/* QR badge / PIN check-in replaces the capture screen */}
+      {captureMode === BADGE_CAPTURE && (
+        <BadgeCheckIn db={db} userId={userId} people={people} isProcessing={isProcessing} onCheckIn={logBadgeCheckIn} setMessage={setMessage} />
+      )}
+
+      <div className={`relative w-full aspect-video bg-black rounded-lg overflow-hidden border border-gray-700 ${captureMode === BADGE_CAPTURE ? 'hidden' : ''}`}>
         {!isCameraActive && !capturedImage && (
           <div className="absolute inset-0 flex items-center justify-center text-gray-400 text-lg">
             No camera feed
           </div>
         )}
         <video ref={videoRef} autoPlay muted playsInline className={`w-full h-full object-cover ${isCameraActive ? '' : 'hidden'}`}></video>
-        {capturedImage && (
+        {/* Liveness challenge instruction, shown while its frames are recorded */}
+        {activeChallenge && (
+          <div className="absolute inset-x-0 bottom-0 p-3 bg-black bg-opacity-70 text-center text-lg font-semibold">
+            {activeChallenge.instruction}
+          </div>
+        )}
+        {capturedImage && !groupFaces && (
           <img src={capturedImage} alt="Captured" className="w-full h-full object-cover" />
         )}
+        {/* Group photo: the whole image, with a numbered box per face matching the list below */}
+        {capturedImage && groupFaces && (
+          <div
+            className="relative h-full max-w-full mx-auto"
+            style={capturedSize ? { aspectRatio: `${capturedSize.width} / ${capturedSize.height}` } : undefined}
+          >
+            <img src={capturedImage} alt="Captured group" className="w-full h-full" />
+            {groupFaces.map((face, index) => (
+              <div
+                key={index}
+                className={`absolute border-2 ${face.status === GROUP_FACE_LOGGED ? 'border-green-400' : (face.include ? 'border-yellow-400' : 'border-gray-400 border-dashed')}`}
+                style={{ left: `${face.box.x * 100}%`, top: `${face.box.y * 100}%`, width: `${face.box.width * 100}%`, height: `${face.box.height * 100}%` }}
+              >
+                <span className="absolute -top-2 -left-2 w-5 h-5 rounded-full bg-yellow-400 text-gray-900 text-xs font-bold flex items-center justify-center">
+                  {index + 1}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
         <canvas ref={canvasRef} className="hidden"></canvas>
       </div>
 
-      <div className="mt-6 flex flex-wrap justify-center gap-3 w-full">
+      {/* Local quality check of the capture: what to change before retaking */}
+      {capturedImage && imageQuality && !faceDetectedByAI && !groupFaces && (
+        imageQuality.passed ? (
+          <p className="w-full mt-2 text-xs text-green-300 text-left">Image quality OK</p>
+        ) : (
+          <ul className="w-full mt-2 p-2 rounded-lg bg-orange-800 bg-opacity-60 text-orange-100 text-sm text-left list-disc list-inside">
+            {imageQuality.issues.map(issue => <li key={issue.id}>{issue.message}</li>)}
+          </ul>
+        )
+      )}
+
+      <div className={`mt-6 flex flex-wrap justify-center gap-3 w-full ${captureMode === BADGE_CAPTURE ? 'hidden' : ''}`}>
         {/* State 1: No camera, no image - Show Start Camera */}
         {!isCameraActive && !capturedImage && (
           <button
@@ -251,23 +705,36 @@ function WebcamCapture({ db, userId, setMessage }) {
           </button>
         )}
 
+        {/* Hands-free alternative: auto-capture in full screen until an operator exits with the PIN */}
+        {!isCameraActive && !capturedImage && (
+          <button
+            onClick={startKiosk}
+            disabled={!db || !storage || !userId}
+            className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center min-w-[120px] disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Kiosk Mode
+          </button>
+        )}
+
         {/* State 2: Camera active - Show Capture */}
         {isCameraActive && (
           <button
             onClick={captureImage}
+            disabled={Boolean(activeChallenge)}
             className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center min-w-[120px]"
           >
             <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M4 5a2 2 0 00-2 2v8a2 2 0 002 2h12a2 2 0 002-2V7a2 2 0 00-2-2h-1.586a1 1 0 01-.707-.293l-1.121-1.121A1 1 0 009.172 3H6.828a1 1 0 00-.707.293L4.707 4.707A1 1 0 014 5zm3 6a3 3 0 116 0 3 3 0 01-6 0z" clipRule="evenodd"></path></svg>
-            Capture
+            {activeChallenge ? 'Recording...' : 'Capture'}
           </button>
         )}
 
         {/* State 3: Image captured, AI not processed (or failed) - Show Process with AI */}
-        {capturedImage && !faceDetectedByAI && !isProcessing && !recognizedName && (
+        {capturedImage && !faceDetectedByAI && !groupFaces && !isProcessing && !recognizedName && !isBlockedByLiveness(liveness) && (
           <button
             onClick={handleProcessImage}
-            disabled={isProcessing}
-            className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center min-w-[120px]"
+            disabled={isProcessing || (imageQuality && !imageQuality.passed)}
+            title={imageQuality && !imageQuality.passed ? 'Retake the image: it did not pass the quality check' : ''}
+            className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center min-w-[120px] disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
           >
             {isProcessing ? (
               <svg className="animate-spin -ml-1 mr-2 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -281,24 +748,60 @@ function WebcamCapture({ db, userId, setMessage }) {
           </button>
         )}
 
-        {/* State 4: Image captured, AI processed (face detected), not listening, name not recognized yet - Show Say My Name */}
-        {capturedImage && faceDetectedByAI && !isListeningForName && !isProcessing && !recognizedName && (
+        {/* State 5: Check-in rejected as a duplicate - Show the earlier check-in and an operator override */}
+        {duplicateCheckIn && !isProcessing && (
+          <div className="w-full p-3 rounded-lg bg-yellow-700 bg-opacity-70 text-yellow-100 text-sm flex flex-col items-center gap-2">
+            <p>{duplicateCheckIn.error.message}</p>
+            <button
+              onClick={() => logAttendance(duplicateCheckIn.name, duplicateCheckIn.match, { override: true, identifiedBy: duplicateCheckIn.identifiedBy })}
+              className="bg-yellow-500 hover:bg-yellow-600 text-gray-900 font-bold py-1 px-3 rounded-lg shadow-md"
+            >
+              Log Anyway (Operator Override)
+            </button>
+          </div>
+        )}
+
+        {/* State 4a: Face matched an enrolled person - Show Confirm & Log */}
+        {capturedImage && faceDetectedByAI && matchResult && !duplicateCheckIn && !isProcessing && (
           <button
-            onClick={startVoiceInput}
-            className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center min-w-[120px]"
-            disabled={isListeningForName || isProcessing}
+            onClick={() => logAttendance(matchResult.person.name, matchResult)}
+            className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center min-w-[120px]"
           >
-            <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M7 6a3 3 0 016 0v5a3 3 0 01-6 0V6zm4 6a4 4 0 00-4 4v1a2 2 0 002 2h4a2 2 0 002-2v-1a4 4 0 00-4-4z" clipRule="evenodd"></path></svg>
-            {isListeningForName ? 'Listening...' : 'Say My Name'}
+            <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd"></path></svg>
+            Confirm &amp; Log as {matchResult.person.name} ({Math.round(matchResult.confidence * 100)}%)
           </button>
         )}
 
-        {/* Retake button is always available if an image is captured or processing/listening is active */}
-        {(capturedImage || isProcessing || isListeningForName) && (
+        {/* State 4b: Image captured, AI processed (face detected) but no enrolled match, name not confirmed yet - Show the name step */}
+        {capturedImage && faceDetectedByAI && !matchResult && !duplicateCheckIn && !recognizedName && (
+          <NameEntry
+            people={people}
+            disabled={isProcessing}
+            onConfirm={(name, person, identifiedBy) => {
+              setRecognizedName(name);
+              logAttendance(name, person ? { person, confidence: null, identifiedBy } : null, { identifiedBy });
+            }}
+          />
+        )}
+
+        {/* Group photo: confirm or assign a person per face, then log everyone at once */}
+        {groupFaces && (
+          <GroupAttendance
+            faces={groupFaces}
+            people={people}
+            isProcessing={isProcessing}
+            onChange={(index, changes) => setGroupFaces(prev => prev.map((face, i) => (i === index ? { ...face, ...changes } : face)))}
+            onLog={() => logGroupAttendance()}
+            onLogDuplicates={() => logGroupAttendance({ override: true })}
+          />
+        )}
+
+        {/* Retake button is always available if an image is captured or processing is active */}
+        {(capturedImage || isProcessing) && (
           <button
             onClick={retakeImage}
             className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition-all duration-200 ease-in-out transform hover:scale-105 active:scale-95 flex items-center justify-center min-w-[120px]"
-            disabled={isProcessing || isListeningForName} // Disable if currently processing AI or listening for voice
+            disabled={isProcessing} // Disable while processing AI or logging
           >
             <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 11-2 0v6a1 1 0 112 0V8z" clipRule="evenodd"></path></svg>
             Retake
@@ -0,0 +1,21 @@
+// src/firebase/attendanceQueries.jsx
+// One-off reads of attendance records (as opposed to the paged live view in useAttendancePages).
+import { getDocs, orderBy, query } from 'firebase/firestore';
+import { getAttendanceCollection } from './collections.jsx';
+import { buildFilterConstraints, filterLogsByName } from '../utils/attendanceFilters.jsx';
+
+/**
+ * Fetches every attendance record matching the filters, newest first.
+ * @param {Object} db - The Firestore database instance.
+ * @param {Object} filters - Log filters ({ name, from, to, sessionId, stationId }).
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchAttendanceRecords(db, filters) {
+  const snapshot = await getDocs(query(
+    getAttendanceCollection(db),
+    ...buildFilterConstraints(filters),
+    orderBy('timestamp', 'desc')
+  ));
+  const logs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }));
+  return filterLogsByName(logs, filters.name);
+}
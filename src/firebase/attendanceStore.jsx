@@ -0,0 +1,346 @@
+// src/firebase/attendanceStore.jsx
+// Writes attendance records to Firestore. Every write goes through recordAttendance (or recordGroupAttendance
+// for several people at once) so that the duplicate check-in rule and the check-in/check-out alternation are enforced in one place,
+// inside a transaction shared by all stations. Admin corrections go through correctAttendanceRecord,
+// which keeps an audit trail of every change.
+import { doc, runTransaction, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { getAttendanceCollection, getCheckInLocksCollection, getRecordAuditCollection } from './collections.jsx';
+
+// Without a session, the same person cannot check in again within this many minutes.
+// Configure with VITE_DUPLICATE_WINDOW_MINUTES in your .env.
+export const DUPLICATE_WINDOW_MINUTES = Number(import.meta.env.VITE_DUPLICATE_WINDOW_MINUTES) || 15;
+
+// Values of a record's 'eventType'. Records written before check-outs existed have no 'eventType' and are check-ins.
+export const CHECK_IN = 'check-in';
+export const CHECK_OUT = 'check-out';
+// Direction asking recordAttendance to alternate based on the person's previous event.
+export const AUTO_DIRECTION = 'auto';
+
+/**
+ * Returns the event type of a record, treating records without one as check-ins.
+ * @param {Object} record - An attendance record.
+ * @returns {string} - CHECK_IN or CHECK_OUT.
+ */
+export const getEventType = (record) => (record.eventType === CHECK_OUT ? CHECK_OUT : CHECK_IN);
+
+// Actions of the audit trail entries written by correctAttendanceRecord
+export const CORRECTION_EDIT = 'edit';
+export const CORRECTION_VOID = 'void';
+export const CORRECTION_RESTORE = 'restore';
+
+// Fields of a record an admin may correct
+export const CORRECTABLE_FIELDS = ['personName', 'personId', 'sessionId', 'sessionTitle', 'voided'];
+
+/**
+ * Tells whether an admin voided a record. Voided records stay in the log with their audit trail
+ * but no longer count as attendance in reports, summaries, exports or roster checks.
+ * @param {Object} record - An attendance record.
+ * @returns {boolean}
+ */
+export const isVoided = (record) => record.voided === true;
+
+/**
+ * Raised when a person already checked in (or out) within the duplicate window or for the same session.
+ * 'lastCheckInAt' is the Date of the earlier event, 'lastEventType' its type and 'lastRecordId' its attendance record ID.
+ */
+export class DuplicateCheckInError extends Error {
+  constructor(personName, lastCheckInAt, lastRecordId, lastEventType = CHECK_IN) {
+    const time = lastCheckInAt ? lastCheckInAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : 'an earlier time';
+    super(`${personName} already ${lastEventType === CHECK_OUT ? 'checked out' : 'checked in'} at ${time}.`);
+    this.name = 'DuplicateCheckInError';
+    this.personName = personName;
+    this.lastCheckInAt = lastCheckInAt;
+    this.lastRecordId = lastRecordId;
+    this.lastEventType = lastEventType;
+  }
+}
+
+/**
+ * Key identifying a person across records: the registry ID when known, otherwise the normalized name.
+ * The result is safe to use inside a Firestore document ID.
+ * @param {string|null} personId - ID of the enrolled person, if any.
+ * @param {string} personName - Name the person was logged under.
+ * @returns {string}
+ */
+export const getPersonKey = (personId, personName) => {
+  if (personId) return `id_${personId}`;
+  return `name_${encodeURIComponent(personName.trim().toLowerCase().replace(/\s+/g, ' '))}`;
+};
+
+/**
+ * Deterministic ID of the check-in lock for a person: one per session, or one overall when there is no session.
+ * Concurrent stations checking in the same person therefore contend on the same document.
+ * @param {string} personKey - Result of getPersonKey.
+ * @param {string|null} sessionId
+ * @returns {string}
+ */
+const getLockId = (personKey, sessionId) => (sessionId ? `session_${sessionId}__${personKey}` : personKey);
+
+/**
+ * Generates the ID of a new attendance record without writing it, so that files belonging to the
+ * record (e.g. its images) can be stored under that ID before the record itself is written.
+ * @param {Object} db - The Firestore database instance.
+ * @returns {string}
+ */
+export const newAttendanceRecordId = (db) => doc(getAttendanceCollection(db)).id;
+
+/**
+ * Tells whether two dates fall on the same local calendar day.
+ * @param {Date} a
+ * @param {Date} b
+ * @returns {boolean}
+ */
+const isSameDay = (a, b) => a.toDateString() === b.toDateString();
+
+/**
+ * Resolves the type of a person's next event from their check-in lock and tells whether it is a duplicate.
+ * An event is a duplicate when the person's previous event has the same type and happened for the same
+ * session, or, without a session, within the last DUPLICATE_WINDOW_MINUTES. With the AUTO_DIRECTION,
+ * the event is a check-out when the person's previous event today was a check-in, and any event within
+ * the window counts as a duplicate so a person passing twice in a row is not checked straight out.
+ * @param {Object} lockSnap - Snapshot of the person's check-in lock.
+ * @param {Object} options
+ * @param {string} options.direction - CHECK_IN, CHECK_OUT or AUTO_DIRECTION.
+ * @param {string|null} options.sessionId
+ * @param {Date|null} options.capturedAt - Capture time of a record synced from the offline queue.
+ * @returns {{eventType: string, isDuplicate: boolean, isOutOfOrder: boolean, lastCheckInAt: Date|null,
+ *   lastEventType: string|null, lastRecordId: string|null}}
+ */
+const resolveEvent = (lockSnap, { direction, sessionId, capturedAt }) => {
+  const now = capturedAt || new Date();
+  const resolved = {
+    eventType: direction === AUTO_DIRECTION ? CHECK_IN : direction,
+    isDuplicate: false,
+    isOutOfOrder: false,
+    lastCheckInAt: null,
+    lastEventType: null,
+    lastRecordId: null
+  };
+  if (!lockSnap.exists()) {
+    return resolved;
+  }
+
+  const lock = lockSnap.data();
+  const lastCheckInAt = lock.lastCheckInAt && typeof lock.lastCheckInAt.toDate === 'function' ? lock.lastCheckInAt.toDate() : null;
+  const lastEventType = lock.lastEventType || CHECK_IN;
+  // Absolute difference: a capture synced from the offline queue may be older than the latest event
+  const withinWindow = Boolean(lastCheckInAt) && Math.abs(now.getTime() - lastCheckInAt.getTime()) < DUPLICATE_WINDOW_MINUTES * 60 * 1000;
+  Object.assign(resolved, {
+    isOutOfOrder: Boolean(capturedAt && lastCheckInAt) && capturedAt < lastCheckInAt,
+    lastCheckInAt,
+    lastEventType,
+    lastRecordId: lock.lastRecordId || null
+  });
+
+  if (direction === AUTO_DIRECTION) {
+    // Alternate: check out whoever is still checked in from earlier today
+    resolved.eventType = lastEventType === CHECK_IN && lastCheckInAt && isSameDay(lastCheckInAt, now) ? CHECK_OUT : CHECK_IN;
+    resolved.isDuplicate = withinWindow || (resolved.eventType === lastEventType && Boolean(sessionId));
+  } else {
+    resolved.isDuplicate = resolved.eventType === lastEventType && (Boolean(sessionId) || withinWindow);
+  }
+  return resolved;
+};
+
+/**
+ * Writes a record and moves the person's check-in lock to it within a transaction.
+ * @param {Object} transaction - The running Firestore transaction.
+ * @param {Object} write
+ * @param {Object} write.recordRef - Reference of the new record.
+ * @param {Object} write.lockRef - Reference of the person's check-in lock.
+ * @param {string} write.personKey - Result of getPersonKey.
+ * @param {Object} write.record - Record fields.
+ * @param {Object} write.resolved - Result of resolveEvent.
+ * @param {boolean} write.override - Whether a duplicate is written on an operator's override.
+ * @param {Date|null} write.capturedAt - Capture time of a record synced from the offline queue.
+ */
+const writeEvent = (transaction, { recordRef, lockRef, personKey, record, resolved, override, capturedAt }) => {
+  const sessionId = record.sessionId || null;
+  const eventTime = capturedAt ? Timestamp.fromDate(capturedAt) : serverTimestamp();
+  transaction.set(recordRef, {
+    ...record,
+    sessionId,
+    eventType: resolved.eventType,
+    timestamp: eventTime,
+    ...(capturedAt ? { capturedOffline: true, syncedAt: serverTimestamp() } : {}),
+    duplicateOverride: resolved.isDuplicate && override
+  });
+  if (!resolved.isOutOfOrder) {
+    transaction.set(lockRef, {
+      personKey,
+      sessionId,
+      lastRecordId: recordRef.id,
+      lastEventType: resolved.eventType,
+      lastCheckInAt: eventTime
+    });
+  }
+};
+
+/**
+ * Writes an attendance event unless it duplicates a recent event of the same person (see resolveEvent).
+ * @param {Object} db - The Firestore database instance.
+ * @param {Object} record - Record fields; must include 'personName', may include 'personId' and 'sessionId'.
+ *   'timestamp' is set to the server time (or the capture time, see below) and 'eventType' to the resolved direction.
+ * @param {Object} [options]
+ * @param {boolean} [options.override] - Operator override: write even if it is a duplicate (flagged on the record).
+ * @param {string} [options.direction] - CHECK_IN, CHECK_OUT or AUTO_DIRECTION.
+ * @param {string} [options.recordId] - ID from newAttendanceRecordId; a new one is generated when omitted.
+ * @param {Date} [options.capturedAt] - Capture time of a record synced from the offline queue. It becomes the
+ *   record's 'timestamp' and the reference time of the duplicate rule; the record is flagged 'capturedOffline'
+ *   and the sync time kept in 'syncedAt'. A capture older than the person's latest event does not move their lock back.
+ * @returns {Promise<{id: string, eventType: string}>} - The ID of the new attendance record and its event type.
+ * @throws {DuplicateCheckInError}
+ */
+export async function recordAttendance(db, record, { override = false, direction = CHECK_IN, recordId = null, capturedAt = null } = {}) {
+  const personKey = getPersonKey(record.personId || null, record.personName);
+  const sessionId = record.sessionId || null;
+  const lockRef = doc(getCheckInLocksCollection(db), getLockId(personKey, sessionId));
+  // Pre-generate the record ID so the lock can point to it
+  const recordRef = recordId ? doc(getAttendanceCollection(db), recordId) : doc(getAttendanceCollection(db));
+
+  return runTransaction(db, async (transaction) => {
+    const resolved = resolveEvent(await transaction.get(lockRef), { direction, sessionId, capturedAt });
+    if (resolved.isDuplicate && !override) {
+      throw new DuplicateCheckInError(record.personName, resolved.lastCheckInAt, resolved.lastRecordId, resolved.lastEventType);
+    }
+    writeEvent(transaction, { recordRef, lockRef, personKey, record, resolved, override, capturedAt });
+    return { id: recordRef.id, eventType: resolved.eventType };
+  });
+}
+
+/**
+ * Writes the attendance events of several people at once (e.g. everyone identified in a group photo) in one
+ * transaction, so either all of them are logged or none. Each person is checked against the duplicate rule on
+ * their own; duplicates are left out and reported instead of failing the whole group, unless overridden.
+ * @param {Object} db - The Firestore database instance.
+ * @param {Array<{recordId: string, record: Object}>} entries - One entry per person, see recordAttendance.
+ * @param {Object} [options]
+ * @param {boolean} [options.override] - Operator override: write the duplicates as well (flagged on their records).
+ * @param {string} [options.direction] - CHECK_IN, CHECK_OUT or AUTO_DIRECTION.
+ * @returns {Promise<{logged: Array<{id: string, personName: string, eventType: string}>, duplicates: Array<DuplicateCheckInError>}>}
+ *   - Each duplicate carries the ID of the record it was not written as, in 'recordId'.
+ * @throws {Error} - When the same person appears in more than one entry.
+ */
+export async function recordGroupAttendance(db, entries, { override = false, direction = CHECK_IN } = {}) {
+  const writes = entries.map(({ recordId, record }) => {
+    const personKey = getPersonKey(record.personId || null, record.personName);
+    const lockId = getLockId(personKey, record.sessionId || null);
+    return {
+      personKey,
+      lockId,
+      record,
+      lockRef: doc(getCheckInLocksCollection(db), lockId),
+      recordRef: doc(getAttendanceCollection(db), recordId)
+    };
+  });
+  const seen = new Set();
+  writes.forEach(({ lockId, record }) => {
+    if (seen.has(lockId)) {
+      throw new Error(`${record.personName} is listed more than once.`);
+    }
+    seen.add(lockId);
+  });
+
+  return runTransaction(db, async (transaction) => {
+    // All reads of a transaction must come before its writes
+    const lockSnaps = await Promise.all(writes.map(({ lockRef }) => transaction.get(lockRef)));
+    const logged = [];
+    const duplicates = [];
+    writes.forEach((write, index) => {
+      const resolved = resolveEvent(lockSnaps[index], { direction, sessionId: write.record.sessionId || null, capturedAt: null });
+      if (resolved.isDuplicate && !override) {
+        const error = new DuplicateCheckInError(write.record.personName, resolved.lastCheckInAt, resolved.lastRecordId, resolved.lastEventType);
+        error.recordId = write.recordRef.id;
+        duplicates.push(error);
+        return;
+      }
+      writeEvent(transaction, { ...write, resolved, override, capturedAt: null });
+      logged.push({ id: write.recordRef.id, personName: write.record.personName, eventType: resolved.eventType });
+    });
+    return { logged, duplicates };
+  });
+}
+
+/**
+ * Current value of a correctable field, with missing fields read as null (and 'voided' as false).
+ * @param {Object} record - An attendance record.
+ * @param {string} field - One of CORRECTABLE_FIELDS.
+ * @returns {*}
+ */
+const getCorrectableValue = (record, field) => {
+  if (field === 'voided') return isVoided(record);
+  return record[field] === undefined ? null : record[field];
+};
+
+/**
+ * Applies an admin correction to an attendance record and appends an entry with the values before and
+ * after, the reason, the admin and the time to the record's audit trail, in one transaction.
+ * When the person or session changes, or the record is voided, the person's check-in lock is released if
+ * it points to this record, so the corrected event no longer blocks their next check-in.
+ * @param {Object} db - The Firestore database instance.
+ * @param {string} userId - UID of the admin making the correction.
+ * @param {string} recordId - The attendance record ID.
+ * @param {Object} changes - New values of some of CORRECTABLE_FIELDS; unchanged values are ignored.
+ * @param {string} reason - Why the record is corrected.
+ * @returns {Promise<{action: string, before: Object, after: Object}>} - The audit entry's action and the changed values.
+ * @throws {Error} When no reason is given, nothing changes or the record no longer exists.
+ */
+export async function correctAttendanceRecord(db, userId, recordId, changes, reason) {
+  if (!reason || !reason.trim()) {
+    throw new Error("Please give a reason for the correction.");
+  }
+  const recordRef = doc(getAttendanceCollection(db), recordId);
+  const auditRef = doc(getRecordAuditCollection(db, recordId));
+
+  return runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(recordRef);
+    if (!snapshot.exists()) {
+      throw new Error("This attendance record no longer exists.");
+    }
+    const record = snapshot.data();
+    const before = {};
+    const after = {};
+    CORRECTABLE_FIELDS.filter(field => field in changes).forEach(field => {
+      const current = getCorrectableValue(record, field);
+      if (changes[field] !== current) {
+        before[field] = current;
+        after[field] = changes[field];
+      }
+    });
+    if (Object.keys(after).length === 0) {
+      throw new Error("Nothing was changed.");
+    }
+    const corrected = { ...record, ...after };
+    if ('personName' in after && !(corrected.personName || '').trim()) {
+      throw new Error("The name cannot be empty.");
+    }
+    let action = CORRECTION_EDIT;
+    if ('voided' in after) {
+      action = after.voided ? CORRECTION_VOID : CORRECTION_RESTORE;
+    }
+
+    // All reads of a transaction must happen before its writes
+    const lockRef = doc(getCheckInLocksCollection(db), getLockId(getPersonKey(record.personId || null, record.personName), record.sessionId || null));
+    const lockSnap = await transaction.get(lockRef);
+    const correctedLockId = getLockId(getPersonKey(corrected.personId || null, corrected.personName), corrected.sessionId || null);
+    if (lockSnap.exists() && lockSnap.data().lastRecordId === recordId && (action === CORRECTION_VOID || correctedLockId !== lockRef.id)) {
+      transaction.delete(lockRef);
+    }
+
+    transaction.update(recordRef, {
+      ...after,
+      correctedAt: serverTimestamp(),
+      correctedByUserId: userId,
+      lastAuditId: auditRef.id // Lets the security rules check that the audit entry is written along with the change
+    });
+    transaction.set(auditRef, {
+      action,
+      before,
+      after,
+      reason: reason.trim(),
+      changedByUserId: userId,
+      changedAt: serverTimestamp()
+    });
+    return { action, before, after };
+  });
+}
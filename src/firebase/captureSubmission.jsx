@@ -0,0 +1,156 @@
+// src/firebase/captureSubmission.jsx
+// Logs a capture: uploads its image, then writes the record through recordAttendance. Used for live
+// captures (from the capture screen and the kiosk) as well as for captures synced from the offline queue.
+// QR and PIN check-ins go the same way, without an image.
+// Group photos are logged with submitGroupCapture, one record per person in a single transaction.
+import { doc, getDoc } from 'firebase/firestore';
+import { getAttendanceCollection } from './collections.jsx';
+import { recordAttendance, recordGroupAttendance, getEventType } from './attendanceStore.jsx';
+import { uploadAttendanceImages, deleteAttendanceImages } from './imageStorage.jsx';
+import { getStationId } from '../utils/station.jsx';
+import { METHOD_CAMERA } from '../utils/badges.jsx';
+
+// Firestore and Cloud Storage error codes meaning the backend could not be reached
+const NETWORK_ERROR_CODES = ['unavailable', 'deadline-exceeded', 'storage/retry-limit-exceeded'];
+
+/**
+ * Tells whether an error means the station is offline, so the capture should be queued rather than dropped.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => (typeof navigator !== 'undefined' && navigator.onLine === false)
+  || NETWORK_ERROR_CODES.includes(error.code)
+  || /offline/i.test(error.message || '');
+
+/**
+ * Uploads the image of a capture and writes its attendance record.
+ * A capture from the offline queue may already have been written by an earlier sync that was interrupted
+ * before it was removed from the queue; such a capture is not written twice.
+ * @param {Object} db - The Firestore database instance.
+ * @param {Object} storage - The Cloud Storage instance.
+ * @param {Object} capture
+ * @param {string} capture.recordId - ID from newAttendanceRecordId.
+ * @param {Object} capture.record - Record fields, see recordAttendance.
+ * @param {string|null} capture.imageDataUrl - The captured image; null for QR and PIN check-ins.
+ * @param {string} capture.direction - CHECK_IN, CHECK_OUT or AUTO_DIRECTION.
+ * @param {boolean} [capture.override] - Operator override of the duplicate rule.
+ * @param {Date|null} [capture.capturedAt] - Capture time of a queued capture, kept as the record's timestamp.
+ * @returns {Promise<{id: string, eventType: string}>}
+ * @throws {DuplicateCheckInError}
+ */
+export async function submitCapture(db, storage, { recordId, record, imageDataUrl, direction, override = false, capturedAt = null }) {
+  if (capturedAt) {
+    const existing = await getDoc(doc(getAttendanceCollection(db), recordId));
+    if (existing.exists()) {
+      return { id: recordId, eventType: getEventType(existing.data()) };
+    }
+  }
+
+  // Upload the image first under the record's future ID, so the record is written complete in one go
+  const imageRefs = imageDataUrl ? await uploadAttendanceImages(storage, recordId, imageDataUrl) : null;
+  try {
+    return await recordAttendance(db, { ...record, ...imageRefs }, { override, direction, recordId, capturedAt });
+  } catch (error) {
+    // Don't leave orphaned images behind when the record is rejected (e.g., duplicate check-in).
+    // After a network error they are kept: the capture is queued and the upload overwrites them.
+    if (imageRefs && !isNetworkError(error)) {
+      await deleteAttendanceImages(storage, imageRefs);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Uploads the face of each person of a group photo and writes all their attendance records in one transaction.
+ * The images of people who were left out as duplicates are removed again.
+ * @param {Object} db - The Firestore database instance.
+ * @param {Object} storage - The Cloud Storage instance.
+ * @param {Object} capture
+ * @param {Array<{recordId: string, record: Object, imageDataUrl: string}>} capture.entries - One entry per person,
+ *   with the crop of their face as the image.
+ * @param {string} capture.direction - CHECK_IN, CHECK_OUT or AUTO_DIRECTION.
+ * @param {boolean} [capture.override] - Operator override of the duplicate rule.
+ * @returns {Promise<{logged: Array<Object>, duplicates: Array<DuplicateCheckInError>}>} - See recordGroupAttendance.
+ */
+export async function submitGroupCapture(db, storage, { entries, direction, override = false }) {
+  const imageRefs = await Promise.all(entries.map(({ recordId, imageDataUrl }) => uploadAttendanceImages(storage, recordId, imageDataUrl)));
+  const deleteImages = (recordIds) => Promise.all(entries
+    .map((entry, index) => (recordIds.includes(entry.recordId) ? deleteAttendanceImages(storage, imageRefs[index]) : null))
+    .filter(Boolean));
+  try {
+    const result = await recordGroupAttendance(
+      db,
+      entries.map(({ recordId, record }, index) => ({ recordId, record: { ...record, ...imageRefs[index] } })),
+      { override, direction }
+    );
+    await deleteImages(result.duplicates.map(duplicate => duplicate.recordId));
+    return result;
+  } catch (error) {
+    // Nothing was written, so none of the images belong to a record
+    await deleteImages(entries.map(entry => entry.recordId));
+    throw error;
+  }
+}
+
+/**
+ * Builds the fields of the attendance record of a capture.
+ * @param {string} userId - UID of the signed-in user logging the capture.
+ * @param {Object} capture
+ * @param {string} capture.personName - Name to log.
+ * @param {Object|null} capture.match - Face match ({ person, confidence }), a directory entry matched by a spoken
+ *   name ({ person, confidence: null, identifiedBy: 'voice' }), an entry picked by the operator
+ *   ({ person, confidence: null, identifiedBy: 'manual' }), the owner of a scanned badge or entered PIN
+ *   ({ person, confidence: null, identifiedBy: 'qr' | 'pin' }), or null for a name not in the directory.
+ * @param {string} [capture.identifiedBy] - How a name not in the directory was given: 'voice' (default) or 'manual'.
+ * @param {Object|null} capture.session - The active session, if any.
+ * @param {string} capture.stationName - Display name of this capture station.
+ * @param {Object|null} [capture.liveness] - Outcome of the liveness challenge (see toLivenessResult), if one was given.
+ * @param {string} [capture.method] - Check-in method: METHOD_CAMERA (default), METHOD_QR or METHOD_PIN (see badges.jsx).
+ * @returns {Object} - Record fields for submitCapture.
+ */
+export const buildCaptureRecord = (userId, { personName, match, session, stationName, identifiedBy = 'voice', liveness = null, method = METHOD_CAMERA }) => ({
+  personName,
+  personId: match ? match.person.id : null,
+  matchConfidence: match ? match.confidence : null,
+  identifiedBy: match ? (match.identifiedBy || 'face') : identifiedBy,
+  sessionId: session ? session.id : null,
+  sessionTitle: session ? session.title : null,
+  stationId: getStationId(),
+  stationName,
+  loggedByUserId: userId,
+  method,
+  ...(liveness ? { liveness } : {})
+});
+
+/**
+ * Logs a capture right away when online, or keeps it in the offline queue when the station is offline
+ * or the connection drops on the way.
+ * @param {Object} db - The Firestore database instance.
+ * @param {Object} storage - The Cloud Storage instance.
+ * @param {Function} enqueue - 'enqueue' of useOfflineQueue.
+ * @param {Object} capture - See submitCapture, without 'capturedAt'.
+ * @param {Date} capturedAt - Time the image was captured, kept if the capture is queued.
+ * @returns {Promise<{id: string, eventType: string|null, queued: boolean}>} - 'eventType' is null for a queued
+ *   capture, whose direction is only resolved when it is synced.
+ * @throws {DuplicateCheckInError}
+ */
+export async function submitOrQueueCapture(db, storage, enqueue, capture, capturedAt) {
+  if (navigator.onLine) {
+    try {
+      const result = await submitCapture(db, storage, capture);
+      return { ...result, queued: false };
+    } catch (error) {
+      // The connection dropped on the way: keep the capture for later rather than losing it
+      if (!isNetworkError(error)) throw error;
+    }
+  }
+  await enqueue({
+    id: capture.recordId,
+    record: capture.record,
+    imageDataUrl: capture.imageDataUrl,
+    direction: capture.direction,
+    override: Boolean(capture.override),
+    capturedAt: capturedAt.getTime()
+  });
+  return { id: capture.recordId, eventType: null, queued: true };
+}
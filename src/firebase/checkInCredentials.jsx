@@ -0,0 +1,257 @@
+// src/firebase/checkInCredentials.jsx
+// Badge tokens and PINs used to check in without face capture (see BadgeCheckIn.jsx). The secrets are never
+// stored on the people documents, which every staff member can read:
+// - a person's badge token and the keys of their credentials sit in people/{personId}/private/credentials,
+//   which only admins can read;
+// - each credential has a lookup document in 'checkInCredentials', keyed by a hash of the credential and
+//   holding the person's ID. Capturing roles may fetch a badge's document by its key but not list them (see firestore.rules),
+//   so a station resolves a scanned badge without being able to enumerate them;
+// - PINs are short enough to be guessed, so a station may only fetch the PIN document named in its account's
+//   'pinAttempts' document, and each PIN named there is counted. The rules lock PIN entry for the account after
+//   repeated wrong PINs, so the lockout holds on the server whatever the client does.
+// Lookup documents are only ever created, never overwritten, which makes PINs unique.
+import { doc, getDoc, runTransaction, deleteField, serverTimestamp } from 'firebase/firestore';
+import { getPeopleCollection, getCheckInCredentialsCollection, getPinAttemptsCollection } from './collections.jsx';
+import { generateBadgeToken, isValidPin, getPinLockedUntil, countPinAttempt } from '../utils/badges.jsx';
+
+export const CREDENTIAL_BADGE = 'badge';
+export const CREDENTIAL_PIN = 'pin';
+
+// Badges are issued this many people at a time
+const ISSUE_CONCURRENCY = 20;
+
+/**
+ * Key of a credential's lookup document: the SHA-256 of its type and secret.
+ * @param {string} type - CREDENTIAL_BADGE or CREDENTIAL_PIN.
+ * @param {string} secret - The badge token or PIN.
+ * @returns {Promise<string>} - Hexadecimal.
+ */
+const credentialKey = async (type, secret) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${type}:${secret}`));
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Returns the admin-only document holding a person's badge token and credential keys.
+ * @param {Object} db - The Firestore database instance.
+ * @param {string} personId
+ * @returns {Object} - Firestore DocumentReference.
+ */
+const privateCredentialsRef = (db, personId) => doc(getPeopleCollection(db), personId, 'private', 'credentials');
+
+/**
+ * Finds the person a badge belongs to.
+ * @param {Object} db - The Firestore database instance.
+ * @param {string} badgeToken - The token of the scanned badge.
+ * @returns {Promise<string|null>} - The person's ID, or null for unknown or revoked badges.
+ */
+export async function lookupBadge(db, badgeToken) {
+  try {
+    const snapshot = await getDoc(doc(getCheckInCredentialsCollection(db), await credentialKey(CREDENTIAL_BADGE, badgeToken)));
+    return snapshot.exists() && snapshot.data().type === CREDENTIAL_BADGE ? snapshot.data().personId : null;
+  } catch (error) {
+    // The rules do not tell a missing document apart from one that is not a badge
+    if (error.code === 'permission-denied') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Names the next PIN to check in an account's PIN attempts, first counting the PIN named before, if any.
+ * Refused while PIN entry is locked for the account.
+ * @param {Object} db - The Firestore database instance.
+ * @param {Object} attemptsRef - The account's document in 'pinAttempts'.
+ * @param {string|null} pinKey - Key of the PIN to check next, or null when only counting.
+ * @returns {Promise<{lockedUntil: number|null}>} - When PIN entry unlocks (in milliseconds), or null if it is not locked.
+ */
+async function recordPinAttempt(db, attemptsRef, pinKey) {
+  return runTransaction(db, async (transaction) => {
+    const current = await transaction.get(attemptsRef);
+    if (!current.exists()) {
+      transaction.set(attemptsRef, { pinKey, failures: 0, lockouts: 0, lockedAt: null, attemptedAt: serverTimestamp() });
+      return { lockedUntil: null };
+    }
+    const previous = current.data();
+    const lockedUntil = getPinLockedUntil({ ...previous, lockedAt: previous.lockedAt ? previous.lockedAt.toMillis() : null });
+    if (lockedUntil) {
+      return { lockedUntil };
+    }
+    let counts = { failures: previous.failures, lockouts: previous.lockouts, locked: false };
+    if (previous.pinKey) {
+      const credential = await transaction.get(doc(getCheckInCredentialsCollection(db), previous.pinKey));
+      counts = countPinAttempt(previous, credential.exists() && credential.data().type === CREDENTIAL_PIN);
+    }
+    transaction.set(attemptsRef, {
+      // A PIN named when the lockout starts could not be checked, so it is not counted either
+      pinKey: counts.locked ? null : pinKey,
+      failures: counts.failures,
+      lockouts: counts.lockouts,
+      lockedAt: counts.locked ? serverTimestamp() : previous.lockedAt,
+      attemptedAt: serverTimestamp()
+    });
+    return { lockedUntil: counts.locked ? getPinLockedUntil({ lockouts: counts.lockouts, lockedAt: Date.now() }) : null };
+  });
+}
+
+/**
+ * Finds the person a typed PIN belongs to. Every PIN is counted in the signed-in account's PIN attempts, and after
+ * MAX_PIN_FAILURES wrong PINs in a row (see badges.jsx) firestore.rules refuse PINs from the account for a while.
+ * @param {Object} db - The Firestore database instance.
+ * @param {string} userId - The signed-in user's UID.
+ * @param {string} pin - The typed PIN.
+ * @returns {Promise<{personId: string|null, lockedUntil: number|null}>} - The person's ID, or null for unknown PINs,
+ * and when PIN entry unlocks (in milliseconds) if it is locked now.
+ */
+export async function checkPin(db, userId, pin) {
+  const pinKey = await credentialKey(CREDENTIAL_PIN, pin);
+  const attemptsRef = doc(getPinAttemptsCollection(db), userId);
+  let lockedUntil;
+  try {
+    ({ lockedUntil } = await recordPinAttempt(db, attemptsRef, pinKey));
+  } catch (error) {
+    // The lockout is still running by the server's clock
+    if (error.code === 'permission-denied') {
+      throw new Error("PIN entry is locked for this account. Please try again in a minute or ask a member of staff");
+    }
+    throw error;
+  }
+  if (lockedUntil) {
+    return { personId: null, lockedUntil };
+  }
+  const snapshot = await getDoc(doc(getCheckInCredentialsCollection(db), pinKey));
+  const personId = snapshot.exists() && snapshot.data().type === CREDENTIAL_PIN ? snapshot.data().personId : null;
+  try {
+    // Count this PIN right away, so that the 5th wrong PIN already locks PIN entry
+    const counted = await recordPinAttempt(db, attemptsRef, null);
+    return { personId, lockedUntil: counted.lockedUntil };
+  } catch (error) {
+    // The PIN stays named in the attempts and is counted with the next one
+    console.warn("Could not count the PIN attempt:", error);
+    return { personId, lockedUntil: null };
+  }
+}
+
+/**
+ * Issues a new QR badge to one person, revoking the badge issued before.
+ * @param {Object} db - The Firestore database instance.
+ * @param {Object} person - Directory entry.
+ * @returns {Promise<string>} - The new badge token.
+ */
+async function issueBadge(db, person) {
+  const badgeToken = generateBadgeToken();
+  const badgeKey = await credentialKey(CREDENTIAL_BADGE, badgeToken);
+  await runTransaction(db, async (transaction) => {
+    const privateRef = privateCredentialsRef(db, person.id);
+    const current = await transaction.get(privateRef);
+    const oldKey = current.exists() ? current.data().badgeKey : null;
+    if (oldKey) {
+      transaction.delete(doc(getCheckInCredentialsCollection(db), oldKey));
+    }
+    transaction.set(doc(getCheckInCredentialsCollection(db), badgeKey), {
+      personId: person.id, type: CREDENTIAL_BADGE, createdAt: serverTimestamp()
+    });
+    transaction.set(privateRef, { badgeToken, badgeKey }, { merge: true });
+    // 'badgeToken' was kept on the person before credentials moved to the private document
+    transaction.update(doc(getPeopleCollection(db), person.id), {
+      hasBadge: true, badgeIssuedAt: serverTimestamp(), badgeToken: deleteField()
+    });
+  });
+  return badgeToken;
+}
+
+/**
+ * Issues QR badges: each person gets a new badge token, which revokes any badge printed for them before.
+ * @param {Object} db - The Firestore database instance.
+ * @param {Array<Object>} people - The people to issue badges for.
+ * @returns {Promise<Map<string, string>>} - Person ID -> new badge token.
+ */
+export async function issueBadges(db, people) {
+  const tokens = new Map();
+  for (let start = 0; start < people.length; start += ISSUE_CONCURRENCY) {
+    const chunk = people.slice(start, start + ISSUE_CONCURRENCY);
+    const issued = await Promise.all(chunk.map(person => issueBadge(db, person)));
+    chunk.forEach((person, index) => tokens.set(person.id, issued[index]));
+  }
+  return tokens;
+}
+
+/**
+ * Reads the current badge tokens of people, to print their badges again.
+ * @param {Object} db - The Firestore database instance.
+ * @param {Array<Object>} people - Directory entries.
+ * @returns {Promise<Map<string, string>>} - Person ID -> badge token, for the people who have a badge.
+ */
+export async function getBadgeTokens(db, people) {
+  const snapshots = await Promise.all(people.map(person => getDoc(privateCredentialsRef(db, person.id))));
+  const tokens = new Map();
+  snapshots.forEach((snapshot, index) => {
+    if (snapshot.exists() && snapshot.data().badgeToken) {
+      tokens.set(people[index].id, snapshot.data().badgeToken);
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Sets or removes a person's check-in PIN. PINs are unique, so a PIN identifies exactly one person.
+ * @param {Object} db - The Firestore database instance.
+ * @param {Object} person - The person whose PIN is set.
+ * @param {string|null} pin - 4 to 8 digits, or null to remove the PIN.
+ * @returns {Promise<void>}
+ * @throws {Error} When the PIN is malformed or belongs to someone else.
+ */
+export async function setPersonPin(db, person, pin) {
+  if (pin !== null && !isValidPin(pin)) {
+    throw new Error("A PIN must be 4 to 8 digits.");
+  }
+  const pinKey = pin === null ? null : await credentialKey(CREDENTIAL_PIN, pin);
+  await runTransaction(db, async (transaction) => {
+    const privateRef = privateCredentialsRef(db, person.id);
+    const current = await transaction.get(privateRef);
+    const oldKey = current.exists() ? current.data().pinKey : null;
+    if (pinKey) {
+      const taken = await transaction.get(doc(getCheckInCredentialsCollection(db), pinKey));
+      if (taken.exists() && taken.data().personId !== person.id) {
+        throw new Error("This PIN is already used by someone else. Please choose another one.");
+      }
+      if (taken.exists()) {
+        return; // Unchanged
+      }
+    }
+    if (oldKey) {
+      transaction.delete(doc(getCheckInCredentialsCollection(db), oldKey));
+    }
+    if (pinKey) {
+      transaction.set(doc(getCheckInCredentialsCollection(db), pinKey), {
+        personId: person.id, type: CREDENTIAL_PIN, createdAt: serverTimestamp()
+      });
+    }
+    transaction.set(privateRef, { pinKey: pinKey || deleteField() }, { merge: true });
+    // 'pinHash' was kept on the person before credentials moved to the private document
+    transaction.update(doc(getPeopleCollection(db), person.id), {
+      hasPin: Boolean(pinKey), pinHash: deleteField(), updatedAt: serverTimestamp()
+    });
+  });
+}
+
+/**
+ * Revokes a person's badge and PIN, e.g. before they are removed from the directory.
+ * @param {Object} db - The Firestore database instance.
+ * @param {string} personId
+ * @returns {Promise<void>}
+ */
+export async function revokeCredentials(db, personId) {
+  await runTransaction(db, async (transaction) => {
+    const privateRef = privateCredentialsRef(db, personId);
+    const current = await transaction.get(privateRef);
+    if (!current.exists()) {
+      return;
+    }
+    [current.data().badgeKey, current.data().pinKey].filter(Boolean).forEach(key => {
+      transaction.delete(doc(getCheckInCredentialsCollection(db), key));
+    });
+    transaction.delete(privateRef);
+  });
+}
@@ -0,0 +1,91 @@
+// src/firebase/collections.jsx
+// Central place for the Firestore collection paths used by the app.
+// Every collection lives under `artifacts/${appId}/public/data/` so that the
+// attendance records and the data they reference stay side by side.
+import { collection } from 'firebase/firestore';
+import { appId } from './firebaseConfig.jsx';
+
+// Base path shared by all public collections of this app instance.
+const DATA_ROOT = `artifacts/${appId}/public/data`;
+
+/**
+ * Builds the full path of a public collection for the current app instance.
+ * @param {string} name - The collection name (e.g., "attendance", "people").
+ * @returns {string} - The full Firestore collection path.
+ */
+export const collectionPath = (name) => `${DATA_ROOT}/${name}`;
+
+/**
+ * Returns the collection reference holding attendance records.
+ * @param {Object} db - The Firestore database instance.
+ * @returns {Object} - Firestore CollectionReference.
+ */
+export const getAttendanceCollection = (db) => collection(db, collectionPath('attendance'));
+
+/**
+ * Returns the collection reference holding the enrolled people registry.
+ * Each document has a 'name', an 'externalId' and an array of 'referencePhotos' (data URLs).
+ * @param {Object} db - The Firestore database instance.
+ * @returns {Object} - Firestore CollectionReference.
+ */
+export const getPeopleCollection = (db) => collection(db, collectionPath('people'));
+
+/**
+ * Returns the collection reference holding attendance sessions (classes, meetings, events).
+ * Each document has a 'title', a 'roster' of expected people and a 'startTime'/'endTime' window.
+ * @param {Object} db - The Firestore database instance.
+ * @returns {Object} - Firestore CollectionReference.
+ */
+export const getSessionsCollection = (db) => collection(db, collectionPath('sessions'));
+
+/**
+ * Returns the collection reference holding the check-in locks used for duplicate prevention.
+ * One document per person (and session), pointing to the person's latest attendance record.
+ * @param {Object} db - The Firestore database instance.
+ * @returns {Object} - Firestore CollectionReference.
+ */
+export const getCheckInLocksCollection = (db) => collection(db, collectionPath('checkInLocks'));
+
+/**
+ * Returns the collection reference holding the capture stations (browsers/devices that log attendance).
+ * Documents are keyed by the station ID kept in each browser's localStorage and hold its display 'name'.
+ * @param {Object} db - The Firestore database instance.
+ * @returns {Object} - Firestore CollectionReference.
+ */
+export const getStationsCollection = (db) => collection(db, collectionPath('stations'));
+
+/**
+ * Returns the collection reference holding user profiles, keyed by Firebase Auth UID.
+ * Each document has the user's 'email', 'displayName', 'role' and, for attendees, the 'personId'
+ * of their entry in the people directory.
+ * @param {Object} db - The Firestore database instance.
+ * @returns {Object} - Firestore CollectionReference.
+ */
+export const getUsersCollection = (db) => collection(db, collectionPath('users'));
+
+/**
+ * Returns the audit trail of one attendance record: an append-only subcollection with one entry per
+ * admin correction ('action', 'before', 'after', 'reason', 'changedByUserId', 'changedAt').
+ * @param {Object} db - The Firestore database instance.
+ * @param {string} recordId - The attendance record ID.
+ * @returns {Object} - Firestore CollectionReference.
+ */
+export const getRecordAuditCollection = (db, recordId) => collection(db, collectionPath('attendance'), recordId, 'audit');
+
+/**
+ * Returns the collection reference holding the lookup documents of badge and PIN credentials, keyed by a hash of
+ * the credential and holding the 'personId' and 'type' (see checkInCredentials.jsx). Badge documents can be fetched
+ * by key, PIN documents only through the account's PIN attempts, and none can be listed.
+ * @param {Object} db - The Firestore database instance.
+ * @returns {Object} - Firestore CollectionReference.
+ */
+export const getCheckInCredentialsCollection = (db) => collection(db, collectionPath('checkInCredentials'));
+
+/**
+ * Returns the collection reference holding the PIN attempts of each capturing account, keyed by Firebase Auth UID:
+ * the 'pinKey' being checked, the wrong PINs in a row ('failures'), the lockouts in a row ('lockouts'), when the
+ * last lockout started ('lockedAt') and 'attemptedAt' (see checkPin in checkInCredentials.jsx).
+ * @param {Object} db - The Firestore database instance.
+ * @returns {Object} - Firestore CollectionReference.
+ */
+export const getPinAttemptsCollection = (db) => collection(db, collectionPath('pinAttempts'));
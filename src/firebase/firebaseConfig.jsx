@@ -1,7 +1,11 @@
 // src/firebase/firebaseConfig.jsx
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore } from 'firebase/firestore';
+import {
+  getAuth, connectAuthEmulator, signInWithCustomToken, onAuthStateChanged, signInWithEmailAndPassword,
+  createUserWithEmailAndPassword, updateProfile, signInWithPopup, GoogleAuthProvider, sendPasswordResetEmail, signOut
+} from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
 
 // Global variables provided by the Canvas environment (used when running in Canvas)
 // These will be 'undefined' when running locally on your machine.
@@ -32,10 +36,16 @@ const appId = canvasAppId || import.meta.env.VITE_FIREBASE_APP_ID || 'default-ap
 const firebaseConfig = canvasFirebaseConfig || localFirebaseConfig; // Use Canvas config or locally parsed config
 const initialAuthToken = canvasInitialAuthToken || import.meta.env.VITE_INITIAL_AUTH_TOKEN || null;
 
-// Firebase App, Auth, and Firestore instances
+// Set VITE_USE_FIREBASE_EMULATORS=true to talk to the local Firebase Emulator Suite instead of production.
+// The default ports match `firebase emulators:start` (Auth 9099, Firestore 8080, Storage 9199).
+const useEmulators = import.meta.env.VITE_USE_FIREBASE_EMULATORS === 'true';
+const emulatorHost = import.meta.env.VITE_FIREBASE_EMULATOR_HOST || 'localhost';
+
+// Firebase App, Auth, Firestore and Storage instances
 let app;
 let auth;
 let db;
+let storage;
 
 // --- DEBUGGING STEP: Log firebaseConfig before initialization ---
 // This console log is very important for debugging your .env setup.
@@ -49,32 +59,44 @@ if (Object.keys(firebaseConfig).length > 0 && firebaseConfig.apiKey) {
     app = initializeApp(firebaseConfig); // Initialize the Firebase app
     auth = getAuth(app); // Get the Firebase Auth instance
     db = getFirestore(app); // Get the Firestore database instance
+    storage = getStorage(app); // Get the Cloud Storage instance (holds captured images)
+    // Give up on an upload after 30 seconds without a connection (instead of the default 10 minutes),
+    // so the capture can be queued offline rather than leaving the station waiting
+    storage.maxUploadRetryTime = 30 * 1000;
+    if (useEmulators) {
+      connectAuthEmulator(auth, `http://${emulatorHost}:9099`, { disableWarnings: true });
+      connectFirestoreEmulator(db, emulatorHost, 8080);
+      connectStorageEmulator(storage, emulatorHost, 9199);
+    }
     console.log("Firebase initialized successfully!"); // Confirmation message
   } catch (initError) {
     // Catch errors during Firebase initialization (e.g., invalid config)
     console.error("Error initializing Firebase App:", initError);
     console.warn("Firebase initialization failed. Services will not function.");
     // Provide dummy objects to prevent further errors if initialization fails
-    auth = { currentUser: null, signInAnonymously: async () => ({ user: { uid: 'anonymous-dummy' } }), onAuthStateChanged: () => () => {} };
+    auth = { currentUser: null, onAuthStateChanged: () => () => {} };
     db = {};
+    storage = null;
   }
 } else {
   // Log a warning if no valid Firebase config is provided
   console.warn("Firebase configuration not provided or invalid. Firebase services will not be initialized.");
   // Provide dummy objects to prevent crashes if Firebase is not initialized
-  auth = { currentUser: null, signInAnonymously: async () => ({ user: { uid: 'anonymous-dummy' } }), onAuthStateChanged: () => () => {} };
+  auth = { currentUser: null, onAuthStateChanged: () => () => {} };
   db = {};
+  storage = null;
 }
 
 /**
  * Initializes Firebase authentication listener.
- * This function sets up a real-time listener for authentication state changes.
- * @param {Function} setUserId - React state setter for userId.
+ * This function sets up a real-time listener for authentication state changes. Users sign in through
+ * the login screen; only a custom token provided by the environment (e.g. Canvas) signs in automatically.
+ * @param {Function} setUser - React state setter for the signed-in Firebase user (null when signed out).
  * @param {Function} setMessage - React state setter for general messages.
  * @param {Function} setIsAuthReady - React state setter for auth readiness flag.
  * @returns {{auth: Object, unsubscribe: Function}} - Firebase auth instance and unsubscribe function.
  */
-export const initializeFirebase = (setUserId, setMessage, setIsAuthReady) => {
+export const initializeFirebase = (setUser, setMessage, setIsAuthReady) => {
   // Critical check: Ensure auth and db objects are valid before setting up listeners.
   // If Firebase failed to initialize (due to bad config), these might be dummy objects.
   if (!auth || !db || Object.keys(firebaseConfig).length === 0 || !firebaseConfig.apiKey) {
@@ -85,21 +107,13 @@ export const initializeFirebase = (setUserId, setMessage, setIsAuthReady) => {
 
   // Set up the authentication state change listener
   const unsubscribe = onAuthStateChanged(auth, async (user) => {
-    if (user) {
-      // If a user is signed in, set their UID
-      setUserId(user.uid);
-    } else {
-      // If no user is signed in, attempt to sign in.
-      // Prioritize custom token (if provided), otherwise sign in anonymously.
+    setUser(user);
+    if (!user && initialAuthToken && !auth.currentUser) {
       try {
-        if (initialAuthToken) {
-          await signInWithCustomToken(auth, initialAuthToken);
-        } else {
-          await signInAnonymously(auth);
-        }
+        await signInWithCustomToken(auth, initialAuthToken);
       } catch (error) {
         console.error("Firebase authentication error during onAuthStateChanged:", error);
-        setMessage("Failed to authenticate. Please try again.");
+        setMessage("Failed to authenticate with the provided token. Please sign in.");
       }
     }
     setIsAuthReady(true); // Mark authentication as ready after the initial check
@@ -109,33 +123,46 @@ export const initializeFirebase = (setUserId, setMessage, setIsAuthReady) => {
 };
 
 /**
- * Attempts to sign in the user. Used for initial authentication after Firebase setup.
- * @param {Object} authInstance - The Firebase Auth instance.
+ * Signs in with an email address and password.
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object>} - The Firebase UserCredential.
  */
-export const signInUser = async (authInstance) => {
-  // Validate authInstance before proceeding
-  if (!authInstance) {
-    console.warn("Auth instance not available for sign in in signInUser.");
-    return;
-  }
-  // If a user is already signed in, no need to perform sign-in again
-  if (authInstance.currentUser) {
-    // console.log("User already signed in:", authInstance.currentUser.uid);
-    return;
-  }
+export const signInWithEmail = (email, password) => signInWithEmailAndPassword(auth, email, password);
 
-  try {
-    // Attempt sign-in using custom token or anonymously based on 'initialAuthToken'
-    if (initialAuthToken) {
-      await signInWithCustomToken(authInstance, initialAuthToken);
-    } else {
-      await signInAnonymously(authInstance);
-    }
-  } catch (error) {
-    console.error("Error signing in with Firebase:", error);
-    throw error; // Re-throw to allow calling component to handle errors if needed
+/**
+ * Creates an account with an email address and password and signs it in.
+ * @param {string} email
+ * @param {string} password
+ * @param {string} displayName - Name shown in the header and the user list.
+ * @returns {Promise<Object>} - The Firebase UserCredential.
+ */
+export const registerWithEmail = async (email, password, displayName) => {
+  const credential = await createUserWithEmailAndPassword(auth, email, password);
+  if (displayName) {
+    await updateProfile(credential.user, { displayName });
   }
+  return credential;
 };
 
-// Export the initialized auth, db, and appId instances for use throughout the application
-export { auth, db, appId };
+/**
+ * Signs in with a Google account in a popup (the Auth emulator shows a fake account picker).
+ * @returns {Promise<Object>} - The Firebase UserCredential.
+ */
+export const signInWithGoogle = () => signInWithPopup(auth, new GoogleAuthProvider());
+
+/**
+ * Sends a password reset email.
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+export const resetPassword = (email) => sendPasswordResetEmail(auth, email);
+
+/**
+ * Signs the current user out.
+ * @returns {Promise<void>}
+ */
+export const signOutUser = () => signOut(auth);
+
+// Export the initialized auth, db, storage and appId instances for use throughout the application
+export { auth, db, storage, appId };
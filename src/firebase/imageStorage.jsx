@@ -0,0 +1,145 @@
+// src/firebase/imageStorage.jsx
+// Captured images are kept in Cloud Storage rather than inside Firestore documents, which are limited
+// to 1 MiB and would otherwise be downloaded in full by every log listener. Each record gets the
+// original capture plus a small JPEG thumbnail; the record only stores their paths. Images are downloaded
+// through the SDK rather than by download URL, whose token would bypass storage.rules.
+import { ref, uploadString, getBlob, deleteObject } from 'firebase/storage';
+import { appId } from './firebaseConfig.jsx';
+
+const THUMBNAIL_MAX_SIZE = 200; // Longest side in pixels
+const THUMBNAIL_QUALITY = 0.7; // JPEG quality
+
+/**
+ * Storage folder holding the images of one attendance record.
+ * @param {string} recordId - The attendance record ID.
+ * @returns {string}
+ */
+const recordFolder = (recordId) => `artifacts/${appId}/attendance/${recordId}`;
+
+/**
+ * Loads a data URL into an image element.
+ * @param {string} dataUrl
+ * @returns {Promise<HTMLImageElement>}
+ */
+const loadImage = (dataUrl) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error("Could not decode the captured image."));
+  img.src = dataUrl;
+});
+
+/**
+ * Generates a small JPEG thumbnail of an image.
+ * @param {string} dataUrl - The full image as a data URL.
+ * @returns {Promise<string>} - The thumbnail as a JPEG data URL.
+ */
+export const createThumbnail = async (dataUrl) => {
+  const img = await loadImage(dataUrl);
+  const scale = Math.min(1, THUMBNAIL_MAX_SIZE / Math.max(img.width, img.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.width * scale);
+  canvas.height = Math.round(img.height * scale);
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY);
+};
+
+/**
+ * Cuts one face out of a group photo, with some room around it, to serve as that person's capture.
+ * @param {string} dataUrl - The group photo as a data URL.
+ * @param {{x: number, y: number, width: number, height: number}} box - The face, as fractions (0-1) of the photo size.
+ * @returns {Promise<string>} - The crop as a JPEG data URL.
+ */
+export const createFaceCrop = async (dataUrl, box) => {
+  const img = await loadImage(dataUrl);
+  // Widen the box by half its size on every side so the crop shows the head, not just the face
+  const left = Math.max(0, (box.x - box.width / 2) * img.width);
+  const top = Math.max(0, (box.y - box.height / 2) * img.height);
+  const right = Math.min(img.width, (box.x + box.width * 1.5) * img.width);
+  const bottom = Math.min(img.height, (box.y + box.height * 1.5) * img.height);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(right - left));
+  canvas.height = Math.max(1, Math.round(bottom - top));
+  canvas.getContext('2d').drawImage(img, left, top, right - left, bottom - top, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', 0.9);
+};
+
+/**
+ * File extension matching the MIME type of a data URL.
+ * @param {string} dataUrl
+ * @returns {string}
+ */
+const extensionOf = (dataUrl) => {
+  const mimeMatch = dataUrl.match(/^data:image\/(\w+)/);
+  const subtype = mimeMatch ? mimeMatch[1] : 'png';
+  return subtype === 'jpeg' ? 'jpg' : subtype;
+};
+
+/**
+ * Uploads a captured image and its thumbnail for an attendance record.
+ * @param {Object} storage - The Cloud Storage instance.
+ * @param {string} recordId - The (pre-generated) attendance record ID.
+ * @param {string} dataUrl - The captured image as a data URL.
+ * @returns {Promise<{imagePath: string, thumbnailPath: string}>} - References to store on the record.
+ */
+export async function uploadAttendanceImages(storage, recordId, dataUrl) {
+  const folder = recordFolder(recordId);
+  const imagePath = `${folder}/full.${extensionOf(dataUrl)}`;
+  const thumbnailPath = `${folder}/thumb.jpg`;
+
+  const thumbnail = await createThumbnail(dataUrl);
+  await Promise.all([
+    uploadString(ref(storage, imagePath), dataUrl, 'data_url'),
+    uploadString(ref(storage, thumbnailPath), thumbnail, 'data_url')
+  ]);
+  return { imagePath, thumbnailPath };
+}
+
+/**
+ * Deletes the images uploaded for a record, e.g. when the record itself could not be written.
+ * Missing files are ignored.
+ * @param {Object} storage - The Cloud Storage instance.
+ * @param {{imagePath: string, thumbnailPath: string}} imageRefs - Result of uploadAttendanceImages.
+ * @returns {Promise<void>}
+ */
+export async function deleteAttendanceImages(storage, { imagePath, thumbnailPath }) {
+  await Promise.all([imagePath, thumbnailPath].map(path => deleteObject(ref(storage, path)).catch(error => {
+    if (error.code !== 'storage/object-not-found') {
+      console.error(`Error deleting ${path}:`, error);
+    }
+  })));
+}
+
+/**
+ * Downloads a stored image, checked against storage.rules for the signed-in user.
+ * @param {Object} storage - The Cloud Storage instance.
+ * @param {string} path - Path of the image, as stored on the record.
+ * @returns {Promise<string>} - An object URL; pass it to releaseImageUrl once it is no longer shown.
+ */
+export async function loadStoredImage(storage, path) {
+  const blob = await getBlob(ref(storage, path));
+  return URL.createObjectURL(blob);
+}
+
+/**
+ * Frees an image URL from loadStoredImage or getFullImageUrl. Inline (data) URLs are left alone.
+ * @param {string|null} url
+ */
+export const releaseImageUrl = (url) => {
+  if (url && url.startsWith('blob:')) {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Loads a record's full-resolution image.
+ * Records written before images moved to Cloud Storage still carry the image inline in 'image'.
+ * @param {Object} storage - The Cloud Storage instance.
+ * @param {Object} record - The attendance record.
+ * @returns {Promise<string|null>} - A URL to show; pass it to releaseImageUrl once it is no longer shown.
+ */
+export async function getFullImageUrl(storage, record) {
+  if (record.imagePath && storage) {
+    return loadStoredImage(storage, record.imagePath);
+  }
+  return record.image || null;
+}
@@ -0,0 +1,43 @@
+// src/firebase/peopleDirectory.jsx
+// Bulk writes to the people directory. People imported from a roster have no reference photos until
+// they are enrolled; they can still be picked in session rosters and matched by name.
+import { doc, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { getPeopleCollection } from './collections.jsx';
+
+// Firestore accepts at most 500 writes per batch
+const BATCH_SIZE = 500;
+
+/**
+ * Creates or updates directory entries from validated roster rows (see validateRoster in roster.jsx).
+ * Rows with errors or without changes are skipped. Existing entries keep their reference photos.
+ * @param {Object} db - The Firestore database instance.
+ * @param {string} userId - The signed-in user's UID, stored as the creator of new entries.
+ * @param {Array<Object>} rows - Validated roster rows.
+ * @returns {Promise<{created: number, updated: number}>}
+ */
+export async function importRoster(db, userId, rows) {
+  const writes = rows.filter(row => row.errors.length === 0 && row.action !== 'unchanged');
+  let created = 0;
+  let updated = 0;
+
+  for (let start = 0; start < writes.length; start += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    writes.slice(start, start + BATCH_SIZE).forEach(row => {
+      const fields = { name: row.name, externalId: row.externalId, email: row.email, group: row.group };
+      if (row.personId) {
+        batch.update(doc(getPeopleCollection(db), row.personId), { ...fields, updatedAt: serverTimestamp() });
+        updated++;
+      } else {
+        batch.set(doc(getPeopleCollection(db)), {
+          ...fields,
+          referencePhotos: [],
+          createdAt: serverTimestamp(),
+          createdByUserId: userId
+        });
+        created++;
+      }
+    });
+    await batch.commit();
+  }
+  return { created, updated };
+}
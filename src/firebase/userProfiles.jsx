@@ -0,0 +1,37 @@
+// src/firebase/userProfiles.jsx
+// User profiles hold the role of each account. A profile is created with the default role the first
+// time an account signs in; only admins change roles afterwards.
+import { doc, getDoc, setDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { getUsersCollection } from './collections.jsx';
+import { DEFAULT_ROLE } from '../utils/roles.jsx';
+
+/**
+ * Creates the profile of a signed-in user if it does not exist yet.
+ * @param {Object} db - The Firestore database instance.
+ * @param {Object} user - The Firebase Auth user.
+ * @returns {Promise<void>}
+ */
+export async function ensureUserProfile(db, user) {
+  const profileRef = doc(getUsersCollection(db), user.uid);
+  const snapshot = await getDoc(profileRef);
+  if (!snapshot.exists()) {
+    await setDoc(profileRef, {
+      email: user.email || '',
+      displayName: user.displayName || '',
+      role: DEFAULT_ROLE,
+      personId: null,
+      createdAt: serverTimestamp()
+    });
+  }
+}
+
+/**
+ * Changes the role of a user and, for attendees, the directory entry their history is taken from.
+ * @param {Object} db - The Firestore database instance.
+ * @param {string} uid - The user's Firebase Auth UID.
+ * @param {Object} changes - { role } and/or { personId }.
+ * @returns {Promise<void>}
+ */
+export async function updateUserProfile(db, uid, changes) {
+  await updateDoc(doc(getUsersCollection(db), uid), { ...changes, updatedAt: serverTimestamp() });
+}
@@ -0,0 +1,153 @@
+// src/hooks/useAttendancePages.jsx
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { onSnapshot, query, orderBy, limit, startAfter, getDocs, getCountFromServer } from 'firebase/firestore';
+import { getAttendanceCollection } from '../firebase/collections.jsx';
+import { buildFilterConstraints } from '../utils/attendanceFilters.jsx';
+
+// Number of records per page. Only the newest page is kept live; older pages are fetched once on demand.
+export const PAGE_SIZE = 24;
+
+/**
+ * Converts a document snapshot to a log object. Pending server timestamps are replaced by the local
+ * estimate so freshly written records sort correctly until the server value arrives.
+ * @param {Object} doc - Firestore DocumentSnapshot.
+ * @returns {Object}
+ */
+const toLog = (doc) => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) });
+
+/**
+ * Millisecond value of a snapshot's timestamp, using the local estimate for pending writes.
+ * @param {Object} doc - Firestore DocumentSnapshot.
+ * @returns {number}
+ */
+const timestampMillis = (doc) => {
+  const timestamp = doc.get('timestamp', { serverTimestamps: 'estimate' });
+  return timestamp && typeof timestamp.toMillis === 'function' ? timestamp.toMillis() : 0;
+};
+
+/**
+ * Loads attendance records newest first, one page at a time, from a server-side ordered query.
+ * The newest page is a live listener; "load more" appends older pages fetched with a cursor.
+ * @param {Object} db - The Firestore database instance.
+ * @param {string|null} userId - The signed-in user's UID; nothing is fetched until it is set.
+ * @param {Object} filters - Server-side filters, see buildFilterConstraints in attendanceFilters.jsx.
+ * @param {Function} setMessage - React state setter for general messages.
+ * @returns {{logs: Array<Object>, totalCount: number|null, hasMore: boolean, isLoadingMore: boolean, loadMore: Function,
+ *   updateLog: Function}} - 'updateLog(id, changes)' patches a loaded record, see below.
+ */
+export default function useAttendancePages(db, userId, filters, setMessage) {
+  const [liveLogs, setLiveLogs] = useState([]); // Newest page, kept up to date
+  const [olderLogs, setOlderLogs] = useState([]); // Older pages and records pushed out of the live page
+  const [totalCount, setTotalCount] = useState(null); // Number of records matching the filters
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  // Snapshot of the oldest record shown, used as the cursor for the next page
+  const cursorRef = useRef(null);
+  const olderCountRef = useRef(0);
+
+  // Filters arrive as a new object on each render; only re-query when their content changes
+  const filtersKey = JSON.stringify(filters);
+
+  useEffect(() => {
+    setLiveLogs([]);
+    setOlderLogs([]);
+    setTotalCount(null);
+    setHasMore(false);
+    cursorRef.current = null;
+    olderCountRef.current = 0;
+
+    // Ensure 'db' (Firestore instance) and 'userId' are available before attempting to fetch
+    if (!db || !userId) {
+      return;
+    }
+
+    const baseQuery = query(getAttendanceCollection(db), ...buildFilterConstraints(JSON.parse(filtersKey)));
+    const liveQuery = query(baseQuery, orderBy('timestamp', 'desc'), limit(PAGE_SIZE));
+
+    const refreshCount = async () => {
+      try {
+        const countSnapshot = await getCountFromServer(baseQuery);
+        setTotalCount(countSnapshot.data().count);
+      } catch (error) {
+        console.error("Error counting attendance logs:", error);
+      }
+    };
+
+    const unsubscribe = onSnapshot(liveQuery, (snapshot) => {
+      const docs = snapshot.docs;
+      const oldestLiveMillis = docs.length > 0 ? timestampMillis(docs[docs.length - 1]) : Infinity;
+      // A record removed from a full page that is older than everything left in it was pushed out by a
+      // newer record rather than deleted: keep it with the older pages so nothing goes missing.
+      const evicted = docs.length === PAGE_SIZE
+        ? snapshot.docChanges().filter(change => change.type === 'removed' && timestampMillis(change.doc) <= oldestLiveMillis).map(change => change.doc)
+        : [];
+
+      if (evicted.length > 0) {
+        evicted.sort((a, b) => timestampMillis(b) - timestampMillis(a));
+        setOlderLogs(prev => [...evicted.map(toLog), ...prev]);
+        if (olderCountRef.current === 0) {
+          cursorRef.current = evicted[evicted.length - 1];
+        }
+        olderCountRef.current += evicted.length;
+      } else if (olderCountRef.current === 0) {
+        cursorRef.current = docs.length > 0 ? docs[docs.length - 1] : null;
+        setHasMore(docs.length === PAGE_SIZE);
+      }
+
+      setLiveLogs(docs.map(toLog));
+      if (snapshot.docChanges().length > 0) {
+        refreshCount();
+      }
+    }, (error) => {
+      // Error handler for the snapshot listener
+      console.error("Error fetching attendance logs:", error);
+      setMessage("Failed to load attendance logs."); // Display user-friendly error message
+    });
+
+    // Cleanup function: unsubscribe from the Firestore listener when the filters change or the component unmounts
+    return () => unsubscribe();
+  }, [db, userId, filtersKey, setMessage]);
+
+  // Fetches the next page of older records after the oldest one shown
+  const loadMore = useCallback(async () => {
+    if (!cursorRef.current || isLoadingMore) {
+      return;
+    }
+    setIsLoadingMore(true);
+    try {
+      const pageQuery = query(
+        getAttendanceCollection(db),
+        ...buildFilterConstraints(JSON.parse(filtersKey)),
+        orderBy('timestamp', 'desc'),
+        startAfter(cursorRef.current),
+        limit(PAGE_SIZE)
+      );
+      const snapshot = await getDocs(pageQuery);
+      if (snapshot.docs.length > 0) {
+        cursorRef.current = snapshot.docs[snapshot.docs.length - 1];
+        olderCountRef.current += snapshot.docs.length;
+        setOlderLogs(prev => [...prev, ...snapshot.docs.map(toLog)]);
+      }
+      setHasMore(snapshot.docs.length === PAGE_SIZE);
+    } catch (error) {
+      console.error("Error loading more attendance logs:", error);
+      setMessage("Failed to load older attendance logs.");
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [db, filtersKey, isLoadingMore, setMessage]);
+
+  // Older pages are not live, so a change made from this browser (e.g. an admin correction) is applied locally;
+  // the live page picks it up from its listener
+  const updateLog = useCallback((id, changes) => {
+    setOlderLogs(prev => prev.map(log => (log.id === id ? { ...log, ...changes } : log)));
+  }, []);
+
+  // A record can briefly appear in both lists while it moves between them; keep the live copy
+  const logs = useMemo(() => {
+    const liveIds = new Set(liveLogs.map(log => log.id));
+    return [...liveLogs, ...olderLogs.filter(log => !liveIds.has(log.id))];
+  }, [liveLogs, olderLogs]);
+
+  return { logs, totalCount, hasMore, isLoadingMore, loadMore, updateLog };
+}
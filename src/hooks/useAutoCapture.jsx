@@ -0,0 +1,144 @@
+// src/hooks/useAutoCapture.jsx
+import { useEffect, useRef, useState } from 'react';
+import { sampleFrame, analyzeFrame, blendBackground, createFaceDetector } from '../utils/presence.jsx';
+import { captureVideoFrame } from '../utils/camera.jsx';
+
+// How often the video is sampled
+const SAMPLE_INTERVAL_MS = 250;
+// Consecutive centered, still samples needed before a frame is captured (about one second)
+const STILL_SAMPLES_REQUIRED = 4;
+// How fast the background follows the scene while it is empty, and while someone holds still in it.
+// The slow rate lets a person who stays after their capture fade into the background so the kiosk can re-arm.
+const EMPTY_BLEND_RATE = 0.2;
+const OCCUPIED_BLEND_RATE = 0.02;
+// Minimum time between two captures
+const COOLDOWN_MS = (Number(import.meta.env.VITE_KIOSK_COOLDOWN_SECONDS) || 5) * 1000;
+
+// Values of 'status'
+export const AUTO_CAPTURE_EMPTY = 'empty';
+export const AUTO_CAPTURE_ADJUSTING = 'adjusting';
+export const AUTO_CAPTURE_HOLDING = 'holding';
+export const AUTO_CAPTURE_COOLDOWN = 'cooldown';
+
+/**
+ * Watches a live video and captures a frame once someone is centered in front of the camera and holds still.
+ * After a capture the hook waits for the cooldown and for the scene to clear before it captures again,
+ * so the same person is not captured twice in a row. The scene in view when sampling starts is taken as
+ * the empty background.
+ * @param {Object} videoRef - Ref of the playing video element.
+ * @param {boolean} enabled - Whether to watch; sampling pauses while false (e.g. while a capture is processed).
+ * @param {Function} onCapture - Called with (imageDataUrl, capturedAt) for each captured frame. It may resolve to
+ *   false when the frame turned out to show nobody (e.g. a shadow); the current scene is then learned as the
+ *   empty background and the kiosk re-arms right away.
+ * @returns {{status: string, progress: number}} - 'progress' (0-1) tells how long the person has held still.
+ */
+export default function useAutoCapture(videoRef, enabled, onCapture) {
+  const [status, setStatus] = useState(AUTO_CAPTURE_EMPTY);
+  const [progress, setProgress] = useState(0);
+
+  const sampleCanvasRef = useRef(null);
+  const captureCanvasRef = useRef(null);
+  const faceDetectorRef = useRef(undefined);
+  const backgroundRef = useRef(null);
+  const previousRef = useRef(null);
+  const stillCountRef = useRef(0);
+  const cooldownUntilRef = useRef(0);
+  const armedRef = useRef(true);
+  // The latest callback, so a new one does not restart sampling
+  const onCaptureRef = useRef(onCapture);
+  useEffect(() => {
+    onCaptureRef.current = onCapture;
+  }, [onCapture]);
+
+  useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+    sampleCanvasRef.current = sampleCanvasRef.current || document.createElement('canvas');
+    captureCanvasRef.current = captureCanvasRef.current || document.createElement('canvas');
+    if (faceDetectorRef.current === undefined) {
+      faceDetectorRef.current = createFaceDetector();
+    }
+    let isSampling = false;
+
+    const update = (nextStatus, nextProgress = 0) => {
+      setStatus(nextStatus);
+      setProgress(nextProgress);
+    };
+
+    const capture = (video) => {
+      // Downscaled and compressed as set for this station
+      const { dataUrl } = captureVideoFrame(video, captureCanvasRef.current);
+      armedRef.current = false;
+      stillCountRef.current = 0;
+      cooldownUntilRef.current = Date.now() + COOLDOWN_MS;
+      update(AUTO_CAPTURE_COOLDOWN);
+      Promise.resolve(onCaptureRef.current(dataUrl, new Date())).then((showedPerson) => {
+        if (showedPerson === false) {
+          backgroundRef.current = null;
+          armedRef.current = true;
+          cooldownUntilRef.current = 0;
+        }
+      });
+    };
+
+    const sample = async () => {
+      const video = videoRef.current;
+      if (isSampling || !video || video.readyState < 2 || !video.videoWidth) {
+        return;
+      }
+      isSampling = true;
+      try {
+        const gray = sampleFrame(video, sampleCanvasRef.current);
+        if (!backgroundRef.current) {
+          backgroundRef.current = Float32Array.from(gray);
+          previousRef.current = gray;
+          return;
+        }
+        let { occupied, centered, still } = analyzeFrame(gray, previousRef.current, backgroundRef.current);
+        previousRef.current = gray;
+        if (still) {
+          blendBackground(backgroundRef.current, gray, occupied ? OCCUPIED_BLEND_RATE : EMPTY_BLEND_RATE);
+        }
+        // The built-in face detector, where available, is more reliable than the background comparison
+        if (faceDetectorRef.current) {
+          ({ occupied, centered } = await faceDetectorRef.current.detect(video));
+        }
+
+        if (!armedRef.current) {
+          if (occupied || Date.now() < cooldownUntilRef.current) {
+            update(AUTO_CAPTURE_COOLDOWN);
+            return;
+          }
+          armedRef.current = true;
+        }
+        if (!occupied) {
+          stillCountRef.current = 0;
+          update(AUTO_CAPTURE_EMPTY);
+        } else if (!centered || !still) {
+          stillCountRef.current = 0;
+          update(AUTO_CAPTURE_ADJUSTING);
+        } else {
+          stillCountRef.current += 1;
+          if (stillCountRef.current >= STILL_SAMPLES_REQUIRED) {
+            capture(video);
+          } else {
+            update(AUTO_CAPTURE_HOLDING, stillCountRef.current / STILL_SAMPLES_REQUIRED);
+          }
+        }
+      } catch (error) {
+        console.error("Error sampling the kiosk camera:", error);
+      } finally {
+        isSampling = false;
+      }
+    };
+
+    const timer = setInterval(sample, SAMPLE_INTERVAL_MS);
+    return () => {
+      clearInterval(timer);
+      stillCountRef.current = 0;
+    };
+  }, [enabled, videoRef]);
+
+  return { status, progress };
+}
@@ -0,0 +1,141 @@
+// src/hooks/useOfflineQueue.jsx
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  listQueuedCaptures, saveQueuedCapture, removeQueuedCapture, isTooOldToSync,
+  QUEUE_PENDING, QUEUE_CONFLICT, QUEUE_FAILED, MAX_QUEUE_AGE_DAYS
+} from '../utils/offlineQueue.jsx';
+import { submitCapture, isNetworkError } from '../firebase/captureSubmission.jsx';
+import { DuplicateCheckInError } from '../firebase/attendanceStore.jsx';
+
+// While captures are pending, syncing is retried this often in case the 'online' event was missed
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Keeps captures made while offline in IndexedDB and syncs them when the connection returns.
+ * Pending captures are synced automatically, oldest first. A capture rejected as a duplicate becomes a
+ * conflict for the operator to log anyway or discard; other rejections can be retried or discarded.
+ * Only the account that made a capture can sync it, since records carry the logging user's UID.
+ * @param {Object} db - The Firestore database instance.
+ * @param {Object} storage - The Cloud Storage instance.
+ * @param {string|null} userId - The signed-in user's UID; nothing is synced until it is set.
+ * @param {Function} setMessage - React state setter for general messages.
+ * @returns {{entries: Array<Object>, isOnline: boolean, isSyncing: boolean, enqueue: Function, sync: Function,
+ *   retry: Function, discard: Function}} - 'entries' are the queued captures (see QueuedCapture in offlineQueue.jsx).
+ */
+export default function useOfflineQueue(db, storage, userId, setMessage) {
+  const [entries, setEntries] = useState([]);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [isSyncing, setIsSyncing] = useState(false);
+  // Guards against overlapping syncs, which would submit the same capture twice
+  const isSyncingRef = useRef(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await listQueuedCaptures());
+    } catch (error) {
+      console.error("Error reading the offline queue:", error);
+    }
+  }, []);
+
+  // Adds a capture to the queue; see QueuedCapture for its fields
+  const enqueue = useCallback(async (capture) => {
+    await saveQueuedCapture({ ...capture, queuedAt: Date.now(), status: QUEUE_PENDING, lastError: null });
+    await refresh();
+  }, [refresh]);
+
+  // Submits the pending captures of the signed-in user, oldest first, and stops at the first network error
+  const sync = useCallback(async () => {
+    if (isSyncingRef.current || !db || !storage || !userId || !navigator.onLine) {
+      return;
+    }
+    isSyncingRef.current = true;
+    setIsSyncing(true);
+    let syncedCount = 0;
+    try {
+      const queued = await listQueuedCaptures();
+      for (const entry of queued) {
+        if (entry.status !== QUEUE_PENDING || entry.record.loggedByUserId !== userId) {
+          continue;
+        }
+        if (isTooOldToSync(entry)) {
+          await saveQueuedCapture({ ...entry, status: QUEUE_FAILED, lastError: `Captures older than ${MAX_QUEUE_AGE_DAYS} days can no longer be synced.` });
+          continue;
+        }
+        try {
+          await submitCapture(db, storage, {
+            recordId: entry.id,
+            record: entry.record,
+            imageDataUrl: entry.imageDataUrl,
+            direction: entry.direction,
+            override: entry.override,
+            capturedAt: new Date(entry.capturedAt)
+          });
+          await removeQueuedCapture(entry.id);
+          syncedCount += 1;
+        } catch (error) {
+          if (isNetworkError(error)) {
+            break; // Still offline; the remaining captures are tried again later
+          }
+          console.error("Error syncing offline capture:", error);
+          await saveQueuedCapture({
+            ...entry,
+            status: error instanceof DuplicateCheckInError ? QUEUE_CONFLICT : QUEUE_FAILED,
+            lastError: error.message
+          });
+        }
+      }
+    } catch (error) {
+      console.error("Error syncing the offline queue:", error);
+    } finally {
+      isSyncingRef.current = false;
+      setIsSyncing(false);
+      await refresh();
+    }
+    if (syncedCount > 0) {
+      setMessage(`Synced ${syncedCount} capture${syncedCount === 1 ? '' : 's'} made while offline.`);
+    }
+  }, [db, storage, userId, refresh, setMessage]);
+
+  // Puts a conflicting or failed capture back in line; 'override' logs a duplicate anyway
+  const retry = useCallback(async (entry, { override = false } = {}) => {
+    await saveQueuedCapture({ ...entry, override: entry.override || override, status: QUEUE_PENDING, lastError: null });
+    await sync();
+  }, [sync]);
+
+  const discard = useCallback(async (entry) => {
+    await removeQueuedCapture(entry.id);
+    await refresh();
+  }, [refresh]);
+
+  // Load the queue left by an earlier visit and sync it as soon as the user is signed in
+  useEffect(() => {
+    refresh().then(sync);
+  }, [refresh, sync]);
+
+  // Sync when the connection returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      sync();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [sync]);
+
+  // Retry periodically while captures are pending
+  const hasPending = entries.some(entry => entry.status === QUEUE_PENDING);
+  useEffect(() => {
+    if (!hasPending) {
+      return;
+    }
+    const timer = setInterval(sync, RETRY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasPending, sync]);
+
+  return { entries, isOnline, isSyncing, enqueue, sync, retry, discard };
+}
@@ -0,0 +1,39 @@
+// src/hooks/usePeople.jsx
+import { useEffect, useState } from 'react';
+import { onSnapshot, query } from 'firebase/firestore';
+import { getPeopleCollection } from '../firebase/collections.jsx';
+
+/**
+ * Subscribes to the enrolled people registry in real-time.
+ * @param {Object} db - The Firestore database instance.
+ * @param {string|null} userId - The signed-in user's UID; nothing is fetched until it is set.
+ * @param {Function} setMessage - React state setter for general messages.
+ * @returns {Array<Object>} - The enrolled people, sorted by name.
+ */
+export default function usePeople(db, userId, setMessage) {
+  const [people, setPeople] = useState([]);
+
+  useEffect(() => {
+    // Ensure 'db' and 'userId' are available before attempting to fetch
+    if (db && userId) {
+      const q = query(getPeopleCollection(db));
+      const unsubscribe = onSnapshot(q, (snapshot) => {
+        const list = [];
+        snapshot.forEach((doc) => {
+          list.push({ id: doc.id, ...doc.data() });
+        });
+        // Keep a stable, alphabetical order for pickers and lists
+        list.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        setPeople(list);
+      }, (error) => {
+        console.error("Error fetching enrolled people:", error);
+        setMessage("Failed to load enrolled people.");
+      });
+
+      // Unsubscribe from the listener when the component unmounts
+      return () => unsubscribe();
+    }
+  }, [db, userId, setMessage]);
+
+  return people;
+}
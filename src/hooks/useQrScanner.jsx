@@ -0,0 +1,86 @@
+// src/hooks/useQrScanner.jsx
+import { useEffect, useRef } from 'react';
+import jsQR from 'jsqr';
+
+// How often the video is scanned
+const SCAN_INTERVAL_MS = 300;
+// Frames are scanned at most this wide, which is plenty for a badge held up to the camera
+const SCAN_MAX_WIDTH = 640;
+// The same code is not reported again for this long, so a badge held in front of the camera is logged once
+const REPEAT_DELAY_MS = 5000;
+
+/**
+ * Creates the decoder: the browser's built-in barcode detector where it reads QR codes, otherwise jsQR.
+ * Both run locally; no frame leaves the browser.
+ * @returns {{decode: function(HTMLCanvasElement, CanvasRenderingContext2D): Promise<string|null>}}
+ */
+const createDecoder = () => {
+  if (typeof window !== 'undefined' && 'BarcodeDetector' in window) {
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+    return {
+      decode: async (canvas) => {
+        const [code] = await detector.detect(canvas);
+        return code ? code.rawValue : null;
+      }
+    };
+  }
+  return {
+    decode: async (canvas, context) => {
+      const { data, width, height } = context.getImageData(0, 0, canvas.width, canvas.height);
+      const code = jsQR(data, width, height, { inversionAttempts: 'dontInvert' });
+      return code ? code.data : null;
+    }
+  };
+};
+
+/**
+ * Scans a live video for QR codes.
+ * @param {Object} videoRef - Ref of the playing video element.
+ * @param {boolean} enabled - Whether to scan; scanning pauses while false (e.g. while a check-in is logged).
+ * @param {Function} onScan - Called with the text of each QR code found.
+ */
+export default function useQrScanner(videoRef, enabled, onScan) {
+  const onScanRef = useRef(onScan);
+  const lastScanRef = useRef({ text: null, at: 0 });
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+    const decoder = createDecoder();
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    let isScanning = false;
+
+    const scan = async () => {
+      const video = videoRef.current;
+      if (isScanning || !video || video.readyState < 2 || !video.videoWidth) {
+        return;
+      }
+      isScanning = true;
+      try {
+        const scale = Math.min(1, SCAN_MAX_WIDTH / video.videoWidth);
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+        context.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const text = await decoder.decode(canvas, context);
+        const last = lastScanRef.current;
+        if (text && (text !== last.text || Date.now() - last.at > REPEAT_DELAY_MS)) {
+          lastScanRef.current = { text, at: Date.now() };
+          onScanRef.current(text);
+        }
+      } catch (error) {
+        console.error("Error scanning for QR codes:", error);
+      } finally {
+        isScanning = false;
+      }
+    };
+
+    const interval = setInterval(scan, SCAN_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [videoRef, enabled]);
+}
@@ -0,0 +1,33 @@
+// src/hooks/useRecordAudit.jsx
+import { useEffect, useState } from 'react';
+import { onSnapshot, query, orderBy } from 'firebase/firestore';
+import { getRecordAuditCollection } from '../firebase/collections.jsx';
+
+/**
+ * Subscribes to the audit trail of one attendance record in real-time.
+ * @param {Object} db - The Firestore database instance.
+ * @param {string|null} recordId - The attendance record ID; nothing is fetched until it is set.
+ * @param {Function} setMessage - React state setter for general messages.
+ * @returns {Array<Object>} - The audit entries, newest first.
+ */
+export default function useRecordAudit(db, recordId, setMessage) {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    setEntries([]);
+    if (db && recordId) {
+      const q = query(getRecordAuditCollection(db, recordId), orderBy('changedAt', 'desc'));
+      const unsubscribe = onSnapshot(q, (snapshot) => {
+        setEntries(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+      }, (error) => {
+        console.error("Error fetching the record's history:", error);
+        setMessage("Failed to load the history of this record.");
+      });
+
+      // Unsubscribe from the listener when the record changes or the component unmounts
+      return () => unsubscribe();
+    }
+  }, [db, recordId, setMessage]);
+
+  return entries;
+}
@@ -0,0 +1,54 @@
+// src/hooks/useSessionAttendance.jsx
+import { useEffect, useMemo, useState } from 'react';
+import { onSnapshot, query, where } from 'firebase/firestore';
+import { getAttendanceCollection } from '../firebase/collections.jsx';
+import { toDate } from '../utils/sessions.jsx';
+import { computeSessionAttendance } from '../utils/sessionAttendance.jsx';
+
+/**
+ * Tracks a session's attendance against its roster in real-time. Every record of the session is
+ * subscribed to, regardless of the log's paging, and the result is recomputed when the session ends
+ * so absentees appear without a reload.
+ * @param {Object} db - The Firestore database instance.
+ * @param {string|null} userId - The signed-in user's UID; nothing is fetched until it is set.
+ * @param {Object|null} session - The session; nothing is fetched when null.
+ * @param {Function} setMessage - React state setter for general messages.
+ * @returns {Object|null} - Result of computeSessionAttendance, or null without a session.
+ */
+export default function useSessionAttendance(db, userId, session, setMessage) {
+  const [records, setRecords] = useState([]);
+  const [now, setNow] = useState(() => new Date());
+  const sessionId = session ? session.id : '';
+
+  useEffect(() => {
+    setRecords([]);
+    // Ensure 'db', 'userId' and a session are available before attempting to fetch
+    if (db && userId && sessionId) {
+      const q = query(getAttendanceCollection(db), where('sessionId', '==', sessionId));
+      const unsubscribe = onSnapshot(q, (snapshot) => {
+        setRecords(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+        setNow(new Date());
+      }, (error) => {
+        console.error("Error fetching session records:", error);
+        setMessage("Failed to load the session's attendance.");
+      });
+
+      // Unsubscribe from the listener when the session changes or the component unmounts
+      return () => unsubscribe();
+    }
+  }, [db, userId, sessionId, setMessage]);
+
+  // Re-evaluate once the session ends, when people still missing become absent
+  const endTime = session ? toDate(session.endTime) : null;
+  const endMillis = endTime ? endTime.getTime() : null;
+  useEffect(() => {
+    // Timers longer than ~24.8 days overflow; such sessions are re-evaluated on the next record instead
+    const delay = endMillis === null ? -1 : endMillis - Date.now() + 1000;
+    if (delay > 0 && delay < 2 ** 31 - 1) {
+      const timer = setTimeout(() => setNow(new Date()), delay);
+      return () => clearTimeout(timer);
+    }
+  }, [endMillis]);
+
+  return useMemo(() => (session ? computeSessionAttendance(session, records, now) : null), [session, records, now]);
+}
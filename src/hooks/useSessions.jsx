@@ -0,0 +1,42 @@
+// src/hooks/useSessions.jsx
+import { useEffect, useState } from 'react';
+import { onSnapshot, query } from 'firebase/firestore';
+import { getSessionsCollection } from '../firebase/collections.jsx';
+
+/**
+ * Subscribes to the attendance sessions in real-time.
+ * @param {Object} db - The Firestore database instance.
+ * @param {string|null} userId - The signed-in user's UID; nothing is fetched until it is set.
+ * @param {Function} setMessage - React state setter for general messages.
+ * @returns {Array<Object>} - The sessions, most recent start time first.
+ */
+export default function useSessions(db, userId, setMessage) {
+  const [sessions, setSessions] = useState([]);
+
+  useEffect(() => {
+    // Ensure 'db' and 'userId' are available before attempting to fetch
+    if (db && userId) {
+      const q = query(getSessionsCollection(db));
+      const unsubscribe = onSnapshot(q, (snapshot) => {
+        const list = [];
+        snapshot.forEach((doc) => {
+          list.push({ id: doc.id, ...doc.data() });
+        });
+        list.sort((a, b) => {
+          const startA = a.startTime && typeof a.startTime.toMillis === 'function' ? a.startTime.toMillis() : 0;
+          const startB = b.startTime && typeof b.startTime.toMillis === 'function' ? b.startTime.toMillis() : 0;
+          return startB - startA;
+        });
+        setSessions(list);
+      }, (error) => {
+        console.error("Error fetching sessions:", error);
+        setMessage("Failed to load sessions.");
+      });
+
+      // Unsubscribe from the listener when the component unmounts
+      return () => unsubscribe();
+    }
+  }, [db, userId, setMessage]);
+
+  return sessions;
+}
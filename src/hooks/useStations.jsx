@@ -0,0 +1,37 @@
+// src/hooks/useStations.jsx
+import { useEffect, useState } from 'react';
+import { onSnapshot, query } from 'firebase/firestore';
+import { getStationsCollection } from '../firebase/collections.jsx';
+
+/**
+ * Subscribes to the registered capture stations in real-time.
+ * @param {Object} db - The Firestore database instance.
+ * @param {string|null} userId - The signed-in user's UID; nothing is fetched until it is set.
+ * @param {Function} setMessage - React state setter for general messages.
+ * @returns {Array<Object>} - The stations, sorted by name.
+ */
+export default function useStations(db, userId, setMessage) {
+  const [stations, setStations] = useState([]);
+
+  useEffect(() => {
+    // Ensure 'db' and 'userId' are available before attempting to fetch
+    if (db && userId) {
+      const unsubscribe = onSnapshot(query(getStationsCollection(db)), (snapshot) => {
+        const list = [];
+        snapshot.forEach((doc) => {
+          list.push({ id: doc.id, ...doc.data() });
+        });
+        list.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        setStations(list);
+      }, (error) => {
+        console.error("Error fetching stations:", error);
+        setMessage("Failed to load stations.");
+      });
+
+      // Unsubscribe from the listener when the component unmounts
+      return () => unsubscribe();
+    }
+  }, [db, userId, setMessage]);
+
+  return stations;
+}
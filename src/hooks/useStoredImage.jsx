@@ -0,0 +1,42 @@
+// src/hooks/useStoredImage.jsx
+import { useEffect, useState } from 'react';
+import { loadStoredImage, releaseImageUrl } from '../firebase/imageStorage.jsx';
+
+/**
+ * Downloads an image from Cloud Storage (checked against storage.rules) and frees it again once it is no longer shown.
+ * @param {Object} storage - The Cloud Storage instance.
+ * @param {string|null} path - Path of the image; nothing is downloaded until it is set.
+ * @returns {{url: string|null, failed: boolean}} - 'url' is null while the image is downloaded.
+ */
+export default function useStoredImage(storage, path) {
+  const [image, setImage] = useState({ url: null, failed: false });
+
+  useEffect(() => {
+    setImage({ url: null, failed: false });
+    if (!storage || !path) {
+      return;
+    }
+    let isCurrent = true;
+    let url = null;
+    loadStoredImage(storage, path)
+      .then(objectUrl => {
+        if (isCurrent) {
+          url = objectUrl;
+          setImage({ url, failed: false });
+        } else {
+          releaseImageUrl(objectUrl);
+        }
+      })
+      .catch(error => {
+        console.error(`Error loading ${path}:`, error);
+        if (isCurrent) setImage({ url: null, failed: true });
+      });
+
+    return () => {
+      isCurrent = false;
+      releaseImageUrl(url);
+    };
+  }, [storage, path]);
+
+  return image;
+}
@@ -0,0 +1,57 @@
+// src/hooks/useUrlFilters.jsx
+import { useCallback, useEffect, useState } from 'react';
+
+// Filter fields and the query string parameters they are stored under
+const PARAMS = {
+  name: 'name',
+  from: 'from',
+  to: 'to',
+  sessionId: 'session',
+  stationId: 'station',
+};
+
+export const EMPTY_FILTERS = { name: '', from: '', to: '', sessionId: '', stationId: '' };
+
+/**
+ * Reads the filters from the current URL's query string.
+ * @returns {Object} - Filters with every field of EMPTY_FILTERS.
+ */
+const readFiltersFromUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  const filters = { ...EMPTY_FILTERS };
+  Object.entries(PARAMS).forEach(([field, param]) => {
+    filters[field] = params.get(param) || '';
+  });
+  return filters;
+};
+
+/**
+ * Keeps the attendance filters in sync with the URL query string so a filtered view can be bookmarked and shared.
+ * Other query parameters are preserved. The URL is replaced rather than pushed, so typing in the search
+ * box does not flood the browser history.
+ * @returns {[Object, Function]} - The filters ({ name, from, to, sessionId, stationId }, dates as "YYYY-MM-DD")
+ *   and a setter accepting a partial update.
+ */
+export default function useUrlFilters() {
+  const [filters, setFilters] = useState(readFiltersFromUrl);
+
+  // Write the filters back to the query string whenever they change
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    Object.entries(PARAMS).forEach(([field, param]) => {
+      if (filters[field]) {
+        params.set(param, filters[field]);
+      } else {
+        params.delete(param);
+      }
+    });
+    const search = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+  }, [filters]);
+
+  const updateFilters = useCallback((changes) => {
+    setFilters(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  return [filters, updateFilters];
+}
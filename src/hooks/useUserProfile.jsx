@@ -0,0 +1,48 @@
+// src/hooks/useUserProfile.jsx
+import { useEffect, useState } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { getUsersCollection } from '../firebase/collections.jsx';
+import { ensureUserProfile } from '../firebase/userProfiles.jsx';
+
+/**
+ * Subscribes to the signed-in user's profile, creating it on first sign-in, so role changes made by an
+ * admin apply without signing in again.
+ * @param {Object} db - The Firestore database instance.
+ * @param {Object|null} user - The signed-in Firebase user.
+ * @param {Function} setMessage - React state setter for general messages.
+ * @returns {Object|null} - The profile ({ id, email, displayName, role, personId }), or null while loading or signed out.
+ */
+export default function useUserProfile(db, user, setMessage) {
+  const [profile, setProfile] = useState(null);
+
+  useEffect(() => {
+    setProfile(null);
+    if (!db || !user) {
+      return;
+    }
+    let unsubscribe = () => {};
+    let isCurrent = true;
+    ensureUserProfile(db, user)
+      .then(() => {
+        if (!isCurrent) return;
+        unsubscribe = onSnapshot(doc(getUsersCollection(db), user.uid), (snapshot) => {
+          setProfile(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+        }, (error) => {
+          console.error("Error fetching user profile:", error);
+          setMessage("Failed to load your user profile.");
+        });
+      })
+      .catch(error => {
+        console.error("Error creating user profile:", error);
+        setMessage("Failed to set up your user profile.");
+      });
+
+    // Unsubscribe when the user changes or the component unmounts
+    return () => {
+      isCurrent = false;
+      unsubscribe();
+    };
+  }, [db, user, setMessage]);
+
+  return profile;
+}
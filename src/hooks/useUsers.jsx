@@ -0,0 +1,34 @@
+// src/hooks/useUsers.jsx
+import { useEffect, useState } from 'react';
+import { onSnapshot, query } from 'firebase/firestore';
+import { getUsersCollection } from '../firebase/collections.jsx';
+
+/**
+ * Subscribes to all user profiles in real-time (admins only).
+ * @param {Object} db - The Firestore database instance.
+ * @param {string|null} userId - The signed-in user's UID; nothing is fetched until it is set.
+ * @param {Function} setMessage - React state setter for general messages.
+ * @returns {Array<Object>} - The user profiles, sorted by name or email.
+ */
+export default function useUsers(db, userId, setMessage) {
+  const [users, setUsers] = useState([]);
+
+  useEffect(() => {
+    // Ensure 'db' and 'userId' are available before attempting to fetch
+    if (db && userId) {
+      const unsubscribe = onSnapshot(query(getUsersCollection(db)), (snapshot) => {
+        const list = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        list.sort((a, b) => (a.displayName || a.email || '').localeCompare(b.displayName || b.email || ''));
+        setUsers(list);
+      }, (error) => {
+        console.error("Error fetching users:", error);
+        setMessage("Failed to load users.");
+      });
+
+      // Unsubscribe from the listener when the component unmounts
+      return () => unsubscribe();
+    }
+  }, [db, userId, setMessage]);
+
+  return users;
+}
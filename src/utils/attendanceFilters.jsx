@@ -0,0 +1,71 @@
+// src/utils/attendanceFilters.jsx
+// Translates the attendance log filters into Firestore query constraints (session, station, date range)
+// and client-side matching (name search, which Firestore cannot do case/diacritic-insensitively).
+import { where, Timestamp } from 'firebase/firestore';
+import { normalizeForSearch } from './text.jsx';
+
+/**
+ * Parses a "YYYY-MM-DD" date input value as local midnight.
+ * @param {string} value
+ * @returns {Date|null}
+ */
+export const parseDateInput = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+/**
+ * Builds the server-side constraints of the attendance query.
+ * Equality filters combined with ordering by 'timestamp' need the composite indexes in firestore.indexes.json.
+ * @param {Object} filters
+ * @param {string} [filters.sessionId] - Only records of this session.
+ * @param {string} [filters.stationId] - Only records logged by this station.
+ * @param {string} [filters.personId] - Only records of this person in the directory (an attendee's own history).
+ * @param {string} [filters.from] - First day included ("YYYY-MM-DD").
+ * @param {string} [filters.to] - Last day included ("YYYY-MM-DD").
+ * @returns {Array<Object>} - Firestore query constraints.
+ */
+export const buildFilterConstraints = ({ sessionId, stationId, personId, from, to }) => {
+  const constraints = [];
+  if (sessionId) {
+    constraints.push(where('sessionId', '==', sessionId));
+  }
+  if (stationId) {
+    constraints.push(where('stationId', '==', stationId));
+  }
+  if (personId) {
+    constraints.push(where('personId', '==', personId));
+  }
+  const fromDate = parseDateInput(from);
+  if (fromDate) {
+    constraints.push(where('timestamp', '>=', Timestamp.fromDate(fromDate)));
+  }
+  const toDate = parseDateInput(to);
+  if (toDate) {
+    // Include the whole last day
+    toDate.setDate(toDate.getDate() + 1);
+    constraints.push(where('timestamp', '<', Timestamp.fromDate(toDate)));
+  }
+  return constraints;
+};
+
+/**
+ * Keeps the records whose person name contains the search text, ignoring case and diacritics.
+ * @param {Array<Object>} logs - Attendance records.
+ * @param {string} name - Search text; empty keeps every record.
+ * @returns {Array<Object>}
+ */
+export const filterLogsByName = (logs, name) => {
+  const needle = normalizeForSearch(name);
+  if (!needle) {
+    return logs;
+  }
+  return logs.filter(log => normalizeForSearch(log.personName).includes(needle));
+};
+
+/**
+ * Tells whether any filter is set.
+ * @param {Object} filters
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (filters) => Object.values(filters).some(Boolean);
@@ -0,0 +1,100 @@
+// src/utils/attendanceSummary.jsx
+// Structured attendance summaries: a local aggregation of the records, used both to verify the counts
+// of an AI-generated summary and as the summary itself when the AI is unavailable.
+import { getEventType, isVoided, CHECK_IN } from '../firebase/attendanceStore.jsx';
+import { toDate } from './sessions.jsx';
+import { toDayKey } from './timeOnSite.jsx';
+import { normalizeForSearch } from './text.jsx';
+import { describeSessionAttendance } from './sessionAttendance.jsx';
+
+/**
+ * @typedef {Object} AttendanceSummary
+ * @property {Array<{date: string, count: number, attendees: Array<string>}>} days - Per local date ("YYYY-MM-DD"),
+ *   the number of distinct people who checked in and their names.
+ * @property {Array<string>} patterns - Notable patterns, one sentence each.
+ * @property {string} narrative - A short prose summary.
+ */
+
+/**
+ * Summarizes attendance records without any AI: distinct check-ins per day plus a few simple patterns.
+ * @param {Array<Object>} logs - Attendance records; voided ones are ignored.
+ * @param {Array<Object>} [sessionAttendances] - Roster checks (see computeSessionAttendance) whose absentees
+ *   and late arrivals are listed as patterns.
+ * @returns {AttendanceSummary}
+ */
+export const summarizeLocally = (logs, sessionAttendances = []) => {
+  const byDate = new Map();
+  const names = new Map(); // Normalized name -> display name
+  logs.forEach(log => {
+    const time = toDate(log.timestamp);
+    if (!time || !log.personName || isVoided(log) || getEventType(log) !== CHECK_IN) return;
+    const date = toDayKey(time);
+    if (!byDate.has(date)) {
+      byDate.set(date, new Map());
+    }
+    // Spellings differing only in case or accents are the same person; the first one seen is displayed
+    const key = normalizeForSearch(log.personName);
+    if (!byDate.get(date).has(key)) byDate.get(date).set(key, log.personName);
+    if (!names.has(key)) names.set(key, log.personName);
+  });
+
+  const days = [...byDate.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, attendees]) => ({ date, count: attendees.size, attendees: [...attendees.values()].sort((a, b) => a.localeCompare(b)) }));
+
+  const patterns = [];
+  if (days.length > 1) {
+    const busiest = days.reduce((best, day) => (day.count > best.count ? day : best));
+    const average = days.reduce((sum, day) => sum + day.count, 0) / days.length;
+    patterns.push(`Busiest day: ${busiest.date} with ${busiest.count} attendee(s), against an average of ${average.toFixed(1)} per day.`);
+    const regulars = [...names.entries()]
+      .filter(([key]) => days.every(day => day.attendees.some(name => normalizeForSearch(name) === key)))
+      .map(([, name]) => name);
+    if (regulars.length > 0) {
+      patterns.push(`Attended every day: ${regulars.join(', ')}.`);
+    }
+  }
+
+  sessionAttendances.forEach(attendance => patterns.push(...describeSessionAttendance(attendance)));
+
+  const narrative = days.length === 0
+    ? 'No check-ins in these records.'
+    : `${names.size} ${names.size === 1 ? 'person' : 'people'} checked in across ${days.length} day(s), from ${days[0].date} to ${days[days.length - 1].date}.`;
+
+  return { days, patterns, narrative };
+};
+
+/**
+ * Compares the per-date counts and attendees of a summary against the local aggregation.
+ * Dates missing from either side are included, so a summary that skips or invents a day is flagged too.
+ * @param {AttendanceSummary} summary - The summary to verify (e.g. from the AI).
+ * @param {AttendanceSummary} localSummary - Result of summarizeLocally for the same records.
+ * @returns {Array<{date: string, count: number|null, localCount: number, attendees: Array<string>,
+ *   missing: Array<string>, extra: Array<string>, mismatch: boolean}>} - One row per date, oldest first.
+ *   'missing' are attendees found in the records but not in the summary, 'extra' the reverse.
+ */
+export const crossCheckSummary = (summary, localSummary) => {
+  const reported = new Map(summary.days.map(day => [day.date, day]));
+  const local = new Map(localSummary.days.map(day => [day.date, day]));
+  const dates = [...new Set([...reported.keys(), ...local.keys()])].sort();
+
+  return dates.map(date => {
+    const day = reported.get(date);
+    const localDay = local.get(date) || { count: 0, attendees: [] };
+    const attendees = day ? day.attendees : [];
+    const reportedKeys = new Set(attendees.map(normalizeForSearch));
+    const localKeys = new Set(localDay.attendees.map(normalizeForSearch));
+    const missing = localDay.attendees.filter(name => !reportedKeys.has(normalizeForSearch(name)));
+    const extra = attendees.filter(name => !localKeys.has(normalizeForSearch(name)));
+    const count = day ? day.count : null;
+    return {
+      date,
+      count,
+      localCount: localDay.count,
+      attendees,
+      missing,
+      extra,
+      mismatch: count !== localDay.count || missing.length > 0 || extra.length > 0
+    };
+  });
+};
@@ -0,0 +1,129 @@
+// src/utils/badges.jsx
+// QR badges and PINs: check-in credentials for people who do not want their face captured, or for rooms where the
+// camera cannot see well. A badge's QR code holds a random badge token, so issuing a new badge revokes the old one.
+// Tokens and PINs are stored and looked up by src/firebase/checkInCredentials.jsx.
+import QRCode from 'qrcode';
+
+// Check-in methods, stored in the 'method' field of attendance records
+export const METHOD_CAMERA = 'camera';
+export const METHOD_QR = 'qr';
+export const METHOD_PIN = 'pin';
+
+// Marks the text of a QR code as one of this app's badges
+const BADGE_PREFIX = 'ATTENDANCE-BADGE:';
+const BADGE_TOKEN_PATTERN = /^[0-9a-f]{32}$/;
+// Personal PINs: 4 to 8 digits
+const PIN_PATTERN = /^\d{4,8}$/;
+
+// Wrong PINs allowed in a row before PIN entry is locked for the signed-in account
+export const MAX_PIN_FAILURES = 5;
+// Length in seconds of the first, second, ... lockout in a row: 30 seconds, doubling up to 15 minutes.
+// firestore.rules enforces the same table (see isPinLocked there)
+const PIN_LOCKOUT_SECONDS = [30, 60, 120, 240, 480, 900];
+
+/**
+ * Generates a new random badge token.
+ * @returns {string} - 32 hexadecimal characters.
+ */
+export const generateBadgeToken = () => Array.from(crypto.getRandomValues(new Uint8Array(16)))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+/**
+ * Text encoded in a person's badge QR code.
+ * @param {Object} person - Directory entry with its 'badgeToken' (see getBadgeTokens in checkInCredentials.jsx).
+ * @returns {string}
+ */
+export const encodeBadge = (person) => `${BADGE_PREFIX}${person.badgeToken}`;
+
+/**
+ * Reads the badge token from a scanned QR code.
+ * @param {string} text - Text of the scanned QR code.
+ * @returns {string|null} - The badge token, or null for codes that are not this app's badges.
+ */
+export const parseBadge = (text) => {
+  if (typeof text !== 'string' || !text.startsWith(BADGE_PREFIX)) return null;
+  const token = text.slice(BADGE_PREFIX.length);
+  return BADGE_TOKEN_PATTERN.test(token) ? token : null;
+};
+
+/**
+ * Tells whether a PIN has the required form.
+ * @param {string} pin
+ * @returns {boolean}
+ */
+export const isValidPin = (pin) => PIN_PATTERN.test(pin);
+
+/**
+ * Tells until when PIN entry is locked for an account.
+ * @param {{lockouts: number, lockedAt: number|null}|null} attempts - The account's PIN attempts (see checkPin in
+ * checkInCredentials.jsx), with 'lockedAt' in milliseconds.
+ * @param {number} [now] - Current time in milliseconds.
+ * @returns {number|null} - Time in milliseconds PIN entry unlocks at, or null when it is not locked.
+ */
+export const getPinLockedUntil = (attempts, now = Date.now()) => {
+  if (!attempts || attempts.lockouts <= 0 || attempts.lockedAt == null) return null;
+  const lockedUntil = attempts.lockedAt + PIN_LOCKOUT_SECONDS[Math.min(attempts.lockouts, PIN_LOCKOUT_SECONDS.length) - 1] * 1000;
+  return lockedUntil > now ? lockedUntil : null;
+};
+
+/**
+ * Counts a checked PIN. An accepted PIN starts over; after MAX_PIN_FAILURES wrong PINs in a row, PIN entry is
+ * locked, for longer after each lockout.
+ * @param {{failures: number, lockouts: number}} attempts - The account's PIN attempts so far.
+ * @param {boolean} matched - Whether the PIN belonged to someone.
+ * @returns {{failures: number, lockouts: number, locked: boolean}} - The new counts; 'locked' when this PIN starts a lockout.
+ */
+export const countPinAttempt = (attempts, matched) => {
+  if (matched) return { failures: 0, lockouts: 0, locked: false };
+  const failures = attempts.failures + 1;
+  if (failures >= MAX_PIN_FAILURES) return { failures: 0, lockouts: attempts.lockouts + 1, locked: true };
+  return { failures, lockouts: attempts.lockouts, locked: false };
+};
+
+/**
+ * Renders a person's badge QR code as an image.
+ * @param {Object} person - Directory entry with its 'badgeToken'.
+ * @returns {Promise<string>} - PNG data URL.
+ */
+export const createBadgeQrCode = (person) => QRCode.toDataURL(encodeBadge(person), { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+/**
+ * Builds a printable page of badges, laid out as cards to cut out, which prints itself once loaded.
+ * @param {Array<Object>} people - Directory entries with their 'badgeToken'.
+ * @returns {Promise<string>} - A complete HTML document.
+ */
+export const renderBadgeSheet = async (people) => {
+  const codes = await Promise.all(people.map(createBadgeQrCode));
+  const cards = people.map((person, index) => `
+    <div class="badge">
+      <img src="${codes[index]}" alt="">
+      <p class="name">${escapeHtml(person.name)}</p>
+      ${person.externalId ? `<p class="id">${escapeHtml(person.externalId)}</p>` : ''}
+    </div>`).join('');
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Attendance badges</title>
+  <style>
+    body { font-family: sans-serif; margin: 1cm; }
+    .sheet { display: flex; flex-wrap: wrap; gap: 0.5cm; }
+    .badge { width: 5.4cm; padding: 0.4cm; border: 1px dashed #999; text-align: center; page-break-inside: avoid; }
+    .badge img { width: 4cm; height: 4cm; }
+    .name { margin: 0.2cm 0 0; font-weight: bold; font-size: 12pt; }
+    .id { margin: 0.1cm 0 0; color: #555; font-size: 9pt; }
+  </style>
+</head>
+<body onload="window.print()">
+  <div class="sheet">${cards}</div>
+</body>
+</html>`;
+};
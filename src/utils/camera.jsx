@@ -0,0 +1,129 @@
+// src/utils/camera.jsx
+// Camera and image settings of this station: which camera to open, at what resolution, and how captures are
+// downscaled and compressed before they are sent to the AI and stored. Like the station name, the settings
+// are remembered in localStorage, so a laptop with a docked webcam keeps using the right one.
+
+const CAMERA_SETTINGS_KEY = 'attendance.cameraSettings';
+
+// Camera facing directions on phones and tablets
+export const FACING_FRONT = 'user';
+export const FACING_BACK = 'environment';
+
+// Requested video resolutions; the camera picks the closest one it supports
+export const RESOLUTIONS = [
+  { id: 'default', label: 'Camera default' },
+  { id: '480p', label: '640 × 480', width: 640, height: 480 },
+  { id: '720p', label: '1280 × 720', width: 1280, height: 720 },
+  { id: '1080p', label: '1920 × 1080', width: 1920, height: 1080 },
+];
+
+// Longest side captures are downscaled to (0 keeps the camera's size)
+export const MAX_IMAGE_SIZES = [640, 960, 1280, 1920, 0];
+
+// Encodings of the captured image
+export const IMAGE_FORMATS = [
+  { id: 'image/jpeg', label: 'JPEG' },
+  { id: 'image/webp', label: 'WebP' },
+  { id: 'image/png', label: 'PNG (lossless)' },
+];
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  deviceId: '', // '' = let the browser pick, following 'facingMode'
+  facingMode: FACING_FRONT,
+  resolution: '720p',
+  maxImageSize: 1280,
+  imageFormat: 'image/jpeg',
+  imageQuality: 0.85, // 0-1, for JPEG and WebP
+};
+
+/**
+ * Returns this station's camera settings.
+ * @returns {Object} - See DEFAULT_CAMERA_SETTINGS.
+ */
+export const getCameraSettings = () => {
+  try {
+    return { ...DEFAULT_CAMERA_SETTINGS, ...JSON.parse(localStorage.getItem(CAMERA_SETTINGS_KEY) || '{}') };
+  } catch {
+    return { ...DEFAULT_CAMERA_SETTINGS };
+  }
+};
+
+/**
+ * Saves this station's camera settings.
+ * @param {Object} settings
+ */
+export const setCameraSettings = (settings) => {
+  localStorage.setItem(CAMERA_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Lists the cameras of this device. Their labels are only filled in once camera access was granted.
+ * @returns {Promise<Array<{deviceId: string, label: string}>>}
+ */
+export const listCameras = async () => {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return [];
+  }
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === 'videoinput' && device.deviceId)
+    .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Camera ${index + 1}` }));
+};
+
+/**
+ * getUserMedia constraints for the given settings.
+ * @param {Object} settings - See DEFAULT_CAMERA_SETTINGS.
+ * @returns {MediaStreamConstraints}
+ */
+export const buildVideoConstraints = (settings) => {
+  const resolution = RESOLUTIONS.find(option => option.id === settings.resolution);
+  const video = settings.deviceId
+    ? { deviceId: { exact: settings.deviceId } }
+    : { facingMode: { ideal: settings.facingMode } };
+  if (resolution && resolution.width) {
+    video.width = { ideal: resolution.width };
+    video.height = { ideal: resolution.height };
+  }
+  return { video, audio: false };
+};
+
+/**
+ * Opens the camera chosen in the settings. When that camera is gone (e.g. an unplugged webcam),
+ * the browser's default camera is opened instead.
+ * @param {Object} [settings] - See DEFAULT_CAMERA_SETTINGS; defaults to this station's settings.
+ * @returns {Promise<MediaStream>}
+ */
+export const openCamera = async (settings = getCameraSettings()) => {
+  try {
+    return await navigator.mediaDevices.getUserMedia(buildVideoConstraints(settings));
+  } catch (error) {
+    if (settings.deviceId && (error.name === 'OverconstrainedError' || error.name === 'NotFoundError')) {
+      console.warn("The selected camera is not available, falling back to the default camera.");
+      return navigator.mediaDevices.getUserMedia(buildVideoConstraints({ ...settings, deviceId: '' }));
+    }
+    throw error;
+  }
+};
+
+/**
+ * Captures the current video frame, downscaled and encoded as set in the settings.
+ * Browsers that cannot encode WebP (Safari) get JPEG instead.
+ * @param {HTMLVideoElement} video - The playing video.
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on.
+ * @param {Object} [settings] - See DEFAULT_CAMERA_SETTINGS; defaults to this station's settings.
+ * @returns {{dataUrl: string, width: number, height: number}}
+ */
+export const captureVideoFrame = (video, canvas, settings = getCameraSettings()) => {
+  const longestSide = Math.max(video.videoWidth, video.videoHeight);
+  const scale = settings.maxImageSize ? Math.min(1, settings.maxImageSize / longestSide) : 1;
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  let dataUrl = canvas.toDataURL(settings.imageFormat, settings.imageQuality);
+  // Unsupported formats silently come back as PNG
+  if (!dataUrl.startsWith(`data:${settings.imageFormat}`)) {
+    dataUrl = canvas.toDataURL('image/jpeg', settings.imageQuality);
+  }
+  return { dataUrl, width: canvas.width, height: canvas.height };
+};
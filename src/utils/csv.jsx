@@ -0,0 +1,91 @@
+// src/utils/csv.jsx
+// Minimal CSV support (RFC 4180) used for exports and roster imports.
+
+// Spreadsheet apps execute cells starting with these characters as formulas
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Escapes a single CSV field: fields containing commas, quotes or line breaks are quoted with inner
+ * quotes doubled, and values that a spreadsheet would run as a formula are prefixed with an apostrophe.
+ * @param {*} value - Any value; null/undefined become an empty field.
+ * @returns {string}
+ */
+export const escapeCsvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (text && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows of objects to CSV text with a header line.
+ * @param {Array<{key: string, header: string}>} columns - Column keys and header labels, in order.
+ * @param {Array<Object>} rows - Objects keyed by column key.
+ * @returns {string} - CSV text with CRLF line endings.
+ */
+export const toCsv = (columns, rows) => [
+  columns.map(column => escapeCsvField(column.header)).join(','),
+  ...rows.map(row => columns.map(column => escapeCsvField(row[column.key])).join(','))
+].join('\r\n');
+
+/**
+ * Parses CSV text into rows of fields. Handles quoted fields with embedded commas, doubled quotes and
+ * line breaks, CRLF or LF line endings and a leading byte order mark. Blank lines are skipped.
+ * @param {string} text - CSV text.
+ * @returns {Array<{line: number, fields: Array<string>}>} - Rows with the (1-based) line each starts on.
+ * @throws {Error} - When a quoted field is never closed.
+ */
+export const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    // A row with a single empty field is a blank line
+    if (fields.length > 1 || fields[0] !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error(`Unclosed quoted field starting on line ${rowLine}.`);
+  }
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+  return rows;
+};
@@ -0,0 +1,165 @@
+// src/utils/exportRecords.jsx
+// Turns attendance records into downloadable CSV, JSON and XLSX files.
+import writeXlsxFile from 'write-excel-file/universal';
+import { toCsv } from './csv.jsx';
+import { toDate } from './sessions.jsx';
+import { getEventType, isVoided } from '../firebase/attendanceStore.jsx';
+import { normalizeForSearch } from './text.jsx';
+import { METHOD_CAMERA } from './badges.jsx';
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'json', label: 'JSON' },
+  { id: 'xlsx', label: 'Excel (XLSX)' },
+];
+
+// Columns of every export, in order
+export const EXPORT_COLUMNS = [
+  { key: 'name', header: 'Name' },
+  { key: 'personId', header: 'Person ID' },
+  { key: 'event', header: 'Event' },
+  { key: 'arrival', header: 'Arrival' },
+  { key: 'localTime', header: 'Local Time' },
+  { key: 'isoTime', header: 'ISO Timestamp (UTC)' },
+  { key: 'session', header: 'Session' },
+  { key: 'station', header: 'Station' },
+  { key: 'loggedBy', header: 'Logged By' },
+  { key: 'method', header: 'Method' },
+  { key: 'liveness', header: 'Liveness' },
+];
+
+/**
+ * Time zones offered for the local time column: every zone the browser knows, or a short fallback list.
+ * @returns {Array<string>}
+ */
+export const getTimeZones = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return ['UTC', 'Europe/London', 'Europe/Berlin', 'America/New_York', 'America/Los_Angeles', 'Asia/Kolkata', 'Asia/Tokyo', 'Australia/Sydney'];
+};
+
+/**
+ * Formats a date as "YYYY-MM-DD HH:mm:ss" in the given time zone.
+ * @param {Date} date
+ * @param {string} timeZone - IANA time zone, e.g. "Asia/Kolkata".
+ * @returns {string}
+ */
+export const formatInTimeZone = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+};
+
+/**
+ * Arrival status of a record within a session's roster check: "on time", "late (N min)" or '' for records
+ * that are not a roster member's first check-in of that session.
+ * @param {Object} log - Attendance record.
+ * @param {Date|null} time - The record's timestamp.
+ * @param {Object|null} sessionAttendance - Result of computeSessionAttendance.
+ * @returns {string}
+ */
+const getArrivalStatus = (log, time, sessionAttendance) => {
+  if (!sessionAttendance || !time || log.sessionId !== sessionAttendance.sessionId) return '';
+  const isArrival = (entry) => entry.arrivedAt.getTime() === time.getTime()
+    && (entry.personId === log.personId || normalizeForSearch(entry.name) === normalizeForSearch(log.personName));
+  const late = sessionAttendance.late.find(isArrival);
+  if (late) return `late (${late.minutesLate} min)`;
+  return sessionAttendance.onTime.some(isArrival) ? 'on time' : '';
+};
+
+/**
+ * Flattens attendance records into export rows keyed by EXPORT_COLUMNS.
+ * @param {Array<Object>} logs - Attendance records; voided ones are left out.
+ * @param {string} timeZone - Time zone of the local time column.
+ * @param {Array<Object>} [people] - People directory; records linked to an entry export its current name and external ID.
+ * @param {Object|null} [sessionAttendance] - Roster check of the exported session (see computeSessionAttendance):
+ *   arrivals are marked on time or late, and absentees are appended as "absent" rows without a time.
+ * @returns {Array<Object>}
+ */
+export const buildExportRows = (logs, timeZone, people = [], sessionAttendance = null) => {
+  const peopleById = new Map(people.map(person => [person.id, person]));
+  // Voided records do not count as attendance
+  const rows = logs.filter(log => !isVoided(log)).map(log => {
+    const time = toDate(log.timestamp);
+    const person = log.personId ? peopleById.get(log.personId) : null;
+    return {
+      name: (person && person.name) || log.personName || '',
+      personId: (person && person.externalId) || log.personId || '',
+      event: getEventType(log),
+      arrival: getArrivalStatus(log, time, sessionAttendance),
+      localTime: time ? formatInTimeZone(time, timeZone) : '',
+      isoTime: time ? time.toISOString() : '',
+      session: log.sessionTitle || '',
+      station: log.stationName || log.stationId || '',
+      loggedBy: log.loggedByUserId || '',
+      // Records from before QR and PIN check-ins were all camera captures
+      method: log.method || METHOD_CAMERA,
+      liveness: log.liveness ? log.liveness.status : ''
+    };
+  });
+  if (sessionAttendance && sessionAttendance.isFinal) {
+    sessionAttendance.absent.forEach(({ personId, name }) => {
+      const person = peopleById.get(personId);
+      rows.push({
+        name: (person && person.name) || name,
+        personId: (person && person.externalId) || personId,
+        event: 'absent',
+        arrival: 'absent',
+        localTime: '',
+        isoTime: '',
+        session: sessionAttendance.title,
+        station: '',
+        loggedBy: '',
+        method: '',
+        liveness: ''
+      });
+    });
+  }
+  return rows;
+};
+
+/**
+ * Builds the file for the chosen format.
+ * @param {string} format - One of the EXPORT_FORMATS ids.
+ * @param {Array<Object>} rows - Result of buildExportRows.
+ * @returns {Promise<Blob>}
+ */
+export async function createExportBlob(format, rows) {
+  if (format === 'json') {
+    return new Blob([JSON.stringify(rows, null, 2)], { type: 'application/json' });
+  }
+  if (format === 'xlsx') {
+    const sheetData = [
+      EXPORT_COLUMNS.map(column => ({ value: column.header, fontWeight: 'bold' })),
+      ...rows.map(row => EXPORT_COLUMNS.map(column => row[column.key] || null))
+    ];
+    return writeXlsxFile(sheetData, { columns: EXPORT_COLUMNS.map(() => ({ width: 22 })) }).toBlob();
+  }
+  // The byte order mark makes Excel open the CSV as UTF-8, so accented names survive
+  return new Blob(['\uFEFF', toCsv(EXPORT_COLUMNS, rows)], { type: 'text/csv;charset=utf-8' });
+}
+
+/**
+ * Saves a blob through the browser's download mechanism.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
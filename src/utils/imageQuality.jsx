@@ -0,0 +1,177 @@
+// src/utils/imageQuality.jsx
+// Local quality check of a captured frame, run before the AI is called so blurry, dark or back-lit captures
+// can be retaken right away instead of burning a request just to be rejected. Everything is measured on the
+// canvas pixels in the browser; the thresholds can be tuned per deployment through VITE_QUALITY_* variables.
+import { MIN_FACE_WIDTH_RATIO } from './presence.jsx';
+
+// Frames are measured at this width, so the sharpness score does not depend on the camera resolution
+const ANALYSIS_WIDTH = 320;
+
+/**
+ * Reads a numeric threshold from the environment; an empty or invalid value keeps the default.
+ * @param {string} value - The raw environment value.
+ * @param {number} fallback
+ * @returns {number}
+ */
+const envNumber = (value, fallback) => (value === undefined || value === '' || Number.isNaN(Number(value)) ? fallback : Number(value));
+
+// Setting a minimum to 0 (or the maximum brightness to 255) turns that check off
+export const QUALITY_THRESHOLDS = {
+  minSharpness: envNumber(import.meta.env.VITE_QUALITY_MIN_SHARPNESS, 50), // Variance of the Laplacian
+  minBrightness: envNumber(import.meta.env.VITE_QUALITY_MIN_BRIGHTNESS, 50), // Mean luminance, 0-255
+  maxBrightness: envNumber(import.meta.env.VITE_QUALITY_MAX_BRIGHTNESS, 215),
+  minContrast: envNumber(import.meta.env.VITE_QUALITY_MIN_CONTRAST, 20), // Standard deviation of the luminance
+  minFaceWidth: envNumber(import.meta.env.VITE_QUALITY_MIN_FACE_WIDTH, MIN_FACE_WIDTH_RATIO), // Share of the frame width
+};
+// The subject counts as back-lit when it is darker than this share of its surroundings
+const BACKLIGHT_RATIO = 0.55;
+
+/**
+ * Mean and standard deviation of the luminance over a region.
+ * @param {Float32Array} gray - Luminance per pixel.
+ * @param {number} width - Width of the frame.
+ * @param {{x: number, y: number, width: number, height: number}} region - In pixels.
+ * @returns {{mean: number, deviation: number}}
+ */
+const luminanceStats = (gray, width, region) => {
+  let sum = 0;
+  let sumOfSquares = 0;
+  for (let y = region.y; y < region.y + region.height; y++) {
+    for (let x = region.x; x < region.x + region.width; x++) {
+      const value = gray[y * width + x];
+      sum += value;
+      sumOfSquares += value * value;
+    }
+  }
+  const count = Math.max(1, region.width * region.height);
+  const mean = sum / count;
+  return { mean, deviation: Math.sqrt(Math.max(0, sumOfSquares / count - mean * mean)) };
+};
+
+/**
+ * Sharpness of a region as the variance of its Laplacian: edges in focus give strong responses, blur flattens them.
+ * @param {Float32Array} gray - Luminance per pixel.
+ * @param {number} width - Width of the frame.
+ * @param {{x: number, y: number, width: number, height: number}} region - In pixels, at least one pixel from the border.
+ * @returns {number}
+ */
+const laplacianVariance = (gray, width, region) => {
+  let sum = 0;
+  let sumOfSquares = 0;
+  let count = 0;
+  for (let y = region.y; y < region.y + region.height; y++) {
+    for (let x = region.x; x < region.x + region.width; x++) {
+      const i = y * width + x;
+      const value = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+      sum += value;
+      sumOfSquares += value * value;
+      count++;
+    }
+  }
+  if (!count) return 0;
+  const mean = sum / count;
+  return sumOfSquares / count - mean * mean;
+};
+
+/**
+ * Finds the largest face with the browser's built-in face detector, where there is one.
+ * @param {CanvasImageSource} source
+ * @returns {Promise<{x: number, y: number, width: number, height: number}|null>} - As fractions (0-1) of the frame,
+ *   or null when no face was found or the browser has no face detector.
+ */
+const detectLargestFace = async (source) => {
+  if (typeof window === 'undefined' || !('FaceDetector' in window)) {
+    return null;
+  }
+  try {
+    const faces = await new window.FaceDetector({ fastMode: true }).detect(source);
+    if (!faces.length) return null;
+    const { boundingBox } = faces.reduce((largest, face) => (face.boundingBox.width > largest.boundingBox.width ? face : largest));
+    return {
+      x: boundingBox.x / source.width,
+      y: boundingBox.y / source.height,
+      width: boundingBox.width / source.width,
+      height: boundingBox.height / source.height,
+    };
+  } catch (error) {
+    console.warn("Local face detection failed:", error);
+    return null;
+  }
+};
+
+/**
+ * Measures the sharpness, brightness, contrast and back-lighting of a captured frame, and the size of its face.
+ * Sharpness and back-lighting are measured on the face when the browser can find it, otherwise on the middle of the frame.
+ * @param {HTMLCanvasElement} source - The captured frame.
+ * @returns {Promise<{sharpness: number, brightness: number, contrast: number, backlit: boolean, faceWidth: number|null}>}
+ *   'faceWidth' is the share of the frame width taken by the face, or null when it could not be measured.
+ */
+export const measureImageQuality = async (source) => {
+  const scale = Math.min(1, ANALYSIS_WIDTH / source.width);
+  const width = Math.max(3, Math.round(source.width * scale));
+  const height = Math.max(3, Math.round(source.height * scale));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(source, 0, 0, width, height);
+  const { data } = context.getImageData(0, 0, width, height);
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+
+  const face = await detectLargestFace(source);
+  // The subject: the face, or the middle third of the frame; kept one pixel away from the border for the Laplacian
+  const box = face || { x: 1 / 3, y: 1 / 6, width: 1 / 3, height: 2 / 3 };
+  const subject = {
+    x: Math.max(1, Math.floor(box.x * width)),
+    y: Math.max(1, Math.floor(box.y * height)),
+  };
+  subject.width = Math.max(1, Math.min(width - 1 - subject.x, Math.round(box.width * width)));
+  subject.height = Math.max(1, Math.min(height - 1 - subject.y, Math.round(box.height * height)));
+
+  const frame = luminanceStats(gray, width, { x: 0, y: 0, width, height });
+  const subjectStats = luminanceStats(gray, width, subject);
+  // Mean of everything around the subject
+  const surroundingCount = width * height - subject.width * subject.height;
+  const surroundingMean = surroundingCount > 0
+    ? (frame.mean * width * height - subjectStats.mean * subject.width * subject.height) / surroundingCount
+    : frame.mean;
+
+  return {
+    sharpness: laplacianVariance(gray, width, subject),
+    brightness: frame.mean,
+    contrast: frame.deviation,
+    backlit: subjectStats.mean < surroundingMean * BACKLIGHT_RATIO,
+    faceWidth: face ? face.width : null,
+  };
+};
+
+/**
+ * Checks measured quality against the thresholds and explains what to change.
+ * @param {Object} metrics - Result of measureImageQuality.
+ * @param {Object} [options]
+ * @param {boolean} [options.checkFaceSize] - Whether a small face is a problem (not in group photos).
+ * @param {Object} [options.thresholds] - Defaults to QUALITY_THRESHOLDS.
+ * @returns {{passed: boolean, issues: Array<{id: string, message: string}>}}
+ */
+export const checkImageQuality = (metrics, { checkFaceSize = true, thresholds = QUALITY_THRESHOLDS } = {}) => {
+  const issues = [];
+  if (metrics.brightness < thresholds.minBrightness) {
+    issues.push({ id: 'dark', message: 'Too dark: turn on a light or face a window.' });
+  } else if (metrics.brightness > thresholds.maxBrightness) {
+    issues.push({ id: 'bright', message: 'Too bright: move out of direct light.' });
+  } else if (metrics.backlit) {
+    issues.push({ id: 'backlit', message: 'Back-lit: the light is behind the person. Turn away from the window or light.' });
+  } else if (metrics.contrast < thresholds.minContrast) {
+    issues.push({ id: 'contrast', message: 'Washed out: avoid light shining into the camera.' });
+  }
+  if (metrics.sharpness < thresholds.minSharpness) {
+    issues.push({ id: 'blurry', message: 'Blurry: hold still and check that the lens is clean.' });
+  }
+  if (checkFaceSize && metrics.faceWidth !== null && metrics.faceWidth < thresholds.minFaceWidth) {
+    issues.push({ id: 'small', message: 'Face too small: move closer to the camera.' });
+  }
+  return { passed: issues.length === 0, issues };
+};
@@ -0,0 +1,101 @@
+// src/utils/liveness.jsx
+// Liveness check against printed photos and phone screens held up to the camera. Right after the still frame
+// is captured, the person is given a random challenge (turn their head, blink, smile) and a short series of
+// frames is recorded; the recognition provider then decides whether those frames show a live person doing it.
+// The challenge and the outcome are stored on the attendance record as 'liveness'.
+
+// What happens to a capture that does not pass, configured with VITE_LIVENESS_POLICY in your .env:
+// - "flag" (default): the record is logged and marked for review.
+// - "block": the record is not logged.
+// - "off": no challenge is given.
+export const LIVENESS_OFF = 'off';
+export const LIVENESS_FLAG = 'flag';
+export const LIVENESS_BLOCK = 'block';
+export const LIVENESS_POLICY = [LIVENESS_OFF, LIVENESS_FLAG, LIVENESS_BLOCK].includes(import.meta.env.VITE_LIVENESS_POLICY)
+  ? import.meta.env.VITE_LIVENESS_POLICY
+  : LIVENESS_FLAG;
+
+// Values of a record's 'liveness.status'. A check that could not be run (e.g. the AI was unreachable) is unverified.
+export const LIVENESS_PASSED = 'passed';
+export const LIVENESS_FAILED = 'failed';
+export const LIVENESS_UNVERIFIED = 'unverified';
+
+// Challenges picked from at random; 'instruction' is shown to the person, 'description' tells the AI what to look for
+export const LIVENESS_CHALLENGES = [
+  { id: 'turn-left', instruction: 'Slowly turn your head to your left', description: 'turns their head to their left (the face turns sideways)' },
+  { id: 'turn-right', instruction: 'Slowly turn your head to your right', description: 'turns their head to their right (the face turns sideways)' },
+  { id: 'blink', instruction: 'Blink a few times', description: 'blinks (the eyes are closed in some frames and open in others)' },
+  { id: 'smile', instruction: 'Give us a big smile', description: 'goes from a neutral expression to a smile' },
+];
+
+// Frames recorded per challenge, how far apart, and how long the instruction is shown before recording starts
+const FRAME_COUNT = 5;
+const FRAME_INTERVAL_MS = 400;
+const CHALLENGE_LEAD_MS = 1000;
+// Challenge frames are only sent to the AI, never stored, so they are kept small
+const FRAME_WIDTH = 320;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Picks a challenge at random, so it cannot be prepared in advance.
+ * @returns {{id: string, instruction: string, description: string}}
+ */
+export const pickChallenge = () => {
+  const [random] = crypto.getRandomValues(new Uint32Array(1));
+  return LIVENESS_CHALLENGES[random % LIVENESS_CHALLENGES.length];
+};
+
+/**
+ * Looks up a challenge by ID.
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export const getChallenge = (id) => LIVENESS_CHALLENGES.find(challenge => challenge.id === id) || null;
+
+/**
+ * Records the frames of a challenge from a live video, starting once the person had time to read the instruction.
+ * @param {HTMLVideoElement} video - A playing video element.
+ * @returns {Promise<Array<string>>} - JPEG data URLs, in order.
+ */
+export async function recordChallengeFrames(video) {
+  const canvas = document.createElement('canvas');
+  canvas.width = FRAME_WIDTH;
+  canvas.height = Math.round(FRAME_WIDTH * (video.videoHeight / video.videoWidth)) || Math.round(FRAME_WIDTH * 0.75);
+  const context = canvas.getContext('2d');
+  await wait(CHALLENGE_LEAD_MS);
+  const frames = [];
+  for (let i = 0; i < FRAME_COUNT; i++) {
+    if (i > 0) await wait(FRAME_INTERVAL_MS);
+    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+    frames.push(canvas.toDataURL('image/jpeg', 0.8));
+  }
+  return frames;
+}
+
+/**
+ * Turns the provider's answer into the 'liveness' field of an attendance record.
+ * @param {{id: string}} challenge - The challenge that was given.
+ * @param {{status: string, passed: boolean, confidence: number}} response - Result of the provider's verifyLiveness.
+ * @returns {{challenge: string, status: string, confidence: number|null}}
+ */
+export const toLivenessResult = (challenge, response) => {
+  if (response.status === 'error') {
+    return { challenge: challenge.id, status: LIVENESS_UNVERIFIED, confidence: null };
+  }
+  return { challenge: challenge.id, status: response.passed ? LIVENESS_PASSED : LIVENESS_FAILED, confidence: response.confidence };
+};
+
+/**
+ * Tells whether the configured policy keeps a capture with this liveness result from being logged.
+ * @param {Object|null} liveness - Result of toLivenessResult, or null when no check was made.
+ * @returns {boolean}
+ */
+export const isBlockedByLiveness = (liveness) => LIVENESS_POLICY === LIVENESS_BLOCK && Boolean(liveness) && liveness.status !== LIVENESS_PASSED;
+
+/**
+ * Tells whether a record was logged without passing its liveness check and should be reviewed.
+ * @param {Object} record - An attendance record.
+ * @returns {boolean}
+ */
+export const isLivenessFlagged = (record) => Boolean(record.liveness) && record.liveness.status !== LIVENESS_PASSED;
@@ -0,0 +1,111 @@
+// src/utils/nameMatching.jsx
+// Fuzzy matching of a typed or spoken name against the people directory. Names are compared by spelling
+// (edit distance, in any script) and, for Latin names, by sound (Soundex), so "Jon Smyth" still finds "John Smith"
+// and a speech transcript with a misheard letter still finds the right person.
+import { normalizeForSearch } from './text.jsx';
+
+// Candidates scoring below this (0-1) are not offered
+const MIN_CANDIDATE_SCORE = 0.5;
+// Score of a word that sounds like a word of the name but is spelled differently
+const PHONETIC_WORD_SCORE = 0.85;
+
+// Soundex digit per consonant; vowels, 'h', 'w' and 'y' have none
+const SOUNDEX_CODES = {
+  b: 1, f: 1, p: 1, v: 1,
+  c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+  d: 3, t: 3,
+  l: 4,
+  m: 5, n: 5,
+  r: 6,
+};
+
+/**
+ * Number of single-character insertions, deletions and substitutions that turn one string into the other.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Soundex key of a word ("Robert" and "Rupert" → "R163"), or '' for words without Latin letters.
+ * @param {string} word
+ * @returns {string}
+ */
+export const soundex = (word) => {
+  const letters = normalizeForSearch(word).replace(/[^a-z]/g, '');
+  if (!letters) return '';
+  let key = letters[0].toUpperCase();
+  let lastCode = SOUNDEX_CODES[letters[0]] || 0;
+  for (let i = 1; i < letters.length && key.length < 4; i++) {
+    const code = SOUNDEX_CODES[letters[i]] || 0;
+    if (code && code !== lastCode) {
+      key += code;
+    }
+    // Letters separated by 'h' or 'w' count as adjacent
+    if (letters[i] !== 'h' && letters[i] !== 'w') {
+      lastCode = code;
+    }
+  }
+  return key.padEnd(4, '0');
+};
+
+/**
+ * Spelling similarity between 0 (nothing in common) and 1 (identical).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const spellingSimilarity = (a, b) => (a && b ? 1 - levenshtein(a, b) / Math.max(a.length, b.length) : 0);
+
+/**
+ * How well a typed or spoken name matches a known name, between 0 and 1 (1 only for the same name).
+ * Word order does not matter, and a single word (e.g. a first name) matches the full name at a lower score.
+ * @param {string} input - Name as typed or spoken.
+ * @param {string} name - Name in the directory.
+ * @returns {number}
+ */
+export const scoreNameMatch = (input, name) => {
+  const a = normalizeForSearch(input);
+  const b = normalizeForSearch(name);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const inputWords = a.split(' ');
+  const nameWords = b.split(' ');
+  const sortWords = (words) => [...words].sort().join(' ');
+  const spelling = Math.max(spellingSimilarity(a, b), spellingSimilarity(sortWords(inputWords), sortWords(nameWords)));
+
+  // Each word against the closest word of the name, by spelling or by sound
+  const wordScores = inputWords.map(word => Math.max(...nameWords.map(nameWord => Math.max(
+    spellingSimilarity(word, nameWord),
+    soundex(word) && soundex(word) === soundex(nameWord) ? PHONETIC_WORD_SCORE : 0
+  ))));
+  const coverage = Math.min(inputWords.length, nameWords.length) / Math.max(inputWords.length, nameWords.length);
+  const words = (wordScores.reduce((sum, score) => sum + score, 0) / inputWords.length) * coverage;
+
+  return Math.min(0.99, Math.max(spelling, words));
+};
+
+/**
+ * The people whose names best match a typed or spoken name, best first.
+ * @param {Array<Object>} people - People in the directory.
+ * @param {string} input - Name as typed or spoken.
+ * @param {number} [limit] - Maximum number of candidates.
+ * @returns {Array<{person: Object, score: number}>}
+ */
+export const rankNameCandidates = (people, input, limit = 3) => people
+  .map(person => ({ person, score: scoreNameMatch(input, person.name) }))
+  .filter(candidate => candidate.score >= MIN_CANDIDATE_SCORE)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, limit);
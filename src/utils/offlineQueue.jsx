@@ -0,0 +1,104 @@
+// src/utils/offlineQueue.jsx
+// Captures that could not be logged because the station was offline are kept in IndexedDB, image included,
+// until they are synced (see useOfflineQueue.jsx). The queue survives page reloads and browser restarts.
+
+const DB_NAME = 'attendance-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingCaptures';
+
+// Captures older than this are no longer accepted by firestore.rules, so they cannot be synced
+export const MAX_QUEUE_AGE_DAYS = 7;
+
+// Statuses of a queued capture
+export const QUEUE_PENDING = 'pending'; // Waiting to be synced
+export const QUEUE_CONFLICT = 'conflict'; // Rejected as a duplicate when synced; an operator decides
+export const QUEUE_FAILED = 'failed'; // Rejected for another reason; can be retried or discarded
+
+/**
+ * @typedef {Object} QueuedCapture
+ * @property {string} id - The attendance record ID reserved for the capture.
+ * @property {Object} record - Record fields as passed to recordAttendance, without image references.
+ * @property {string|null} imageDataUrl - The captured image; null for QR and PIN check-ins.
+ * @property {string} direction - CHECK_IN, CHECK_OUT or AUTO_DIRECTION.
+ * @property {boolean} override - Log even if it turns out to be a duplicate.
+ * @property {number} capturedAt - Capture time in milliseconds, kept as the record's timestamp.
+ * @property {number} queuedAt - Time the capture was queued, in milliseconds.
+ * @property {string} status - QUEUE_PENDING, QUEUE_CONFLICT or QUEUE_FAILED.
+ * @property {string|null} lastError - Why the last sync attempt was rejected.
+ */
+
+let openPromise = null;
+
+/**
+ * Opens (and on first use creates) the queue database. The connection is reused.
+ * @returns {Promise<IDBDatabase>}
+ */
+const openQueue = () => {
+  if (!openPromise) {
+    openPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error("This browser cannot keep captures offline (IndexedDB is not available)."));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a later call to try again
+    openPromise.catch(() => { openPromise = null; });
+  }
+  return openPromise;
+};
+
+/**
+ * Runs one request against the queue store and resolves with its result once the transaction completes.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {Function} operation - Receives the IDBObjectStore and returns an IDBRequest.
+ * @returns {Promise<*>}
+ */
+const runRequest = async (mode, operation) => {
+  const database = await openQueue();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Lists the queued captures, oldest capture first.
+ * @returns {Promise<Array<QueuedCapture>>}
+ */
+export const listQueuedCaptures = async () => {
+  const entries = await runRequest('readonly', store => store.getAll());
+  return entries.sort((a, b) => a.capturedAt - b.capturedAt);
+};
+
+/**
+ * Adds a capture to the queue, or replaces the queued capture with the same ID.
+ * @param {QueuedCapture} entry
+ * @returns {Promise<void>}
+ */
+export const saveQueuedCapture = async (entry) => {
+  await runRequest('readwrite', store => store.put(entry));
+};
+
+/**
+ * Removes a capture from the queue, once synced or discarded.
+ * @param {string} id - The capture's record ID.
+ * @returns {Promise<void>}
+ */
+export const removeQueuedCapture = async (id) => {
+  await runRequest('readwrite', store => store.delete(id));
+};
+
+/**
+ * Tells whether a queued capture is too old to be synced.
+ * @param {QueuedCapture} entry
+ * @param {number} [now] - Reference time in milliseconds.
+ * @returns {boolean}
+ */
+export const isTooOldToSync = (entry, now = Date.now()) => now - entry.capturedAt > MAX_QUEUE_AGE_DAYS * 24 * 60 * 60 * 1000;
@@ -0,0 +1,109 @@
+// src/utils/presence.jsx
+// Cheap, local presence detection for the kiosk's auto-capture (see useAutoCapture.jsx).
+// Video frames are downscaled to a small grayscale sample and compared against a slowly learned
+// background of the empty scene (is someone there, and in the middle?) and against the previous
+// sample (are they holding still?). Nothing leaves the browser; the AI is only called once a frame is captured.
+
+// Size of the grayscale sample frames are compared at
+export const SAMPLE_WIDTH = 64;
+export const SAMPLE_HEIGHT = 48;
+
+// Mean difference (0-255) from the background above which the center of the frame counts as occupied
+export const PRESENCE_THRESHOLD = 18;
+// Mean difference (0-255) between consecutive samples above which the person counts as moving
+export const MOTION_THRESHOLD = 6;
+// A detected face narrower than this share of the frame is too far away to be captured
+export const MIN_FACE_WIDTH_RATIO = 0.15;
+
+/**
+ * Draws the current video frame onto a canvas at sample size and returns it in grayscale.
+ * @param {HTMLVideoElement} video - A playing video element.
+ * @param {HTMLCanvasElement} canvas - Scratch canvas, resized as needed.
+ * @returns {Uint8ClampedArray} - One luminance value (0-255) per pixel, row by row.
+ */
+export const sampleFrame = (video, canvas) => {
+  canvas.width = SAMPLE_WIDTH;
+  canvas.height = SAMPLE_HEIGHT;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(video, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+  const { data } = context.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+  const gray = new Uint8ClampedArray(SAMPLE_WIDTH * SAMPLE_HEIGHT);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+};
+
+/**
+ * Mean absolute difference between two samples over a range of columns (all rows but the top and bottom sixth).
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @param {number} fromX - First column.
+ * @param {number} toX - Column after the last one.
+ * @returns {number}
+ */
+const meanDifference = (a, b, fromX, toX) => {
+  const fromY = Math.floor(SAMPLE_HEIGHT / 6);
+  const toY = SAMPLE_HEIGHT - fromY;
+  let total = 0;
+  for (let y = fromY; y < toY; y++) {
+    for (let x = fromX; x < toX; x++) {
+      total += Math.abs(a[y * SAMPLE_WIDTH + x] - b[y * SAMPLE_WIDTH + x]);
+    }
+  }
+  return total / ((toY - fromY) * (toX - fromX));
+};
+
+/**
+ * Compares a sample with the background and the previous sample.
+ * @param {Uint8ClampedArray} gray - The current sample.
+ * @param {Uint8ClampedArray} previous - The previous sample.
+ * @param {Float32Array} background - The learned empty scene.
+ * @returns {{occupied: boolean, centered: boolean, still: boolean}} - 'centered' means the change from the
+ *   background is concentrated in the middle third of the frame rather than at its edges.
+ */
+export const analyzeFrame = (gray, previous, background) => {
+  const third = Math.floor(SAMPLE_WIDTH / 3);
+  const center = meanDifference(gray, background, third, SAMPLE_WIDTH - third);
+  const sides = (meanDifference(gray, background, 0, third) + meanDifference(gray, background, SAMPLE_WIDTH - third, SAMPLE_WIDTH)) / 2;
+  const occupied = center >= PRESENCE_THRESHOLD;
+  return {
+    occupied,
+    centered: occupied && center > sides,
+    still: meanDifference(gray, previous, third, SAMPLE_WIDTH - third) < MOTION_THRESHOLD
+  };
+};
+
+/**
+ * Blends a sample into the background in place, so lighting changes and moved furniture fade into it.
+ * @param {Float32Array} background - The learned empty scene.
+ * @param {Uint8ClampedArray} gray - The current sample.
+ * @param {number} rate - Weight (0-1) of the new sample.
+ */
+export const blendBackground = (background, gray, rate) => {
+  for (let i = 0; i < background.length; i++) {
+    background[i] += (gray[i] - background[i]) * rate;
+  }
+};
+
+/**
+ * Uses the browser's built-in face detector (Shape Detection API) instead of the background comparison
+ * to tell whether a face is close enough and in the middle of the frame. Returns null where it is unavailable.
+ * @returns {{detect: function(HTMLVideoElement): Promise<{occupied: boolean, centered: boolean}>}|null}
+ */
+export const createFaceDetector = () => {
+  if (typeof window === 'undefined' || !('FaceDetector' in window)) {
+    return null;
+  }
+  const detector = new window.FaceDetector({ fastMode: true, maxDetectedFaces: 1 });
+  return {
+    detect: async (video) => {
+      const [face] = await detector.detect(video);
+      if (!face || face.boundingBox.width < video.videoWidth * MIN_FACE_WIDTH_RATIO) {
+        return { occupied: false, centered: false };
+      }
+      const middle = (face.boundingBox.x + face.boundingBox.width / 2) / video.videoWidth;
+      return { occupied: true, centered: middle > 1 / 3 && middle < 2 / 3 };
+    }
+  };
+};
@@ -0,0 +1,171 @@
+// src/utils/reports.jsx
+// Local aggregation of attendance records for the reports view: counts per day, week or month and
+// per-person attendance rates and arrival times. Only check-ins count as attendance.
+import { getPersonKey, getEventType, isVoided, CHECK_IN } from '../firebase/attendanceStore.jsx';
+import { toDate } from './sessions.jsx';
+import { toDayKey } from './timeOnSite.jsx';
+
+export const REPORT_PERIODS = [
+  { id: 'day', label: 'Daily' },
+  { id: 'week', label: 'Weekly' },
+  { id: 'month', label: 'Monthly' },
+];
+
+/**
+ * Start of the day, week (weeks start on Monday) or month a date falls in, in local time.
+ * @param {Date} date
+ * @param {string} period - One of the REPORT_PERIODS ids.
+ * @returns {Date}
+ */
+const getPeriodStart = (date, period) => {
+  if (period === 'month') {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (period === 'week') {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  return start;
+};
+
+/**
+ * Start of the period following the one starting at 'start'.
+ * @param {Date} start - Result of getPeriodStart.
+ * @param {string} period
+ * @returns {Date}
+ */
+const getNextPeriodStart = (start, period) => {
+  if (period === 'month') {
+    return new Date(start.getFullYear(), start.getMonth() + 1, 1);
+  }
+  return new Date(start.getFullYear(), start.getMonth(), start.getDate() + (period === 'week' ? 7 : 1));
+};
+
+/**
+ * Human-readable label of a period, e.g. "Mar 4, 2025", "Week of Mar 3, 2025" or "March 2025".
+ * @param {Date} start - Result of getPeriodStart.
+ * @param {string} period
+ * @returns {string}
+ */
+export const formatPeriod = (start, period) => {
+  if (period === 'month') {
+    return start.toLocaleDateString([], { month: 'long', year: 'numeric' });
+  }
+  const day = start.toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+  return period === 'week' ? `Week of ${day}` : day;
+};
+
+/**
+ * Minutes since local midnight of a date, used to compare arrival times across days.
+ * @param {Date} date
+ * @returns {number}
+ */
+const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+/**
+ * Formats minutes since midnight as a local time, e.g. "08:05".
+ * @param {number|null} minutes
+ * @returns {string}
+ */
+export const formatMinutesOfDay = (minutes) => {
+  if (minutes === null || minutes === undefined) return '-';
+  const date = new Date(2000, 0, 1, Math.floor(minutes / 60), Math.round(minutes % 60));
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+/**
+ * Aggregates attendance records into a report.
+ * A person's attendance rate is the share of reporting days (days on which anybody checked in) on which
+ * they checked in at least once.
+ * @param {Array<Object>} logs - Attendance records; voided ones are ignored.
+ * @param {string} period - One of the REPORT_PERIODS ids.
+ * @returns {{
+ *   periods: Array<{start: Date, label: string, checkIns: number, attendees: number, firstArrival: Date|null, lastArrival: Date|null}>,
+ *   people: Array<{personKey: string, personName: string, daysAttended: number, checkIns: number, rate: number,
+ *     earliestArrival: number, latestArrival: number, averageArrival: number}>,
+ *   totalCheckIns: number, totalAttendees: number, reportingDays: number
+ * }} - Periods in chronological order, including empty ones between the first and last; people by name.
+ *   Arrival times of people are minutes since midnight (see formatMinutesOfDay).
+ */
+export const computeReport = (logs, period) => {
+  const periods = new Map();
+  const people = new Map();
+  const reportingDays = new Set();
+  let totalCheckIns = 0;
+
+  logs.forEach(log => {
+    const time = toDate(log.timestamp);
+    if (!time || !log.personName || isVoided(log) || getEventType(log) !== CHECK_IN) return;
+    totalCheckIns++;
+    const dayKey = toDayKey(time);
+    reportingDays.add(dayKey);
+
+    const start = getPeriodStart(time, period);
+    const periodKey = start.getTime();
+    if (!periods.has(periodKey)) {
+      periods.set(periodKey, { start, checkIns: 0, attendeeKeys: new Set(), firstArrival: null, lastArrival: null });
+    }
+    const entry = periods.get(periodKey);
+    const personKey = getPersonKey(log.personId || null, log.personName);
+    entry.checkIns++;
+    entry.attendeeKeys.add(personKey);
+    if (!entry.firstArrival || time < entry.firstArrival) entry.firstArrival = time;
+    if (!entry.lastArrival || time > entry.lastArrival) entry.lastArrival = time;
+
+    if (!people.has(personKey)) {
+      people.set(personKey, { personKey, personName: log.personName, lastSeen: time, checkIns: 0, firstArrivalByDay: new Map() });
+    }
+    const person = people.get(personKey);
+    person.checkIns++;
+    // The most recent record carries the person's current name
+    if (time > person.lastSeen) {
+      person.lastSeen = time;
+      person.personName = log.personName;
+    }
+    // Only the first check-in of a day counts as that day's arrival
+    const arrival = minutesOfDay(time);
+    if (!person.firstArrivalByDay.has(dayKey) || arrival < person.firstArrivalByDay.get(dayKey)) {
+      person.firstArrivalByDay.set(dayKey, arrival);
+    }
+  });
+
+  // Chronological periods, with empty ones filled in so trends are not distorted by gaps
+  const sortedStarts = [...periods.keys()].sort((a, b) => a - b);
+  const periodList = [];
+  if (sortedStarts.length > 0) {
+    const last = sortedStarts[sortedStarts.length - 1];
+    for (let start = new Date(sortedStarts[0]); start.getTime() <= last; start = getNextPeriodStart(start, period)) {
+      const entry = periods.get(start.getTime());
+      periodList.push({
+        start,
+        label: formatPeriod(start, period),
+        checkIns: entry ? entry.checkIns : 0,
+        attendees: entry ? entry.attendeeKeys.size : 0,
+        firstArrival: entry ? entry.firstArrival : null,
+        lastArrival: entry ? entry.lastArrival : null
+      });
+    }
+  }
+
+  const peopleList = [...people.values()].map(person => {
+    const arrivals = [...person.firstArrivalByDay.values()];
+    return {
+      personKey: person.personKey,
+      personName: person.personName,
+      daysAttended: arrivals.length,
+      checkIns: person.checkIns,
+      rate: arrivals.length / reportingDays.size,
+      earliestArrival: Math.min(...arrivals),
+      latestArrival: Math.max(...arrivals),
+      averageArrival: arrivals.reduce((sum, minutes) => sum + minutes, 0) / arrivals.length
+    };
+  }).sort((a, b) => a.personName.localeCompare(b.personName));
+
+  return {
+    periods: periodList,
+    people: peopleList,
+    totalCheckIns,
+    totalAttendees: people.size,
+    reportingDays: reportingDays.size
+  };
+};
@@ -0,0 +1,41 @@
+// src/utils/roles.jsx
+// User roles and what each one may do. The UI hides what a role may not use; firestore.rules enforces it.
+
+export const ADMIN = 'admin';
+export const OPERATOR = 'operator';
+export const VIEWER = 'viewer';
+export const ATTENDEE = 'attendee';
+
+// Role of new accounts until an admin assigns another one: it can only see its own history
+export const DEFAULT_ROLE = ATTENDEE;
+
+export const ROLES = [
+  { id: ADMIN, label: 'Admin', description: 'Full access, including record corrections, sessions, people and user roles' },
+  { id: OPERATOR, label: 'Operator', description: 'Captures attendance and sees the log' },
+  { id: VIEWER, label: 'Viewer', description: 'Read-only access to the log, exports and reports' },
+  { id: ATTENDEE, label: 'Attendee', description: 'Sees only their own attendance history' },
+];
+
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+  [ADMIN]: ['capture', 'viewLog', 'export', 'reports', 'correctRecords', 'manageSessions', 'managePeople', 'manageUsers'],
+  [OPERATOR]: ['capture', 'viewLog'],
+  [VIEWER]: ['viewLog', 'export', 'reports'],
+  [ATTENDEE]: [],
+};
+
+/**
+ * Tells whether a role has a permission.
+ * @param {string|null} role - One of the ROLES ids.
+ * @param {string} permission - e.g. 'capture', 'viewLog', 'export', 'reports', 'correctRecords', 'manageSessions',
+ *   'managePeople', 'manageUsers'.
+ * @returns {boolean}
+ */
+export const can = (role, permission) => Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+
+/**
+ * Display label of a role.
+ * @param {string} role
+ * @returns {string}
+ */
+export const getRoleLabel = (role) => (ROLES.find(option => option.id === role) || { label: role }).label;
@@ -0,0 +1,111 @@
+// src/utils/roster.jsx
+// Parsing and validation of roster CSV files (name, external ID, email, group) imported into the people directory.
+import { parseCsv } from './csv.jsx';
+import { normalizeForSearch } from './text.jsx';
+
+// Roster fields and the header labels accepted for each (compared case-insensitively, ignoring spaces, '_' and '-')
+export const ROSTER_FIELDS = [
+  { key: 'name', label: 'Name', aliases: ['name', 'fullname', 'personname'] },
+  { key: 'externalId', label: 'External ID', aliases: ['externalid', 'id', 'studentid', 'employeeid', 'number'] },
+  { key: 'email', label: 'Email', aliases: ['email', 'emailaddress', 'mail'] },
+  { key: 'group', label: 'Group', aliases: ['group', 'class', 'team', 'department'] },
+];
+
+// Deliberately loose: catches obvious typos without rejecting unusual but valid addresses
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// U+FFFD replaces bytes that are not valid UTF-8; "Ã" followed by a Latin-1 symbol is UTF-8 read as Latin-1 (e.g. "JosÃ©")
+const BAD_ENCODING_PATTERN = /\uFFFD|\u00C3[\u0080-\u00BF]/;
+
+/**
+ * Reads a roster file as UTF-8. Invalid bytes are kept as U+FFFD so the affected rows can be reported.
+ * @param {File} file - The selected CSV file.
+ * @returns {Promise<string>}
+ */
+export const readRosterFile = async (file) => new TextDecoder('utf-8').decode(await file.arrayBuffer());
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * Maps the columns of the header row to roster fields.
+ * @param {Array<string>} fields - Cells of the first row.
+ * @returns {Object|null} - Column index per field key, or null if the row is not a header.
+ */
+const mapHeader = (fields) => {
+  const columns = {};
+  fields.forEach((header, index) => {
+    const field = ROSTER_FIELDS.find(({ aliases }) => aliases.includes(normalizeHeader(header)));
+    if (field && columns[field.key] === undefined) {
+      columns[field.key] = index;
+    }
+  });
+  return columns.name !== undefined ? columns : null;
+};
+
+/**
+ * Parses and validates a roster against the people already in the directory. Files without a recognizable
+ * header row are read in the order name, external ID, email, group.
+ * @param {string} text - CSV text of the roster.
+ * @param {Array<Object>} people - People in the directory (see usePeople).
+ * @returns {Array<{line: number, name: string, externalId: string, email: string, group: string,
+ *   errors: Array<string>, action: string, personId: string|null}>} - One entry per data row. 'action' is
+ *   'create', 'update' or 'unchanged'; rows with errors are never imported.
+ * @throws {Error} - When the CSV itself cannot be parsed.
+ */
+export const validateRoster = (text, people) => {
+  const parsed = parseCsv(text);
+  if (parsed.length === 0) {
+    return [];
+  }
+  const headerColumns = mapHeader(parsed[0].fields);
+  const columns = headerColumns || { name: 0, externalId: 1, email: 2, group: 3 };
+  const dataRows = headerColumns ? parsed.slice(1) : parsed;
+
+  const peopleByExternalId = new Map(people.filter(person => person.externalId).map(person => [person.externalId, person]));
+  // Lines on which each external ID appears, to report duplicates within the file
+  const linesByExternalId = new Map();
+
+  const rows = dataRows.map(({ line, fields }) => {
+    const row = { line, errors: [], action: 'create', personId: null };
+    ROSTER_FIELDS.forEach(({ key }) => {
+      row[key] = columns[key] !== undefined ? (fields[columns[key]] || '').trim() : '';
+    });
+
+    if (!row.name) row.errors.push('Missing name.');
+    if (!row.externalId) row.errors.push('Missing external ID.');
+    if (row.email && !EMAIL_PATTERN.test(row.email)) row.errors.push(`Invalid email "${row.email}".`);
+    if (ROSTER_FIELDS.some(({ key }) => BAD_ENCODING_PATTERN.test(row[key]))) {
+      row.errors.push('Garbled characters: save the file as UTF-8 and try again.');
+    }
+    if (row.externalId) {
+      linesByExternalId.set(row.externalId, [...(linesByExternalId.get(row.externalId) || []), line]);
+    }
+    return row;
+  });
+
+  rows.forEach(row => {
+    const lines = row.externalId ? linesByExternalId.get(row.externalId) : [];
+    if (lines.length > 1) {
+      row.errors.push(`Duplicate external ID ${row.externalId} (lines ${lines.join(', ')}).`);
+    }
+    const existing = peopleByExternalId.get(row.externalId);
+    if (existing) {
+      row.personId = existing.id;
+      const changed = ['name', 'email', 'group'].some(key => (existing[key] || '') !== row[key]);
+      row.action = changed ? 'update' : 'unchanged';
+    }
+  });
+  return rows;
+};
+
+/**
+ * Finds the directory entry a free-text name refers to, ignoring case, accents and extra spaces.
+ * @param {Array<Object>} people - People in the directory.
+ * @param {string} name - Name as typed or spoken.
+ * @returns {Object|null} - The person, or null when no entry (or more than one) has that name.
+ */
+export const findPersonByName = (people, name) => {
+  const needle = normalizeForSearch(name);
+  if (!needle) return null;
+  const matches = people.filter(person => normalizeForSearch(person.name) === needle);
+  return matches.length === 1 ? matches[0] : null;
+};
@@ -0,0 +1,77 @@
+// src/utils/sessionAttendance.jsx
+// Compares a session's check-ins with its expected roster: who arrived on time, who was late and who is absent.
+import { getEventType, isVoided, CHECK_IN } from '../firebase/attendanceStore.jsx';
+import { toDate, getSessionStatus } from './sessions.jsx';
+import { normalizeForSearch } from './text.jsx';
+
+/**
+ * Time after which a check-in counts as late: the session start plus its grace period.
+ * @param {Object} session - Session with 'startTime' and optionally 'lateAfterMinutes'.
+ * @returns {Date|null}
+ */
+export const getLateThreshold = (session) => {
+  const start = toDate(session.startTime);
+  return start ? new Date(start.getTime() + (Number(session.lateAfterMinutes) || 0) * 60000) : null;
+};
+
+/**
+ * Works out the attendance of a session's roster from the session's records.
+ * A roster entry is matched by person ID, or by name for records logged without one (e.g. voice input).
+ * Only the first check-in of a person counts as their arrival. People who have not checked in are only
+ * reported absent once the session has ended; until then they are 'pending'. 'minutesLate' counts from the
+ * session start, although only arrivals after the grace period ('lateAfterMinutes') are late.
+ * @param {Object} session - Session with 'title', 'startTime', 'endTime', 'roster' and optionally 'lateAfterMinutes'.
+ * @param {Array<Object>} logs - Attendance records of the session; voided ones are ignored.
+ * @param {Date} [now] - Reference time, defaults to the current time.
+ * @returns {{sessionId: string, title: string, isFinal: boolean,
+ *   onTime: Array<{personId: string, name: string, arrivedAt: Date}>,
+ *   late: Array<{personId: string, name: string, arrivedAt: Date, minutesLate: number}>,
+ *   absent: Array<{personId: string, name: string}>, pending: Array<{personId: string, name: string}>}}
+ */
+export const computeSessionAttendance = (session, logs, now = new Date()) => {
+  const arrivals = new Map(); // Person ID or normalized name -> first check-in time
+  logs.forEach(log => {
+    const time = toDate(log.timestamp);
+    if (!time || log.sessionId !== session.id || isVoided(log) || getEventType(log) !== CHECK_IN) return;
+    const keys = [log.personId, normalizeForSearch(log.personName)].filter(Boolean);
+    keys.forEach(key => {
+      if (!arrivals.has(key) || time < arrivals.get(key)) arrivals.set(key, time);
+    });
+  });
+
+  const start = toDate(session.startTime);
+  const lateThreshold = getLateThreshold(session);
+  const isFinal = getSessionStatus(session, now) === 'closed';
+  const result = { sessionId: session.id, title: session.title, isFinal, onTime: [], late: [], absent: [], pending: [] };
+
+  (session.roster || []).forEach(({ personId, name }) => {
+    const arrivedAt = arrivals.get(personId) || arrivals.get(normalizeForSearch(name)) || null;
+    if (!arrivedAt) {
+      result[isFinal ? 'absent' : 'pending'].push({ personId, name });
+    } else if (lateThreshold && arrivedAt > lateThreshold) {
+      result.late.push({ personId, name, arrivedAt, minutesLate: Math.ceil((arrivedAt - start) / 60000) });
+    } else {
+      result.onTime.push({ personId, name, arrivedAt });
+    }
+  });
+  return result;
+};
+
+/**
+ * Describes absentees and late arrivals of a session in plain sentences, for summaries and AI prompts.
+ * @param {Object} attendance - Result of computeSessionAttendance.
+ * @returns {Array<string>} - One sentence per non-empty list.
+ */
+export const describeSessionAttendance = (attendance) => {
+  const sentences = [];
+  if (attendance.absent.length > 0) {
+    sentences.push(`Absent from "${attendance.title}": ${attendance.absent.map(person => person.name).join(', ')}.`);
+  }
+  if (attendance.pending.length > 0) {
+    sentences.push(`Not checked in yet for "${attendance.title}" (still open): ${attendance.pending.map(person => person.name).join(', ')}.`);
+  }
+  if (attendance.late.length > 0) {
+    sentences.push(`Late for "${attendance.title}": ${attendance.late.map(person => `${person.name} (${person.minutesLate} min)`).join(', ')}.`);
+  }
+  return sentences;
+};
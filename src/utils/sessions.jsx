@@ -0,0 +1,57 @@
+// src/utils/sessions.jsx
+// Helpers for reasoning about a session's open/close window and its expected people.
+
+/**
+ * Converts a Firestore Timestamp (or Date) to a Date, or returns null.
+ * @param {Object|Date|null} value
+ * @returns {Date|null}
+ */
+export const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  return typeof value.toDate === 'function' ? value.toDate() : null;
+};
+
+/**
+ * Tells where 'now' falls relative to the session's window.
+ * @param {Object} session - Session with 'startTime' and 'endTime' Firestore Timestamps.
+ * @param {Date} [now] - Reference time, defaults to the current time.
+ * @returns {'upcoming'|'open'|'closed'}
+ */
+export const getSessionStatus = (session, now = new Date()) => {
+  const start = toDate(session.startTime);
+  const end = toDate(session.endTime);
+  if (start && now < start) return 'upcoming';
+  if (end && now > end) return 'closed';
+  return 'open';
+};
+
+/**
+ * Formats a session's window for display, e.g. "3/4/2025, 9:00 AM – 10:30 AM".
+ * @param {Object} session - Session with 'startTime' and 'endTime' Firestore Timestamps.
+ * @returns {string}
+ */
+export const formatSessionWindow = (session) => {
+  const start = toDate(session.startTime);
+  const end = toDate(session.endTime);
+  if (!start || !end) return 'No time window';
+  const sameDay = start.toDateString() === end.toDateString();
+  const endText = sameDay
+    ? end.toLocaleTimeString([], { timeStyle: 'short' })
+    : end.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+  return `${start.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })} – ${endText}`;
+};
+
+/**
+ * Shortlists the people a captured face is compared against: the session's roster when it has one,
+ * otherwise the whole directory.
+ * @param {Array<Object>} people - Directory entries.
+ * @param {Object|null} session - The active session, if any, with its 'roster' of { personId, name }.
+ * @returns {Array<Object>}
+ */
+export const getFaceMatchCandidates = (people, session) => {
+  const roster = session && Array.isArray(session.roster) ? session.roster : [];
+  if (roster.length === 0) return people;
+  const rosterIds = new Set(roster.map(entry => entry.personId));
+  return people.filter(person => rosterIds.has(person.id));
+};
@@ -0,0 +1,68 @@
+// src/utils/speech.jsx
+// Speech recognition for the name step. The recognition language defaults to VITE_SPEECH_LANGUAGE (or the
+// browser's language) and can be changed per station; the choice is remembered in localStorage like the station name.
+
+const SPEECH_LANGUAGE_KEY = 'attendance.speechLanguage';
+
+// Languages offered in the picker (BCP 47 tags understood by the Web Speech API)
+export const SPEECH_LANGUAGES = [
+  'en-US', 'en-GB', 'en-IN', 'es-ES', 'es-MX', 'fr-FR', 'de-DE', 'it-IT', 'pt-BR', 'nl-NL',
+  'pl-PL', 'tr-TR', 'ru-RU', 'ar-SA', 'hi-IN', 'bn-IN', 'ta-IN', 'zh-CN', 'ja-JP', 'ko-KR',
+];
+
+// Language of new stations
+const DEFAULT_SPEECH_LANGUAGE = import.meta.env.VITE_SPEECH_LANGUAGE
+  || (typeof navigator !== 'undefined' && navigator.language)
+  || 'en-US';
+
+/**
+ * Returns this station's speech recognition language.
+ * @returns {string} - A BCP 47 language tag, e.g. "en-US".
+ */
+export const getSpeechLanguage = () => localStorage.getItem(SPEECH_LANGUAGE_KEY) || DEFAULT_SPEECH_LANGUAGE;
+
+/**
+ * Changes this station's speech recognition language.
+ * @param {string} language - A BCP 47 language tag.
+ */
+export const setSpeechLanguage = (language) => {
+  localStorage.setItem(SPEECH_LANGUAGE_KEY, language);
+};
+
+/**
+ * Readable name of a language tag in the browser's language, e.g. "es-MX" → "Spanish (Mexico)".
+ * @param {string} language
+ * @returns {string}
+ */
+export const describeLanguage = (language) => {
+  try {
+    return new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' }).of(language) || language;
+  } catch {
+    return language;
+  }
+};
+
+/**
+ * Tells whether the browser offers speech recognition (Chrome, Edge; not Firefox or most Safari versions).
+ * @returns {boolean}
+ */
+export const isSpeechRecognitionSupported = () => typeof window !== 'undefined'
+  && Boolean(window.SpeechRecognition || window.webkitSpeechRecognition);
+
+/**
+ * Creates a recognizer for a single utterance in the given language.
+ * @param {string} language - A BCP 47 language tag.
+ * @returns {Object|null} - A SpeechRecognition instance, or null where speech recognition is not supported.
+ */
+export const createSpeechRecognition = (language) => {
+  if (!isSpeechRecognitionSupported()) {
+    return null;
+  }
+  const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+  const recognition = new SpeechRecognition();
+  recognition.continuous = false; // Only listen for a single utterance
+  recognition.interimResults = false; // Only return final results
+  recognition.maxAlternatives = 3; // Alternatives help the fuzzy match when a name is misheard
+  recognition.lang = language;
+  return recognition;
+};
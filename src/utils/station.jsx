@@ -0,0 +1,51 @@
+// src/utils/station.jsx
+// A "station" is the browser/device logging attendance (e.g., "Front door tablet").
+// Its ID and display name are remembered in localStorage so they survive reloads and sign-ins.
+import { doc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { getStationsCollection } from '../firebase/collections.jsx';
+
+const STATION_ID_KEY = 'attendance.stationId';
+const STATION_NAME_KEY = 'attendance.stationName';
+
+/**
+ * Returns this browser's station ID, generating one on first use.
+ * @returns {string}
+ */
+export const getStationId = () => {
+  let stationId = localStorage.getItem(STATION_ID_KEY);
+  if (!stationId) {
+    stationId = typeof crypto !== 'undefined' && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `station-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem(STATION_ID_KEY, stationId);
+  }
+  return stationId;
+};
+
+/**
+ * Returns this browser's station display name, defaulting to a short form of its ID.
+ * @returns {string}
+ */
+export const getStationName = () => localStorage.getItem(STATION_NAME_KEY) || `Station ${getStationId().slice(0, 8)}`;
+
+/**
+ * Saves this browser's station display name.
+ * @param {string} name
+ */
+export const setStationName = (name) => {
+  localStorage.setItem(STATION_NAME_KEY, name);
+};
+
+/**
+ * Registers (or updates) this station in Firestore so it can be picked in the log filters.
+ * @param {Object} db - The Firestore database instance.
+ * @param {string} userId - The signed-in user's UID.
+ * @returns {Promise<void>}
+ */
+export async function registerStation(db, userId) {
+  await setDoc(doc(getStationsCollection(db), getStationId()), {
+    name: getStationName(),
+    lastSeenAt: serverTimestamp(),
+    lastUserId: userId
+  }, { merge: true });
+}
@@ -0,0 +1,14 @@
+// src/utils/text.jsx
+// Text helpers shared by search and matching features.
+
+/**
+ * Normalizes text for case- and diacritic-insensitive comparison: "José Núñez" → "jose nunez".
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeForSearch = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
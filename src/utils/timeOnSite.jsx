@@ -0,0 +1,75 @@
+// src/utils/timeOnSite.jsx
+// Pairs check-in and check-out events into on-site intervals per person and day.
+import { getPersonKey, getEventType, isVoided, CHECK_IN } from '../firebase/attendanceStore.jsx';
+import { toDate } from './sessions.jsx';
+
+/**
+ * Local calendar day of a date as "YYYY-MM-DD", used to group events.
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDayKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Formats a duration as "2h 05m" (or "12m" under an hour).
+ * @param {number} ms - Duration in milliseconds.
+ * @returns {string}
+ */
+export const formatDuration = (ms) => {
+  const totalMinutes = Math.floor(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+};
+
+/**
+ * Groups attendance events by person and day and pairs them into intervals.
+ * A check-in opens an interval and the next check-out closes it. A second check-in while an interval is
+ * open is ignored, and a check-out without a preceding check-in produces an interval with no start.
+ * @param {Array<Object>} logs - Attendance records with 'personName', 'timestamp' and optionally 'personId', 'eventType'.
+ *   Voided records are ignored.
+ * @returns {Array<{personKey: string, personName: string, dayKey: string, intervals: Array<{start: Date|null, end: Date|null}>,
+ *   totalMs: number, isCheckedIn: boolean}>} - One entry per person and day, most recent day first, then by name.
+ *   'totalMs' only counts closed intervals; 'isCheckedIn' is true when the last interval of the day has no check-out.
+ */
+export const computeTimeOnSite = (logs) => {
+  const groups = new Map();
+  logs.forEach(log => {
+    const time = toDate(log.timestamp);
+    if (!time || !log.personName || isVoided(log)) return; // Pending server timestamps are skipped until they resolve
+    const personKey = getPersonKey(log.personId || null, log.personName);
+    const dayKey = toDayKey(time);
+    const groupKey = `${personKey}|${dayKey}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { personKey, personName: log.personName, dayKey, events: [] });
+    }
+    groups.get(groupKey).events.push({ time, type: getEventType(log) });
+  });
+
+  const days = Array.from(groups.values()).map(({ events, ...group }) => {
+    events.sort((a, b) => a.time - b.time);
+    const intervals = [];
+    let open = null;
+    events.forEach(event => {
+      if (event.type === CHECK_IN) {
+        if (!open) {
+          open = { start: event.time, end: null };
+          intervals.push(open);
+        }
+      } else if (open) {
+        open.end = event.time;
+        open = null;
+      } else {
+        intervals.push({ start: null, end: event.time });
+      }
+    });
+    const totalMs = intervals.reduce((sum, interval) => (interval.start && interval.end ? sum + (interval.end - interval.start) : sum), 0);
+    return { ...group, intervals, totalMs, isCheckedIn: Boolean(open) };
+  });
+
+  return days.sort((a, b) => (a.dayKey === b.dayKey ? a.personName.localeCompare(b.personName) : b.dayKey.localeCompare(a.dayKey)));
+};
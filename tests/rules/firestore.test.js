@@ -0,0 +1,397 @@
+// tests/rules/firestore.test.js
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import {
+  doc, collection, getDoc, getDocs, setDoc, updateDoc, deleteDoc, addDoc, query, where, writeBatch, serverTimestamp, Timestamp
+} from 'firebase/firestore';
+import { DATA_ROOT, createTestEnvironment, seedProfiles, seedDocuments, newRecord } from './testEnvironment.js';
+
+let testEnv;
+
+// Firestore instance of a seeded account (see PROFILES), or of a signed-out visitor when uid is null
+const dbAs = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+const path = (name) => `${DATA_ROOT}/${name}`;
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seedProfiles(testEnv);
+  await seedDocuments(testEnv, {
+    'attendance/ada-1': { ...newRecord('operator'), timestamp: Timestamp.now() },
+    'attendance/bob-1': { ...newRecord('operator'), personName: 'Bob', personId: 'person-bob', timestamp: Timestamp.now() },
+    'people/person-ada': { name: 'Ada Lovelace', externalId: 'A1', referencePhotos: [] },
+    'sessions/session-1': { title: 'Morning class', roster: [] },
+  });
+});
+
+describe('attendance records', () => {
+  it('cannot be read without an account or a profile', async () => {
+    await assertFails(getDoc(doc(dbAs(null), path('attendance/ada-1'))));
+    await assertFails(getDoc(doc(dbAs('stranger'), path('attendance/ada-1'))));
+  });
+
+  it('can be listed by staff', async () => {
+    for (const uid of ['admin', 'operator', 'viewer']) {
+      await assertSucceeds(getDocs(collection(dbAs(uid), path('attendance'))));
+    }
+  });
+
+  it('are limited to their own history for attendees', async () => {
+    const db = dbAs('attendee');
+    await assertSucceeds(getDocs(query(collection(db, path('attendance')), where('personId', '==', 'person-ada'))));
+    await assertSucceeds(getDoc(doc(db, path('attendance/ada-1'))));
+    await assertFails(getDoc(doc(db, path('attendance/bob-1'))));
+    await assertFails(getDocs(collection(db, path('attendance'))));
+    await assertFails(getDocs(query(collection(db, path('attendance')), where('personId', '==', 'person-bob'))));
+  });
+
+  it('are hidden from attendees not linked to a person', async () => {
+    await assertFails(getDocs(query(collection(dbAs('unlinked'), path('attendance')), where('personId', '==', null))));
+  });
+
+  it('can be created by capturing roles only', async () => {
+    await assertSucceeds(addDoc(collection(dbAs('operator'), path('attendance')), newRecord('operator')));
+    await assertSucceeds(addDoc(collection(dbAs('admin'), path('attendance')), newRecord('admin')));
+    await assertFails(addDoc(collection(dbAs('viewer'), path('attendance')), newRecord('viewer')));
+    await assertFails(addDoc(collection(dbAs('attendee'), path('attendance')), newRecord('attendee')));
+    await assertFails(addDoc(collection(dbAs(null), path('attendance')), newRecord(null)));
+  });
+
+  it('must have the shape written by the app', async () => {
+    const records = collection(dbAs('operator'), path('attendance'));
+    // Logged in someone else's name
+    await assertFails(addDoc(records, newRecord('admin')));
+    // Client-side instead of server timestamp
+    await assertFails(addDoc(records, newRecord('operator', { timestamp: Timestamp.now() })));
+    // Missing, empty or non-string name
+    const withoutName = newRecord('operator');
+    delete withoutName.personName;
+    await assertFails(addDoc(records, withoutName));
+    await assertFails(addDoc(records, newRecord('operator', { personName: '' })));
+    await assertFails(addDoc(records, newRecord('operator', { personName: 42 })));
+    // Unknown fields and values
+    await assertFails(addDoc(records, newRecord('operator', { verified: true })));
+    await assertFails(addDoc(records, newRecord('operator', { eventType: 'teleport' })));
+    await assertFails(addDoc(records, newRecord('operator', { identifiedBy: 'guess' })));
+    // Download URLs of the images, whose token would bypass storage.rules
+    await assertFails(addDoc(records, newRecord('operator', { thumbnailUrl: 'https://example.com/thumb.jpg?token=1' })));
+    // A name given by voice, without a directory match
+    await assertSucceeds(addDoc(records, newRecord('operator', { personId: null, matchConfidence: null, identifiedBy: 'voice' })));
+  });
+
+  it('synced from the offline queue keep their capture time from the past week', async () => {
+    const records = collection(dbAs('operator'), path('attendance'));
+    const hoursAgo = (hours) => Timestamp.fromMillis(Date.now() - hours * 60 * 60 * 1000);
+    const offline = (timestamp) => newRecord('operator', { timestamp, capturedOffline: true, syncedAt: serverTimestamp() });
+    await assertSucceeds(addDoc(records, offline(hoursAgo(2))));
+    // A station clock running a minute ahead of the server
+    await assertSucceeds(addDoc(records, offline(hoursAgo(-1 / 60))));
+    // Further in the future, too old, or a past time without the offline flag
+    await assertFails(addDoc(records, offline(hoursAgo(-2))));
+    await assertFails(addDoc(records, offline(hoursAgo(8 * 24))));
+    await assertFails(addDoc(records, newRecord('operator', { timestamp: hoursAgo(2) })));
+    // The sync time must be the server time
+    await assertFails(addDoc(records, newRecord('operator', { timestamp: hoursAgo(2), capturedOffline: true, syncedAt: hoursAgo(1) })));
+  });
+
+  it('record the outcome of their liveness challenge', async () => {
+    const records = collection(dbAs('operator'), path('attendance'));
+    const withLiveness = (liveness) => newRecord('operator', { liveness });
+    await assertSucceeds(addDoc(records, withLiveness({ challenge: 'blink', status: 'passed', confidence: 0.9 })));
+    await assertSucceeds(addDoc(records, withLiveness({ challenge: 'smile', status: 'unverified', confidence: null })));
+    await assertFails(addDoc(records, withLiveness({ challenge: 'blink', status: 'probably', confidence: 0.9 })));
+    await assertFails(addDoc(records, withLiveness({ challenge: 'blink', status: 'passed', confidence: 0.9, frames: [] })));
+    await assertFails(addDoc(records, withLiveness('passed')));
+  });
+
+  it('from a group photo are written together with names assigned by the operator', async () => {
+    const batch = writeBatch(dbAs('operator'));
+    batch.set(doc(dbAs('operator'), path('attendance/group-ada')), newRecord('operator', { groupCaptureId: 'group-1' }));
+    batch.set(doc(dbAs('operator'), path('attendance/group-eve')), newRecord('operator', {
+      personName: 'Eve', personId: null, matchConfidence: null, identifiedBy: 'manual', groupCaptureId: 'group-1'
+    }));
+    await assertSucceeds(batch.commit());
+    await assertFails(addDoc(collection(dbAs('operator'), path('attendance')), newRecord('operator', { groupCaptureId: 7 })));
+  });
+
+  it('record their check-in method', async () => {
+    const records = collection(dbAs('operator'), path('attendance'));
+    await assertSucceeds(addDoc(records, newRecord('operator', { method: 'camera' })));
+    // Badge and PIN check-ins, which have no image
+    await assertSucceeds(addDoc(records, newRecord('operator', { method: 'qr', identifiedBy: 'qr', matchConfidence: null })));
+    await assertSucceeds(addDoc(records, newRecord('operator', { method: 'pin', identifiedBy: 'pin', matchConfidence: null })));
+    await assertFails(addDoc(records, newRecord('operator', { method: 'fingerprint' })));
+  });
+
+  it('cannot be edited or deleted by operators and viewers', async () => {
+    for (const uid of ['operator', 'viewer']) {
+      const record = doc(dbAs(uid), path('attendance/ada-1'));
+      await assertFails(updateDoc(record, { personName: 'Ada King' }));
+      await assertFails(updateDoc(record, { voided: true }));
+      await assertFails(setDoc(record, newRecord(uid, { personName: 'Ada King' })));
+      await assertFails(deleteDoc(record));
+    }
+  });
+
+  it('cannot be deleted, not even by admins', async () => {
+    for (const uid of ['admin', 'operator', 'viewer', 'attendee']) {
+      await assertFails(deleteDoc(doc(dbAs(uid), path('attendance/ada-1'))));
+    }
+  });
+});
+
+describe('record corrections', () => {
+  // Writes a correction the way correctAttendanceRecord does: the record change plus its audit entry
+  const correct = (uid, recordId, changes, { auditId = 'audit-1', withAudit = true, uidInRecord = uid } = {}) => {
+    const db = dbAs(uid);
+    const batch = writeBatch(db);
+    batch.update(doc(db, path(`attendance/${recordId}`)), {
+      ...changes, correctedAt: serverTimestamp(), correctedByUserId: uidInRecord, lastAuditId: auditId
+    });
+    if (withAudit) {
+      batch.set(doc(db, path(`attendance/${recordId}/audit/${auditId}`)), {
+        action: 'edit', before: { personName: 'Ada Lovelace' }, after: changes, reason: 'Misheard name', changedByUserId: uid, changedAt: serverTimestamp()
+      });
+    }
+    return batch.commit();
+  };
+
+  it('are made by admins with an audit entry', async () => {
+    await assertSucceeds(correct('admin', 'ada-1', { personName: 'Ada King' }));
+    await assertSucceeds(correct('admin', 'ada-1', { voided: true }, { auditId: 'audit-2' }));
+  });
+
+  it('are refused for other roles', async () => {
+    for (const uid of ['operator', 'viewer', 'attendee']) {
+      await assertFails(correct(uid, 'ada-1', { personName: 'Ada King' }));
+    }
+  });
+
+  it('are refused without an audit entry or attributed to someone else', async () => {
+    await assertFails(correct('admin', 'ada-1', { personName: 'Ada King' }, { withAudit: false }));
+    await assertFails(updateDoc(doc(dbAs('admin'), path('attendance/ada-1')), { personName: 'Ada King' }));
+    await assertFails(correct('admin', 'ada-1', { personName: 'Ada King' }, { uidInRecord: 'operator' }));
+  });
+
+  it('cannot change how or when a record was logged', async () => {
+    await assertFails(correct('admin', 'ada-1', { timestamp: Timestamp.now() }));
+    await assertFails(correct('admin', 'ada-1', { loggedByUserId: 'admin' }));
+    await assertFails(correct('admin', 'ada-1', { personName: '' }));
+  });
+
+  it('keep an append-only audit trail readable by admins', async () => {
+    await assertSucceeds(correct('admin', 'ada-1', { personName: 'Ada King' }));
+    const entry = (uid) => doc(dbAs(uid), path('attendance/ada-1/audit/audit-1'));
+    await assertSucceeds(getDoc(entry('admin')));
+    await assertFails(getDoc(entry('viewer')));
+    await assertFails(updateDoc(entry('admin'), { reason: 'Rewritten history' }));
+    await assertFails(deleteDoc(entry('admin')));
+    // An entry on its own, without the record pointing to it
+    await assertFails(setDoc(doc(dbAs('admin'), path('attendance/ada-1/audit/audit-9')), {
+      action: 'edit', before: {}, after: {}, reason: 'Orphan', changedByUserId: 'admin', changedAt: serverTimestamp()
+    }));
+  });
+});
+
+describe('check-in locks', () => {
+  const lock = (overrides = {}) => ({
+    personKey: 'id_person-ada', sessionId: null, lastRecordId: 'ada-2', lastEventType: 'check-in', lastCheckInAt: serverTimestamp(), ...overrides
+  });
+
+  it('are written by capturing roles with the server time or an offline capture time', async () => {
+    const minutesFromNow = (minutes) => Timestamp.fromMillis(Date.now() + minutes * 60 * 1000);
+    await assertSucceeds(setDoc(doc(dbAs('operator'), path('checkInLocks/id_person-ada')), lock()));
+    // Offline captures synced later, including from a station clock running a minute ahead
+    await assertSucceeds(setDoc(doc(dbAs('operator'), path('checkInLocks/id_person-ada')), lock({ lastCheckInAt: minutesFromNow(-120) })));
+    await assertSucceeds(setDoc(doc(dbAs('operator'), path('checkInLocks/id_person-ada')), lock({ lastCheckInAt: minutesFromNow(1) })));
+    await assertFails(setDoc(doc(dbAs('operator'), path('checkInLocks/id_person-ada')), lock({ lastCheckInAt: minutesFromNow(60) })));
+    await assertFails(setDoc(doc(dbAs('operator'), path('checkInLocks/id_person-ada')), lock({ lastCheckInAt: minutesFromNow(-8 * 24 * 60) })));
+    await assertFails(setDoc(doc(dbAs('viewer'), path('checkInLocks/id_person-ada')), lock()));
+    await assertFails(getDoc(doc(dbAs('attendee'), path('checkInLocks/id_person-ada'))));
+  });
+});
+
+describe('people directory', () => {
+  it('is readable by staff only', async () => {
+    await assertSucceeds(getDoc(doc(dbAs('operator'), path('people/person-ada'))));
+    await assertSucceeds(getDoc(doc(dbAs('viewer'), path('people/person-ada'))));
+    await assertFails(getDoc(doc(dbAs('attendee'), path('people/person-ada'))));
+    await assertFails(getDoc(doc(dbAs(null), path('people/person-ada'))));
+  });
+
+  it('is managed by admins only', async () => {
+    await assertSucceeds(setDoc(doc(dbAs('admin'), path('people/person-new')), { name: 'New Person' }));
+    await assertFails(setDoc(doc(dbAs('operator'), path('people/person-new')), { name: 'New Person' }));
+    await assertFails(updateDoc(doc(dbAs('viewer'), path('people/person-ada')), { name: 'Renamed' }));
+  });
+});
+
+// Keys of PIN credentials are SHA-256 hashes, see credentialKey in src/firebase/checkInCredentials.jsx
+const PIN_KEY_ADA = 'a'.repeat(64);
+const wrongPinKey = (n) => n.toString(16).padStart(64, '0');
+
+describe('check-in credentials', () => {
+  beforeEach(async () => {
+    await seedDocuments(testEnv, {
+      'people/person-ada/private/credentials': { badgeToken: 'token-ada', badgeKey: 'badge-key-ada', pinKey: PIN_KEY_ADA },
+      'checkInCredentials/badge-key-ada': { personId: 'person-ada', type: 'badge', createdAt: Timestamp.now() },
+      [`checkInCredentials/${PIN_KEY_ADA}`]: { personId: 'person-ada', type: 'pin', createdAt: Timestamp.now() },
+    });
+  });
+  const credential = (personId, type) => ({ personId, type, createdAt: serverTimestamp() });
+
+  it('keep badge tokens and credential keys readable by admins only', async () => {
+    const privateDoc = (uid) => doc(dbAs(uid), path('people/person-ada/private/credentials'));
+    await assertSucceeds(getDoc(privateDoc('admin')));
+    for (const uid of ['operator', 'viewer', 'attendee']) {
+      await assertFails(getDoc(privateDoc(uid)));
+      await assertFails(getDocs(collection(dbAs(uid), path('people/person-ada/private'))));
+    }
+    await assertFails(setDoc(privateDoc('operator'), { badgeToken: 'forged' }));
+  });
+
+  it('are looked up one at a time by capturing roles, never listed', async () => {
+    await assertSucceeds(getDoc(doc(dbAs('operator'), path('checkInCredentials/badge-key-ada'))));
+    await assertFails(getDoc(doc(dbAs('viewer'), path('checkInCredentials/badge-key-ada'))));
+    await assertFails(getDoc(doc(dbAs('attendee'), path('checkInCredentials/badge-key-ada'))));
+    // Admins check that a new PIN is free
+    await assertSucceeds(getDoc(doc(dbAs('admin'), path(`checkInCredentials/${PIN_KEY_ADA}`))));
+    for (const uid of ['admin', 'operator', 'viewer']) {
+      await assertFails(getDocs(collection(dbAs(uid), path('checkInCredentials'))));
+      await assertFails(getDocs(query(collection(dbAs(uid), path('checkInCredentials')), where('personId', '==', 'person-ada'))));
+    }
+  });
+
+  it('are issued by admins and never overwritten, so PINs stay unique', async () => {
+    await assertSucceeds(setDoc(doc(dbAs('admin'), path('checkInCredentials/pin-key-bob')), credential('person-bob', 'pin')));
+    await assertFails(setDoc(doc(dbAs('operator'), path('checkInCredentials/pin-key-eve')), credential('person-eve', 'pin')));
+    // Someone else's PIN
+    await assertFails(setDoc(doc(dbAs('admin'), path(`checkInCredentials/${PIN_KEY_ADA}`)), credential('person-bob', 'pin')));
+    await assertFails(updateDoc(doc(dbAs('admin'), path(`checkInCredentials/${PIN_KEY_ADA}`)), { personId: 'person-bob' }));
+    // Unknown types and fields
+    await assertFails(setDoc(doc(dbAs('admin'), path('checkInCredentials/key-1')), credential('person-bob', 'fingerprint')));
+    await assertFails(setDoc(doc(dbAs('admin'), path('checkInCredentials/key-2')), { ...credential('person-bob', 'pin'), pin: '1234' }));
+  });
+
+  it('are revoked by admins only', async () => {
+    await assertFails(deleteDoc(doc(dbAs('operator'), path('checkInCredentials/badge-key-ada'))));
+    await assertSucceeds(deleteDoc(doc(dbAs('admin'), path('checkInCredentials/badge-key-ada'))));
+  });
+});
+
+describe('PIN attempts', () => {
+  beforeEach(async () => {
+    await seedDocuments(testEnv, {
+      [`checkInCredentials/${PIN_KEY_ADA}`]: { personId: 'person-ada', type: 'pin', createdAt: Timestamp.now() },
+    });
+  });
+  const attemptsDoc = (uid, owner = uid) => doc(dbAs(uid), path(`pinAttempts/${owner}`));
+  const pinDoc = (uid, key) => doc(dbAs(uid), path(`checkInCredentials/${key}`));
+  const firstAttempt = (pinKey) => ({ pinKey, failures: 0, lockouts: 0, lockedAt: null, attemptedAt: serverTimestamp() });
+
+  it('are the only way to fetch a PIN credential', async () => {
+    // Without naming the PIN first, a station cannot even tell whether it exists
+    await assertFails(getDoc(pinDoc('operator', PIN_KEY_ADA)));
+    await assertFails(getDoc(pinDoc('operator', wrongPinKey(1))));
+    await assertSucceeds(setDoc(attemptsDoc('operator'), firstAttempt(PIN_KEY_ADA)));
+    await assertSucceeds(getDoc(pinDoc('operator', PIN_KEY_ADA)));
+    await assertFails(getDoc(pinDoc('operator', wrongPinKey(1))));
+    // Roles that do not capture cannot fetch it at all
+    await assertFails(getDoc(pinDoc('viewer', PIN_KEY_ADA)));
+  });
+
+  it('count every PIN and lock the account after 5 wrong ones in a row', async () => {
+    await assertSucceeds(setDoc(attemptsDoc('operator'), firstAttempt(wrongPinKey(1))));
+    // Naming the next PIN counts the previous one, which must be counted truthfully
+    await assertFails(updateDoc(attemptsDoc('operator'), { pinKey: wrongPinKey(2), attemptedAt: serverTimestamp() }));
+    for (let failures = 1; failures < 5; failures++) {
+      await assertSucceeds(updateDoc(attemptsDoc('operator'), { pinKey: wrongPinKey(failures + 1), failures, attemptedAt: serverTimestamp() }));
+    }
+    // The 5th wrong PIN starts a lockout
+    await assertFails(updateDoc(attemptsDoc('operator'), { pinKey: null, failures: 5, attemptedAt: serverTimestamp() }));
+    await assertSucceeds(updateDoc(attemptsDoc('operator'), {
+      pinKey: null, failures: 0, lockouts: 1, lockedAt: serverTimestamp(), attemptedAt: serverTimestamp()
+    }));
+    // No PIN can be named or fetched until it ends, and the attempts cannot be reset by the station
+    await assertFails(updateDoc(attemptsDoc('operator'), { pinKey: PIN_KEY_ADA, attemptedAt: serverTimestamp() }));
+    await assertFails(getDoc(pinDoc('operator', PIN_KEY_ADA)));
+    await assertFails(deleteDoc(attemptsDoc('operator')));
+    await assertFails(setDoc(attemptsDoc('operator'), firstAttempt(PIN_KEY_ADA)));
+    // Admins lift it
+    await assertSucceeds(deleteDoc(attemptsDoc('admin', 'operator')));
+  });
+
+  it('start over after a matching PIN once a lockout has ended', async () => {
+    const hoursAgo = (hours) => Timestamp.fromMillis(Date.now() - hours * 60 * 60 * 1000);
+    await seedDocuments(testEnv, {
+      'pinAttempts/operator': { pinKey: PIN_KEY_ADA, failures: 3, lockouts: 2, lockedAt: hoursAgo(2), attemptedAt: hoursAgo(1) },
+    });
+    await assertFails(updateDoc(attemptsDoc('operator'), { pinKey: null, failures: 4, attemptedAt: serverTimestamp() }));
+    await assertSucceeds(updateDoc(attemptsDoc('operator'), { pinKey: null, failures: 0, lockouts: 0, attemptedAt: serverTimestamp() }));
+  });
+
+  it('belong to capturing accounts and hold only the counts', async () => {
+    await assertFails(setDoc(attemptsDoc('admin', 'operator'), firstAttempt(PIN_KEY_ADA)));
+    await assertFails(setDoc(attemptsDoc('viewer'), firstAttempt(PIN_KEY_ADA)));
+    await assertFails(setDoc(attemptsDoc('operator'), { ...firstAttempt(PIN_KEY_ADA), failures: -10 }));
+    await assertFails(setDoc(attemptsDoc('operator'), { ...firstAttempt(PIN_KEY_ADA), pin: '1234' }));
+    await assertFails(setDoc(attemptsDoc('operator'), firstAttempt('pin-key-ada')));
+  });
+});
+
+describe('sessions and stations', () => {
+  it('sessions are readable by every account and managed by admins', async () => {
+    await assertSucceeds(getDoc(doc(dbAs('attendee'), path('sessions/session-1'))));
+    await assertFails(getDoc(doc(dbAs(null), path('sessions/session-1'))));
+    await assertSucceeds(updateDoc(doc(dbAs('admin'), path('sessions/session-1')), { title: 'Renamed' }));
+    await assertFails(updateDoc(doc(dbAs('operator'), path('sessions/session-1')), { title: 'Renamed' }));
+  });
+
+  it('stations are registered by capturing roles under their own UID', async () => {
+    const station = (uid) => ({ name: 'Front desk', lastSeenAt: serverTimestamp(), lastUserId: uid });
+    await assertSucceeds(setDoc(doc(dbAs('operator'), path('stations/station-1')), station('operator'), { merge: true }));
+    await assertFails(setDoc(doc(dbAs('operator'), path('stations/station-1')), station('admin'), { merge: true }));
+    await assertFails(setDoc(doc(dbAs('viewer'), path('stations/station-1')), station('viewer'), { merge: true }));
+  });
+});
+
+describe('user profiles', () => {
+  const ownProfile = (overrides = {}) => ({
+    email: 'me@example.com', displayName: 'Me', role: 'attendee', personId: null, createdAt: serverTimestamp(), ...overrides
+  });
+
+  it('are created by their owner as unlinked attendees only', async () => {
+    await assertSucceeds(setDoc(doc(dbAs('newcomer'), path('users/newcomer')), ownProfile()));
+    await assertFails(setDoc(doc(dbAs('climber'), path('users/climber')), ownProfile({ role: 'admin' })));
+    await assertFails(setDoc(doc(dbAs('linker'), path('users/linker')), ownProfile({ personId: 'person-ada' })));
+    await assertFails(setDoc(doc(dbAs('newcomer'), path('users/someone-else')), ownProfile()));
+  });
+
+  it('are readable by their owner and admins', async () => {
+    await assertSucceeds(getDoc(doc(dbAs('attendee'), path('users/attendee'))));
+    await assertFails(getDoc(doc(dbAs('attendee'), path('users/viewer'))));
+    await assertFails(getDocs(collection(dbAs('operator'), path('users'))));
+    await assertSucceeds(getDocs(collection(dbAs('admin'), path('users'))));
+  });
+
+  it('roles and person links are changed by admins only', async () => {
+    await assertFails(updateDoc(doc(dbAs('attendee'), path('users/attendee')), { role: 'admin' }));
+    await assertFails(updateDoc(doc(dbAs('attendee'), path('users/attendee')), { personId: 'person-bob' }));
+    await assertSucceeds(updateDoc(doc(dbAs('admin'), path('users/unlinked')), { personId: 'person-bob', updatedAt: serverTimestamp() }));
+    await assertSucceeds(updateDoc(doc(dbAs('admin'), path('users/viewer')), { role: 'operator', updatedAt: serverTimestamp() }));
+    await assertFails(updateDoc(doc(dbAs('admin'), path('users/viewer')), { role: 'owner' }));
+    await assertFails(updateDoc(doc(dbAs('admin'), path('users/viewer')), { email: 'changed@example.com' }));
+  });
+
+  it('admins cannot change their own role', async () => {
+    await assertFails(updateDoc(doc(dbAs('admin'), path('users/admin')), { role: 'viewer' }));
+    await assertFails(deleteDoc(doc(dbAs('admin'), path('users/admin'))));
+  });
+});
@@ -0,0 +1,79 @@
+// tests/rules/storage.test.js
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { ref, uploadBytes, getBytes, deleteObject } from 'firebase/storage';
+import { Timestamp } from 'firebase/firestore';
+import { APP_ID, createTestEnvironment, seedProfiles, seedDocuments, newRecord } from './testEnvironment.js';
+
+let testEnv;
+
+// A few bytes standing in for an image; the rules only look at the size and content type
+const IMAGE = new Uint8Array([0xff, 0xd8, 0xff, 0xe0]);
+const JPEG = { contentType: 'image/jpeg' };
+
+// Storage instance of a seeded account (see PROFILES), or of a signed-out visitor when uid is null
+const storageAs = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).storage();
+const imageRef = (storage, recordId, fileName = 'thumb.jpg') => ref(storage, `artifacts/${APP_ID}/attendance/${recordId}/${fileName}`);
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.clearStorage();
+  await seedProfiles(testEnv);
+  await seedDocuments(testEnv, {
+    'attendance/ada-1': { ...newRecord('operator'), timestamp: Timestamp.now() },
+    'attendance/bob-1': { ...newRecord('operator'), personName: 'Bob', personId: 'person-bob', timestamp: Timestamp.now() },
+  });
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await uploadBytes(imageRef(context.storage(), 'ada-1'), IMAGE, JPEG);
+    await uploadBytes(imageRef(context.storage(), 'bob-1'), IMAGE, JPEG);
+  });
+});
+
+describe('attendance images', () => {
+  it('are uploaded by capturing roles before their record exists', async () => {
+    await assertSucceeds(uploadBytes(imageRef(storageAs('operator'), 'new-record', 'full.png'), IMAGE, { contentType: 'image/png' }));
+    await assertFails(uploadBytes(imageRef(storageAs('viewer'), 'new-record'), IMAGE, JPEG));
+    await assertFails(uploadBytes(imageRef(storageAs('attendee'), 'new-record'), IMAGE, JPEG));
+    await assertFails(uploadBytes(imageRef(storageAs(null), 'new-record'), IMAGE, JPEG));
+  });
+
+  it('can be replaced until their record is written', async () => {
+    const storage = storageAs('operator');
+    await assertSucceeds(uploadBytes(imageRef(storage, 'queued-record'), IMAGE, JPEG));
+    await assertSucceeds(uploadBytes(imageRef(storage, 'queued-record'), IMAGE, JPEG));
+  });
+
+  it('must be images and cannot replace those of an existing record', async () => {
+    await assertFails(uploadBytes(imageRef(storageAs('operator'), 'new-record', 'notes.txt'), IMAGE, { contentType: 'text/plain' }));
+    await assertFails(uploadBytes(imageRef(storageAs('operator'), 'ada-1'), IMAGE, JPEG));
+  });
+
+  it('are readable by staff and by the attendee they show', async () => {
+    await assertSucceeds(getBytes(imageRef(storageAs('viewer'), 'bob-1')));
+    await assertSucceeds(getBytes(imageRef(storageAs('operator'), 'bob-1')));
+    await assertSucceeds(getBytes(imageRef(storageAs('attendee'), 'ada-1')));
+    await assertFails(getBytes(imageRef(storageAs('attendee'), 'bob-1')));
+    await assertFails(getBytes(imageRef(storageAs('unlinked'), 'ada-1')));
+    await assertFails(getBytes(imageRef(storageAs(null), 'ada-1')));
+  });
+
+  it('of a written record can only be deleted by admins', async () => {
+    await assertFails(deleteObject(imageRef(storageAs('operator'), 'ada-1')));
+    await assertSucceeds(deleteObject(imageRef(storageAs('admin'), 'ada-1')));
+  });
+
+  it('of a record that was never written can be cleaned up by the operator', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await uploadBytes(imageRef(context.storage(), 'orphan'), IMAGE, JPEG);
+    });
+    await assertSucceeds(deleteObject(imageRef(storageAs('operator'), 'orphan')));
+  });
+});
@@ -0,0 +1,72 @@
+// tests/rules/testEnvironment.js
+// Shared setup of the security rules tests: loads firestore.rules and storage.rules into the emulators
+// and seeds one user profile per role. Run with `npm test`, which starts the emulators.
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc, serverTimestamp } from 'firebase/firestore';
+
+export const APP_ID = 'test-app';
+// Same layout as src/firebase/collections.jsx
+export const DATA_ROOT = `artifacts/${APP_ID}/public/data`;
+
+// UID -> profile of the seeded accounts
+export const PROFILES = {
+  admin: { email: 'admin@example.com', displayName: 'Admin', role: 'admin', personId: null },
+  operator: { email: 'operator@example.com', displayName: 'Operator', role: 'operator', personId: null },
+  viewer: { email: 'viewer@example.com', displayName: 'Viewer', role: 'viewer', personId: null },
+  attendee: { email: 'ada@example.com', displayName: 'Ada', role: 'attendee', personId: 'person-ada' },
+  unlinked: { email: 'new@example.com', displayName: 'New', role: 'attendee', personId: null },
+};
+
+/**
+ * Starts a test environment using the rules files at the repository root.
+ * The emulator hosts are discovered from the environment set by `firebase emulators:exec`.
+ * @returns {Promise<Object>} - RulesTestEnvironment.
+ */
+export const createTestEnvironment = () => initializeTestEnvironment({
+  projectId: 'demo-attendance',
+  firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+  storage: { rules: readFileSync('storage.rules', 'utf8') },
+});
+
+/**
+ * Writes documents bypassing the rules.
+ * @param {Object} testEnv - RulesTestEnvironment.
+ * @param {Object<string, Object>} documents - Path below DATA_ROOT -> document data.
+ * @returns {Promise<void>}
+ */
+export const seedDocuments = (testEnv, documents) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  await Promise.all(Object.entries(documents).map(([path, data]) => setDoc(doc(db, `${DATA_ROOT}/${path}`), data)));
+});
+
+/**
+ * Seeds the profiles of PROFILES.
+ * @param {Object} testEnv - RulesTestEnvironment.
+ * @returns {Promise<void>}
+ */
+export const seedProfiles = (testEnv) => seedDocuments(testEnv, Object.fromEntries(
+  Object.entries(PROFILES).map(([uid, profile]) => [`users/${uid}`, profile])
+));
+
+/**
+ * Fields of an attendance record as written by recordAttendance, logged by the given user.
+ * @param {string} uid - UID of the logging user.
+ * @param {Object} [overrides] - Fields to replace or add.
+ * @returns {Object}
+ */
+export const newRecord = (uid, overrides = {}) => ({
+  personName: 'Ada Lovelace',
+  personId: 'person-ada',
+  matchConfidence: 0.92,
+  identifiedBy: 'face',
+  sessionId: null,
+  sessionTitle: null,
+  stationId: 'station-1',
+  stationName: 'Front desk',
+  loggedByUserId: uid,
+  eventType: 'check-in',
+  timestamp: serverTimestamp(),
+  duplicateOverride: false,
+  ...overrides,
+});
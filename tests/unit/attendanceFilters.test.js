@@ -0,0 +1,75 @@
+// tests/unit/attendanceFilters.test.js
+import { describe, it, expect } from 'vitest';
+import { Timestamp } from 'firebase/firestore';
+import { parseDateInput, buildFilterConstraints, filterLogsByName, hasActiveFilters } from '../../src/utils/attendanceFilters.jsx';
+
+// Field, operator and value of a 'where' constraint, read from the SDK's constraint object
+const describeConstraint = (constraint) => [constraint._field.toString(), constraint._op, constraint._value];
+
+describe('parseDateInput', () => {
+  it('reads a date input value as local midnight', () => {
+    expect(parseDateInput('2024-03-09')).toEqual(new Date(2024, 2, 9));
+  });
+
+  it('returns null for empty or malformed values', () => {
+    expect(parseDateInput('')).toBeNull();
+    expect(parseDateInput(undefined)).toBeNull();
+    expect(parseDateInput('09/03/2024')).toBeNull();
+    expect(parseDateInput('2024-3-9')).toBeNull();
+  });
+});
+
+describe('buildFilterConstraints', () => {
+  it('has no constraints without filters', () => {
+    expect(buildFilterConstraints({})).toEqual([]);
+    expect(buildFilterConstraints({ sessionId: '', stationId: '', personId: '', from: '', to: '' })).toEqual([]);
+  });
+
+  it('filters by session, station and person', () => {
+    const constraints = buildFilterConstraints({ sessionId: 'session-1', stationId: 'station-1', personId: 'person-ada' });
+    expect(constraints.map(describeConstraint)).toEqual([
+      ['sessionId', '==', 'session-1'],
+      ['stationId', '==', 'station-1'],
+      ['personId', '==', 'person-ada'],
+    ]);
+  });
+
+  it('includes the whole last day of the date range', () => {
+    const constraints = buildFilterConstraints({ from: '2024-03-01', to: '2024-03-31' });
+    expect(constraints.map(describeConstraint)).toEqual([
+      ['timestamp', '>=', Timestamp.fromDate(new Date(2024, 2, 1))],
+      ['timestamp', '<', Timestamp.fromDate(new Date(2024, 3, 1))],
+    ]);
+  });
+
+  it('ignores malformed dates', () => {
+    expect(buildFilterConstraints({ from: 'yesterday', to: '2024-13' })).toEqual([]);
+  });
+});
+
+describe('filterLogsByName', () => {
+  const logs = [
+    { id: '1', personName: 'José Núñez' },
+    { id: '2', personName: 'Ada Lovelace' },
+    { id: '3', personName: null },
+  ];
+
+  it('keeps every record for an empty search', () => {
+    expect(filterLogsByName(logs, '')).toBe(logs);
+    expect(filterLogsByName(logs, '   ')).toBe(logs);
+  });
+
+  it('matches part of the name, ignoring case and accents', () => {
+    expect(filterLogsByName(logs, 'nunez').map(log => log.id)).toEqual(['1']);
+    expect(filterLogsByName(logs, 'JOSÉ').map(log => log.id)).toEqual(['1']);
+    expect(filterLogsByName(logs, 'love').map(log => log.id)).toEqual(['2']);
+    expect(filterLogsByName(logs, 'grace')).toEqual([]);
+  });
+});
+
+describe('hasActiveFilters', () => {
+  it('tells whether any filter is set', () => {
+    expect(hasActiveFilters({ name: '', from: '', to: '', sessionId: '', stationId: '' })).toBe(false);
+    expect(hasActiveFilters({ name: '', from: '2024-03-01', to: '', sessionId: '', stationId: '' })).toBe(true);
+  });
+});
@@ -0,0 +1,66 @@
+// tests/unit/badges.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  generateBadgeToken, encodeBadge, parseBadge, isValidPin, getPinLockedUntil, countPinAttempt, MAX_PIN_FAILURES
+} from '../../src/utils/badges.jsx';
+
+describe('badges', () => {
+  it('carry a random token that is read back from the scanned code', () => {
+    const token = generateBadgeToken();
+    expect(token).toMatch(/^[0-9a-f]{32}$/);
+    expect(generateBadgeToken()).not.toBe(token);
+    expect(parseBadge(encodeBadge({ id: 'person-ada', badgeToken: token }))).toBe(token);
+  });
+
+  it('ignore QR codes that are not badges of this app', () => {
+    expect(parseBadge('https://example.com')).toBeNull();
+    expect(parseBadge('ATTENDANCE-BADGE:person-ada.0123')).toBeNull();
+    expect(parseBadge(null)).toBeNull();
+  });
+});
+
+describe('isValidPin', () => {
+  it('accepts 4 to 8 digits', () => {
+    expect(isValidPin('1234')).toBe(true);
+    expect(isValidPin('12345678')).toBe(true);
+    expect(isValidPin('123')).toBe(false);
+    expect(isValidPin('123456789')).toBe(false);
+    expect(isValidPin('12a4')).toBe(false);
+  });
+});
+
+describe('PIN lockout', () => {
+  // Counts wrong PINs until PIN entry locks, returning the counts that start the lockout
+  const failUntilLocked = (attempts) => {
+    let counts = attempts;
+    for (let i = 1; i < MAX_PIN_FAILURES; i++) {
+      counts = countPinAttempt(counts, false);
+      expect(counts.locked).toBe(false);
+    }
+    return countPinAttempt(counts, false);
+  };
+
+  it('locks PIN entry after repeated wrong PINs', () => {
+    const counts = failUntilLocked({ failures: 0, lockouts: 0 });
+    expect(counts).toEqual({ failures: 0, lockouts: 1, locked: true });
+    expect(getPinLockedUntil({ ...counts, lockedAt: 0 }, 10 * 1000)).toBe(30 * 1000);
+    expect(getPinLockedUntil({ ...counts, lockedAt: 0 }, 30 * 1000)).toBeNull();
+  });
+
+  it('locks for twice as long after each lockout, up to 15 minutes', () => {
+    const lockouts = [];
+    let counts = { failures: 0, lockouts: 0 };
+    for (let i = 0; i < 8; i++) {
+      counts = failUntilLocked(counts);
+      lockouts.push(getPinLockedUntil({ ...counts, lockedAt: 0 }, 0) / 1000);
+    }
+    expect(lockouts).toEqual([30, 60, 120, 240, 480, 900, 900, 900]);
+  });
+
+  it('starts over once a PIN is accepted', () => {
+    const counts = countPinAttempt(failUntilLocked({ failures: 0, lockouts: 0 }), true);
+    expect(counts).toEqual({ failures: 0, lockouts: 0, locked: false });
+    expect(getPinLockedUntil({ ...counts, lockedAt: 0 }, 0)).toBeNull();
+    expect(getPinLockedUntil(null)).toBeNull();
+  });
+});
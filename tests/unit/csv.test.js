@@ -0,0 +1,72 @@
+// tests/unit/csv.test.js
+import { describe, it, expect } from 'vitest';
+import { escapeCsvField, toCsv, parseCsv } from '../../src/utils/csv.jsx';
+
+describe('escapeCsvField', () => {
+  it('leaves plain values as they are', () => {
+    expect(escapeCsvField('Ada Lovelace')).toBe('Ada Lovelace');
+    expect(escapeCsvField(42)).toBe('42');
+    expect(escapeCsvField(null)).toBe('');
+    expect(escapeCsvField(undefined)).toBe('');
+  });
+
+  it('quotes fields with commas, quotes, line breaks or surrounding spaces', () => {
+    expect(escapeCsvField('Lovelace, Ada')).toBe('"Lovelace, Ada"');
+    expect(escapeCsvField('Ada "the Countess"')).toBe('"Ada ""the Countess"""');
+    expect(escapeCsvField('line 1\nline 2')).toBe('"line 1\nline 2"');
+    expect(escapeCsvField(' Ada ')).toBe('" Ada "');
+  });
+
+  it('keeps spreadsheets from running values as formulas', () => {
+    expect(escapeCsvField('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+    expect(escapeCsvField('+1')).toBe("'+1");
+    expect(escapeCsvField('-1')).toBe("'-1");
+    expect(escapeCsvField('@SUM(A1)')).toBe("'@SUM(A1)");
+  });
+});
+
+describe('toCsv', () => {
+  it('writes a header line and one line per row with CRLF endings', () => {
+    const columns = [{ key: 'name', header: 'Name' }, { key: 'group', header: 'Group, class' }];
+    const rows = [{ name: 'Ada', group: 'A' }, { name: 'Grace' }];
+    expect(toCsv(columns, rows)).toBe('Name,"Group, class"\r\nAda,A\r\nGrace,');
+  });
+});
+
+describe('parseCsv', () => {
+  it('splits lines and fields, with the line each row starts on', () => {
+    expect(parseCsv('name,id\r\nAda,A1\nGrace,G1')).toEqual([
+      { line: 1, fields: ['name', 'id'] },
+      { line: 2, fields: ['Ada', 'A1'] },
+      { line: 3, fields: ['Grace', 'G1'] },
+    ]);
+  });
+
+  it('reads quoted fields with commas, doubled quotes and line breaks', () => {
+    expect(parseCsv('"Lovelace, Ada","say ""hi""","two\nlines"\nnext,row,here')).toEqual([
+      { line: 1, fields: ['Lovelace, Ada', 'say "hi"', 'two\nlines'] },
+      { line: 3, fields: ['next', 'row', 'here'] },
+    ]);
+  });
+
+  it('skips a byte order mark, blank lines and a trailing line break', () => {
+    expect(parseCsv('\uFEFFname\n\nAda\n')).toEqual([
+      { line: 1, fields: ['name'] },
+      { line: 3, fields: ['Ada'] },
+    ]);
+  });
+
+  it('keeps empty fields', () => {
+    expect(parseCsv('Ada,,\n')).toEqual([{ line: 1, fields: ['Ada', '', ''] }]);
+  });
+
+  it('reads back what toCsv writes', () => {
+    const columns = [{ key: 'name', header: 'Name' }, { key: 'note', header: 'Note' }];
+    const rows = [{ name: 'Lovelace, Ada', note: 'said "hi"\non arrival' }];
+    expect(parseCsv(toCsv(columns, rows)).map(row => row.fields)).toEqual([['Name', 'Note'], ['Lovelace, Ada', 'said "hi"\non arrival']]);
+  });
+
+  it('rejects an unclosed quoted field', () => {
+    expect(() => parseCsv('name\n"Ada,A1')).toThrow('Unclosed quoted field starting on line 2.');
+  });
+});
@@ -0,0 +1,47 @@
+// tests/unit/imageQuality.test.js
+import { describe, it, expect } from 'vitest';
+import { checkImageQuality, QUALITY_THRESHOLDS } from '../../src/utils/imageQuality.jsx';
+
+const thresholds = { minSharpness: 50, minBrightness: 50, maxBrightness: 215, minContrast: 20, minFaceWidth: 0.2 };
+// Metrics of a well-lit, sharp capture with a large face
+const good = { sharpness: 300, brightness: 120, contrast: 45, backlit: false, faceWidth: 0.35 };
+const issuesOf = (metrics, options = {}) => checkImageQuality({ ...good, ...metrics }, { thresholds, ...options }).issues.map(issue => issue.id);
+
+describe('checkImageQuality', () => {
+  it('passes a good capture', () => {
+    expect(checkImageQuality(good, { thresholds })).toEqual({ passed: true, issues: [] });
+  });
+
+  it('reports one lighting problem at a time, the most basic first', () => {
+    expect(issuesOf({ brightness: 30, backlit: true, contrast: 5 })).toEqual(['dark']);
+    expect(issuesOf({ brightness: 240 })).toEqual(['bright']);
+    expect(issuesOf({ backlit: true, contrast: 5 })).toEqual(['backlit']);
+    expect(issuesOf({ contrast: 5 })).toEqual(['contrast']);
+  });
+
+  it('reports blur and a small face alongside lighting problems', () => {
+    expect(issuesOf({ brightness: 30, sharpness: 10, faceWidth: 0.1 })).toEqual(['dark', 'blurry', 'small']);
+  });
+
+  it('skips the face size for group photos and when no face was found', () => {
+    expect(issuesOf({ faceWidth: 0.05 }, { checkFaceSize: false })).toEqual([]);
+    expect(issuesOf({ faceWidth: null })).toEqual([]);
+  });
+
+  it('explains how to fix each problem', () => {
+    const { passed, issues } = checkImageQuality({ ...good, sharpness: 10 }, { thresholds });
+    expect(passed).toBe(false);
+    expect(issues).toEqual([{ id: 'blurry', message: 'Blurry: hold still and check that the lens is clean.' }]);
+  });
+
+  it('turns a check off when its threshold is 0', () => {
+    expect(issuesOf({ sharpness: 0, brightness: 1, contrast: 0 }, {
+      thresholds: { ...thresholds, minSharpness: 0, minBrightness: 0, minContrast: 0 }
+    })).toEqual([]);
+  });
+
+  it('uses the default thresholds without VITE_QUALITY_* settings', () => {
+    expect(QUALITY_THRESHOLDS).toMatchObject({ minSharpness: 50, minBrightness: 50, maxBrightness: 215, minContrast: 20 });
+    expect(checkImageQuality(good).passed).toBe(true);
+  });
+});
@@ -0,0 +1,87 @@
+// tests/unit/nameMatching.test.js
+import { describe, it, expect } from 'vitest';
+import { levenshtein, soundex, scoreNameMatch, rankNameCandidates } from '../../src/utils/nameMatching.jsx';
+
+describe('levenshtein', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    expect(levenshtein('kitten', 'sitting')).toBe(3);
+    expect(levenshtein('john', 'jon')).toBe(1);
+    expect(levenshtein('', 'ada')).toBe(3);
+    expect(levenshtein('ada', 'ada')).toBe(0);
+  });
+});
+
+describe('soundex', () => {
+  it('gives names that sound alike the same key', () => {
+    expect(soundex('Robert')).toBe('R163');
+    expect(soundex('Rupert')).toBe('R163');
+    expect(soundex('Smith')).toBe(soundex('Smyth'));
+  });
+
+  it('treats letters separated by h or w as adjacent', () => {
+    expect(soundex('Ashcraft')).toBe('A261');
+    expect(soundex('Pfister')).toBe('P236');
+  });
+
+  it('pads short keys and ignores accents', () => {
+    expect(soundex('Lee')).toBe('L000');
+    expect(soundex('Núñez')).toBe(soundex('Nunez'));
+  });
+
+  it('is empty for words without Latin letters', () => {
+    expect(soundex('')).toBe('');
+    expect(soundex('王芳')).toBe('');
+  });
+});
+
+describe('scoreNameMatch', () => {
+  it('is 1 for the same name only, ignoring case and accents', () => {
+    expect(scoreNameMatch('jose nunez', 'José Núñez')).toBe(1);
+    expect(scoreNameMatch('Jon Smyth', 'John Smith')).toBeLessThan(1);
+  });
+
+  it('is 0 when either name is empty', () => {
+    expect(scoreNameMatch('', 'Ada Lovelace')).toBe(0);
+    expect(scoreNameMatch('Ada', '')).toBe(0);
+  });
+
+  it('finds misspelled and misheard names', () => {
+    expect(scoreNameMatch('Jon Smyth', 'John Smith')).toBeGreaterThan(0.7);
+    expect(scoreNameMatch('Lovelace Ada', 'Ada Lovelace')).toBeGreaterThan(0.9);
+    expect(scoreNameMatch('Jon Smyth', 'Grace Hopper')).toBeLessThan(0.5);
+  });
+
+  it('scores a first name alone lower than the full name', () => {
+    const firstName = scoreNameMatch('Ada', 'Ada Lovelace');
+    expect(firstName).toBeGreaterThanOrEqual(0.5);
+    expect(firstName).toBeLessThan(scoreNameMatch('Ada Lovlace', 'Ada Lovelace'));
+  });
+
+  it('compares names in other scripts by spelling', () => {
+    expect(scoreNameMatch('王芳', '王芳')).toBe(1);
+    expect(scoreNameMatch('王方', '王芳')).toBeGreaterThanOrEqual(0.5);
+  });
+});
+
+describe('rankNameCandidates', () => {
+  const people = [
+    { id: 'john', name: 'John Smith' },
+    { id: 'joan', name: 'Joan Smith' },
+    { id: 'grace', name: 'Grace Hopper' },
+    { id: 'jane', name: 'Jane Smithers' },
+  ];
+
+  it('offers the closest names first and leaves out poor matches', () => {
+    const candidates = rankNameCandidates(people, 'Jon Smyth');
+    expect(candidates[0].person.id).toBe('john');
+    expect(candidates.map(candidate => candidate.person.id)).not.toContain('grace');
+    candidates.forEach((candidate, index) => {
+      if (index > 0) expect(candidate.score).toBeLessThanOrEqual(candidates[index - 1].score);
+    });
+  });
+
+  it('returns at most the requested number of candidates', () => {
+    expect(rankNameCandidates(people, 'Smith', 1)).toHaveLength(1);
+    expect(rankNameCandidates(people, 'Nobody Known')).toEqual([]);
+  });
+});
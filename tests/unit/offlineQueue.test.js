@@ -0,0 +1,25 @@
+// tests/unit/offlineQueue.test.js
+import { describe, it, expect } from 'vitest';
+import { isTooOldToSync, listQueuedCaptures, MAX_QUEUE_AGE_DAYS } from '../../src/utils/offlineQueue.jsx';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('isTooOldToSync', () => {
+  const now = Date.UTC(2024, 2, 10, 12, 0);
+
+  it('accepts captures up to the maximum age accepted by firestore.rules', () => {
+    expect(isTooOldToSync({ capturedAt: now - DAY_MS }, now)).toBe(false);
+    expect(isTooOldToSync({ capturedAt: now - MAX_QUEUE_AGE_DAYS * DAY_MS }, now)).toBe(false);
+  });
+
+  it('rejects older captures', () => {
+    expect(isTooOldToSync({ capturedAt: now - MAX_QUEUE_AGE_DAYS * DAY_MS - 1 }, now)).toBe(true);
+  });
+});
+
+describe('queue storage', () => {
+  it('explains when the browser cannot keep captures offline', async () => {
+    // Node has no IndexedDB, like some private browsing modes
+    await expect(listQueuedCaptures()).rejects.toThrow('IndexedDB is not available');
+  });
+});
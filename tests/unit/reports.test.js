@@ -0,0 +1,72 @@
+// tests/unit/reports.test.js
+import { describe, it, expect } from 'vitest';
+import { computeReport, formatPeriod } from '../../src/utils/reports.jsx';
+
+// Attendance record at a local time in March 2024 (the 4th is a Monday)
+const record = (personName, day, hours, minutes, overrides = {}) => ({
+  personName, personId: null, eventType: 'check-in', timestamp: new Date(2024, 2, day, hours, minutes), ...overrides
+});
+
+const logs = [
+  record('Ada Lovelace', 4, 8, 0, { personId: 'person-ada' }),
+  record('Ada Lovelace', 4, 17, 0, { personId: 'person-ada', eventType: 'check-out' }),
+  record('Bob', 4, 8, 30),
+  record('Ada Lovelace', 5, 7, 0, { personId: 'person-ada', voided: true }),
+  // Renamed in the directory since; the second check-in of the day is the earlier one
+  record('Ada King', 6, 9, 0, { personId: 'person-ada' }),
+  record('Ada King', 6, 8, 30, { personId: 'person-ada' }),
+];
+
+describe('computeReport', () => {
+  it('counts check-ins per day, filling in days without any', () => {
+    const report = computeReport(logs, 'day');
+    expect(report.periods.map(({ start, checkIns, attendees }) => [start, checkIns, attendees])).toEqual([
+      [new Date(2024, 2, 4), 2, 2],
+      [new Date(2024, 2, 5), 0, 0],
+      [new Date(2024, 2, 6), 2, 1],
+    ]);
+    expect(report.periods[0].firstArrival).toEqual(new Date(2024, 2, 4, 8, 0));
+    expect(report.periods[0].lastArrival).toEqual(new Date(2024, 2, 4, 8, 30));
+    expect(report.periods[1].firstArrival).toBeNull();
+  });
+
+  it('ignores check-outs and voided records', () => {
+    const report = computeReport(logs, 'day');
+    expect(report.totalCheckIns).toBe(4);
+    expect(report.totalAttendees).toBe(2);
+    expect(report.reportingDays).toBe(2);
+  });
+
+  it('groups weeks from Monday and months from the first', () => {
+    const sunday = record('Bob', 10, 8, 0);
+    const weekly = computeReport([...logs, sunday], 'week');
+    expect(weekly.periods.map(({ start, checkIns }) => [start, checkIns])).toEqual([[new Date(2024, 2, 4), 5]]);
+    const monthly = computeReport([...logs, record('Bob', 1, 8, 0)], 'month');
+    expect(monthly.periods.map(({ start, checkIns }) => [start, checkIns])).toEqual([[new Date(2024, 2, 1), 5]]);
+  });
+
+  it('computes rates and arrival times per person, under their latest name', () => {
+    const { people } = computeReport(logs, 'day');
+    expect(people).toEqual([
+      {
+        personKey: 'id_person-ada', personName: 'Ada King', daysAttended: 2, checkIns: 3, rate: 1,
+        earliestArrival: 8 * 60, latestArrival: 8 * 60 + 30, averageArrival: 8 * 60 + 15
+      },
+      {
+        personKey: 'name_bob', personName: 'Bob', daysAttended: 1, checkIns: 1, rate: 0.5,
+        earliestArrival: 8 * 60 + 30, latestArrival: 8 * 60 + 30, averageArrival: 8 * 60 + 30
+      },
+    ]);
+  });
+
+  it('is empty without check-ins', () => {
+    expect(computeReport([], 'week')).toEqual({ periods: [], people: [], totalCheckIns: 0, totalAttendees: 0, reportingDays: 0 });
+  });
+});
+
+describe('formatPeriod', () => {
+  it('labels weeks by their first day', () => {
+    expect(formatPeriod(new Date(2024, 2, 4), 'week')).toMatch(/^Week of /);
+    expect(formatPeriod(new Date(2024, 2, 4), 'week')).toContain('2024');
+  });
+});
@@ -0,0 +1,60 @@
+// tests/unit/roster.test.js
+import { describe, it, expect } from 'vitest';
+import { validateRoster, findPersonByName } from '../../src/utils/roster.jsx';
+
+const people = [
+  { id: 'person-ada', name: 'Ada Lovelace', externalId: 'A1', email: 'ada@example.com', group: 'Math' },
+  { id: 'person-jose', name: 'José Núñez', externalId: 'J1', email: '', group: '' },
+];
+
+describe('validateRoster', () => {
+  it('maps header aliases in any order and any case', () => {
+    const [row] = validateRoster('Class,E-mail Address,Student_ID,Full Name\nPhysics,grace@example.com,G1,Grace Hopper', people);
+    expect(row).toMatchObject({
+      line: 2, name: 'Grace Hopper', externalId: 'G1', email: 'grace@example.com', group: 'Physics', errors: [], action: 'create', personId: null
+    });
+  });
+
+  it('reads files without a header in the order name, external ID, email, group', () => {
+    const [row] = validateRoster('Grace Hopper,G1,grace@example.com,Physics', people);
+    expect(row).toMatchObject({ line: 1, name: 'Grace Hopper', externalId: 'G1', email: 'grace@example.com', group: 'Physics' });
+  });
+
+  it('updates people matched by external ID and skips those without changes', () => {
+    const rows = validateRoster('name,id,email,group\nAda King,A1,ada@example.com,Math\nAda Lovelace,A1 ,ada@example.com,Math', people);
+    expect(rows[0]).toMatchObject({ action: 'update', personId: 'person-ada' });
+    // The duplicate external ID is reported on both rows
+    expect(rows[1]).toMatchObject({ action: 'unchanged', personId: 'person-ada' });
+    expect(rows[0].errors).toEqual(['Duplicate external ID A1 (lines 2, 3).']);
+  });
+
+  it('reports missing fields, invalid emails and garbled characters', () => {
+    const rows = validateRoster('name,id,email\n,G1,\nGrace Hopper,,grace@\nJosÃ© NÃºÃ±ez,J2,', people);
+    expect(rows.map(row => row.errors)).toEqual([
+      ['Missing name.'],
+      ['Missing external ID.', 'Invalid email "grace@".'],
+      ['Garbled characters: save the file as UTF-8 and try again.'],
+    ]);
+  });
+
+  it('returns no rows for an empty file', () => {
+    expect(validateRoster('', people)).toEqual([]);
+  });
+
+  it('throws when the CSV cannot be parsed', () => {
+    expect(() => validateRoster('name\n"Ada', people)).toThrow();
+  });
+});
+
+describe('findPersonByName', () => {
+  it('matches the whole name, ignoring case, accents and extra spaces', () => {
+    expect(findPersonByName(people, '  jose   nunez ')).toBe(people[1]);
+    expect(findPersonByName(people, 'ADA LOVELACE')).toBe(people[0]);
+    expect(findPersonByName(people, 'Ada')).toBeNull();
+    expect(findPersonByName(people, '')).toBeNull();
+  });
+
+  it('returns null when several people have the name', () => {
+    expect(findPersonByName([...people, { id: 'person-ada-2', name: 'Ada Lovelace' }], 'Ada Lovelace')).toBeNull();
+  });
+});